@@ -0,0 +1,448 @@
+#!/usr/bin/env node
+/**
+ * bugscout - run BugScout from a CI pipeline
+ * Generates, executes and audits against a BugScout server (--server), or
+ * in-process with the same services the server uses. Writes JUnit XML and JSON
+ * artifacts and exits non-zero when tests fail or a threshold is breached.
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { version } = require('../package.json');
+const pageDiagnostics = require('../services/pageDiagnostics');
+const deviceProfiles = require('../services/deviceProfiles');
+
+// Exit codes
+const PASSED = 0;
+const FAILED = 1; // failed tests or a breached threshold
+const NOT_RUN = 2; // bad arguments, or the run itself couldn't complete
+
+// How often the server is asked whether a queued execution finished
+const POLL_MS = 2000;
+
+const COMMANDS = {
+  generate: 'generate <url>           Generate tests for a URL and save them as a test run',
+  execute: 'execute <url | runId>    Execute a saved test run, or generate one for a URL and execute it',
+  audit: 'audit <url>              Run the accessibility audit (and optionally performance)'
+};
+
+const OPTIONS = {
+  server: { value: true, help: 'BugScout server URL (default: BUGSCOUT_SERVER; in-process when neither is set)' },
+  'user-id': { value: true, help: 'Owner of generated test runs, so they show up in the dashboard' },
+  coverage: { value: true, help: 'smoke, standard or exhaustive (generate)' },
+  preset: { value: true, help: 'Test preset (generate)' },
+  'auth-profile': { value: true, help: 'Auth profile id to log in with' },
+  retries: { value: true, help: 'Retries for a failed test (execute)' },
+  browsers: { value: true, help: 'Browser matrix, e.g. chromium,firefox,webkit (execute)' },
+  devices: { value: true, help: 'Devices to emulate, e.g. mobile,tablet,desktop (execute)' },
+  device: { value: true, help: 'Device to inspect the page as, e.g. mobile (generate)' },
+  'detailed-flow': { help: 'Screenshot every step (execute)' },
+  'fail-on-js-error': { help: 'Fail a test when the page throws an uncaught JS error (execute)' },
+  trace: { help: 'Record a Playwright trace of each test (execute)' },
+  video: { help: 'Record a video of each test (execute)' },
+  'keep-recordings': { value: true, help: 'on-failure (default) or always (with --trace/--video)' },
+  'min-pass-rate': { value: true, help: 'Lowest pass rate (0-100) that passes; default: any failed test fails' },
+  'fail-on-flaky': { help: 'Treat tests that only passed on a retry as failures' },
+  audit: { help: 'Also audit the URL after executing' },
+  'min-a11y-score': { value: true, help: 'Lowest accessibility score that passes; also runs the audit (default 90 when auditing)' },
+  performance: { help: 'Also run the performance audit' },
+  'min-performance-score': { value: true, help: 'Lowest performance score that passes' },
+  junit: { value: true, help: 'Write a JUnit XML report to this file' },
+  tap: { value: true, help: 'Write a TAP report to this file' },
+  sarif: { value: true, help: 'Write accessibility issues as SARIF to this file' },
+  json: { value: true, help: 'Write a JSON report to this file' },
+  help: { help: 'Show this help' },
+  version: { help: 'Show the version' }
+};
+
+const DEFAULT_MIN_A11Y_SCORE = 90;
+
+function usage() {
+  const options = Object.entries(OPTIONS).map(([name, o]) =>
+    `  --${name}${o.value ? ' <value>' : ''}`.padEnd(36) + o.help
+  );
+  return [
+    'Usage: bugscout <command> [options]',
+    '',
+    'Commands:',
+    ...Object.values(COMMANDS).map(c => `  ${c}`),
+    '',
+    'Options:',
+    ...options,
+    '',
+    `Exit codes: ${PASSED} passed, ${FAILED} tests failed or a threshold was breached, ${NOT_RUN} could not run`
+  ].join('\n');
+}
+
+/**
+ * Split argv into the command, its target and --options
+ * @returns {{ command, target, options }}
+ */
+function parseArgs(argv) {
+  const positional = [];
+  const options = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      positional.push(arg);
+      continue;
+    }
+    const [name, inline] = arg.slice(2).split(/=(.*)/s);
+    const spec = OPTIONS[name];
+    if (!spec) throw new Error(`Unknown option --${name}`);
+    if (!spec.value) {
+      options[name] = true;
+    } else if (inline !== undefined) {
+      options[name] = inline;
+    } else if (i + 1 < argv.length && !argv[i + 1].startsWith('--')) {
+      options[name] = argv[++i];
+    } else {
+      throw new Error(`--${name} needs a value`);
+    }
+  }
+
+  for (const name of ['retries', 'min-pass-rate', 'min-a11y-score', 'min-performance-score']) {
+    if (options[name] !== undefined && Number.isNaN(Number(options[name]))) {
+      throw new Error(`--${name} must be a number`);
+    }
+  }
+  if (options.browsers !== undefined) {
+    const unknown = options.browsers.split(',').filter(b => !['chromium', 'firefox', 'webkit'].includes(b.trim()));
+    if (unknown.length > 0) throw new Error(`--browsers takes chromium, firefox and webkit, not ${unknown.join(', ')}`);
+  }
+  for (const device of [options.device, ...(options.devices || '').split(',')].filter(Boolean)) {
+    if (!deviceProfiles.isDevice(device.trim())) {
+      throw new Error(`Unknown device ${device}: use ${Object.keys(deviceProfiles.PROFILES).join(', ')} or a Playwright device name`);
+    }
+  }
+  if (options['keep-recordings'] !== undefined && !['on-failure', 'always'].includes(options['keep-recordings'])) {
+    throw new Error('--keep-recordings must be on-failure or always');
+  }
+
+  const [command, target, ...extra] = positional;
+  if (extra.length > 0) throw new Error(`Unexpected argument: ${extra[0]}`);
+  return { command, target, options };
+}
+
+/**
+ * Talks to a running BugScout server over its API
+ */
+function serverClient(baseUrl) {
+  const call = async (method, apiPath, body) => {
+    const res = await fetch(`${baseUrl}${apiPath}`, {
+      method,
+      headers: body ? { 'Content-Type': 'application/json' } : {},
+      body: body ? JSON.stringify(body) : undefined
+    });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok || data.error) {
+      throw new Error(data.error || `${method} ${apiPath} failed with ${res.status}`);
+    }
+    return data;
+  };
+
+  return {
+    mode: 'server',
+    generate: options => call('POST', '/api/generate-tests', options),
+    getTestRun: id => call('GET', `/api/test-runs/${id}`),
+    // Queue the execution, then wait for the job rather than holding one long request open
+    execute: async (id, { detailedFlow, retries, failOnJsError, recording, browsers, devices, authProfileId }) => {
+      let job = await call('POST', `/api/test-runs/${id}/execute`, { detailedFlow, retries, failOnJsError, recording, browsers, devices, authProfileId, trigger: 'cli' });
+      while (job.status === 'queued' || job.status === 'running') {
+        await new Promise(resolve => setTimeout(resolve, POLL_MS));
+        job = await call('GET', `/api/jobs/${job.id}`);
+      }
+      if (job.status === 'failed') throw new Error(job.error || 'Execution failed');
+      return job.result;
+    },
+    accessibilityAudit: (url, authProfileId) => call('POST', '/api/accessibility-audit', { url, authProfileId }),
+    performanceAudit: (url, authProfileId) => call('POST', '/api/performance-audit', { url, authProfileId }),
+    close: async () => {}
+  };
+}
+
+/**
+ * Runs the server's services in this process. Without Firestore credentials
+ * test runs only live as long as the process.
+ */
+function localClient() {
+  const testRuns = require('../services/testRuns');
+  const firestoreService = require('../services/firestoreService');
+  const executionHistory = require('../services/executionHistory');
+  const testExecutor = require('../services/testExecutor');
+  const accessibilityAuditor = require('../services/accessibilityAuditor');
+  const performanceAnalyzer = require('../services/performanceAnalyzer');
+  const browserPool = require('../services/browserPool');
+
+  return {
+    mode: 'in-process',
+    generate: options => testRuns.generate(options),
+    getTestRun: async id => executionHistory.withResults(await firestoreService.getTestRun(id)),
+    execute: async (id, { detailedFlow, retries, failOnJsError, recording, browsers, devices, authProfileId }, onProgress) => {
+      const updates = {};
+      if (retries !== undefined) updates.retries = Math.min(Math.max(parseInt(retries) || 0, 0), testExecutor.MAX_RETRIES);
+      if (failOnJsError !== undefined) updates.failOnJsError = failOnJsError;
+      if (browsers !== undefined) updates.browsers = browsers;
+      if (devices !== undefined) updates.devices = devices;
+      if (authProfileId !== undefined) updates.authProfileId = authProfileId;
+      if (Object.keys(updates).length > 0) await firestoreService.updateTestRun(id, updates);
+      return testRuns.execute(id, { detailedFlow, recording, trigger: 'cli' }, onProgress);
+    },
+    accessibilityAudit: async (url, authProfileId) => accessibilityAuditor.audit(url, await testRuns.authOptions(authProfileId)),
+    performanceAudit: async (url, authProfileId) => performanceAnalyzer.analyze(url, await testRuns.authOptions(authProfileId)),
+    close: () => browserPool.closeAll()
+  };
+}
+
+// Live test results while executing in-process (the server mode only sees the end result)
+function printProgress(type, data) {
+  const variant = [data.device, data.browser].filter(Boolean).join(', ');
+  if (type === 'test_retry') {
+    console.log(`  ↻ test ${data.index + 1}${variant ? ` (${variant})` : ''} failed attempt ${data.attempt}/${data.maxAttempts}, retrying`);
+  }
+  if (type === 'test_end') {
+    console.log(`  ${data.status === 'pass' ? '✓' : '✗'} test ${data.index + 1}${variant ? ` (${variant})` : ''}${data.flaky ? ' (flaky)' : ''}${data.error ? ` - ${data.error}` : ''}`);
+  }
+}
+
+async function run({ command, target, options }, client) {
+  const report = {
+    tool: 'bugscout',
+    version,
+    command,
+    target,
+    mode: client.mode,
+    server: client.mode === 'server' ? options.server : null,
+    startedAt: new Date().toISOString(),
+    testRun: null,
+    accessibility: null,
+    performance: null,
+    checks: []
+  };
+  const authProfileId = options['auth-profile'];
+  let testRun = null;
+  let url = target;
+
+  if (command === 'generate' || (command === 'execute' && isUrl(target))) {
+    console.log(`Generating tests for ${target}...`);
+    testRun = await client.generate({
+      url: target,
+      userId: options['user-id'],
+      preset: options.preset,
+      coverage: options.coverage || 'smoke',
+      authProfileId,
+      device: options.device
+    });
+    console.log(`Test run ${testRun.id}: ${testRun.tests.length} tests generated`);
+  }
+
+  if (command === 'execute') {
+    const testRunId = testRun ? testRun.id : target;
+    console.log(`Executing test run ${testRunId}...`);
+    try {
+      testRun = await client.execute(testRunId, {
+        detailedFlow: !!options['detailed-flow'],
+        retries: options.retries !== undefined ? Number(options.retries) : undefined,
+        failOnJsError: options['fail-on-js-error'] ? true : undefined,
+        recording: { trace: !!options.trace, video: !!options.video, retain: options['keep-recordings'] },
+        browsers: options.browsers !== undefined ? [...new Set(options.browsers.split(',').map(b => b.trim()))] : undefined,
+        devices: options.devices !== undefined ? [...new Set(options.devices.split(',').map(d => d.trim()))] : undefined,
+        authProfileId
+      }, printProgress);
+    } catch (error) {
+      // An execution that errored is still stored on the run; report it like a result
+      testRun = await client.getTestRun(testRunId).catch(() => null);
+      if (!testRun || testRun.status !== 'error') throw error;
+    }
+    url = testRun.url;
+    printTestRun(testRun, report.server || '');
+    report.checks.push(...testRunChecks(testRun, options));
+  }
+
+  if (testRun) report.testRun = testRun;
+
+  if (command === 'audit' || options.audit || options['min-a11y-score'] !== undefined) {
+    console.log(`Auditing accessibility of ${url}...`);
+    report.accessibility = await client.accessibilityAudit(url, authProfileId);
+    const min = options['min-a11y-score'] !== undefined ? Number(options['min-a11y-score']) : DEFAULT_MIN_A11Y_SCORE;
+    console.log(`  Accessibility score ${report.accessibility.score} (${report.accessibility.issues.length} issues)`);
+    report.checks.push(scoreCheck('Accessibility score', report.accessibility, min));
+  }
+
+  if (options.performance || options['min-performance-score'] !== undefined) {
+    console.log(`Analyzing performance of ${url}...`);
+    report.performance = await client.performanceAudit(url, authProfileId);
+    console.log(`  Performance score ${report.performance.score}`);
+    if (options['min-performance-score'] !== undefined) {
+      report.checks.push(scoreCheck('Performance score', report.performance, Number(options['min-performance-score'])));
+    }
+  }
+
+  report.finishedAt = new Date().toISOString();
+  report.passed = report.checks.every(c => c.passed);
+  return report;
+}
+
+function isUrl(value) {
+  return /^https?:\/\//i.test(value || '');
+}
+
+function printTestRun(testRun, baseUrl) {
+  if (testRun.status === 'error') {
+    console.log(`  ⚠ Execution failed: ${testRun.error}`);
+    return;
+  }
+  for (const test of testRun.tests) {
+    const mark = test.status === 'pass' ? '✓' : test.status === 'fail' ? '✗' : '-';
+    console.log(`  ${mark} ${test.name}${test.flaky ? ' (flaky)' : ''}${test.error ? `\n      ${test.error}` : ''}`);
+    if (test.devices) {
+      for (const [device, result] of Object.entries(test.devices)) {
+        console.log(`      ${result.status === 'pass' ? '✓' : '✗'} ${device}${result.browsers ? `: ${browserMarks(result.browsers)}` : ''}`);
+      }
+    } else if (test.browsers) {
+      console.log(`      ${browserMarks(test.browsers)}`);
+    }
+    if (pageDiagnostics.hasProblems(test.diagnostics)) {
+      console.log(`      ⚠ ${pageDiagnostics.summarize(test.diagnostics)}`);
+    }
+    for (const [kind, url] of Object.entries(test.artifacts || {})) {
+      if (url) console.log(`      🎬 ${kind}: ${baseUrl}${url}`);
+    }
+  }
+}
+
+function browserMarks(browsers) {
+  return Object.entries(browsers).map(([browser, result]) => `${result.status === 'pass' ? '✓' : '✗'} ${browser}`).join('  ');
+}
+
+/**
+ * Pass/fail checks for an executed run: no failed tests (or a pass rate), and
+ * optionally no flaky ones
+ */
+function testRunChecks(testRun, options) {
+  if (testRun.status === 'error') {
+    return [{ name: 'Test run executed', passed: false, notRun: true, message: testRun.error }];
+  }
+
+  const tests = testRun.tests;
+  const passed = tests.filter(t => t.status === 'pass').length;
+  const failed = tests.filter(t => t.status === 'fail').length;
+  const flaky = tests.filter(t => t.flaky).length;
+  const passRate = tests.length > 0 ? Math.round((passed / tests.length) * 100) : 100;
+  const checks = [];
+
+  if (options['min-pass-rate'] !== undefined) {
+    const min = Number(options['min-pass-rate']);
+    checks.push({ name: 'Pass rate', passed: passRate >= min, actual: passRate, threshold: min, message: `${passRate}% of ${tests.length} tests passed (minimum ${min}%)` });
+  } else {
+    checks.push({ name: 'All tests passed', passed: failed === 0, actual: failed, threshold: 0, message: `${failed} of ${tests.length} tests failed` });
+  }
+  if (options['fail-on-flaky']) {
+    checks.push({ name: 'No flaky tests', passed: flaky === 0, actual: flaky, threshold: 0, message: `${flaky} tests only passed on a retry` });
+  }
+  return checks;
+}
+
+function scoreCheck(name, result, min) {
+  if (result.error) {
+    return { name, passed: false, notRun: true, message: result.error };
+  }
+  return { name, passed: result.score >= min, actual: result.score, threshold: min, message: `${result.score} (minimum ${min})` };
+}
+
+function writeArtifacts(report, options) {
+  const write = (file, content) => {
+    fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+    fs.writeFileSync(file, content);
+    console.log(`Wrote ${file}`);
+  };
+
+  if (options.json) {
+    write(options.json, JSON.stringify(report, null, 2));
+  }
+  if (!options.junit && !options.tap && !options.sarif) return;
+
+  const reportFormatters = require('../services/reportFormatters');
+  const suites = [];
+  // Screenshots are only reachable as links through a server
+  if (report.testRun) suites.push(reportFormatters.testRunSuite(report.testRun, { baseUrl: report.server }));
+  if (report.accessibility) suites.push(reportFormatters.auditSuite(report.accessibility));
+  if (report.checks.length > 0) {
+    suites.push({
+      name: 'BugScout thresholds',
+      timestamp: report.finishedAt,
+      cases: report.checks.map(c => ({
+        name: c.name,
+        classname: 'bugscout.thresholds',
+        status: c.passed ? 'pass' : c.notRun ? 'error' : 'fail',
+        message: c.message
+      }))
+    });
+  }
+
+  if (options.junit) write(options.junit, reportFormatters.toJUnit(suites));
+  if (options.tap) write(options.tap, reportFormatters.toTAP(suites));
+  if (options.sarif) {
+    if (report.accessibility) {
+      write(options.sarif, JSON.stringify(reportFormatters.toSarif(report.accessibility), null, 2));
+    } else {
+      console.warn('No accessibility audit ran, so no SARIF report was written (add --audit to execute)');
+    }
+  }
+}
+
+async function main() {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`${error.message}\n\n${usage()}`);
+    return NOT_RUN;
+  }
+
+  const { command, target, options } = args;
+  if (options.version) {
+    console.log(version);
+    return PASSED;
+  }
+  if (options.help || !command) {
+    console.log(usage());
+    return options.help ? PASSED : NOT_RUN;
+  }
+  if (!COMMANDS[command]) {
+    console.error(`Unknown command: ${command}\n\n${usage()}`);
+    return NOT_RUN;
+  }
+  if (!target) {
+    console.error(`Usage: bugscout ${COMMANDS[command]}`);
+    return NOT_RUN;
+  }
+  if (command !== 'execute' && !isUrl(target)) {
+    console.error(`${command} needs an http(s) URL, got "${target}"`);
+    return NOT_RUN;
+  }
+
+  const serverUrl = options.server || process.env.BUGSCOUT_SERVER;
+  if (serverUrl) options.server = serverUrl.replace(/\/$/, '');
+  const client = serverUrl ? serverClient(options.server) : localClient();
+
+  try {
+    const report = await run({ command, target, options }, client);
+    writeArtifacts(report, options);
+
+    for (const check of report.checks) {
+      console.log(`${check.passed ? 'PASS' : 'FAIL'} ${check.name}: ${check.message}`);
+    }
+    if (report.checks.some(c => c.notRun)) return NOT_RUN;
+    return report.passed ? PASSED : FAILED;
+  } catch (error) {
+    console.error(`bugscout ${command} failed: ${error.message}`);
+    return NOT_RUN;
+  } finally {
+    await client.close();
+  }
+}
+
+main().then(code => process.exit(code));
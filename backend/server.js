@@ -5,7 +5,6 @@ const path = require('path');
 const { v4: uuidv4 } = require('uuid');
 
 const pageInspector = require('./services/pageInspector');
-const testGenerator = require('./services/testGenerator');
 const testExecutor = require('./services/testExecutor');
 const firestoreService = require('./services/firestoreService');
 const accessibilityAuditor = require('./services/accessibilityAuditor');
@@ -14,61 +13,139 @@ const visualDiff = require('./services/visualDiff');
 const performanceAnalyzer = require('./services/performanceAnalyzer');
 const flowRecorder = require('./services/flowRecorder');
 const journeyTestGenerator = require('./services/journeyTestGenerator');
+const jobQueue = require('./services/jobQueue');
+const browserPool = require('./services/browserPool');
+const testExporter = require('./services/testExporter');
+const specImporter = require('./services/specImporter');
+const selectorHealer = require('./services/selectorHealer');
+const authProfiles = require('./services/authProfiles');
+const siteCrawler = require('./services/siteCrawler');
+const testSuites = require('./services/testSuites');
+const scheduler = require('./services/scheduler');
+const executionHistory = require('./services/executionHistory');
+const notifier = require('./services/notifier');
+const testRuns = require('./services/testRuns');
+const reportFormatters = require('./services/reportFormatters');
+const htmlReport = require('./services/htmlReport');
+const pdfReport = require('./services/pdfReport');
+const deviceProfiles = require('./services/deviceProfiles');
+const storageService = require('./services/storageService');
 
 const app = express();
 app.use(cors());
-app.use(express.json());
+app.use(express.json({
+  limit: '2mb', // Imported spec files can be large
+  // Signed webhooks are verified against the body exactly as sent
+  verify: (req, res, buf) => { req.rawBody = buf; }
+}));
 
 // Serve screenshots
 app.use('/screenshots', express.static(path.join(__dirname, '../screenshots')));
 
+// Serve execution recordings; trace zips download for the Playwright trace viewer
+app.use('/artifacts', express.static(path.join(__dirname, '../artifacts'), {
+  setHeaders: (res, filePath) => {
+    if (filePath.endsWith('.zip')) res.attachment(path.basename(filePath));
+  }
+}));
+
+// Recordings in cloud storage are private; hand out a short-lived signed link instead
+app.get('/artifacts/*', async (req, res) => {
+  try {
+    const url = await storageService.getArtifactUrl(req.params[0]);
+    if (!url) {
+      return res.status(404).json({ error: 'Artifact not found' });
+    }
+    res.redirect(url);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Health check
 app.get('/health', (req, res) => {
-  res.json({ status: 'ok', timestamp: new Date().toISOString() });
+  res.json({
+    status: 'ok',
+    timestamp: new Date().toISOString(),
+    browserPool: browserPool.getStats(),
+    jobs: jobQueue.getStats()
+  });
+});
+
+// Device profiles test runs can be inspected and executed on
+app.get('/api/devices', (req, res) => {
+  res.json({ devices: deviceProfiles.list() });
 });
 
 // Generate tests for a URL
 app.post('/api/generate-tests', async (req, res) => {
   try {
-    const { url, userId } = req.body;
+    const { url, userId, preset, coverage = 'smoke', authProfileId, device } = req.body;
     if (!url) {
       return res.status(400).json({ error: 'URL is required' });
     }
+    const invalid = testRuns.checkGenerateOptions(preset, coverage, device);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    const testRun = await testRuns.generate({ url, userId, preset, coverage, authProfileId, device });
+    res.json(testRun);
+  } catch (error) {
+    console.error('Generate tests error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Import an existing Playwright/Cypress spec as a test run
+app.post('/api/test-runs/import', async (req, res) => {
+  try {
+    const { source, format = 'auto', url, userId, filename, authProfileId } = req.body;
+    if (!source) {
+      return res.status(400).json({ error: 'Spec source is required' });
+    }
+    if (format !== 'auto' && !specImporter.FORMATS.includes(format)) {
+      return res.status(400).json({ error: `Unknown format: ${format}. Use auto, ${specImporter.FORMATS.join(', ')}` });
+    }
+    if (format === 'auto' && !specImporter.detectFormat(source)) {
+      return res.status(400).json({ error: 'Could not tell whether this is a Playwright or Cypress spec - pick the format' });
+    }
+
+    const imported = specImporter.importSpec(source, { format, url, filename });
+    if (!imported.url) {
+      return res.status(400).json({ error: 'The spec never navigates to an absolute URL - enter the URL to test', report: imported.report });
+    }
+    if (imported.tests.length === 0) {
+      return res.status(400).json({ error: 'No tests in the spec could be converted', report: imported.report });
+    }
 
-    const runId = uuidv4();
-    
-    // Step A: Page Inspection
-    console.log(`[${runId}] Inspecting page: ${url}`);
-    const pageData = await pageInspector.inspect(url);
-    
-    // Step B & C: AI Test Planning with Fallback
-    console.log(`[${runId}] Generating test plan...`);
-    const testPlan = await testGenerator.generate(pageData);
-    
-    // Save to Firestore - store original elements with selectors for execution
     const testRun = {
-      id: runId,
-      url,
+      id: uuidv4(),
+      url: imported.url,
       userId: userId || null,
       status: 'pending_review',
       createdAt: new Date().toISOString(),
+      source: 'imported',
+      authProfileId: authProfileId || null,
+      importReport: imported.report,
       pageData: {
-        pageType: testPlan.page_type,
-        elements: pageData.elements  // Original elements with real selectors
+        pageType: 'imported',
+        elements: []
       },
-      tests: testPlan.test_plan.map(t => ({
+      tests: imported.tests.map(t => ({
         ...t,
         status: 'pending',
         screenshots: []
       })),
-      confidence: testPlan.confidence
+      confidence: 1.0
     };
-    
+
+    console.log(`[Import] ${imported.report.format} spec: ${imported.report.testsImported} tests, ${imported.report.unsupported.length} unsupported calls`);
     await firestoreService.saveTestRun(testRun);
-    
+
     res.json(testRun);
   } catch (error) {
-    console.error('Generate tests error:', error);
+    console.error('Import spec error:', error);
     res.status(500).json({ error: error.message });
   }
 });
@@ -76,7 +153,7 @@ app.post('/api/generate-tests', async (req, res) => {
 // Get test run by ID
 app.get('/api/test-runs/:id', async (req, res) => {
   try {
-    const testRun = await firestoreService.getTestRun(req.params.id);
+    const testRun = await executionHistory.withResults(await firestoreService.getTestRun(req.params.id));
     if (!testRun) {
       return res.status(404).json({ error: 'Test run not found' });
     }
@@ -101,63 +178,301 @@ app.get('/api/test-runs', async (req, res) => {
 app.put('/api/test-runs/:id', async (req, res) => {
   try {
     const { tests } = req.body;
-    await firestoreService.updateTestRun(req.params.id, { tests });
-    const updated = await firestoreService.getTestRun(req.params.id);
+    // The editor sends tests back with their results; those stay on the execution
+    await firestoreService.updateTestRun(req.params.id, { tests: executionHistory.planOf(tests) });
+    const updated = await executionHistory.withResults(await firestoreService.getTestRun(req.params.id));
     res.json(updated);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// Execute tests
+// Write selectors healed during the last run back into the test plan
+app.post('/api/test-runs/:id/apply-healing', async (req, res) => {
+  try {
+    const testRun = await executionHistory.withResults(await firestoreService.getTestRun(req.params.id));
+    if (!testRun) {
+      return res.status(404).json({ error: 'Test run not found' });
+    }
+
+    const { tests, pageData, applied } = selectorHealer.applyHealedSelectors(testRun);
+    if (applied.length > 0) {
+      await firestoreService.updateTestRun(req.params.id, { tests: executionHistory.planOf(tests), pageData });
+    }
+
+    const updated = await executionHistory.withResults(await firestoreService.getTestRun(req.params.id));
+    res.json({ applied, testRun: updated });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Execute tests - queued as a background job; progress streams from /api/jobs/:jobId/events
 app.post('/api/test-runs/:id/execute', async (req, res) => {
-  const timeoutMs = 120000; // 2 minute timeout
-  let timeoutId;
-  
   try {
     const testRun = await firestoreService.getTestRun(req.params.id);
     if (!testRun) {
       return res.status(404).json({ error: 'Test run not found' });
     }
 
-    // Check for detailed flow mode
-    const { detailedFlow = false } = req.body || {};
+    // Check for detailed flow mode; wait keeps the old blocking behaviour for scripts;
+    // applyHealing writes selectors healed during the run back into the test plan;
+    // authProfileId (null to clear) changes which login the run's tests start with;
+    // retries (null to clear) sets how often a failed test is retried unless the test says otherwise;
+    // failOnJsError (null to clear) fails tests on uncaught page errors unless the test says otherwise;
+    // recording ({ trace, video, retain }) records this execution's attempts for the trace viewer;
+    // browsers (null to clear) sets the run's browser matrix (chromium, firefox, webkit);
+    // devices (null to clear) sets the devices it's emulated on (mobile, tablet, desktop, ...);
+    // trigger 'cli' marks executions started by the bugscout CLI in the history
+    const { detailedFlow = false, wait = false, applyHealing = false, authProfileId, retries, failOnJsError, recording, browsers, devices, trigger } = req.body || {};
 
-    await firestoreService.updateTestRun(req.params.id, { status: 'running' });
-    
-    console.log(`[${req.params.id}] Executing tests... (detailedFlow: ${detailedFlow})`);
-    
-    // Create a timeout promise - longer timeout for detailed mode
-    const actualTimeout = detailedFlow ? 180000 : timeoutMs; // 3 min for detailed, 2 min normal
-    const timeoutPromise = new Promise((_, reject) => {
-      timeoutId = setTimeout(() => {
-        reject(new Error(`Test execution timed out after ${actualTimeout / 60000} minutes`));
-      }, actualTimeout);
-    });
-    
-    // Race between execution and timeout
-    const results = await Promise.race([
-      testExecutor.execute(testRun, { detailedFlow }),
-      timeoutPromise
-    ]);
-    
-    clearTimeout(timeoutId);
+    if (browsers) {
+      const unknown = [].concat(browsers).filter(b => !browserPool.BROWSERS.includes(b));
+      if (unknown.length > 0 || [].concat(browsers).length === 0) {
+        return res.status(400).json({ error: `browsers must be a list of ${browserPool.BROWSERS.join(', ')}` });
+      }
+    }
+    if (devices) {
+      const unknown = [].concat(devices).filter(d => !deviceProfiles.isDevice(d));
+      if (unknown.length > 0) {
+        return res.status(400).json({ error: `Unknown device: ${unknown.join(', ')}. Use ${Object.keys(deviceProfiles.PROFILES).join(', ')} or a Playwright device name` });
+      }
+    }
+
+    const queuedUpdates = { status: 'queued' };
+    if (authProfileId !== undefined) queuedUpdates.authProfileId = authProfileId || null;
+    if (retries !== undefined) queuedUpdates.retries = retries === null ? null : Math.min(Math.max(parseInt(retries) || 0, 0), testExecutor.MAX_RETRIES);
+    if (browsers !== undefined) queuedUpdates.browsers = browsers === null ? null : [...new Set([].concat(browsers))];
+    if (devices !== undefined) queuedUpdates.devices = devices === null || [].concat(devices).length === 0 ? null : [...new Set([].concat(devices))];
+    if (failOnJsError !== undefined) queuedUpdates.failOnJsError = failOnJsError === null ? null : Boolean(failOnJsError);
+    await firestoreService.updateTestRun(req.params.id, queuedUpdates);
     
-    const finalStatus = results.every(t => t.status === 'pass') ? 'completed' : 'completed_with_failures';
+    const job = jobQueue.enqueue(
+      'execute',
+      (job, report) => runExecutionJob(req.params.id, { detailedFlow, applyHealing, recording, trigger: trigger === 'cli' ? 'cli' : 'manual', notify: true }, report),
+      { testRunId: req.params.id, detailedFlow }
+    );
+    console.log(`[${req.params.id}] Queued execution job ${job.id} (detailedFlow: ${detailedFlow})`);
     
-    await firestoreService.updateTestRun(req.params.id, {
-      status: finalStatus,
-      tests: results,
-      completedAt: new Date().toISOString(),
-      hasDetailedFlow: detailedFlow
-    });
+    if (wait) {
+      const finished = await jobQueue.waitFor(job.id);
+      if (finished.status === 'failed') {
+        return res.status(500).json({ error: finished.error });
+      }
+      return res.json(finished.result);
+    }
     
-    const updated = await firestoreService.getTestRun(req.params.id);
-    res.json(updated);
+    res.status(202).json(jobQueue.getJob(job.id));
   } catch (error) {
-    clearTimeout(timeoutId);
     console.error('Execute tests error:', error);
-    await firestoreService.updateTestRun(req.params.id, { status: 'error', error: error.message });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Run a test run's tests inside a queued job, reporting progress as it goes.
+// notify tells the owner's notification channels how it went (suites run without it).
+async function runExecutionJob(testRunId, { notify = false, trigger = 'manual', ...options }, report) {
+  try {
+    const testRun = await testRuns.execute(testRunId, { ...options, trigger }, report);
+    if (notify) notifyTestRun(testRun, trigger);
+    return testRun;
+  } catch (error) {
+    const testRun = notify && await firestoreService.getTestRun(testRunId);
+    if (testRun) notifyTestRun(testRun, trigger, error.message);
+    throw error;
+  }
+}
+
+// Notifications go out in the background; the job finishes without waiting for receivers
+function notifyTestRun(testRun, trigger, error = null) {
+  notifier.notify({
+    userId: testRun.userId,
+    source: { type: 'testRun', id: testRun.id, name: testRun.url, trigger },
+    testRuns: [testRun],
+    error
+  });
+}
+
+// Execution History - List a test run's executions, newest first (without per-test results)
+app.get('/api/test-runs/:id/executions', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const executions = await firestoreService.getExecutions(req.params.id, limit);
+    res.json(executions.map(executionHistory.listItem));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Execution History - Compare two executions test by test (?base=<executionId>&head=<executionId>)
+app.get('/api/test-runs/:id/executions/compare', async (req, res) => {
+  try {
+    const { base, head } = req.query;
+    if (!base || !head) {
+      return res.status(400).json({ error: 'base and head execution ids are required' });
+    }
+
+    const [baseExecution, headExecution] = await Promise.all([
+      firestoreService.getExecution(base),
+      firestoreService.getExecution(head)
+    ]);
+    if (!baseExecution || !headExecution || baseExecution.testRunId !== req.params.id || headExecution.testRunId !== req.params.id) {
+      return res.status(404).json({ error: 'Execution not found for this test run' });
+    }
+
+    res.json(executionHistory.compare(baseExecution, headExecution));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Execution History - Get one execution with its results
+app.get('/api/test-runs/:id/executions/:executionId', async (req, res) => {
+  try {
+    const execution = await firestoreService.getExecution(req.params.executionId);
+    if (!execution || execution.testRunId !== req.params.id) {
+      return res.status(404).json({ error: 'Execution not found' });
+    }
+    res.json(execution);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get a background job's state
+app.get('/api/jobs/:jobId', (req, res) => {
+  const job = jobQueue.getJob(req.params.jobId);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  res.json(job);
+});
+
+// Stream a job's progress as Server-Sent Events
+app.get('/api/jobs/:jobId/events', (req, res) => {
+  if (!jobQueue.getJob(req.params.jobId)) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  
+  // Comment lines keep proxies from closing an idle stream
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+  let unsubscribe = null;
+  let closed = false;
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    clearInterval(heartbeat);
+    if (unsubscribe) unsubscribe();
+    res.end();
+  };
+  
+  unsubscribe = jobQueue.subscribe(req.params.jobId, event => {
+    res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+    if (event.type === 'done') {
+      // Let the replay finish before tearing the subscription down
+      setImmediate(close);
+    }
+  });
+  
+  req.on('close', close);
+});
+
+// Export a test run as a spec file for another test framework, or as a PDF report
+app.get('/api/test-runs/:id/export', async (req, res) => {
+  try {
+    const { format = 'playwright', language } = req.query;
+    if (format !== 'pdf' && !testExporter.FORMATS[format]) {
+      return res.status(400).json({ error: `Unsupported export format: ${format}. Use ${[...Object.keys(testExporter.FORMATS), 'pdf'].join(', ')}` });
+    }
+
+    const testRun = await executionHistory.withResults(await firestoreService.getTestRun(req.params.id));
+    if (!testRun) {
+      return res.status(404).json({ error: 'Test run not found' });
+    }
+
+    if (format === 'pdf') {
+      return sendReport(res, await pdfReport.render(htmlReport.sharedView(testRun)));
+    }
+
+    const { filename, content } = testExporter.exportTestRun(testRun, format, { language });
+    res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.setHeader('Access-Control-Expose-Headers', 'Content-Disposition');
+    res.send(content);
+  } catch (error) {
+    console.error('Export test run error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Send a rendered report as a file download
+function sendReport(res, { filename, contentType, content }) {
+  res.setHeader('Content-Type', Buffer.isBuffer(content) ? contentType : `${contentType}; charset=utf-8`);
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.setHeader('Access-Control-Expose-Headers', 'Content-Disposition');
+  res.send(content);
+}
+
+function unsupportedReport(format, source) {
+  return `Unsupported report format: ${format}. Use ${reportFormatters.formatsFor(source).join(', ')}`;
+}
+
+// Test run results as a CI report (JUnit XML or TAP)
+app.get('/api/test-runs/:id/report', async (req, res) => {
+  try {
+    const { format = 'junit' } = req.query;
+    if (!reportFormatters.formatsFor('testRun').includes(format)) {
+      return res.status(400).json({ error: unsupportedReport(format, 'testRun') });
+    }
+
+    const testRun = await executionHistory.withResults(await firestoreService.getTestRun(req.params.id));
+    if (!testRun) {
+      return res.status(404).json({ error: 'Test run not found' });
+    }
+
+    sendReport(res, reportFormatters.formatTestRun(testRun, format, { baseUrl: `${req.protocol}://${req.get('host')}` }));
+  } catch (error) {
+    console.error('Test run report error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Test run as a standalone HTML report with screenshots inlined.
+// The body can carry accessibility/performance results for the run's page to include.
+app.post('/api/test-runs/:id/html-report', async (req, res) => {
+  try {
+    const testRun = await executionHistory.withResults(await firestoreService.getTestRun(req.params.id));
+    if (!testRun) {
+      return res.status(404).json({ error: 'Test run not found' });
+    }
+
+    const { accessibility, performance } = req.body || {};
+    sendReport(res, await htmlReport.render(htmlReport.sharedView(testRun), { accessibility, performance }));
+  } catch (error) {
+    console.error('HTML report error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Test run as a print-layout PDF, with the same optional audit results as the HTML report
+app.post('/api/test-runs/:id/pdf-report', async (req, res) => {
+  try {
+    const testRun = await executionHistory.withResults(await firestoreService.getTestRun(req.params.id));
+    if (!testRun) {
+      return res.status(404).json({ error: 'Test run not found' });
+    }
+
+    const { accessibility, performance } = req.body || {};
+    sendReport(res, await pdfReport.render(htmlReport.sharedView(testRun), { accessibility, performance }));
+  } catch (error) {
+    console.error('PDF report error:', error);
     res.status(500).json({ error: error.message });
   }
 });
@@ -166,6 +481,7 @@ app.post('/api/test-runs/:id/execute', async (req, res) => {
 app.delete('/api/test-runs/:id', async (req, res) => {
   try {
     await firestoreService.deleteTestRun(req.params.id);
+    await firestoreService.deleteExecutions(req.params.id);
     res.json({ success: true });
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -173,15 +489,23 @@ app.delete('/api/test-runs/:id', async (req, res) => {
 });
 
 // Accessibility Audit
+// With a format (?format= or body.format) the results come back as a report file instead of JSON
 app.post('/api/accessibility-audit', async (req, res) => {
   try {
-    const { url } = req.body;
+    const { url, authProfileId } = req.body;
+    const format = req.query.format || req.body.format;
     if (!url) {
       return res.status(400).json({ error: 'URL is required' });
     }
+    if (format && !reportFormatters.formatsFor('audit').includes(format)) {
+      return res.status(400).json({ error: unsupportedReport(format, 'audit') });
+    }
 
     console.log(`[A11y] Auditing: ${url}`);
-    const results = await accessibilityAuditor.audit(url);
+    const results = await accessibilityAuditor.audit(url, await testRuns.authOptions(authProfileId));
+    if (format) {
+      return sendReport(res, reportFormatters.formatAudit(results, format));
+    }
     res.json(results);
   } catch (error) {
     console.error('Accessibility audit error:', error);
@@ -189,16 +513,37 @@ app.post('/api/accessibility-audit', async (req, res) => {
   }
 });
 
+// Render audit results the client already has as a report (JUnit XML, TAP or SARIF)
+app.post('/api/accessibility-audit/report', (req, res) => {
+  try {
+    const { audit, format = 'sarif' } = req.body;
+    if (!audit?.url || !Array.isArray(audit.issues)) {
+      return res.status(400).json({ error: 'Audit results are required' });
+    }
+    if (!reportFormatters.formatsFor('audit').includes(format)) {
+      return res.status(400).json({ error: unsupportedReport(format, 'audit') });
+    }
+
+    sendReport(res, reportFormatters.formatAudit({ passed: [], ...audit }, format));
+  } catch (error) {
+    console.error('Accessibility report error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Smart Test Suggestions
 app.post('/api/suggest-tests', async (req, res) => {
   try {
-    const { url } = req.body;
+    const { url, authProfileId, device } = req.body;
     if (!url) {
       return res.status(400).json({ error: 'URL is required' });
     }
+    if (device && !deviceProfiles.isDevice(device)) {
+      return res.status(400).json({ error: `Unknown device: ${device}` });
+    }
 
     console.log(`[Suggest] Analyzing: ${url}`);
-    const pageData = await pageInspector.inspect(url);
+    const pageData = await pageInspector.inspect(url, { ...(await testRuns.authOptions(authProfileId)), device });
     pageData.url = url;
     
     const suggestions = await testSuggester.suggest(pageData);
@@ -212,7 +557,7 @@ app.post('/api/suggest-tests', async (req, res) => {
 // Visual Regression - Compare screenshots in a test run
 app.post('/api/test-runs/:id/visual-diff', async (req, res) => {
   try {
-    const testRun = await firestoreService.getTestRun(req.params.id);
+    const testRun = await executionHistory.withResults(await firestoreService.getTestRun(req.params.id));
     if (!testRun) {
       return res.status(404).json({ error: 'Test run not found' });
     }
@@ -233,13 +578,13 @@ app.post('/api/test-runs/:id/visual-diff', async (req, res) => {
 // Performance Analysis
 app.post('/api/performance-audit', async (req, res) => {
   try {
-    const { url } = req.body;
+    const { url, authProfileId } = req.body;
     if (!url) {
       return res.status(400).json({ error: 'URL is required' });
     }
 
     console.log(`[Perf] Analyzing: ${url}`);
-    const results = await performanceAnalyzer.analyze(url);
+    const results = await performanceAnalyzer.analyze(url, await testRuns.authOptions(authProfileId));
     res.json(results);
   } catch (error) {
     console.error('Performance audit error:', error);
@@ -250,13 +595,16 @@ app.post('/api/performance-audit', async (req, res) => {
 // End-to-End Journey Test - Generate comprehensive user journey
 app.post('/api/journey-test', async (req, res) => {
   try {
-    const { url, userId } = req.body;
+    const { url, userId, authProfileId, device } = req.body;
     if (!url) {
       return res.status(400).json({ error: 'URL is required' });
     }
+    if (device && !deviceProfiles.isDevice(device)) {
+      return res.status(400).json({ error: `Unknown device: ${device}` });
+    }
 
     console.log(`[Journey] Generating intelligent journey test for: ${url}`);
-    const journeyData = await journeyTestGenerator.generateJourneyTest(url);
+    const journeyData = await journeyTestGenerator.generateJourneyTest(url, { ...(await testRuns.authOptions(authProfileId)), device });
     
     // Create a test run with the journey test
     const runId = uuidv4();
@@ -267,6 +615,8 @@ app.post('/api/journey-test', async (req, res) => {
       status: 'pending_review',
       createdAt: new Date().toISOString(),
       isJourneyTest: true,
+      authProfileId: authProfileId || null,
+      ...(device && { devices: [device] }),
       journeyName: journeyData.test?.name || 'User Journey Test',
       detectedFlows: journeyData.detected_flows || [],
       pageAnalysis: journeyData.page_analysis || null,
@@ -274,7 +624,8 @@ app.post('/api/journey-test', async (req, res) => {
       aiSource: journeyData.source || 'unknown',
       pageData: {
         pageType: journeyData.page_analysis?.purpose || journeyData.pageData?.pageType || 'unknown',
-        elements: journeyData.pageData?.elements || []
+        elements: journeyData.pageData?.elements || [],
+        device: device || null
       },
       tests: [{
         ...journeyData.test,
@@ -357,6 +708,712 @@ app.get('/api/recording/sessions', (req, res) => {
   res.json(sessions);
 });
 
+// Site Crawl - Start crawling same-origin links from a URL (queued job; pages stream from /api/jobs/:jobId/events)
+app.post('/api/crawls', async (req, res) => {
+  try {
+    const { url, userId, authProfileId, ...options } = req.body;
+    if (!url) {
+      return res.status(400).json({ error: 'URL is required' });
+    }
+    if (!siteCrawler.normalizeUrl(url)) {
+      return res.status(400).json({ error: `Not a crawlable URL: ${url}` });
+    }
+
+    const crawl = {
+      id: uuidv4(),
+      userId: userId || null,
+      startUrl: url,
+      authProfileId: authProfileId || null,
+      options: siteCrawler.normalizeOptions(options),
+      status: 'queued',
+      createdAt: new Date().toISOString(),
+      pages: [],
+      pageTypes: {},
+      skipped: null
+    };
+    await firestoreService.saveCrawl(crawl);
+
+    const job = jobQueue.enqueue('crawl', (job, report) => runCrawlJob(crawl.id, report), { crawlId: crawl.id });
+    console.log(`[Crawl] Queued crawl ${crawl.id} of ${url} (depth ${crawl.options.maxDepth}, max ${crawl.options.maxPages} pages)`);
+
+    res.status(202).json({ crawl, job: jobQueue.getJob(job.id) });
+  } catch (error) {
+    console.error('Start crawl error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+async function runCrawlJob(crawlId, report) {
+  const crawl = await firestoreService.getCrawl(crawlId);
+  if (!crawl) {
+    throw new Error('Crawl not found');
+  }
+
+  try {
+    await firestoreService.updateCrawl(crawlId, { status: 'running' });
+    const { storageState } = await testRuns.authOptions(crawl.authProfileId);
+    const result = await siteCrawler.crawl(crawl, { storageState, onProgress: report });
+
+    console.log(`[Crawl] ${crawlId} finished: ${result.pages.length} pages`);
+    return await firestoreService.updateCrawl(crawlId, {
+      ...result,
+      status: 'completed',
+      completedAt: new Date().toISOString()
+    });
+  } catch (error) {
+    await firestoreService.updateCrawl(crawlId, { status: 'failed', error: error.message });
+    throw error;
+  }
+}
+
+// Site Crawl - List a user's crawls (without the page graph)
+app.get('/api/crawls', async (req, res) => {
+  try {
+    const crawls = await firestoreService.getCrawls(req.query.userId || null);
+    res.json(crawls.map(({ pages, skipped, ...crawl }) => ({ ...crawl, pageCount: pages.length })));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Site Crawl - Get the site graph
+app.get('/api/crawls/:id', async (req, res) => {
+  try {
+    const crawl = await firestoreService.getCrawl(req.params.id);
+    if (!crawl) {
+      return res.status(404).json({ error: 'Crawl not found' });
+    }
+    res.json(crawl);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Site Crawl - Generate tests for one crawled page from its stored elements
+app.post('/api/crawls/:id/pages/:pageId/generate-tests', async (req, res) => {
+  try {
+    const { userId, preset, coverage = 'smoke' } = req.body;
+    const invalid = testRuns.checkGenerateOptions(preset, coverage);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    const crawl = await firestoreService.getCrawl(req.params.id);
+    const crawlPage = crawl && await firestoreService.getCrawlPage(req.params.id, req.params.pageId);
+    if (!crawlPage) {
+      return res.status(404).json({ error: 'Crawled page not found' });
+    }
+
+    console.log(`[Crawl] Generating tests for ${crawlPage.url}`);
+    const testRun = await testRuns.planTestRun(crawlPage, {
+      url: crawlPage.url,
+      userId: userId || crawl.userId,
+      preset,
+      coverage,
+      authProfileId: crawl.authProfileId,
+      crawlId: crawl.id,
+      crawlPageId: crawlPage.pageId
+    });
+    res.json(testRun);
+  } catch (error) {
+    console.error('Crawl page test generation error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Site Crawl - Delete a crawl and its stored pages
+app.delete('/api/crawls/:id', async (req, res) => {
+  try {
+    await firestoreService.deleteCrawl(req.params.id);
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Test Suites - Build a suite from a crawl: one test run per page template (queued job)
+app.post('/api/crawls/:id/suite', async (req, res) => {
+  try {
+    const { userId, name, coverage = 'smoke', maxRuns } = req.body;
+    const invalid = testRuns.checkGenerateOptions('auto', coverage);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    const crawl = await firestoreService.getCrawl(req.params.id);
+    if (!crawl) {
+      return res.status(404).json({ error: 'Crawl not found' });
+    }
+    if (crawl.status !== 'completed') {
+      return res.status(409).json({ error: `Crawl is ${crawl.status} - wait for it to complete` });
+    }
+
+    const suite = {
+      id: uuidv4(),
+      userId: userId || crawl.userId,
+      name: name?.trim() || `${new URL(crawl.origin || crawl.startUrl).host} suite`,
+      crawlId: crawl.id,
+      origin: crawl.origin || null,
+      coverage,
+      authProfileId: crawl.authProfileId || null,
+      status: 'generating',
+      createdAt: new Date().toISOString(),
+      entries: [],
+      skippedTemplates: [],
+      summary: null
+    };
+    await firestoreService.saveSuite(suite);
+
+    const job = jobQueue.enqueue(
+      'suite_generate',
+      (job, report) => runSuiteGenerateJob(suite.id, { maxRuns }, report),
+      { suiteId: suite.id }
+    );
+    console.log(`[Suite] Queued suite ${suite.id} from crawl ${crawl.id}`);
+
+    res.status(202).json({ suite, job: jobQueue.getJob(job.id) });
+  } catch (error) {
+    console.error('Create suite error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+async function runSuiteGenerateJob(suiteId, { maxRuns }, report) {
+  const suite = await firestoreService.getSuite(suiteId);
+  if (!suite) {
+    throw new Error('Suite not found');
+  }
+
+  try {
+    const crawlPages = await firestoreService.getCrawlPages(suite.crawlId);
+    if (crawlPages.length === 0) {
+      throw new Error('The crawl has no successfully inspected pages');
+    }
+
+    const templates = testSuites.groupTemplates(crawlPages);
+    const { selected, left } = testSuites.selectTemplates(templates, maxRuns);
+    console.log(`[Suite] ${suiteId}: ${crawlPages.length} pages collapse into ${templates.length} templates, generating ${selected.length}`);
+
+    const entries = [];
+    for (const template of selected) {
+      const crawlPage = crawlPages.find(p => p.pageId === template.representative.pageId);
+      const entry = {
+        pageType: template.pageType,
+        pattern: template.pattern,
+        pageCount: template.pageCount,
+        exampleUrls: template.exampleUrls,
+        pageId: crawlPage.pageId,
+        url: crawlPage.url,
+        testRunId: null
+      };
+
+      try {
+        const testRun = await testRuns.planTestRun(crawlPage, {
+          url: crawlPage.url,
+          userId: suite.userId,
+          preset: 'auto',
+          coverage: suite.coverage,
+          authProfileId: suite.authProfileId,
+          suiteId,
+          crawlId: suite.crawlId,
+          crawlPageId: crawlPage.pageId
+        });
+        entry.testRunId = testRun.id;
+      } catch (error) {
+        // One page the planner can't handle shouldn't sink the whole suite
+        console.warn(`[Suite] Test generation failed for ${crawlPage.url}:`, error.message);
+        entry.error = error.message;
+      }
+
+      entries.push(entry);
+      report('entry', { ...entry, generated: entries.length, total: selected.length });
+    }
+
+    return await firestoreService.updateSuite(suiteId, {
+      status: 'ready',
+      entries,
+      skippedTemplates: left.map(t => ({ pageType: t.pageType, pattern: t.pattern, pageCount: t.pageCount, url: t.representative.url })),
+      templateCount: templates.length,
+      pageCount: crawlPages.length
+    });
+  } catch (error) {
+    await firestoreService.updateSuite(suiteId, { status: 'failed', error: error.message });
+    throw error;
+  }
+}
+
+// Test Suites - List a user's suites
+app.get('/api/suites', async (req, res) => {
+  try {
+    const suites = await firestoreService.getSuites(req.query.userId || null);
+    res.json(suites);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Test Suites - Get a suite with each entry's run status and the current aggregate
+app.get('/api/suites/:id', async (req, res) => {
+  try {
+    const suite = await firestoreService.getSuite(req.params.id);
+    if (!suite) {
+      return res.status(404).json({ error: 'Suite not found' });
+    }
+
+    const runs = await Promise.all(suite.entries.map(e => (e.testRunId ? firestoreService.getTestRun(e.testRunId) : null)));
+    const entries = suite.entries.map((entry, i) => {
+      const run = runs[i];
+      if (!run) return { ...entry, runStatus: entry.testRunId ? 'missing' : 'not_generated' };
+      return {
+        ...entry,
+        runStatus: run.status,
+        tests: run.tests.length,
+        passed: run.tests.filter(t => t.status === 'pass').length,
+        failed: run.tests.filter(t => t.status === 'fail').length
+      };
+    });
+
+    res.json({ ...suite, entries, summary: testSuites.summarize(runs) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Test Suites - Execute every run in the suite, one after another (queued job)
+app.post('/api/suites/:id/execute', async (req, res) => {
+  try {
+    const suite = await firestoreService.getSuite(req.params.id);
+    if (!suite) {
+      return res.status(404).json({ error: 'Suite not found' });
+    }
+    if (suite.status === 'generating' || suite.status === 'running') {
+      return res.status(409).json({ error: `Suite is ${suite.status}` });
+    }
+    if (!suite.entries.some(e => e.testRunId)) {
+      return res.status(400).json({ error: 'Suite has no test runs to execute' });
+    }
+
+    const { detailedFlow = false } = req.body || {};
+    await firestoreService.updateSuite(req.params.id, { status: 'running' });
+
+    const job = jobQueue.enqueue(
+      'suite_execute',
+      (job, report) => runSuiteExecuteJob(req.params.id, { detailedFlow }, report),
+      { suiteId: req.params.id }
+    );
+    console.log(`[Suite] Queued execution job ${job.id} for suite ${req.params.id}`);
+
+    res.status(202).json(jobQueue.getJob(job.id));
+  } catch (error) {
+    console.error('Execute suite error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+async function runSuiteExecuteJob(suiteId, { detailedFlow }, report) {
+  const suite = await firestoreService.getSuite(suiteId);
+  if (!suite) {
+    throw new Error('Suite not found');
+  }
+
+  const entries = suite.entries.filter(e => e.testRunId);
+  const runs = [];
+
+  try {
+    for (let i = 0; i < entries.length; i++) {
+      const { testRunId, url, pageType } = entries[i];
+      report('run_started', { testRunId, url, pageType, index: i, total: entries.length });
+
+      // Test progress is forwarded tagged with the run it belongs to
+      const runReport = (type, data) => report(type, { ...data, testRunId });
+      try {
+        runs.push(await runExecutionJob(testRunId, { detailedFlow, trigger: 'suite' }, runReport));
+      } catch (error) {
+        // runExecutionJob already marked the run as errored; carry on with the rest
+        runs.push(await firestoreService.getTestRun(testRunId));
+      }
+
+      const run = runs[runs.length - 1];
+      report('run_completed', { testRunId, status: run?.status || 'error', index: i, total: entries.length });
+    }
+
+    const summary = testSuites.summarize(runs);
+    console.log(`[Suite] ${suiteId} finished: ${summary.passed}/${summary.tests} tests passed`);
+    return await firestoreService.updateSuite(suiteId, {
+      status: testSuites.statusFor(summary),
+      summary,
+      lastRunAt: new Date().toISOString()
+    });
+  } catch (error) {
+    await firestoreService.updateSuite(suiteId, { status: 'failed', error: error.message });
+    throw error;
+  }
+}
+
+// Test Suites - Delete a suite (its test runs are kept)
+app.delete('/api/suites/:id', async (req, res) => {
+  try {
+    await firestoreService.deleteSuite(req.params.id);
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Schedules - List a user's schedules
+app.get('/api/schedules', async (req, res) => {
+  try {
+    const schedules = await firestoreService.getSchedules(req.query.userId || null);
+    res.json(schedules);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// What a schedule runs, shown in the schedule list; null when it doesn't exist
+async function scheduleTargetName({ targetType, targetId }) {
+  if (targetType === 'suite') {
+    const suite = await firestoreService.getSuite(targetId);
+    return suite ? suite.name : null;
+  }
+  const testRun = await firestoreService.getTestRun(targetId);
+  return testRun ? testRun.url : null;
+}
+
+// Schedules - Create a recurring run of a test run or suite ({ cron } or { intervalMinutes })
+app.post('/api/schedules', async (req, res) => {
+  try {
+    const { userId, ...fields } = req.body;
+    const schedule = scheduler.buildSchedule(fields);
+    const problem = scheduler.validate(schedule);
+    if (problem) {
+      return res.status(400).json({ error: problem });
+    }
+
+    const targetName = await scheduleTargetName(schedule);
+    if (!targetName) {
+      return res.status(404).json({ error: schedule.targetType === 'suite' ? 'Suite not found' : 'Test run not found' });
+    }
+
+    const now = new Date().toISOString();
+    const saved = await firestoreService.saveSchedule({
+      id: uuidv4(),
+      userId: userId || null,
+      ...schedule,
+      targetName,
+      nextRunAt: scheduler.nextRunAt(schedule),
+      lastRunAt: null,
+      lastStatus: null,
+      createdAt: now,
+      updatedAt: now
+    });
+    res.json(saved);
+  } catch (error) {
+    console.error('Create schedule error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Schedules - Update (also used to pause and resume with { enabled })
+app.put('/api/schedules/:id', async (req, res) => {
+  try {
+    const existing = await firestoreService.getSchedule(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+
+    const schedule = scheduler.buildSchedule(req.body, existing);
+    const problem = scheduler.validate(schedule);
+    if (problem) {
+      return res.status(400).json({ error: problem });
+    }
+
+    const targetName = await scheduleTargetName(schedule);
+    if (!targetName) {
+      return res.status(404).json({ error: schedule.targetType === 'suite' ? 'Suite not found' : 'Test run not found' });
+    }
+
+    const updated = await firestoreService.updateSchedule(req.params.id, {
+      ...schedule,
+      targetName,
+      nextRunAt: scheduler.nextRunAt(schedule),
+      updatedAt: new Date().toISOString()
+    });
+    res.json(updated);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Schedules - Run now, outside the schedule (queued job)
+app.post('/api/schedules/:id/run', async (req, res) => {
+  try {
+    const schedule = await firestoreService.getSchedule(req.params.id);
+    if (!schedule) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+
+    const job = await scheduler.fire(schedule, 'manual');
+    if (!job) {
+      return res.status(409).json({ error: 'This schedule is already running' });
+    }
+    res.status(202).json(jobQueue.getJob(job.id));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Schedules - Past executions, newest first
+app.get('/api/schedules/:id/history', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const history = await firestoreService.getScheduleRuns(req.params.id, limit);
+    res.json(history);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Schedules - Delete a schedule and its history
+app.delete('/api/schedules/:id', async (req, res) => {
+  try {
+    await firestoreService.deleteSchedule(req.params.id);
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Notifications - List a user's channels
+app.get('/api/notifications/channels', async (req, res) => {
+  try {
+    const channels = await firestoreService.getNotificationChannels(req.query.userId || null);
+    res.json(channels);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Notifications - Create a webhook, slack, teams or email channel
+app.post('/api/notifications/channels', async (req, res) => {
+  try {
+    const { userId, ...fields } = req.body;
+    const channel = notifier.buildChannel(fields);
+    const problem = notifier.validate(channel);
+    if (problem) {
+      return res.status(400).json({ error: problem });
+    }
+
+    const now = new Date().toISOString();
+    const saved = await firestoreService.saveNotificationChannel({
+      id: uuidv4(),
+      userId: userId || null,
+      ...channel,
+      lastDelivery: null,
+      createdAt: now,
+      updatedAt: now
+    });
+    res.json(saved);
+  } catch (error) {
+    console.error('Create notification channel error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Notifications - Update a channel ({ enabled } pauses it, { rotateSecret: true } signs with a new secret)
+app.put('/api/notifications/channels/:id', async (req, res) => {
+  try {
+    const existing = await firestoreService.getNotificationChannel(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Notification channel not found' });
+    }
+
+    const channel = notifier.buildChannel(req.body, existing);
+    const problem = notifier.validate(channel);
+    if (problem) {
+      return res.status(400).json({ error: problem });
+    }
+
+    const updated = await firestoreService.updateNotificationChannel(req.params.id, {
+      ...channel,
+      updatedAt: new Date().toISOString()
+    });
+    res.json(updated);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Notifications - Send a sample failed run to a channel
+app.post('/api/notifications/channels/:id/test', async (req, res) => {
+  try {
+    const channel = await firestoreService.getNotificationChannel(req.params.id);
+    if (!channel) {
+      return res.status(404).json({ error: 'Notification channel not found' });
+    }
+
+    const delivery = await notifier.sendTest(channel);
+    res.json(delivery);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Notifications - Delete a channel
+app.delete('/api/notifications/channels/:id', async (req, res) => {
+  try {
+    await firestoreService.deleteNotificationChannel(req.params.id);
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Notifications - Local mock receiver for trying channels out without a real Slack or
+// endpoint: point a channel at /api/notifications/mock-receiver and read what arrived.
+// Webhook signatures are checked against the sending channel's secret. Off in production.
+const MOCK_RECEIVER_LIMIT = 20;
+const mockDeliveries = [];
+
+if (process.env.NODE_ENV !== 'production') {
+  app.post('/api/notifications/mock-receiver', async (req, res) => {
+    try {
+      const delivery = {
+        receivedAt: new Date().toISOString(),
+        event: req.get('X-BugScout-Event') || null,
+        channelId: req.get('X-BugScout-Channel') || null,
+        signature: null,
+        body: req.body
+      };
+
+      if (delivery.channelId) {
+        const channel = await firestoreService.getNotificationChannel(delivery.channelId);
+        const problem = channel?.secret
+          ? notifier.verifySignature(channel.secret, req.headers, req.rawBody || '')
+          : 'Unknown channel';
+        delivery.signature = problem ? { valid: false, problem } : { valid: true };
+      }
+
+      mockDeliveries.unshift(delivery);
+      mockDeliveries.splice(MOCK_RECEIVER_LIMIT);
+      res.json({ received: true, signature: delivery.signature });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  app.get('/api/notifications/mock-receiver', (req, res) => {
+    res.json(mockDeliveries);
+  });
+
+  app.delete('/api/notifications/mock-receiver', (req, res) => {
+    mockDeliveries.length = 0;
+    res.json({ success: true });
+  });
+}
+
+// Auth Profiles - List a user's profiles
+app.get('/api/auth-profiles', async (req, res) => {
+  try {
+    const profiles = await firestoreService.getAuthProfiles(req.query.userId || null);
+    res.json(profiles.map(authProfiles.summarize));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Auth Profiles - Create (fromTestRunId uses a recorded flow as the login recipe)
+app.post('/api/auth-profiles', async (req, res) => {
+  try {
+    const { userId, fromTestRunId, ...fields } = req.body;
+
+    if (fromTestRunId) {
+      const recorded = await firestoreService.getTestRun(fromTestRunId);
+      if (!recorded) {
+        return res.status(404).json({ error: 'Test run not found' });
+      }
+      Object.assign(fields, authProfiles.recipeFromTestRun(recorded));
+    }
+
+    const profile = authProfiles.buildProfile(fields);
+    const problem = authProfiles.validate(profile);
+    if (problem) {
+      return res.status(400).json({ error: problem });
+    }
+
+    const now = new Date().toISOString();
+    const saved = await firestoreService.saveAuthProfile({
+      id: uuidv4(),
+      userId: userId || null,
+      ...profile,
+      cachedState: null,
+      createdAt: now,
+      updatedAt: now
+    });
+    res.json(authProfiles.summarize(saved));
+  } catch (error) {
+    console.error('Create auth profile error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Auth Profiles - Update; the cached login is dropped so the next use logs in again
+app.put('/api/auth-profiles/:id', async (req, res) => {
+  try {
+    const existing = await firestoreService.getAuthProfile(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Auth profile not found' });
+    }
+
+    const profile = authProfiles.buildProfile(req.body, existing);
+    const problem = authProfiles.validate(profile);
+    if (problem) {
+      return res.status(400).json({ error: problem });
+    }
+
+    const updated = await firestoreService.updateAuthProfile(req.params.id, {
+      ...profile,
+      cachedState: null,
+      updatedAt: new Date().toISOString()
+    });
+    res.json(authProfiles.summarize(updated));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Auth Profiles - Log in now (tests the recipe and warms the cache)
+app.post('/api/auth-profiles/:id/refresh', async (req, res) => {
+  try {
+    const existing = await firestoreService.getAuthProfile(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Auth profile not found' });
+    }
+
+    try {
+      await authProfiles.getStorageState(req.params.id, { forceRefresh: true });
+    } catch (loginError) {
+      const failed = await firestoreService.getAuthProfile(req.params.id);
+      return res.status(422).json({ error: loginError.message, profile: authProfiles.summarize(failed) });
+    }
+
+    const refreshed = await firestoreService.getAuthProfile(req.params.id);
+    res.json(authProfiles.summarize(refreshed));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Auth Profiles - Delete
+app.delete('/api/auth-profiles/:id', async (req, res) => {
+  try {
+    await firestoreService.deleteAuthProfile(req.params.id);
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Admin - Delete old test runs without userId (cleanup)
 app.delete('/api/admin/cleanup-old-tests', async (req, res) => {
   try {
@@ -406,22 +1463,31 @@ app.post('/api/test-runs/:id/share', async (req, res) => {
   }
 });
 
+// Look up a share link and its test run, or the status and error to respond with
+async function findSharedRun(shareId) {
+  const shareLink = await firestoreService.getShareLink(shareId);
+  if (!shareLink) {
+    return { status: 404, error: 'Share link not found or expired' };
+  }
+
+  // Check expiry
+  if (shareLink.expiresAt && new Date(shareLink.expiresAt) < new Date()) {
+    return { status: 410, error: 'Share link has expired' };
+  }
+
+  const testRun = await executionHistory.withResults(await firestoreService.getTestRun(shareLink.testRunId));
+  if (!testRun) {
+    return { status: 404, error: 'Test run not found' };
+  }
+  return { shareLink, testRun };
+}
+
 // Shareable Reports - Get shared report (public endpoint)
 app.get('/api/shared/:shareId', async (req, res) => {
   try {
-    const shareLink = await firestoreService.getShareLink(req.params.shareId);
-    if (!shareLink) {
-      return res.status(404).json({ error: 'Share link not found or expired' });
-    }
-
-    // Check expiry
-    if (shareLink.expiresAt && new Date(shareLink.expiresAt) < new Date()) {
-      return res.status(410).json({ error: 'Share link has expired' });
-    }
-
-    const testRun = await firestoreService.getTestRun(shareLink.testRunId);
-    if (!testRun) {
-      return res.status(404).json({ error: 'Test run not found' });
+    const { shareLink, testRun, status, error } = await findSharedRun(req.params.shareId);
+    if (error) {
+      return res.status(status).json({ error });
     }
 
     // Increment view count (fire and forget)
@@ -435,17 +1501,7 @@ app.get('/api/shared/:shareId', async (req, res) => {
       shareId: req.params.shareId,
       sharedAt: shareLink.createdAt,
       viewCount: (shareLink.viewCount || 0) + 1,
-      testRun: {
-        id: testRun.id,
-        url: testRun.url,
-        status: testRun.status,
-        createdAt: testRun.createdAt,
-        completedAt: testRun.completedAt,
-        pageData: testRun.pageData,
-        tests: testRun.tests,
-        confidence: testRun.confidence,
-        visualDiff: testRun.visualDiff
-      }
+      testRun: htmlReport.sharedView(testRun)
     });
   } catch (error) {
     console.error('Get shared report error:', error);
@@ -453,6 +1509,36 @@ app.get('/api/shared/:shareId', async (req, res) => {
   }
 });
 
+// Shareable Reports - Download the shared report as a standalone HTML file (public endpoint)
+app.get('/api/shared/:shareId/html', async (req, res) => {
+  try {
+    const { shareLink, testRun, status, error } = await findSharedRun(req.params.shareId);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    sendReport(res, await htmlReport.render(htmlReport.sharedView(testRun), { sharedAt: shareLink.createdAt }));
+  } catch (error) {
+    console.error('Shared HTML report error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Shareable Reports - Download the shared report as a PDF (public endpoint)
+app.get('/api/shared/:shareId/pdf', async (req, res) => {
+  try {
+    const { shareLink, testRun, status, error } = await findSharedRun(req.params.shareId);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    sendReport(res, await pdfReport.render(htmlReport.sharedView(testRun), { sharedAt: shareLink.createdAt }));
+  } catch (error) {
+    console.error('Shared PDF report error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Shareable Reports - Revoke share link
 app.delete('/api/test-runs/:id/share', async (req, res) => {
   try {
@@ -477,4 +1563,15 @@ app.delete('/api/test-runs/:id/share', async (req, res) => {
 const PORT = process.env.PORT || 3001;
 app.listen(PORT, () => {
   console.log(`QA Agent API running on port ${PORT}`);
+  scheduler.start();
+});
+
+// Close pooled browsers so the container can stop cleanly
+['SIGTERM', 'SIGINT'].forEach(signal => {
+  process.on(signal, async () => {
+    console.log(`${signal} received, closing browser pool...`);
+    scheduler.stop();
+    await browserPool.closeAll();
+    process.exit(0);
+  });
 });
@@ -1,4 +1,4 @@
-const { chromium } = require('playwright');
+const browserPool = require('./browserPool');
 
 // WCAG 2.1 checks
 const CHECKS = {
@@ -82,29 +82,13 @@ const CHECKS = {
   }
 };
 
-async function audit(url) {
-  const browser = await chromium.launch({
-    headless: true,
-    args: [
-      '--no-sandbox',
-      '--disable-setuid-sandbox',
-      '--disable-dev-shm-usage',
-      '--disable-gpu',
-      '--single-process',
-      '--no-zygote',
-      '--disable-extensions',
-      // Memory optimization
-      '--disable-background-networking',
-      '--disable-default-apps',
-      '--disable-sync',
-      '--disable-translate',
-      '--hide-scrollbars',
-      '--mute-audio',
-      '--no-first-run',
-      '--js-flags=--max-old-space-size=256'
-    ]
-  });
-
+/**
+ * Run every check against a page
+ * @param {string} url
+ * @param {Object} options
+ * @param {Object} options.storageState - Logged-in state from an auth profile
+ */
+async function audit(url, options = {}) {
   const results = {
     url,
     timestamp: new Date().toISOString(),
@@ -115,39 +99,39 @@ async function audit(url) {
   };
 
   try {
-    const page = await browser.newPage();
-    await page.goto(url, { waitUntil: 'domcontentloaded', timeout: 20000 });
+    const contextOptions = options.storageState ? { storageState: options.storageState } : {};
+    await browserPool.withContext(contextOptions, async (context) => {
+      const page = await context.newPage();
+      await page.goto(url, { waitUntil: 'domcontentloaded', timeout: 20000 });
 
-    // Run each check
-    for (const [key, check] of Object.entries(CHECKS)) {
-      const issue = await runCheck(page, key, check);
-      if (issue) {
-        results.issues.push(issue);
-        results.summary[issue.severity]++;
-      } else {
-        results.passed.push({ name: check.name, wcag: check.wcag });
+      // Run each check
+      for (const [key, check] of Object.entries(CHECKS)) {
+        const issue = await runCheck(page, key, check);
+        if (issue) {
+          results.issues.push(issue);
+          results.summary[issue.severity]++;
+        } else {
+          results.passed.push({ id: key, name: check.name, wcag: check.wcag });
+        }
       }
-    }
 
-    // Calculate score
-    const deductions = {
-      critical: 25,
-      high: 15,
-      medium: 8,
-      low: 3
-    };
+      // Calculate score
+      const deductions = {
+        critical: 25,
+        high: 15,
+        medium: 8,
+        low: 3
+      };
     
-    let totalDeduction = 0;
-    for (const issue of results.issues) {
-      totalDeduction += deductions[issue.severity] || 5;
-    }
-    results.score = Math.max(0, 100 - totalDeduction);
-
+      let totalDeduction = 0;
+      for (const issue of results.issues) {
+        totalDeduction += deductions[issue.severity] || 5;
+      }
+      results.score = Math.max(0, 100 - totalDeduction);
+    });
   } catch (error) {
     results.error = error.message;
     results.score = 0;
-  } finally {
-    await browser.close();
   }
 
   return results;
@@ -296,4 +280,4 @@ async function runCheck(page, key, check) {
   }
 }
 
-module.exports = { audit };
+module.exports = { audit, CHECKS };
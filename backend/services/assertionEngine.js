@@ -0,0 +1,498 @@
+/**
+ * Assertion engine for test steps
+ * Each assertion is a first-class step action (e.g. assertVisible, assertText) that
+ * polls the page until it holds or times out, then fails with its own message.
+ */
+
+const { matchUrl } = require('./networkMocks');
+
+const DEFAULT_TIMEOUT = 5000;
+const POLL_INTERVAL = 250;
+
+// Common ways sites surface validation/error feedback to the user. Not :invalid: an
+// empty required field matches it before (and without) any message being shown
+const ERROR_INDICATOR_SELECTOR = [
+  '[role="alert"]',
+  '[aria-invalid="true"]',
+  '.error',
+  '.errors',
+  '.error-message',
+  '.invalid-feedback',
+  '.field-error',
+  '.form-error',
+  '[class*="error-msg"]'
+].join(', ');
+
+const ASSERTIONS = {
+  assertVisible: {
+    name: 'Visible',
+    needsTarget: true,
+    needsValue: false,
+    evaluate: async (page, { selector }) => {
+      const { matched, visible } = await countVisible(locate(page, selector));
+      return { pass: visible > 0, actual: { matched, visible } };
+    },
+    getMessage: ({ selector, actual }) => actual.matched === 0
+      ? `Expected "${selector}" to be visible, but no element matched`
+      : `Expected "${selector}" to be visible, but all ${actual.matched} matching element(s) are hidden`,
+    describe: (target) => `Verify "${target}" is visible`
+  },
+  assertHidden: {
+    name: 'Hidden',
+    needsTarget: true,
+    needsValue: false,
+    evaluate: async (page, { selector }) => {
+      const { visible } = await countVisible(locate(page, selector));
+      return { pass: visible === 0, actual: visible };
+    },
+    getMessage: ({ selector, actual }) =>
+      `Expected "${selector}" to be hidden, but ${actual} matching element(s) are visible`,
+    describe: (target) => `Verify "${target}" is hidden`
+  },
+  assertText: {
+    name: 'Text Equals',
+    needsTarget: true,
+    needsValue: true,
+    evaluate: async (page, { selector, step }) => {
+      const text = await readText(locate(page, selector));
+      return { pass: text !== null && normalizeText(text) === normalizeText(step.value), actual: text };
+    },
+    getMessage: ({ selector, step, actual }) => actual === null
+      ? `Expected text of "${selector}" to equal "${step.value}", but no visible element matched`
+      : `Expected text of "${selector}" to equal "${step.value}", got "${truncate(actual)}"`,
+    describe: (target, value) => `Verify "${target}" text equals "${value}"`
+  },
+  assertContainsText: {
+    name: 'Text Contains',
+    needsTarget: true,
+    needsValue: true,
+    evaluate: async (page, { selector, step }) => {
+      const text = await readText(locate(page, selector));
+      return { pass: text !== null && normalizeText(text).includes(normalizeText(step.value)), actual: text };
+    },
+    getMessage: ({ selector, step, actual }) => actual === null
+      ? `Expected "${selector}" to contain "${step.value}", but no visible element matched`
+      : `Expected "${selector}" to contain "${step.value}", got "${truncate(actual)}"`,
+    describe: (target, value) => `Verify "${target}" contains "${value}"`
+  },
+  assertTextMatches: {
+    name: 'Text Matches',
+    needsTarget: true,
+    needsValue: true,
+    evaluate: async (page, { selector, step }) => {
+      const text = await readText(locate(page, selector));
+      const regex = parseRegex(step.value) || new RegExp(step.value);
+      return { pass: text !== null && regex.test(text), actual: text };
+    },
+    getMessage: ({ selector, step, actual }) => actual === null
+      ? `Expected text of "${selector}" to match ${step.value}, but no visible element matched`
+      : `Expected text of "${selector}" to match ${step.value}, got "${truncate(actual)}"`,
+    describe: (target, value) => `Verify "${target}" text matches ${value}`
+  },
+  assertAttribute: {
+    name: 'Attribute',
+    needsTarget: true,
+    needsValue: true,
+    evaluate: async (page, { selector, step }) => {
+      const { attribute, expected } = parseAttributeStep(step);
+      const locator = locate(page, selector).first();
+      if (await locator.count() === 0) return { pass: false, actual: undefined };
+      const value = await locator.getAttribute(attribute);
+      const pass = expected === null ? value !== null : value === expected;
+      return { pass, actual: value };
+    },
+    getMessage: ({ selector, step, actual }) => {
+      const { attribute, expected } = parseAttributeStep(step);
+      if (actual === undefined) return `Expected "${selector}" to have attribute "${attribute}", but no element matched`;
+      if (expected === null) return `Expected "${selector}" to have attribute "${attribute}", but it is missing`;
+      return `Expected attribute "${attribute}" of "${selector}" to be "${expected}", got ${actual === null ? 'no attribute' : `"${actual}"`}`;
+    },
+    describe: (target, value, step) => {
+      const { attribute, expected } = parseAttributeStep(step);
+      return expected === null
+        ? `Verify "${target}" has attribute "${attribute}"`
+        : `Verify "${target}" has ${attribute}="${expected}"`;
+    }
+  },
+  assertValue: {
+    name: 'Input Value',
+    needsTarget: true,
+    needsValue: true,
+    evaluate: async (page, { selector, step }) => {
+      const locator = locate(page, selector).first();
+      if (await locator.count() === 0) return { pass: false, actual: null };
+      const value = await locator.inputValue();
+      return { pass: value === String(step.value ?? ''), actual: value };
+    },
+    getMessage: ({ selector, step, actual }) => actual === null
+      ? `Expected value of "${selector}" to be "${step.value}", but no element matched`
+      : `Expected value of "${selector}" to be "${step.value}", got "${truncate(actual)}"`,
+    describe: (target, value) => `Verify "${target}" has value "${value}"`
+  },
+  assertCount: {
+    name: 'Element Count',
+    needsTarget: true,
+    needsValue: true,
+    evaluate: async (page, { selector, step }) => {
+      const count = await locate(page, selector).count();
+      return { pass: compareNumber(count, step.value), actual: count };
+    },
+    getMessage: ({ selector, step, actual }) =>
+      `Expected count of "${selector}" to be ${formatComparison(step.value)}, got ${actual}`,
+    describe: (target, value) => `Verify "${target}" count is ${formatComparison(value)}`
+  },
+  assertUrl: {
+    name: 'URL',
+    needsTarget: false,
+    needsValue: true,
+    evaluate: async (page, { step }) => {
+      const url = page.url();
+      return { pass: matchPattern(url, step.value), actual: url };
+    },
+    getMessage: ({ step, actual }) => `Expected URL to match "${step.value}", got "${actual}"`,
+    describe: (target, value) => `Verify URL matches "${value}"`
+  },
+  assertTitle: {
+    name: 'Page Title',
+    needsTarget: false,
+    needsValue: true,
+    evaluate: async (page, { step }) => {
+      const title = await page.title().catch(() => '');
+      return { pass: matchPattern(title, step.value), actual: title };
+    },
+    getMessage: ({ step, actual }) => `Expected page title to match "${step.value}", got "${actual}"`,
+    describe: (target, value) => `Verify page title matches "${value}"`
+  },
+  assertResponseStatus: {
+    name: 'Response Status',
+    needsTarget: false,
+    needsValue: true,
+    evaluate: async (page, { selector, step, responses = [] }) => {
+      const matching = responses.filter(r => selector
+        ? matchPattern(r.url, selector)
+        : r.resourceType === 'document');
+      const latest = matching[matching.length - 1];
+      if (!latest) return { pass: false, actual: null };
+      return { pass: matchStatus(latest.status, step.value), actual: latest };
+    },
+    getMessage: ({ selector, step, actual }) => {
+      const what = selector ? `response for "${selector}"` : 'page response';
+      return actual === null
+        ? `Expected ${what} with status ${step.value}, but no matching request was made`
+        : `Expected ${what} to have status ${step.value}, got ${actual.status} (${actual.method} ${truncate(actual.url, 80)})`;
+    },
+    describe: (target, value) => target
+      ? `Verify response for "${target}" has status ${value}`
+      : `Verify page response has status ${value}`
+  },
+  assertRequest: {
+    name: 'Request Made',
+    needsTarget: true,
+    needsValue: false,
+    // value: a method ("POST") or { method, body } - an object body matches requests
+    // whose JSON (or form) body contains those fields, a string body is a substring or /regex/
+    evaluate: async (page, { selector, step, requests = [] }) => {
+      const expected = parseRequestExpectation(step.value);
+      const toUrl = requests.filter(r => matchUrl(r.url, selector));
+      const match = toUrl.find(r => (!expected.method || r.method === expected.method) &&
+        (expected.body === undefined || matchBody(r.postData, expected.body)));
+      return { pass: Boolean(match), actual: { match, seen: toUrl } };
+    },
+    getMessage: ({ selector, step, actual }) => {
+      const expected = parseRequestExpectation(step.value);
+      const what = `${expected.method ? `${expected.method} ` : ''}request to "${selector}"${expected.body !== undefined ? ` with body ${truncate(JSON.stringify(expected.body), 80)}` : ''}`;
+      const seen = actual?.seen || [];
+      return seen.length === 0
+        ? `Expected a ${what}, but no matching request was made`
+        : `Expected a ${what}, but the ${seen.length} request(s) to that URL didn't match (${seen.slice(-3).map(r => `${r.method} ${truncate(r.postData || '', 40) || 'no body'}`).join('; ')})`;
+    },
+    describe: (target, value) => {
+      const expected = parseRequestExpectation(value);
+      return `Verify ${expected.method ? `${expected.method} ` : ''}request to "${target}" was made`;
+    }
+  }
+};
+
+// Lowercase lookup so normalized/AI-produced action names still resolve
+const ASSERTION_LOOKUP = Object.keys(ASSERTIONS).reduce((map, key) => {
+  map[key.toLowerCase()] = key;
+  return map;
+}, {});
+
+const LEGACY_ACTIONS = ['assert', 'verify'];
+
+function isAssertion(action) {
+  if (!action) return false;
+  const lower = action.toLowerCase();
+  return LEGACY_ACTIONS.includes(lower) || Boolean(ASSERTION_LOOKUP[lower]);
+}
+
+/**
+ * Map an action to its canonical assertion name.
+ * Legacy assert/verify steps check for text when a value is given, visibility otherwise.
+ */
+function resolveAssertion(step) {
+  const lower = (step.action || '').toLowerCase();
+  if (LEGACY_ACTIONS.includes(lower)) {
+    return step.value ? 'assertContainsText' : 'assertVisible';
+  }
+  return ASSERTION_LOOKUP[lower] || null;
+}
+
+/**
+ * Run an assertion step, polling until it holds or the timeout expires
+ * @param {Object} page - Playwright page
+ * @param {Object} step - Step with action, target, value (and optional attribute/timeout)
+ * @param {Object} context - { selector: resolved target selector, responses/requests: recorded network traffic }
+ */
+async function run(page, step, context = {}) {
+  const name = resolveAssertion(step);
+  const assertion = ASSERTIONS[name];
+  if (!assertion) {
+    throw new Error(`Unknown assertion: ${step.action}`);
+  }
+
+  const selector = context.selector || step.target || null;
+  if (assertion.needsTarget && !selector) {
+    throw new Error(`${name} requires a target element`);
+  }
+  if (assertion.needsValue && name !== 'assertAttribute' && (step.value === undefined || step.value === null || step.value === '')) {
+    throw new Error(`${name} requires an expected value`);
+  }
+
+  const timeout = parseInt(step.timeout) || DEFAULT_TIMEOUT;
+  const deadline = Date.now() + timeout;
+  let outcome = { pass: false, actual: null };
+
+  while (true) {
+    try {
+      outcome = await assertion.evaluate(page, { selector, step, responses: context.responses, requests: context.requests });
+    } catch (e) {
+      // Invalid selectors or regexes won't fix themselves - fail immediately
+      if (e instanceof SyntaxError || e.message?.includes('is not a valid selector')) {
+        throw new Error(`${name} failed: ${e.message}`);
+      }
+      outcome = { pass: false, actual: null };
+    }
+    if (outcome.pass || Date.now() >= deadline) break;
+    await page.waitForTimeout(POLL_INTERVAL);
+  }
+
+  if (!outcome.pass) {
+    throw new Error(assertion.getMessage({ selector, step, actual: outcome.actual }));
+  }
+  return { assertion: name, actual: outcome.actual };
+}
+
+/**
+ * Human-readable description of an assertion step
+ */
+function describe(step) {
+  const name = resolveAssertion(step);
+  const assertion = ASSERTIONS[name];
+  if (!assertion) return `${step.action} on "${step.target}"`;
+  const shortTarget = step.target?.length > 40 ? step.target.substring(0, 40) + '...' : step.target;
+  return assertion.describe(shortTarget, step.value, step);
+}
+
+/**
+ * Compile a free-text "expected" result into assertion steps.
+ * Only phrases with an unambiguous meaning are compiled; the rest stay informational.
+ */
+function compileExpected(expected) {
+  if (!expected || typeof expected !== 'string') return [];
+
+  const text = expected.toLowerCase();
+  const assertions = [];
+
+  // Quoted phrases must appear on the page
+  for (const match of expected.matchAll(/["“]([^"”]{2,80})["”]/g)) {
+    assertions.push({ action: 'assertContainsText', target: 'body', value: match[1] });
+  }
+
+  // Explicit destinations: "redirects to /dashboard", "URL contains /account"
+  const urlMatch = expected.match(/(?:redirect(?:s|ed)? to|navigates? to|url (?:contains|is|includes))\s+(\/[^\s,;]*|https?:\/\/[^\s,;]+)/i);
+  if (urlMatch) {
+    assertions.push({ action: 'assertUrl', target: null, value: urlMatch[1] });
+  }
+
+  // Explicit page title
+  const titleMatch = expected.match(/title (?:is|contains|includes)\s+([^,;"“]+)/i);
+  if (titleMatch) {
+    assertions.push({ action: 'assertTitle', target: null, value: titleMatch[1].trim() });
+  }
+
+  // Explicit HTTP status: "returns 404", "status 200"
+  const statusMatch = text.match(/(?:status(?: code)?|returns?|responds? with)\s+([1-5]\d{2}|[1-5]xx)\b/);
+  if (statusMatch) {
+    assertions.push({ action: 'assertResponseStatus', target: null, value: statusMatch[1] });
+  }
+
+  const mentionsError = /\b(error|errors|invalid|validation|required|rejected|not allowed|lock(?:ed)? ?out|declined|expired)\b/.test(text);
+  const isLenient = /\b(gracefully|handles?|appropriately)\b/.test(text);
+  const isSuccess = /\b(success|successfully|logged in|account created|submitted|sent|placed|processed|without errors|can complete)\b/.test(text);
+
+  if (mentionsError && !isLenient && !isSuccess && !/\bor\b/.test(text) && !/\bno (?:error|errors)\b/.test(text)) {
+    // Negative outcome: some validation feedback must be shown
+    assertions.push({ action: 'assertVisible', target: ERROR_INDICATOR_SELECTOR, value: null });
+  } else if (isSuccess) {
+    // Positive outcome: no validation feedback may remain on screen
+    assertions.push({ action: 'assertHidden', target: ERROR_INDICATOR_SELECTOR, value: null });
+  }
+
+  return assertions;
+}
+
+/**
+ * Append the assertions compiled from a test's "expected" text to its steps.
+ * Tests that already contain assertion steps are left as they are.
+ */
+function withExpectedAssertions(test) {
+  const steps = test.steps || [];
+  if (steps.some(s => isAssertion(s.action))) return test;
+  const compiled = compileExpected(test.expected);
+  return compiled.length > 0 ? { ...test, steps: [...steps, ...compiled] } : test;
+}
+
+// Build a locator, handling the iframe and shadow DOM selector dialects from pageInspector
+function locate(page, selector) {
+  if (selector.includes('iframe >>')) {
+    const innerSelector = selector.split('iframe >>').map(s => s.trim()).filter(Boolean).pop();
+    return page.frameLocator('iframe').first().locator(innerSelector);
+  }
+  if (selector.includes('>>>')) {
+    return page.locator(selector.split('>>>').map(s => s.trim()).filter(Boolean).join(' >> '));
+  }
+  return page.locator(selector);
+}
+
+async function countVisible(locator) {
+  const all = await locator.all();
+  let visible = 0;
+  for (const item of all.slice(0, 50)) {
+    if (await item.isVisible().catch(() => false)) visible++;
+  }
+  return { matched: all.length, visible };
+}
+
+async function readText(locator) {
+  const all = await locator.all();
+  for (const item of all.slice(0, 50)) {
+    if (await item.isVisible().catch(() => false)) {
+      return await item.innerText();
+    }
+  }
+  return null;
+}
+
+function parseAttributeStep(step) {
+  if (step.attribute) {
+    const hasValue = step.value !== undefined && step.value !== null && step.value !== '';
+    return { attribute: step.attribute, expected: hasValue ? String(step.value) : null };
+  }
+  // Editor shorthand: value "name=expected" or just "name" for a presence check
+  const raw = String(step.value || '');
+  const eqIdx = raw.indexOf('=');
+  if (eqIdx === -1) return { attribute: raw.trim(), expected: null };
+  return { attribute: raw.substring(0, eqIdx).trim(), expected: raw.substring(eqIdx + 1) };
+}
+
+function parseRegex(value) {
+  const match = /^\/(.+)\/([dgimsuy]*)$/.exec(String(value));
+  return match ? new RegExp(match[1], match[2]) : null;
+}
+
+// "/regex/flags" is a regular expression, anything else is a substring match
+function matchPattern(actual, pattern) {
+  const regex = parseRegex(pattern);
+  if (regex) return regex.test(actual);
+  return String(actual).includes(String(pattern));
+}
+
+function parseComparison(expr) {
+  const match = /^\s*(>=|<=|!=|==|=|>|<)?\s*(\d+)\s*$/.exec(String(expr));
+  if (!match) return null;
+  return { op: match[1] === '==' ? '=' : (match[1] || '='), n: parseInt(match[2]) };
+}
+
+function compareNumber(actual, expr) {
+  const cmp = parseComparison(expr);
+  if (!cmp) throw new Error(`Invalid count expression: ${expr}`);
+  switch (cmp.op) {
+    case '>=': return actual >= cmp.n;
+    case '<=': return actual <= cmp.n;
+    case '>': return actual > cmp.n;
+    case '<': return actual < cmp.n;
+    case '!=': return actual !== cmp.n;
+    default: return actual === cmp.n;
+  }
+}
+
+// assertRequest value: "", "POST" or JSON { method, body }
+function parseRequestExpectation(value) {
+  if (value === undefined || value === null || String(value).trim() === '') return {};
+  if (typeof value === 'object') return { method: value.method?.toUpperCase(), body: value.body };
+  if (/^[a-z]+$/i.test(String(value).trim())) return { method: String(value).trim().toUpperCase() };
+  try {
+    const parsed = JSON.parse(value);
+    if (parsed && typeof parsed === 'object') return { method: parsed.method?.toUpperCase(), body: parsed.body };
+  } catch (e) { /* not JSON */ }
+  return { body: String(value) };
+}
+
+function matchBody(postData, expected) {
+  if (postData === null || postData === undefined) return false;
+  if (typeof expected === 'string') return matchPattern(postData, expected);
+
+  let actual;
+  try {
+    actual = JSON.parse(postData);
+  } catch (e) {
+    actual = Object.fromEntries(new URLSearchParams(postData));
+  }
+  return containsFields(actual, expected);
+}
+
+// Every field in expected is present (recursively) with the same value in actual
+function containsFields(actual, expected) {
+  if (expected === null || typeof expected !== 'object') {
+    return actual === expected || String(actual) === String(expected);
+  }
+  if (actual === null || typeof actual !== 'object') return false;
+  return Object.keys(expected).every(key => containsFields(actual[key], expected[key]));
+}
+
+function formatComparison(expr) {
+  const cmp = parseComparison(expr);
+  if (!cmp) return String(expr);
+  return cmp.op === '=' ? String(cmp.n) : `${cmp.op} ${cmp.n}`;
+}
+
+// Status expectations: "200", "2xx", "<400", ">=500"
+function matchStatus(status, expected) {
+  const family = /^([1-5])xx$/i.exec(String(expected).trim());
+  if (family) return Math.floor(status / 100) === parseInt(family[1]);
+  return compareNumber(status, expected);
+}
+
+function normalizeText(text) {
+  return String(text ?? '').replace(/\s+/g, ' ').trim();
+}
+
+function truncate(text, max = 60) {
+  const str = normalizeText(text);
+  return str.length > max ? str.substring(0, max) + '...' : str;
+}
+
+module.exports = {
+  ASSERTIONS,
+  ERROR_INDICATOR_SELECTOR,
+  isAssertion,
+  resolveAssertion,
+  run,
+  describe,
+  compileExpected,
+  withExpectedAssertions,
+  matchPattern,
+  parseRequestExpectation
+};
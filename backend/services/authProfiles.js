@@ -0,0 +1,264 @@
+/**
+ * Authentication profiles
+ * A profile gets a browser past a login: seed cookies, a Playwright storageState,
+ * and/or a login recipe (steps run from loginUrl). Recipe logins are cached as a
+ * storageState and replayed until they expire.
+ */
+
+const browserPool = require('./browserPool');
+const firestoreService = require('./firestoreService');
+const testExecutor = require('./testExecutor');
+const assertionEngine = require('./assertionEngine');
+
+// How long a recipe login is reused before logging in again
+const DEFAULT_TTL_MINUTES = parseInt(process.env.AUTH_STATE_TTL_MINUTES) || 60;
+// Cookies living shorter than this (tracking pixels) don't cap the cache lifetime
+const MIN_COOKIE_LIFETIME_MS = 5 * 60 * 1000;
+
+const SAME_SITE = { strict: 'Strict', lax: 'Lax', none: 'None', no_restriction: 'None' };
+
+// Steps whose value is typed into the page (passwords, usernames)
+const TYPED_ACTIONS = ['fill', 'type'];
+
+// Logins in flight, so parallel callers share one browser login per profile
+const refreshing = new Map();
+
+/**
+ * Check the fields of a new or updated profile
+ * @returns {string|null} Problem description, or null when valid
+ */
+function validate(profile) {
+  if (!profile.name?.trim()) return 'Profile name is required';
+
+  const hasRecipe = profile.steps?.length > 0;
+  if (!hasRecipe && !profile.cookies?.length && !profile.storageState) {
+    return 'Provide login steps, cookies or a storageState';
+  }
+  if (hasRecipe && !profile.loginUrl) return 'A login recipe needs the loginUrl it starts from';
+  if (profile.loginUrl) {
+    try { new URL(profile.loginUrl); } catch (e) { return `Invalid loginUrl: ${profile.loginUrl}`; }
+  }
+
+  const badStep = (profile.steps || []).findIndex(s => !isValidStep(s));
+  if (badStep >= 0) {
+    return `Login step ${badStep + 1} needs a supported action and a target`;
+  }
+
+  if (profile.storageState && !Array.isArray(profile.storageState.cookies)) {
+    return 'storageState must be a Playwright storage state ({ cookies, origins })';
+  }
+  const badCookie = (profile.cookies || []).find(c => !c.name || c.value === undefined || (!c.domain && !profile.loginUrl));
+  if (badCookie) {
+    return `Cookie "${badCookie.name || '?'}" needs a name, a value and a domain`;
+  }
+  return null;
+}
+
+function isValidStep(step) {
+  if (assertionEngine.isAssertion(step.action)) return true;
+  if (['wait', 'delay', 'sleep'].includes(step.action)) return true;
+  const actions = [...testExecutor.STEP_ACTIONS, 'navigate'];
+  return actions.includes(step.action) && !!step.target;
+}
+
+/**
+ * Turn a recorded flow's test run into login recipe fields.
+ * Form submits are dropped - the recorder also captures the click that caused them.
+ */
+function recipeFromTestRun(testRun) {
+  const test = testRun.tests?.[0];
+  return {
+    loginUrl: testRun.url,
+    steps: (test?.steps || []).filter(s => s.action !== 'submit')
+  };
+}
+
+/**
+ * Build a stored profile from request fields, keeping what an update leaves out
+ * @param {Object} fields - name, loginUrl, steps, successCheck, cookies, storageState, ttlMinutes
+ * @param {Object} existing - Current profile when updating
+ */
+function buildProfile(fields, existing = {}) {
+  const pick = key => (fields[key] !== undefined ? fields[key] : existing[key]);
+
+  let cookies = pick('cookies') || [];
+  // Accept a whole storageState (or a browser extension export) pasted as cookies
+  if (!Array.isArray(cookies) && Array.isArray(cookies.cookies)) cookies = cookies.cookies;
+
+  const loginUrl = pick('loginUrl') || null;
+  return {
+    name: (pick('name') || '').trim(),
+    loginUrl,
+    steps: (pick('steps') || []).map(s => ({ action: s.action, target: s.target || '', value: s.value ?? '' })),
+    successCheck: pick('successCheck') || null,
+    cookies: cookies.map(c => normalizeCookie(c, loginUrl)),
+    storageState: pick('storageState') || null,
+    ttlMinutes: parseInt(pick('ttlMinutes')) || DEFAULT_TTL_MINUTES
+  };
+}
+
+// Playwright wants domain/path/expires/sameSite in its own shape
+function normalizeCookie(cookie, loginUrl) {
+  const expires = cookie.expires ?? cookie.expirationDate;
+  const sameSite = SAME_SITE[String(cookie.sameSite || '').toLowerCase()] || 'Lax';
+  return {
+    name: cookie.name,
+    value: String(cookie.value ?? ''),
+    domain: cookie.domain || (loginUrl ? new URL(loginUrl).hostname : undefined),
+    path: cookie.path || '/',
+    expires: typeof expires === 'number' && expires > 0 ? expires : -1,
+    httpOnly: !!cookie.httpOnly,
+    // Browsers drop SameSite=None cookies that aren't Secure
+    secure: !!cookie.secure || sameSite === 'None',
+    sameSite
+  };
+}
+
+/**
+ * Get a storageState to open a logged-in context with.
+ * Uses the cached recipe login while it is fresh; otherwise logs in again.
+ * Profiles without a recipe return their seed cookies / storageState as is.
+ * @param {string} profileId
+ * @param {Object} options
+ * @param {boolean} options.forceRefresh - Ignore the cache and log in again
+ */
+async function getStorageState(profileId, { forceRefresh = false } = {}) {
+  const profile = await firestoreService.getAuthProfile(profileId);
+  if (!profile) {
+    throw new Error(`Auth profile not found: ${profileId}`);
+  }
+
+  if (!profile.steps?.length) {
+    return seedState(profile);
+  }
+
+  const cached = profile.cachedState;
+  if (!forceRefresh && cached && new Date(cached.expiresAt) > new Date()) {
+    return cached.storageState;
+  }
+
+  if (!refreshing.has(profileId)) {
+    const login = refresh(profile).finally(() => refreshing.delete(profileId));
+    refreshing.set(profileId, login);
+  }
+  return refreshing.get(profileId);
+}
+
+// Seed cookies layered over the uploaded storageState
+function seedState(profile) {
+  const state = profile.storageState || { cookies: [], origins: [] };
+  const seeded = new Set(profile.cookies.map(c => `${c.name}|${c.domain}|${c.path}`));
+  const now = Date.now() / 1000;
+
+  const cookies = [
+    ...state.cookies.filter(c => !seeded.has(`${c.name}|${c.domain}|${c.path}`)),
+    ...profile.cookies
+  ];
+  const live = cookies.filter(c => c.expires === -1 || c.expires === undefined || c.expires > now);
+  if (live.length < cookies.length) {
+    console.warn(`[Auth] Profile "${profile.name}": ${cookies.length - live.length} cookie(s) have expired - upload fresh ones or add a login recipe`);
+  }
+
+  return { cookies: live, origins: state.origins || [] };
+}
+
+// Run the login recipe and cache the resulting storageState on the profile
+async function refresh(profile) {
+  console.log(`[Auth] Logging in with profile "${profile.name}"`);
+  try {
+    const storageState = await runLoginRecipe(profile);
+    const createdAt = new Date();
+    const cachedState = {
+      storageState,
+      createdAt: createdAt.toISOString(),
+      expiresAt: expiryFor(storageState, createdAt, profile.ttlMinutes).toISOString()
+    };
+    await firestoreService.updateAuthProfile(profile.id, {
+      cachedState,
+      lastLoginAt: cachedState.createdAt,
+      lastError: null
+    });
+    return storageState;
+  } catch (error) {
+    await firestoreService.updateAuthProfile(profile.id, { cachedState: null, lastError: error.message });
+    throw error;
+  }
+}
+
+async function runLoginRecipe(profile) {
+  return browserPool.withContext({ storageState: seedState(profile) }, async (context) => {
+    const page = await context.newPage();
+    await page.goto(profile.loginUrl, { waitUntil: 'domcontentloaded', timeout: 30000 });
+
+    for (let i = 0; i < profile.steps.length; i++) {
+      const step = profile.steps[i];
+      try {
+        if (step.action === 'navigate') {
+          await page.goto(new URL(step.target, profile.loginUrl).href, { waitUntil: 'domcontentloaded', timeout: 30000 });
+        } else {
+          await testExecutor.executeStep(page, step, {});
+        }
+      } catch (error) {
+        throw new Error(`Login for "${profile.name}" failed at step ${i + 1} (${step.action} ${step.target}): ${error.message}`);
+      }
+    }
+
+    // Let the post-login redirect and session cookies land
+    await page.waitForLoadState('networkidle', { timeout: 10000 }).catch(() => {});
+    await checkLoggedIn(page, profile);
+
+    return context.storageState();
+  });
+}
+
+// successCheck: { selector } that must appear and/or { url } the page must reach
+async function checkLoggedIn(page, profile) {
+  const check = profile.successCheck;
+  if (!check) return;
+
+  if (check.url) {
+    await page.waitForURL(url => url.href.includes(check.url), { timeout: 10000 }).catch(() => {
+      throw new Error(`Login for "${profile.name}" did not reach a URL containing "${check.url}" (ended on ${page.url()})`);
+    });
+  }
+  if (check.selector) {
+    await page.waitForSelector(check.selector, { timeout: 10000 }).catch(() => {
+      throw new Error(`Login for "${profile.name}" did not show "${check.selector}"`);
+    });
+  }
+}
+
+// The TTL, or sooner if a session cookie set by the login expires first
+function expiryFor(storageState, createdAt, ttlMinutes) {
+  const ttlExpiry = createdAt.getTime() + ttlMinutes * 60 * 1000;
+  const cookieExpiries = storageState.cookies
+    .filter(c => c.expires > 0)
+    .map(c => c.expires * 1000)
+    .filter(ms => ms - createdAt.getTime() >= MIN_COOKIE_LIFETIME_MS);
+
+  return new Date(Math.min(ttlExpiry, ...cookieExpiries));
+}
+
+/**
+ * Profile as returned by the API - secrets reduced to counts, typed step values blanked
+ */
+function summarize(profile) {
+  return {
+    id: profile.id,
+    userId: profile.userId,
+    name: profile.name,
+    loginUrl: profile.loginUrl,
+    steps: (profile.steps || []).map(s => (TYPED_ACTIONS.includes(s.action) ? { ...s, value: '' } : s)),
+    successCheck: profile.successCheck,
+    ttlMinutes: profile.ttlMinutes,
+    cookieCount: profile.cookies?.length || 0,
+    hasStorageState: !!profile.storageState,
+    cachedUntil: profile.cachedState?.expiresAt || null,
+    lastLoginAt: profile.lastLoginAt || null,
+    lastError: profile.lastError || null,
+    createdAt: profile.createdAt,
+    updatedAt: profile.updatedAt
+  };
+}
+
+module.exports = { validate, buildProfile, recipeFromTestRun, getStorageState, summarize, DEFAULT_TTL_MINUTES };
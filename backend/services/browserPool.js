@@ -0,0 +1,176 @@
+const { chromium, firefox, webkit } = require('playwright');
+
+// Engines a context can be opened in; everything but test execution uses Chromium
+const BROWSER_TYPES = { chromium, firefox, webkit };
+const BROWSERS = Object.keys(BROWSER_TYPES);
+
+// Browsers of each engine kept alive and shared by every service
+const POOL_SIZE = parseInt(process.env.BROWSER_POOL_SIZE) || 1;
+// Contexts (tests, inspections, audits) open at once across the whole pool
+const MAX_CONTEXTS = parseInt(process.env.BROWSER_POOL_MAX_CONTEXTS) || 3;
+// Relaunch a browser after this many contexts to hand memory back to the container
+const MAX_USES_PER_BROWSER = 50;
+
+// Chromium command-line switches; Firefox and WebKit reject them. No --single-process or
+// --no-zygote: contexts share a browser, and one crashed renderer must not take down the rest
+const LAUNCH_ARGS = [
+  '--no-sandbox',
+  '--disable-setuid-sandbox',
+  '--disable-blink-features=AutomationControlled',
+  '--disable-infobars',
+  '--disable-dev-shm-usage',
+  '--disable-gpu',
+  '--disable-extensions',
+  '--disable-background-networking',
+  '--disable-default-apps',
+  '--disable-sync',
+  '--disable-translate',
+  '--hide-scrollbars',
+  '--metrics-recording-only',
+  '--mute-audio',
+  '--no-first-run',
+  '--js-flags=--max-old-space-size=256'
+];
+
+// Each slot: { name, browser, launching, active, uses, retiring }
+const slots = [];
+const waiters = [];
+let activeContexts = 0;
+
+/**
+ * Run fn with a fresh, isolated BrowserContext from the pool.
+ * The context is always closed afterwards; a crashed browser is replaced
+ * on the next request.
+ * @param {Object} contextOptions - Passed to browser.newContext()
+ * @param {Function} fn - async (context) => result
+ * @param {string} browserName - chromium, firefox or webkit
+ */
+async function withContext(contextOptions, fn, browserName = 'chromium') {
+  if (!BROWSER_TYPES[browserName]) {
+    throw new Error(`Unknown browser: ${browserName}`);
+  }
+  await acquireSlot();
+  let slot = null;
+  let context = null;
+
+  try {
+    slot = await pickBrowser(browserName);
+    slot.active++;
+    slot.uses++;
+    context = await slot.browser.newContext(contextOptions);
+    return await fn(context);
+  } finally {
+    if (context) {
+      try { await context.close(); } catch (e) { /* browser may have crashed */ }
+    }
+    if (slot) {
+      slot.active--;
+      if (slot.retiring && slot.active === 0) retire(slot);
+    }
+    releaseSlot();
+  }
+}
+
+// Wait for a free context slot
+function acquireSlot() {
+  if (activeContexts < MAX_CONTEXTS) {
+    activeContexts++;
+    return Promise.resolve();
+  }
+  return new Promise(resolve => waiters.push(resolve));
+}
+
+function releaseSlot() {
+  const next = waiters.shift();
+  if (next) {
+    next(); // Hand the slot straight over
+  } else {
+    activeContexts--;
+  }
+}
+
+// Least-busy healthy browser of an engine, launching one if its pool isn't full yet
+async function pickBrowser(name) {
+  const healthy = slots.filter(s => s.name === name && !s.retiring && (s.launching || s.browser?.isConnected()));
+
+  if (healthy.length < POOL_SIZE) {
+    return launchSlot(name);
+  }
+
+  const slot = healthy.reduce((best, s) => (s.active < best.active ? s : best));
+  if (slot.launching) {
+    try {
+      await slot.launching;
+    } catch (e) {
+      return launchSlot(name);
+    }
+  }
+
+  if (slot.uses >= MAX_USES_PER_BROWSER) {
+    slot.retiring = true;
+    if (slot.active === 0) retire(slot);
+    return launchSlot(name);
+  }
+  return slot;
+}
+
+async function launchSlot(name) {
+  const slot = { name, browser: null, launching: null, active: 0, uses: 0, retiring: false };
+  slots.push(slot);
+
+  slot.launching = BROWSER_TYPES[name].launch({ headless: true, args: name === 'chromium' ? LAUNCH_ARGS : [] });
+  try {
+    slot.browser = await slot.launching;
+  } catch (error) {
+    slots.splice(slots.indexOf(slot), 1);
+    throw error;
+  } finally {
+    slot.launching = null;
+  }
+
+  // A crashed browser leaves the pool; its replacement is launched on demand
+  slot.browser.on('disconnected', () => {
+    const idx = slots.indexOf(slot);
+    if (idx >= 0) {
+      if (!slot.retiring) console.warn(`Browser pool: ${name} disconnected, it will be replaced`);
+      slots.splice(idx, 1);
+    }
+  });
+
+  return slot;
+}
+
+function retire(slot) {
+  const idx = slots.indexOf(slot);
+  if (idx >= 0) slots.splice(idx, 1);
+  slot.browser.close().catch(() => {});
+}
+
+/**
+ * Close every pooled browser (server shutdown)
+ */
+async function closeAll() {
+  const closing = slots.splice(0).map(s => s.browser?.close().catch(() => {}));
+  await Promise.all(closing);
+}
+
+/**
+ * Version of a pooled browser engine, once one has launched
+ */
+function getBrowserVersion(name = 'chromium') {
+  const slot = slots.find(s => s.name === name && s.browser);
+  return slot ? slot.browser.version() : null;
+}
+
+function getStats() {
+  return {
+    size: POOL_SIZE,
+    maxContexts: MAX_CONTEXTS,
+    browsers: slots.length,
+    engines: Object.fromEntries(BROWSERS.map(name => [name, slots.filter(s => s.name === name).length])),
+    activeContexts,
+    waiting: waiters.length
+  };
+}
+
+module.exports = { withContext, closeAll, getStats, getBrowserVersion, BROWSERS, MAX_CONTEXTS };
@@ -1,4 +1,8 @@
 const apiKeyManager = require('./apiKeyManager');
+const pageDiagnostics = require('./pageDiagnostics');
+
+// Diagnostics entries of each kind given to the model
+const MAX_DIAGNOSTICS = 5;
 
 const EXPLAIN_PROMPT = `You are a QA expert analyzing a failed test. Given the test details and error, provide:
 
@@ -33,7 +37,7 @@ Steps: ${JSON.stringify(test.steps, null, 2)}
 Expected: ${test.expected}
 Error: ${test.error}
 Page Type: ${pageContext?.pageType || 'unknown'}
-`;
+${describeDiagnostics(test.diagnostics)}`;
 
     const response = await apiKeyManager.executeWithFallback(async (groq) => {
       return await groq.chat.completions.create({
@@ -99,6 +103,32 @@ function getFallbackExplanation(test) {
     };
   }
   
+  // Nothing matched the error itself, but the page reported problems along the way
+  const diagnostics = test.diagnostics;
+  const pageError = diagnostics?.pageErrors?.[0];
+  const serverError = diagnostics?.failedRequests?.find(entry => entry.status >= 500);
+  if (error.includes('Uncaught JS error') || pageError) {
+    return {
+      summary: 'The page threw a JavaScript error',
+      whatWentWrong: pageError ? `An uncaught exception was thrown during step ${pageError.step}: ${pageError.message}` : error,
+      likelyCause: 'A bug in the page\'s scripts, often an unexpected API response or a missing element the script relies on.',
+      suggestedFix: 'Fix the script error shown in the stack trace, then rerun the test.',
+      severity: 'high',
+      tips: ['Open the browser console on the page', 'Check the failed requests around the same step', 'Look at the stack trace in the test diagnostics']
+    };
+  }
+  
+  if (serverError) {
+    return {
+      summary: 'A request to the server failed',
+      whatWentWrong: `${pageDiagnostics.describeRequest(serverError)} during step ${serverError.step}, and then: ${error}`,
+      likelyCause: 'The backend returned an error, so the page never reached the state the test expected.',
+      suggestedFix: 'Check the server logs for that request and fix the error before rerunning the test.',
+      severity: 'high',
+      tips: ['Retry the request by hand', 'Check the server logs', 'Mock the request with a mockRoute step to test the UI on its own']
+    };
+  }
+  
   // Generic fallback
   return {
     summary: 'The test encountered an unexpected error',
@@ -110,4 +140,20 @@ function getFallbackExplanation(test) {
   };
 }
 
+// The page's uncaught errors, console errors and failed requests, for the prompt
+function describeDiagnostics(diagnostics) {
+  if (!pageDiagnostics.hasProblems(diagnostics)) return '';
+  const lines = [`Page Diagnostics: ${pageDiagnostics.summarize(diagnostics)}`];
+  for (const entry of diagnostics.pageErrors.slice(0, MAX_DIAGNOSTICS)) {
+    lines.push(`- Uncaught error (step ${entry.step}): ${entry.message}`);
+  }
+  for (const entry of diagnostics.console.filter(e => e.level === 'error').slice(0, MAX_DIAGNOSTICS)) {
+    lines.push(`- Console error (step ${entry.step}): ${entry.text}`);
+  }
+  for (const entry of diagnostics.failedRequests.slice(0, MAX_DIAGNOSTICS)) {
+    lines.push(`- Failed request (step ${entry.step}): ${pageDiagnostics.describeRequest(entry)}`);
+  }
+  return lines.join('\n') + '\n';
+}
+
 module.exports = { explainFailure };
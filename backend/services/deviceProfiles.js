@@ -0,0 +1,63 @@
+/**
+ * Device profiles
+ * Named devices a test run can be executed (or a page inspected) on, built from
+ * Playwright's device descriptors: viewport, device pixel ratio, touch, mobile
+ * meta-viewport handling and user agent. Any other Playwright device name
+ * ("Galaxy S9+", "iPhone 15 Pro") works as a profile too.
+ */
+
+const { devices } = require('playwright');
+
+const PROFILES = {
+  mobile: { name: 'Mobile', descriptor: 'iPhone 13' },
+  'mobile-android': { name: 'Android', descriptor: 'Pixel 7' },
+  tablet: { name: 'Tablet', descriptor: 'iPad (gen 7)' },
+  desktop: { name: 'Desktop', descriptor: 'Desktop Chrome' }
+};
+
+function isDevice(id) {
+  return Boolean(PROFILES[id] || devices[id]);
+}
+
+/**
+ * List the named profiles with what they emulate
+ */
+function list() {
+  return Object.entries(PROFILES).map(([id, profile]) => {
+    const descriptor = devices[profile.descriptor];
+    return {
+      id,
+      name: profile.name,
+      descriptor: profile.descriptor,
+      viewport: descriptor.viewport,
+      deviceScaleFactor: descriptor.deviceScaleFactor,
+      isMobile: descriptor.isMobile,
+      hasTouch: descriptor.hasTouch
+    };
+  });
+}
+
+/**
+ * browser.newContext() options that emulate a device in the given browser
+ * @param {string} id - Profile id or Playwright device name
+ * @param {string} browserName - chromium, firefox or webkit
+ */
+function contextOptions(id, browserName = 'chromium') {
+  const descriptor = devices[PROFILES[id]?.descriptor || id];
+  if (!descriptor) {
+    throw new Error(`Unknown device: ${id}`);
+  }
+  // The descriptor's own browser is only a suggestion; the matrix picks the browser
+  const { defaultBrowserType, isMobile, ...options } = descriptor;
+  // Firefox can't emulate mobile viewports; it still gets the size, DPR, touch and user agent
+  return browserName === 'firefox' ? options : { ...options, isMobile };
+}
+
+/**
+ * Display name for a device id
+ */
+function label(id) {
+  return PROFILES[id]?.name || id;
+}
+
+module.exports = { PROFILES, isDevice, list, contextOptions, label };
@@ -0,0 +1,108 @@
+/**
+ * Execution artifacts
+ * Optional Playwright trace and WebM video recording for each test attempt of an
+ * execution. Recordings land in a temp directory while the test runs and are
+ * copied into storageService afterwards - always, or only for attempts that
+ * failed (the retention policy) - so results can link to them.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const storageService = require('./storageService');
+
+const RETENTION = ['on-failure', 'always'];
+
+// Which recordings are kept when an execution doesn't say
+const DEFAULT_RETENTION = RETENTION.includes(process.env.ARTIFACT_RETENTION) ? process.env.ARTIFACT_RETENTION : 'on-failure';
+
+// Where Playwright writes videos before they're copied to storage
+const RECORDING_DIR = path.join(os.tmpdir(), 'bugscout-recordings');
+
+/**
+ * Normalize an execution's recording options
+ * @param {Object} options - { trace, video, retain: 'on-failure' | 'always' }
+ * @returns {Object|null} null when nothing is recorded
+ */
+function recordingOptions(options) {
+  if (!options || (!options.trace && !options.video)) return null;
+  return {
+    trace: Boolean(options.trace),
+    video: Boolean(options.video),
+    retain: RETENTION.includes(options.retain) ? options.retain : DEFAULT_RETENTION
+  };
+}
+
+/**
+ * browser.newContext() options with video recording turned on when asked for
+ * @param {Object} base - The execution's context options
+ * @param {Object|null} recording - From recordingOptions()
+ * @param {Object} size - Video size, the viewport the tests run in
+ */
+function contextOptions(base, recording, size) {
+  if (!recording?.video) return base;
+  return { ...base, recordVideo: { dir: RECORDING_DIR, size } };
+}
+
+/**
+ * Start recording a context; call finish() once the test's pages are closed
+ * @param {Object} context - Playwright BrowserContext
+ * @param {Object|null} recording - From recordingOptions()
+ * @param {string} title - Shown in the trace viewer
+ * @returns {Promise<{ finish: Function }>}
+ */
+async function start(context, recording, title) {
+  const pages = [];
+  if (recording?.video) context.on('page', page => pages.push(page));
+  if (recording?.trace) {
+    await context.tracing.start({ title, screenshots: true, snapshots: true });
+  }
+
+  return {
+    /**
+     * Stop recording and store what the retention policy keeps
+     * @param {Object} attempt - { runId, testId, attempt, status }
+     * @returns {Promise<Object|null>} { trace, video } storage URLs, or null when nothing was kept
+     */
+    async finish({ runId, testId, attempt, status }) {
+      if (!recording) return null;
+      const keep = recording.retain === 'always' || status !== 'pass';
+      const prefix = `${runId}/${testId}_attempt${attempt}_${Date.now()}`;
+      const artifacts = { trace: null, video: null };
+
+      if (recording.trace) {
+        artifacts.trace = keep
+          ? await storeRecording(`${prefix}_trace.zip`, file => context.tracing.stop({ path: file }))
+          : await context.tracing.stop().then(() => null);
+      }
+
+      // A test runs in a single page; its video is complete once the page closed
+      const video = pages[0]?.video();
+      if (video) {
+        if (keep) {
+          artifacts.video = await storeRecording(`${prefix}_video.webm`, file => video.saveAs(file));
+        }
+        await video.delete().catch(() => {});
+      }
+
+      return artifacts.trace || artifacts.video ? artifacts : null;
+    }
+  };
+}
+
+// Write a recording to a temp file, then move it into storage
+async function storeRecording(filename, write) {
+  const file = path.join(RECORDING_DIR, `${process.pid}_${Math.random().toString(36).slice(2)}_${path.basename(filename)}`);
+  try {
+    await fs.promises.mkdir(RECORDING_DIR, { recursive: true });
+    await write(file);
+    return await storageService.uploadArtifact(filename, await fs.promises.readFile(file));
+  } catch (error) {
+    console.error(`Failed to store recording ${filename}:`, error.message);
+    return null;
+  } finally {
+    await fs.promises.unlink(file).catch(() => {});
+  }
+}
+
+module.exports = { RETENTION, DEFAULT_RETENTION, recordingOptions, contextOptions, start };
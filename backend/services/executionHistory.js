@@ -0,0 +1,212 @@
+/**
+ * Execution history
+ * Every execution of a test run is stored as its own immutable record: the tests
+ * as they ran (results, flowSteps, screenshots), timing and the environment.
+ * The test run's status/completedAt mirror its latest execution; its tests keep the
+ * plan with a status summary, and the full results are read back from the execution.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const firestoreService = require('./firestoreService');
+const browserPool = require('./browserPool');
+const testExecutor = require('./testExecutor');
+const executionArtifacts = require('./executionArtifacts');
+
+// Per-test results only stored on the execution, not copied into the run
+const RESULT_FIELDS = ['attempts', 'screenshots', 'flowSteps', 'diagnostics', 'artifacts', 'browser', 'browsers', 'device', 'devices'];
+
+/**
+ * Store an execution of a test run
+ * @param {Object} testRun - The run as it was executed
+ * @param {Object} outcome
+ * @param {Array} outcome.results - Test results from testExecutor.execute (omit when it errored)
+ * @param {string} outcome.error - Why the execution couldn't finish
+ * @param {Date} outcome.startedAt
+ * @param {string} outcome.trigger - 'manual', 'suite', 'schedule' or 'cli'
+ * @param {boolean} outcome.detailedFlow
+ * @param {Object} outcome.recording - Trace/video options the execution ran with
+ * @returns {Promise<Object>} The saved execution
+ */
+async function record(testRun, { results = null, error = null, startedAt, trigger = 'manual', detailedFlow = false, recording = null }) {
+  const finishedAt = new Date();
+  const tests = results || [];
+  const browsers = testExecutor.browsersFor(testRun);
+  const devices = testExecutor.devicesFor(testRun).filter(Boolean);
+  const execution = {
+    id: uuidv4(),
+    testRunId: testRun.id,
+    userId: testRun.userId || null,
+    number: (testRun.executionCount || 0) + 1,
+    trigger,
+    status: statusFor(results, error),
+    error,
+    startedAt: startedAt.toISOString(),
+    finishedAt: finishedAt.toISOString(),
+    durationMs: finishedAt - startedAt,
+    summary: {
+      total: tests.length,
+      passed: tests.filter(t => t.status === 'pass').length,
+      failed: tests.filter(t => t.status === 'fail').length,
+      flaky: tests.filter(t => t.flaky).length
+    },
+    tests,
+    environment: {
+      url: testRun.url,
+      browsers,
+      browserVersions: Object.fromEntries(browsers.map(b => [b, browserPool.getBrowserVersion(b)])),
+      devices: devices.length > 0 ? devices : null,
+      // Emulated devices bring their own viewports
+      viewport: devices.length > 0 ? null : detailedFlow ? testExecutor.VIEWPORTS.detailed : testExecutor.VIEWPORTS.default,
+      detailedFlow,
+      recording: executionArtifacts.recordingOptions(recording),
+      authProfileId: testRun.authProfileId || null,
+      node: process.version
+    }
+  };
+
+  await firestoreService.saveExecution(execution);
+  return execution;
+}
+
+function statusFor(results, error) {
+  if (error || !results) return 'error';
+  return results.every(t => t.status === 'pass') ? 'completed' : 'completed_with_failures';
+}
+
+/**
+ * Test run fields that point at this execution as the latest one.
+ * An errored execution keeps the previous tests on the run.
+ */
+function currentFields(execution) {
+  const fields = {
+    status: execution.status,
+    completedAt: execution.finishedAt,
+    hasDetailedFlow: execution.environment.detailedFlow,
+    latestExecutionId: execution.id,
+    executionCount: execution.number
+  };
+  if (execution.status === 'error') {
+    fields.error = execution.error;
+  } else {
+    fields.tests = planOf(execution.tests);
+    fields.resultsExecutionId = execution.id;
+    fields.error = null;
+  }
+  return fields;
+}
+
+/**
+ * Tests as stored on the run: the plan with each test's status, error, duration and
+ * healed selectors, without the results kept on the execution
+ */
+function planOf(tests = []) {
+  return tests.map(test => Object.fromEntries(Object.entries(test).filter(([key]) => !RESULT_FIELDS.includes(key))));
+}
+
+/**
+ * The run with its tests' full results from the execution that produced them
+ */
+async function withResults(testRun) {
+  if (!testRun?.resultsExecutionId) return testRun;
+  const execution = await firestoreService.getExecution(testRun.resultsExecutionId);
+  if (!execution) return testRun;
+
+  const results = new Map(execution.tests.map(t => [t.id, t]));
+  return {
+    ...testRun,
+    tests: (testRun.tests || []).map(test => {
+      const result = results.get(test.id);
+      if (!result) return test;
+      return { ...test, ...Object.fromEntries(RESULT_FIELDS.filter(key => key in result).map(key => [key, result[key]])) };
+    })
+  };
+}
+
+/**
+ * Execution as listed - without the per-test results
+ */
+function listItem({ tests, ...execution }) {
+  return execution;
+}
+
+/**
+ * Compare two executions of the same test run, test by test
+ * @param {Object} base - The earlier execution
+ * @param {Object} head - The later execution
+ */
+function compare(base, head) {
+  const baseTests = new Map(base.tests.map(t => [t.id, t]));
+  const headTests = new Map(head.tests.map(t => [t.id, t]));
+  const ids = [...new Set([...baseTests.keys(), ...headTests.keys()])];
+
+  const tests = ids.map(id => {
+    const before = baseTests.get(id);
+    const after = headTests.get(id);
+    const entry = {
+      testId: id,
+      name: (after || before).name,
+      change: changeFor(before, after),
+      base: before ? outcomeOf(before) : null,
+      head: after ? outcomeOf(after) : null
+    };
+    if (before && after) {
+      entry.errorChanged = (before.error || null) !== (after.error || null);
+      // The test plan was edited between the two executions
+      entry.stepsChanged = JSON.stringify(stepsOf(before)) !== JSON.stringify(stepsOf(after));
+      if (before.durationMs != null && after.durationMs != null) {
+        entry.durationDeltaMs = after.durationMs - before.durationMs;
+      }
+    }
+    return entry;
+  });
+
+  const counts = {};
+  tests.forEach(t => { counts[t.change] = (counts[t.change] || 0) + 1; });
+
+  return {
+    base: listItem(base),
+    head: listItem(head),
+    summary: counts,
+    durationDeltaMs: head.durationMs - base.durationMs,
+    environmentChanges: environmentChanges(base.environment, head.environment),
+    tests
+  };
+}
+
+function changeFor(before, after) {
+  if (!before) return 'added';
+  if (!after) return 'removed';
+  const was = before.status === 'pass';
+  const is = after.status === 'pass';
+  if (!was && is) return before.status === 'fail' ? 'fixed' : 'now_passing';
+  if (was && !is) return 'regressed';
+  return is ? 'still_passing' : 'still_failing';
+}
+
+function outcomeOf(test) {
+  const failedStep = (test.flowSteps || []).find(s => s.status === 'fail');
+  return {
+    status: test.status,
+    error: test.error || null,
+    durationMs: test.durationMs ?? null,
+    flaky: !!test.flaky,
+    attempts: test.attempts?.length || 1,
+    failedStep: failedStep ? failedStep.stepNumber : null,
+    screenshots: test.screenshots || [],
+    artifacts: test.artifacts || null,
+    browsers: test.browsers ? Object.fromEntries(Object.entries(test.browsers).map(([b, r]) => [b, r.status])) : null,
+    devices: test.devices ? Object.fromEntries(Object.entries(test.devices).map(([d, r]) => [d, r.status])) : null
+  };
+}
+
+function stepsOf(test) {
+  return (test.steps || []).map(s => [s.action, s.target, s.value ?? '']);
+}
+
+function environmentChanges(before = {}, after = {}) {
+  return Object.keys({ ...before, ...after })
+    .filter(key => JSON.stringify(before[key]) !== JSON.stringify(after[key]))
+    .map(key => ({ key, base: before[key] ?? null, head: after[key] ?? null }));
+}
+
+module.exports = { record, currentFields, planOf, withResults, listItem, compare };
@@ -52,8 +52,25 @@ try {
 // Fallback in-memory store
 const memoryStore = new Map();
 const shareLinksStore = new Map();
+const authProfilesStore = new Map();
+const crawlsStore = new Map();
+const crawlPagesStore = new Map();
+const suitesStore = new Map();
+const schedulesStore = new Map();
+const scheduleRunsStore = new Map();
+const executionsStore = new Map();
+const notificationChannelsStore = new Map();
 const COLLECTION = 'testRuns';
 const SHARES_COLLECTION = 'sharedReports';
+const AUTH_PROFILES_COLLECTION = 'authProfiles';
+const CRAWLS_COLLECTION = 'crawls';
+// Extracted elements per crawled page, kept apart so crawl documents stay small
+const CRAWL_PAGES_COLLECTION = 'crawlPages';
+const SUITES_COLLECTION = 'testSuites';
+const SCHEDULES_COLLECTION = 'schedules';
+const SCHEDULE_RUNS_COLLECTION = 'scheduleRuns';
+const EXECUTIONS_COLLECTION = 'executions';
+const NOTIFICATION_CHANNELS_COLLECTION = 'notificationChannels';
 
 async function saveTestRun(testRun) {
   if (useFirestore) {
@@ -131,6 +148,71 @@ async function deleteTestRun(id) {
   return true;
 }
 
+// Execution functions - one immutable record per execution of a test run
+async function saveExecution(execution) {
+  if (useFirestore) {
+    try {
+      await db.collection(EXECUTIONS_COLLECTION).doc(execution.id).set(execution);
+      return execution;
+    } catch (e) {
+      console.warn('Firestore execution save failed, using memory:', e.message);
+    }
+  }
+  executionsStore.set(execution.id, execution);
+  return execution;
+}
+
+async function getExecution(id) {
+  if (useFirestore) {
+    try {
+      const doc = await db.collection(EXECUTIONS_COLLECTION).doc(id).get();
+      return doc.exists ? doc.data() : null;
+    } catch (e) {
+      console.warn('Firestore execution get failed, using memory:', e.message);
+    }
+  }
+  return executionsStore.get(id) || null;
+}
+
+// A test run's executions, newest first
+async function getExecutions(testRunId, limit = 50) {
+  if (useFirestore) {
+    try {
+      // Needs the executions (testRunId, startedAt desc) index in firestore.indexes.json
+      const snapshot = await db.collection(EXECUTIONS_COLLECTION)
+        .where('testRunId', '==', testRunId)
+        .orderBy('startedAt', 'desc')
+        .limit(limit)
+        .get();
+      return snapshot.docs.map(doc => doc.data());
+    } catch (e) {
+      console.warn('Firestore executions query failed, using memory:', e.message);
+    }
+  }
+  return Array.from(executionsStore.values())
+    .filter(e => e.testRunId === testRunId)
+    .sort((a, b) => new Date(b.startedAt) - new Date(a.startedAt))
+    .slice(0, limit);
+}
+
+async function deleteExecutions(testRunId) {
+  if (useFirestore) {
+    try {
+      const snapshot = await db.collection(EXECUTIONS_COLLECTION).where('testRunId', '==', testRunId).get();
+      const batch = db.batch();
+      snapshot.docs.forEach(doc => batch.delete(doc.ref));
+      await batch.commit();
+      return true;
+    } catch (e) {
+      console.warn('Firestore executions delete failed, using memory:', e.message);
+    }
+  }
+  for (const [key, execution] of executionsStore) {
+    if (execution.testRunId === testRunId) executionsStore.delete(key);
+  }
+  return true;
+}
+
 // Share link functions
 async function createShareLink(shareData) {
   if (useFirestore) {
@@ -184,6 +266,471 @@ async function deleteShareLink(shareId) {
   return true;
 }
 
+// Auth profile functions
+async function saveAuthProfile(profile) {
+  if (useFirestore) {
+    try {
+      await db.collection(AUTH_PROFILES_COLLECTION).doc(profile.id).set(profile);
+      return profile;
+    } catch (e) {
+      console.warn('Firestore auth profile save failed, using memory:', e.message);
+    }
+  }
+  authProfilesStore.set(profile.id, profile);
+  return profile;
+}
+
+async function getAuthProfile(id) {
+  if (useFirestore) {
+    try {
+      const doc = await db.collection(AUTH_PROFILES_COLLECTION).doc(id).get();
+      return doc.exists ? { id: doc.id, ...doc.data() } : null;
+    } catch (e) {
+      console.warn('Firestore auth profile get failed, using memory:', e.message);
+    }
+  }
+  return authProfilesStore.get(id) || null;
+}
+
+async function getAuthProfiles(userId = null) {
+  if (useFirestore) {
+    try {
+      const query = db.collection(AUTH_PROFILES_COLLECTION).where('userId', '==', userId);
+      const snapshot = await query.get();
+      return snapshot.docs
+        .map(doc => ({ id: doc.id, ...doc.data() }))
+        .sort((a, b) => a.name.localeCompare(b.name));
+    } catch (e) {
+      console.warn('Firestore auth profiles query failed, using memory:', e.message);
+    }
+  }
+  return Array.from(authProfilesStore.values())
+    .filter(p => p.userId === userId)
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+async function updateAuthProfile(id, updates) {
+  if (useFirestore) {
+    try {
+      await db.collection(AUTH_PROFILES_COLLECTION).doc(id).update(updates);
+      return getAuthProfile(id);
+    } catch (e) {
+      console.warn('Firestore auth profile update failed, using memory:', e.message);
+    }
+  }
+  const existing = authProfilesStore.get(id);
+  if (existing) {
+    const updated = { ...existing, ...updates };
+    authProfilesStore.set(id, updated);
+    return updated;
+  }
+  return null;
+}
+
+async function deleteAuthProfile(id) {
+  if (useFirestore) {
+    try {
+      await db.collection(AUTH_PROFILES_COLLECTION).doc(id).delete();
+      return true;
+    } catch (e) {
+      console.warn('Firestore auth profile delete failed, using memory:', e.message);
+    }
+  }
+  authProfilesStore.delete(id);
+  return true;
+}
+
+// Crawl functions
+async function saveCrawl(crawl) {
+  if (useFirestore) {
+    try {
+      await db.collection(CRAWLS_COLLECTION).doc(crawl.id).set(crawl);
+      return crawl;
+    } catch (e) {
+      console.warn('Firestore crawl save failed, using memory:', e.message);
+    }
+  }
+  crawlsStore.set(crawl.id, crawl);
+  return crawl;
+}
+
+async function getCrawl(id) {
+  if (useFirestore) {
+    try {
+      const doc = await db.collection(CRAWLS_COLLECTION).doc(id).get();
+      return doc.exists ? { id: doc.id, ...doc.data() } : null;
+    } catch (e) {
+      console.warn('Firestore crawl get failed, using memory:', e.message);
+    }
+  }
+  return crawlsStore.get(id) || null;
+}
+
+async function getCrawls(userId = null) {
+  if (useFirestore) {
+    try {
+      const snapshot = await db.collection(CRAWLS_COLLECTION).where('userId', '==', userId).get();
+      return snapshot.docs
+        .map(doc => ({ id: doc.id, ...doc.data() }))
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    } catch (e) {
+      console.warn('Firestore crawls query failed, using memory:', e.message);
+    }
+  }
+  return Array.from(crawlsStore.values())
+    .filter(c => c.userId === userId)
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+}
+
+async function updateCrawl(id, updates) {
+  if (useFirestore) {
+    try {
+      await db.collection(CRAWLS_COLLECTION).doc(id).update(updates);
+      return getCrawl(id);
+    } catch (e) {
+      console.warn('Firestore crawl update failed, using memory:', e.message);
+    }
+  }
+  const existing = crawlsStore.get(id);
+  if (existing) {
+    const updated = { ...existing, ...updates };
+    crawlsStore.set(id, updated);
+    return updated;
+  }
+  return null;
+}
+
+async function deleteCrawl(id) {
+  if (useFirestore) {
+    try {
+      const pages = await db.collection(CRAWL_PAGES_COLLECTION).where('crawlId', '==', id).get();
+      const batch = db.batch();
+      pages.docs.forEach(doc => batch.delete(doc.ref));
+      batch.delete(db.collection(CRAWLS_COLLECTION).doc(id));
+      await batch.commit();
+      return true;
+    } catch (e) {
+      console.warn('Firestore crawl delete failed, using memory:', e.message);
+    }
+  }
+  crawlsStore.delete(id);
+  for (const [key, page] of crawlPagesStore) {
+    if (page.crawlId === id) crawlPagesStore.delete(key);
+  }
+  return true;
+}
+
+async function saveCrawlPage(crawlPage) {
+  const key = `${crawlPage.crawlId}_${crawlPage.pageId}`;
+  if (useFirestore) {
+    try {
+      await db.collection(CRAWL_PAGES_COLLECTION).doc(key).set(crawlPage);
+      return crawlPage;
+    } catch (e) {
+      console.warn('Firestore crawl page save failed, using memory:', e.message);
+    }
+  }
+  crawlPagesStore.set(key, crawlPage);
+  return crawlPage;
+}
+
+async function getCrawlPage(crawlId, pageId) {
+  const key = `${crawlId}_${pageId}`;
+  if (useFirestore) {
+    try {
+      const doc = await db.collection(CRAWL_PAGES_COLLECTION).doc(key).get();
+      return doc.exists ? doc.data() : null;
+    } catch (e) {
+      console.warn('Firestore crawl page get failed, using memory:', e.message);
+    }
+  }
+  return crawlPagesStore.get(key) || null;
+}
+
+async function getCrawlPages(crawlId) {
+  if (useFirestore) {
+    try {
+      const snapshot = await db.collection(CRAWL_PAGES_COLLECTION).where('crawlId', '==', crawlId).get();
+      return snapshot.docs.map(doc => doc.data());
+    } catch (e) {
+      console.warn('Firestore crawl pages query failed, using memory:', e.message);
+    }
+  }
+  return Array.from(crawlPagesStore.values()).filter(p => p.crawlId === crawlId);
+}
+
+// Test suite functions
+async function saveSuite(suite) {
+  if (useFirestore) {
+    try {
+      await db.collection(SUITES_COLLECTION).doc(suite.id).set(suite);
+      return suite;
+    } catch (e) {
+      console.warn('Firestore suite save failed, using memory:', e.message);
+    }
+  }
+  suitesStore.set(suite.id, suite);
+  return suite;
+}
+
+async function getSuite(id) {
+  if (useFirestore) {
+    try {
+      const doc = await db.collection(SUITES_COLLECTION).doc(id).get();
+      return doc.exists ? { id: doc.id, ...doc.data() } : null;
+    } catch (e) {
+      console.warn('Firestore suite get failed, using memory:', e.message);
+    }
+  }
+  return suitesStore.get(id) || null;
+}
+
+async function getSuites(userId = null) {
+  if (useFirestore) {
+    try {
+      const snapshot = await db.collection(SUITES_COLLECTION).where('userId', '==', userId).get();
+      return snapshot.docs
+        .map(doc => ({ id: doc.id, ...doc.data() }))
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    } catch (e) {
+      console.warn('Firestore suites query failed, using memory:', e.message);
+    }
+  }
+  return Array.from(suitesStore.values())
+    .filter(s => s.userId === userId)
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+}
+
+async function updateSuite(id, updates) {
+  if (useFirestore) {
+    try {
+      await db.collection(SUITES_COLLECTION).doc(id).update(updates);
+      return getSuite(id);
+    } catch (e) {
+      console.warn('Firestore suite update failed, using memory:', e.message);
+    }
+  }
+  const existing = suitesStore.get(id);
+  if (existing) {
+    const updated = { ...existing, ...updates };
+    suitesStore.set(id, updated);
+    return updated;
+  }
+  return null;
+}
+
+async function deleteSuite(id) {
+  if (useFirestore) {
+    try {
+      await db.collection(SUITES_COLLECTION).doc(id).delete();
+      return true;
+    } catch (e) {
+      console.warn('Firestore suite delete failed, using memory:', e.message);
+    }
+  }
+  suitesStore.delete(id);
+  return true;
+}
+
+// Schedule functions
+async function saveSchedule(schedule) {
+  if (useFirestore) {
+    try {
+      await db.collection(SCHEDULES_COLLECTION).doc(schedule.id).set(schedule);
+      return schedule;
+    } catch (e) {
+      console.warn('Firestore schedule save failed, using memory:', e.message);
+    }
+  }
+  schedulesStore.set(schedule.id, schedule);
+  return schedule;
+}
+
+async function getSchedule(id) {
+  if (useFirestore) {
+    try {
+      const doc = await db.collection(SCHEDULES_COLLECTION).doc(id).get();
+      return doc.exists ? { id: doc.id, ...doc.data() } : null;
+    } catch (e) {
+      console.warn('Firestore schedule get failed, using memory:', e.message);
+    }
+  }
+  return schedulesStore.get(id) || null;
+}
+
+async function getSchedules(userId = null) {
+  if (useFirestore) {
+    try {
+      const snapshot = await db.collection(SCHEDULES_COLLECTION).where('userId', '==', userId).get();
+      return snapshot.docs
+        .map(doc => ({ id: doc.id, ...doc.data() }))
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    } catch (e) {
+      console.warn('Firestore schedules query failed, using memory:', e.message);
+    }
+  }
+  return Array.from(schedulesStore.values())
+    .filter(s => s.userId === userId)
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+}
+
+// Every user's enabled schedules, for the scheduler's ticker
+async function getEnabledSchedules() {
+  if (useFirestore) {
+    try {
+      const snapshot = await db.collection(SCHEDULES_COLLECTION).where('enabled', '==', true).get();
+      return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    } catch (e) {
+      console.warn('Firestore enabled schedules query failed, using memory:', e.message);
+    }
+  }
+  return Array.from(schedulesStore.values()).filter(s => s.enabled);
+}
+
+async function updateSchedule(id, updates) {
+  if (useFirestore) {
+    try {
+      await db.collection(SCHEDULES_COLLECTION).doc(id).update(updates);
+      return getSchedule(id);
+    } catch (e) {
+      console.warn('Firestore schedule update failed, using memory:', e.message);
+    }
+  }
+  const existing = schedulesStore.get(id);
+  if (existing) {
+    const updated = { ...existing, ...updates };
+    schedulesStore.set(id, updated);
+    return updated;
+  }
+  return null;
+}
+
+// Deletes the schedule's history with it
+async function deleteSchedule(id) {
+  if (useFirestore) {
+    try {
+      const runs = await db.collection(SCHEDULE_RUNS_COLLECTION).where('scheduleId', '==', id).get();
+      const batch = db.batch();
+      runs.docs.forEach(doc => batch.delete(doc.ref));
+      batch.delete(db.collection(SCHEDULES_COLLECTION).doc(id));
+      await batch.commit();
+      return true;
+    } catch (e) {
+      console.warn('Firestore schedule delete failed, using memory:', e.message);
+    }
+  }
+  schedulesStore.delete(id);
+  for (const [key, run] of scheduleRunsStore) {
+    if (run.scheduleId === id) scheduleRunsStore.delete(key);
+  }
+  return true;
+}
+
+async function saveScheduleRun(record) {
+  if (useFirestore) {
+    try {
+      await db.collection(SCHEDULE_RUNS_COLLECTION).doc(record.id).set(record);
+      return record;
+    } catch (e) {
+      console.warn('Firestore schedule run save failed, using memory:', e.message);
+    }
+  }
+  scheduleRunsStore.set(record.id, record);
+  return record;
+}
+
+// A schedule's executions, newest first
+async function getScheduleRuns(scheduleId, limit = 50) {
+  if (useFirestore) {
+    try {
+      const snapshot = await db.collection(SCHEDULE_RUNS_COLLECTION).where('scheduleId', '==', scheduleId).get();
+      return snapshot.docs
+        .map(doc => doc.data())
+        .sort((a, b) => new Date(b.startedAt) - new Date(a.startedAt))
+        .slice(0, limit);
+    } catch (e) {
+      console.warn('Firestore schedule runs query failed, using memory:', e.message);
+    }
+  }
+  return Array.from(scheduleRunsStore.values())
+    .filter(r => r.scheduleId === scheduleId)
+    .sort((a, b) => new Date(b.startedAt) - new Date(a.startedAt))
+    .slice(0, limit);
+}
+
+// Notification channel functions
+async function saveNotificationChannel(channel) {
+  if (useFirestore) {
+    try {
+      await db.collection(NOTIFICATION_CHANNELS_COLLECTION).doc(channel.id).set(channel);
+      return channel;
+    } catch (e) {
+      console.warn('Firestore notification channel save failed, using memory:', e.message);
+    }
+  }
+  notificationChannelsStore.set(channel.id, channel);
+  return channel;
+}
+
+async function getNotificationChannel(id) {
+  if (useFirestore) {
+    try {
+      const doc = await db.collection(NOTIFICATION_CHANNELS_COLLECTION).doc(id).get();
+      return doc.exists ? { id: doc.id, ...doc.data() } : null;
+    } catch (e) {
+      console.warn('Firestore notification channel get failed, using memory:', e.message);
+    }
+  }
+  return notificationChannelsStore.get(id) || null;
+}
+
+async function getNotificationChannels(userId = null) {
+  if (useFirestore) {
+    try {
+      const snapshot = await db.collection(NOTIFICATION_CHANNELS_COLLECTION).where('userId', '==', userId).get();
+      return snapshot.docs
+        .map(doc => ({ id: doc.id, ...doc.data() }))
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    } catch (e) {
+      console.warn('Firestore notification channels query failed, using memory:', e.message);
+    }
+  }
+  return Array.from(notificationChannelsStore.values())
+    .filter(c => c.userId === userId)
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+}
+
+async function updateNotificationChannel(id, updates) {
+  if (useFirestore) {
+    try {
+      await db.collection(NOTIFICATION_CHANNELS_COLLECTION).doc(id).update(updates);
+      return getNotificationChannel(id);
+    } catch (e) {
+      console.warn('Firestore notification channel update failed, using memory:', e.message);
+    }
+  }
+  const existing = notificationChannelsStore.get(id);
+  if (existing) {
+    const updated = { ...existing, ...updates };
+    notificationChannelsStore.set(id, updated);
+    return updated;
+  }
+  return null;
+}
+
+async function deleteNotificationChannel(id) {
+  if (useFirestore) {
+    try {
+      await db.collection(NOTIFICATION_CHANNELS_COLLECTION).doc(id).delete();
+      return true;
+    } catch (e) {
+      console.warn('Firestore notification channel delete failed, using memory:', e.message);
+    }
+  }
+  notificationChannelsStore.delete(id);
+  return true;
+}
+
 async function deleteTestRunsWithoutUser() {
   let deletedCount = 0;
   if (useFirestore) {
@@ -229,9 +776,44 @@ module.exports = {
   getAllTestRuns, 
   updateTestRun, 
   deleteTestRun,
+  saveExecution,
+  getExecution,
+  getExecutions,
+  deleteExecutions,
   createShareLink,
   getShareLink,
   getSharesByTestRun,
   deleteShareLink,
+  saveAuthProfile,
+  getAuthProfile,
+  getAuthProfiles,
+  updateAuthProfile,
+  deleteAuthProfile,
+  saveCrawl,
+  getCrawl,
+  getCrawls,
+  updateCrawl,
+  deleteCrawl,
+  saveCrawlPage,
+  getCrawlPage,
+  getCrawlPages,
+  saveSuite,
+  getSuite,
+  getSuites,
+  updateSuite,
+  deleteSuite,
+  saveSchedule,
+  getSchedule,
+  getSchedules,
+  getEnabledSchedules,
+  updateSchedule,
+  deleteSchedule,
+  saveScheduleRun,
+  getScheduleRuns,
+  saveNotificationChannel,
+  getNotificationChannel,
+  getNotificationChannels,
+  updateNotificationChannel,
+  deleteNotificationChannel,
   deleteTestRunsWithoutUser
 };
@@ -0,0 +1,84 @@
+/**
+ * Flaky test detection
+ * Scores each test of a run from its recent executions: how often it only passed
+ * on a retry, and how often its outcome flipped and flipped back (pass, fail, pass
+ * or fail, pass, fail) while its steps stayed the same. A single change of outcome
+ * that sticks is a regression or a fix, not flakiness.
+ */
+
+const firestoreService = require('./firestoreService');
+
+// Executions looked back over
+const HISTORY_WINDOW = 20;
+// Score (0-100) from which a test is listed as flaky
+const FLAKY_THRESHOLD = parseInt(process.env.FLAKY_SCORE_THRESHOLD) || 20;
+
+/**
+ * Score the tests seen in a list of executions
+ * @param {Array} executions - Executions of one test run, newest first
+ * @returns {Array<{ testId, name, executions, flakyRuns, flips, score, flaky, lastStatus }>}
+ */
+function analyze(executions) {
+  const chronological = executions.filter(e => e.status !== 'error').reverse();
+  const byTest = new Map();
+
+  for (const execution of chronological) {
+    for (const test of execution.tests) {
+      if (test.status !== 'pass' && test.status !== 'fail') continue;
+      if (!byTest.has(test.id)) {
+        byTest.set(test.id, { testId: test.id, runs: 0, flakyRuns: 0, flips: 0, last: null, before: null });
+      }
+      const entry = byTest.get(test.id);
+      const signature = stepSignature(test);
+
+      // An edited test failing differently is a change, not flakiness
+      const sameSteps = entry.last && entry.last.signature === signature;
+      if (sameSteps && entry.before && entry.before.signature === signature &&
+          entry.before.status === test.status && entry.last.status !== test.status) {
+        entry.flips++;
+      }
+      entry.name = test.name;
+      entry.runs++;
+      if (test.flaky) entry.flakyRuns++;
+      entry.before = sameSteps ? entry.last : null;
+      entry.last = { status: test.status, flaky: !!test.flaky, signature };
+    }
+  }
+
+  return [...byTest.values()].map(entry => {
+    const score = Math.round(Math.min(1, (entry.flakyRuns + entry.flips) / entry.runs) * 100);
+    return {
+      testId: entry.testId,
+      name: entry.name,
+      executions: entry.runs,
+      flakyRuns: entry.flakyRuns,
+      flips: entry.flips,
+      score,
+      flaky: score >= FLAKY_THRESHOLD || entry.last.flaky,
+      lastStatus: entry.last.status
+    };
+  });
+}
+
+function stepSignature(test) {
+  return JSON.stringify((test.steps || []).map(s => [s.action, s.target, s.value ?? '']));
+}
+
+/**
+ * Flakiness of a test run's tests from its recent executions, as stored on the run.
+ * Tests that never wavered are left out.
+ */
+async function scoreTestRun(testRunId) {
+  const executions = await firestoreService.getExecutions(testRunId, HISTORY_WINDOW);
+  const tests = analyze(executions)
+    .filter(t => t.score > 0 || t.flaky)
+    .sort((a, b) => b.score - a.score);
+
+  return {
+    updatedAt: new Date().toISOString(),
+    executions: executions.length,
+    tests
+  };
+}
+
+module.exports = { analyze, scoreTestRun, FLAKY_THRESHOLD };
@@ -0,0 +1,412 @@
+/**
+ * HTML report
+ * A test run as one self-contained HTML file - results, flow steps, bug explanations,
+ * page diagnostics, visual diffs and audit results, with every screenshot inlined -
+ * that can be attached to a ticket or archived without the server or Firestore behind it.
+ * Built from the same view of a run that /api/shared/:shareId returns.
+ */
+
+const bugExplainer = require('./bugExplainer');
+const storageService = require('./storageService');
+const pageDiagnostics = require('./pageDiagnostics');
+const deviceProfiles = require('./deviceProfiles');
+
+// Failed tests without a stored explanation are explained while rendering - each can be an LLM call
+const MAX_EXPLAINED = 10;
+
+/**
+ * The parts of a test run that are safe to show outside the dashboard
+ * (what shared links and exported reports contain)
+ */
+function sharedView(testRun) {
+  return {
+    id: testRun.id,
+    url: testRun.url,
+    status: testRun.status,
+    createdAt: testRun.createdAt,
+    completedAt: testRun.completedAt,
+    pageData: testRun.pageData,
+    tests: testRun.tests,
+    confidence: testRun.confidence,
+    visualDiff: testRun.visualDiff,
+    flakiness: testRun.flakiness || null
+  };
+}
+
+/**
+ * Render a test run as a standalone HTML file
+ * @param {Object} testRun - A run as returned by sharedView()
+ * @param {Object} options
+ * @param {Object} options.accessibility - accessibilityAuditor.audit() results for the run's page
+ * @param {Object} options.performance - performanceAnalyzer.analyze() results for the run's page
+ * @param {string} options.sharedAt - When the run was shared, for reports built from a share link
+ * @param {boolean} options.print - Paged layout with a cover page, for PDF (see pdfReport)
+ * @returns {Promise<{ filename: string, contentType: string, content: string }>}
+ */
+async function render(testRun, { accessibility = null, performance = null, sharedAt = null, print = false } = {}) {
+  const images = imageLoader();
+  const tests = await explainFailures(testRun);
+
+  const sections = [
+    print ? coverSection(testRun, tests, { accessibility, performance }) : '',
+    summarySection(testRun, tests),
+    await testsSection(tests, images),
+    await visualDiffSection(testRun.visualDiff, images),
+    accessibility ? accessibilitySection(accessibility) : '',
+    performance ? performanceSection(performance) : ''
+  ];
+
+  const generatedAt = new Date().toISOString();
+  const content = `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>BugScout report - ${escapeHtml(testRun.url)}</title>
+<style>${STYLES}${print ? PRINT_STYLES : ''}</style>
+</head>
+<body${print ? ' class="print"' : ''}>
+<main>
+${sections.filter(Boolean).join('\n')}
+<footer>Generated by BugScout on ${escapeHtml(formatDate(generatedAt))}${sharedAt ? ` · shared ${escapeHtml(formatDate(sharedAt))}` : ''}</footer>
+</main>
+</body>
+</html>
+`;
+
+  return { filename: `bugscout-report-${testRun.id}.html`, contentType: 'text/html', content };
+}
+
+async function explainFailures(testRun) {
+  let explained = 0;
+  const tests = [];
+  for (const test of testRun.tests || []) {
+    if (test.status !== 'fail' || test.explanation || explained >= MAX_EXPLAINED) {
+      tests.push(test);
+      continue;
+    }
+    explained++;
+    const explanation = await bugExplainer.explainFailure(test, testRun.pageData).catch(() => null);
+    tests.push(explanation ? { ...test, explanation } : test);
+  }
+  return tests;
+}
+
+/**
+ * Screenshots as data: URIs, read back from storage once each. Anything that
+ * isn't one of our screenshots (or has since been deleted) is noted as unavailable.
+ */
+function imageLoader() {
+  const cache = new Map();
+  return async src => {
+    if (!src) return null;
+    if (!cache.has(src)) {
+      cache.set(src, (async () => {
+        const match = src.match(/\/screenshots\/([^?#]+)$/);
+        if (!match) return null;
+        const buffer = await storageService.getScreenshot(decodeURIComponent(match[1])).catch(() => null);
+        return buffer ? `data:image/png;base64,${buffer.toString('base64')}` : null;
+      })());
+    }
+    return cache.get(src);
+  };
+}
+
+async function image(src, alt, images) {
+  const dataUri = await images(src);
+  if (!dataUri) {
+    return `<p class="missing">${escapeHtml(alt)} unavailable (${escapeHtml(src)})</p>`;
+  }
+  return `<img src="${dataUri}" alt="${escapeHtml(alt)}" loading="lazy">`;
+}
+
+// Title page for the PDF: what was tested, when, and the headline numbers
+function coverSection(testRun, tests, { accessibility, performance }) {
+  const passed = tests.filter(t => t.status === 'pass').length;
+  const executed = tests.filter(t => t.status === 'pass' || t.status === 'fail').length;
+  const passRate = executed > 0 ? Math.round((passed / executed) * 100) : null;
+
+  return `<section class="cover">
+  <p class="brand">🐛 BugScout</p>
+  <h1>Test Report</h1>
+  <p class="cover-url">${escapeHtml(testRun.url)}</p>
+  <p class="muted">${escapeHtml(formatDate(testRun.completedAt || testRun.createdAt))}</p>
+  <div class="stats">
+    <div class="stat ${passRate === 100 ? 'pass' : passRate !== null ? 'fail' : ''}"><strong>${passRate !== null ? `${passRate}%` : '-'}</strong>Pass rate</div>
+    <div class="stat"><strong>${tests.length}</strong>Tests</div>
+    ${accessibility ? `<div class="stat"><strong>${escapeHtml(accessibility.score)}</strong>Accessibility</div>` : ''}
+    ${performance ? `<div class="stat"><strong>${escapeHtml(performance.score)}</strong>Performance</div>` : ''}
+  </div>
+</section>`;
+}
+
+function summarySection(testRun, tests) {
+  const passed = tests.filter(t => t.status === 'pass').length;
+  const failed = tests.filter(t => t.status === 'fail').length;
+  const flaky = tests.filter(t => t.flaky).length;
+  let host = testRun.url;
+  try { host = new URL(testRun.url).hostname; } catch (e) { /* show the raw URL */ }
+
+  return `<header>
+  <h1>${escapeHtml(host)}</h1>
+  <p class="subtitle">${escapeHtml(testRun.url)}</p>
+  <span class="badge ${escapeHtml(testRun.status)}">${escapeHtml(String(testRun.status).replace(/_/g, ' '))}</span>
+  <dl class="meta">
+    <div><dt>Created</dt><dd>${escapeHtml(formatDate(testRun.createdAt))}</dd></div>
+    ${testRun.completedAt ? `<div><dt>Completed</dt><dd>${escapeHtml(formatDate(testRun.completedAt))}</dd></div>` : ''}
+    ${testRun.pageData?.pageType ? `<div><dt>Page type</dt><dd>${escapeHtml(testRun.pageData.pageType)}</dd></div>` : ''}
+  </dl>
+</header>
+<section class="stats">
+  <div class="stat"><strong>${tests.length}</strong>Total tests</div>
+  <div class="stat pass"><strong>${passed}</strong>Passed</div>
+  <div class="stat fail"><strong>${failed}</strong>Failed</div>
+  ${flaky > 0 ? `<div class="stat flaky"><strong>${flaky}</strong>Flaky</div>` : ''}
+</section>`;
+}
+
+async function testsSection(tests, images) {
+  const cards = [];
+  for (const test of tests) {
+    cards.push(await testCard(test, images));
+  }
+  return `<section>
+  <h2>Test Results</h2>
+  ${cards.join('\n') || '<p class="empty">No tests in this run</p>'}
+</section>`;
+}
+
+async function testCard(test, images) {
+  const icon = test.status === 'pass' ? '✅' : test.status === 'fail' ? '❌' : '⏳';
+  const steps = (test.steps || []).map(step => `<li><code>${escapeHtml(step.action)}</code> ${escapeHtml(step.target || '')}${step.value ? ` <span class="value">"${escapeHtml(step.value)}"</span>` : ''}</li>`);
+
+  // A device matrix shows each device's result and screenshots on their own
+  let flow = '';
+  if (test.devices) {
+    const sections = [];
+    for (const [device, result] of Object.entries(test.devices)) {
+      sections.push(`<section class="device ${escapeHtml(result.status)}">
+        <h4>📱 ${escapeHtml(deviceProfiles.label(device))} <span class="badge ${escapeHtml(result.status)}">${escapeHtml(result.status)}</span></h4>
+        ${result.browsers ? browserBadges(result.browsers) : ''}
+        ${result.error ? `<div class="error">❌ ${escapeHtml(result.error)}</div>` : ''}
+        ${await flowBlock(result, images)}
+      </section>`);
+    }
+    flow = sections.join('\n');
+  } else {
+    flow = await flowBlock(test, images);
+  }
+
+  return `<article class="test ${escapeHtml(test.status)}">
+  <h3>${icon} ${escapeHtml(test.name)} ${test.type ? `<span class="type">${escapeHtml(test.type)}</span>` : ''}${test.flaky ? ` <span class="flaky-badge">🎲 flaky · passed on attempt ${test.attempts?.length}</span>` : ''}</h3>
+  ${test.description ? `<p>${escapeHtml(test.description)}</p>` : ''}
+  ${test.browsers && !test.devices ? browserBadges(test.browsers) : ''}
+  ${steps.length > 0 ? `<ol class="steps">${steps.join('')}</ol>` : ''}
+  ${test.expected ? `<p><strong>Expected:</strong> ${escapeHtml(test.expected)}</p>` : ''}
+  ${test.durationMs != null ? `<p class="muted">Took ${(test.durationMs / 1000).toFixed(1)}s</p>` : ''}
+  ${test.error ? `<div class="error">❌ ${escapeHtml(test.error)}</div>` : ''}
+  ${test.explanation ? explanationBlock(test.explanation) : ''}
+  ${pageDiagnostics.hasProblems(test.diagnostics) ? diagnosticsBlock(test.diagnostics) : ''}
+  ${flow}
+</article>`;
+}
+
+function browserBadges(browsers) {
+  return `<p class="browsers">${Object.entries(browsers).map(([browser, result]) => `<span class="badge ${escapeHtml(result.status)}" title="${escapeHtml(result.error || '')}">${result.status === 'pass' ? '✅' : '❌'} ${escapeHtml(browser)}</span>`).join(' ')}</p>`;
+}
+
+// Flow steps carry their own screenshots; without them fall back to the plain screenshot list
+async function flowBlock(result, images) {
+  if (result.flowSteps?.length > 0) {
+    const items = [];
+    for (const step of result.flowSteps) {
+      items.push(`<li class="${escapeHtml(step.status)}">
+        <div class="flow-title">${step.stepNumber}. ${escapeHtml(step.description || `${step.action} ${step.target || ''}`)}</div>
+        ${step.error ? `<div class="error">${escapeHtml(step.error)}</div>` : ''}
+        ${step.screenshot ? await image(step.screenshot, `Step ${step.stepNumber}`, images) : ''}
+      </li>`);
+    }
+    return `<h4>Flow</h4><ol class="flow">${items.join('\n')}</ol>`;
+  }
+  if (result.screenshots?.length > 0) {
+    const shots = [];
+    for (const [i, src] of result.screenshots.entries()) {
+      shots.push(await image(src, `Screenshot ${i + 1}`, images));
+    }
+    return `<div class="screenshots">${shots.join('\n')}</div>`;
+  }
+  return '';
+}
+
+function explanationBlock(explanation) {
+  return `<div class="explanation">
+    <strong>🤖 Bug explanation</strong>${explanation.severity ? ` <span class="severity ${escapeHtml(explanation.severity)}">${escapeHtml(explanation.severity)}</span>` : ''}
+    <p>${escapeHtml(explanation.summary)}</p>
+    ${explanation.likelyCause ? `<p><strong>Likely cause:</strong> ${escapeHtml(explanation.likelyCause)}</p>` : ''}
+    ${explanation.suggestedFix ? `<p><strong>Suggested fix:</strong> ${escapeHtml(explanation.suggestedFix)}</p>` : ''}
+  </div>`;
+}
+
+// Uncaught errors, console errors/warnings and failed requests, in step order
+function diagnosticsBlock(diagnostics) {
+  const entries = [
+    ...diagnostics.pageErrors.map(e => ({ step: e.step, kind: 'Uncaught error', text: e.message })),
+    ...diagnostics.console.filter(e => e.level === 'error' || e.level === 'warning')
+      .map(e => ({ step: e.step, kind: `Console ${e.level}`, text: e.text })),
+    ...diagnostics.failedRequests.map(e => ({ step: e.step, kind: 'Request', text: pageDiagnostics.describeRequest(e) }))
+  ].sort((a, b) => a.step - b.step);
+
+  return `<div class="diagnostics">
+    <strong>🖥️ Page diagnostics</strong> <span class="muted">${escapeHtml(pageDiagnostics.summarize(diagnostics))}</span>
+    <ul>${entries.map(e => `<li><span class="muted">${e.step === 0 ? 'Page load' : `Step ${e.step}`} · ${e.kind}</span> ${escapeHtml(e.text)}</li>`).join('')}</ul>
+  </div>`;
+}
+
+async function visualDiffSection(comparisons, images) {
+  if (!comparisons?.length) return '';
+  const rows = [];
+  for (const c of comparisons) {
+    if (c.status === 'error') {
+      rows.push(`<article class="test"><h3>${escapeHtml(c.testName)}</h3><div class="error">${escapeHtml(c.error)}</div></article>`);
+      continue;
+    }
+    rows.push(`<article class="test">
+  <h3>${escapeHtml(c.testName)} <span class="badge ${c.status === 'changed' ? 'fail' : 'completed'}">${escapeHtml(c.status)} · ${Number(c.diffPercent).toFixed(2)}%</span></h3>
+  <div class="screenshots diff">
+    <figure>${await image(c.beforeImage, 'Before', images)}<figcaption>Before</figcaption></figure>
+    <figure>${await image(c.afterImage, 'After', images)}<figcaption>After</figcaption></figure>
+    <figure>${await image(c.diffImage, 'Diff', images)}<figcaption>Diff</figcaption></figure>
+  </div>
+</article>`);
+  }
+  return `<section class="page">
+  <h2>Visual Diffs</h2>
+  ${rows.join('\n')}
+</section>`;
+}
+
+function accessibilitySection(audit) {
+  const issues = (audit.issues || []).map(issue => `<article class="test fail">
+    <h3>${escapeHtml(issue.name)} <span class="severity ${escapeHtml(issue.severity)}">${escapeHtml(issue.severity)}</span> <span class="type">WCAG ${escapeHtml(issue.wcag)}</span></h3>
+    <p>${escapeHtml(issue.message)}</p>
+    ${issue.elements?.length > 0 ? `<ul class="elements">${issue.elements.map(e => `<li><code>${escapeHtml(e.html || e.text || '')}</code></li>`).join('')}</ul>` : ''}
+  </article>`);
+
+  return `<section class="page">
+  <h2>Accessibility</h2>
+  ${audit.error ? `<div class="error">${escapeHtml(audit.error)}</div>` : ''}
+  <div class="stats">
+    <div class="stat"><strong>${escapeHtml(audit.score)}</strong>Score / 100</div>
+    ${['critical', 'high', 'medium', 'low'].map(s => `<div class="stat"><strong>${audit.summary?.[s] || 0}</strong>${s[0].toUpperCase()}${s.slice(1)}</div>`).join('')}
+  </div>
+  ${issues.join('\n')}
+  ${audit.passed?.length > 0 ? `<p class="muted">Passed: ${audit.passed.map(p => escapeHtml(p.name)).join(', ')}</p>` : ''}
+</section>`;
+}
+
+function performanceSection(perf) {
+  const metrics = perf.metrics || {};
+  const vitals = Object.entries(perf.coreWebVitals || {}).map(([name, v]) =>
+    `<div class="stat ${v.rating === 'good' ? 'pass' : v.rating === 'poor' ? 'fail' : ''}"><strong>${escapeHtml(v.value)}${name === 'cls' ? '' : 'ms'}</strong>${name.toUpperCase()}</div>`
+  );
+  const recommendations = (perf.recommendations || []).map(r =>
+    `<li><strong>${escapeHtml(r.title)}</strong>${r.savings ? ` (saves ${escapeHtml(r.savings)})` : ''}${r.description ? ` - ${escapeHtml(r.description)}` : ''}</li>`
+  );
+
+  return `<section class="page">
+  <h2>Performance</h2>
+  ${perf.error ? `<div class="error">${escapeHtml(perf.error)}</div>` : ''}
+  <div class="stats">
+    <div class="stat"><strong>${escapeHtml(perf.score)}</strong>Score / 100</div>
+    ${metrics.loadTime != null ? `<div class="stat"><strong>${escapeHtml(metrics.loadTime)}ms</strong>Load time</div>` : ''}
+    ${metrics.totalRequests != null ? `<div class="stat"><strong>${escapeHtml(metrics.totalRequests)}</strong>Requests</div>` : ''}
+    ${metrics.totalSizeFormatted ? `<div class="stat"><strong>${escapeHtml(metrics.totalSizeFormatted)}</strong>Transferred</div>` : ''}
+    ${vitals.join('')}
+  </div>
+  ${recommendations.length > 0 ? `<h4>Recommendations</h4><ul>${recommendations.join('')}</ul>` : ''}
+</section>`;
+}
+
+function formatDate(value) {
+  if (!value) return '';
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? String(value) : date.toUTCString();
+}
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+const STYLES = `
+  body { margin: 0; background: #f5f6fa; color: #1f2937; font: 14px/1.5 -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; }
+  main { max-width: 960px; margin: 0 auto; padding: 32px 20px; }
+  h1 { margin: 0; font-size: 26px; }
+  h2 { margin: 32px 0 12px; font-size: 20px; }
+  h3 { margin: 0 0 8px; font-size: 16px; }
+  h4 { margin: 16px 0 8px; }
+  .subtitle, .muted, footer { color: #6b7280; }
+  .meta { display: flex; gap: 24px; flex-wrap: wrap; margin: 12px 0 0; }
+  .meta dt { font-size: 12px; color: #6b7280; }
+  .meta dd { margin: 0; }
+  .badge, .type, .severity, .flaky-badge { display: inline-block; padding: 2px 10px; border-radius: 12px; font-size: 12px; font-weight: 600; background: #e5e7eb; }
+  .badge.completed, .badge.pass { background: #d1fae5; color: #065f46; }
+  .badge.failed, .badge.fail, .badge.error { background: #fee2e2; color: #991b1b; }
+  .flaky-badge { background: #fef3c7; color: #92400e; }
+  .severity.critical, .severity.high { background: #fee2e2; color: #991b1b; }
+  .severity.medium { background: #fef3c7; color: #92400e; }
+  .stats { display: flex; gap: 12px; flex-wrap: wrap; margin-top: 20px; }
+  .stat { flex: 1; min-width: 110px; background: #fff; border-radius: 10px; padding: 14px; text-align: center; color: #6b7280; }
+  .stat strong { display: block; font-size: 24px; color: #1f2937; }
+  .stat.pass strong { color: #059669; }
+  .stat.fail strong { color: #dc2626; }
+  .stat.flaky strong { color: #d97706; }
+  .test { background: #fff; border-radius: 10px; padding: 16px 20px; margin-bottom: 12px; border-left: 4px solid #d1d5db; }
+  .test.pass { border-left-color: #10b981; }
+  .test.fail { border-left-color: #ef4444; }
+  .device { border-top: 1px solid #e5e7eb; margin-top: 12px; }
+  .steps, .flow { padding-left: 20px; }
+  .steps code { background: #eef2ff; padding: 1px 6px; border-radius: 4px; }
+  .value { color: #6b7280; }
+  .flow li { margin-bottom: 12px; }
+  .flow li.fail .flow-title { color: #dc2626; font-weight: 600; }
+  .error { background: #fef2f2; color: #991b1b; padding: 10px 12px; border-radius: 6px; margin: 8px 0; white-space: pre-wrap; word-break: break-word; }
+  .explanation { background: #f5f3ff; border-radius: 6px; padding: 10px 12px; margin: 8px 0; }
+  .explanation p { margin: 6px 0 0; }
+  .diagnostics { background: #fffbeb; border-radius: 6px; padding: 10px 12px; margin: 8px 0; }
+  .diagnostics ul { margin: 6px 0 0; padding-left: 18px; }
+  .diagnostics li { word-break: break-word; }
+  .screenshots { display: flex; gap: 10px; flex-wrap: wrap; }
+  img { max-width: 100%; border: 1px solid #e5e7eb; border-radius: 6px; margin-top: 6px; }
+  .screenshots img { max-width: 280px; }
+  .diff figure { margin: 0; flex: 1; min-width: 200px; }
+  .diff img { max-width: 100%; }
+  figcaption { text-align: center; color: #6b7280; font-size: 12px; }
+  .elements code { word-break: break-all; }
+  .missing { color: #9ca3af; font-style: italic; }
+  footer { margin-top: 40px; font-size: 12px; text-align: center; }
+  @media print { body { background: #fff; } .test { break-inside: avoid; } }
+`;
+
+// Page layout for PDF: cover on its own page, diffs and audits each starting a new one
+const PRINT_STYLES = `
+  body.print { background: #fff; font-size: 12px; }
+  body.print main { max-width: none; padding: 0; }
+  .cover { display: flex; flex-direction: column; justify-content: center; min-height: 250mm; break-after: page; text-align: center; }
+  .cover h1 { font-size: 40px; margin: 8px 0; }
+  .cover .brand { font-size: 18px; font-weight: 700; color: #4f46e5; }
+  .cover .cover-url { font-size: 16px; word-break: break-all; }
+  .cover .stats { justify-content: center; margin-top: 40px; }
+  body.print .stat { border: 1px solid #e5e7eb; }
+  body.print .test { border: 1px solid #e5e7eb; border-left-width: 4px; }
+  body.print section.page { break-before: page; }
+  body.print h2 { margin-top: 0; }
+  body.print img { max-height: 110mm; }
+  body.print footer { display: none; }
+`;
+
+module.exports = { sharedView, render, escapeHtml };
@@ -0,0 +1,130 @@
+const { EventEmitter } = require('events');
+const { v4: uuidv4 } = require('uuid');
+
+// How many jobs may run at once - each test execution drives a real browser
+const CONCURRENCY = parseInt(process.env.JOB_CONCURRENCY) || 2;
+// Finished jobs stay queryable (and replayable over SSE) for this long
+const JOB_RETENTION_MS = 60 * 60 * 1000;
+// Progress events kept per job for late subscribers
+const MAX_EVENTS_PER_JOB = 1000;
+
+const jobs = new Map();
+const pending = [];
+let running = 0;
+
+/**
+ * Queue a job. The handler receives (job, report) where report(type, data)
+ * publishes a progress event to subscribers; its return value becomes job.result.
+ * @param {string} type - Job kind, e.g. 'execute'
+ * @param {Function} handler - async (job, report) => result
+ * @param {Object} meta - Extra fields exposed on the job (testRunId, userId...)
+ */
+function enqueue(type, handler, meta = {}) {
+  const job = {
+    id: uuidv4(),
+    type,
+    ...meta,
+    status: 'queued',
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    completedAt: null,
+    result: null,
+    error: null
+  };
+
+  const entry = { job, handler, events: [], emitter: new EventEmitter() };
+  entry.done = new Promise(resolve => { entry.resolve = resolve; });
+  jobs.set(job.id, entry);
+
+  pending.push(job.id);
+  publish(job.id, 'queued', { position: pending.length });
+  drain();
+
+  return job;
+}
+
+// Start queued jobs while there is capacity
+function drain() {
+  while (running < CONCURRENCY && pending.length > 0) {
+    const entry = jobs.get(pending.shift());
+    if (entry) run(entry);
+  }
+}
+
+async function run(entry) {
+  const { job } = entry;
+  running++;
+  job.status = 'running';
+  job.startedAt = new Date().toISOString();
+  publish(job.id, 'started', {});
+
+  try {
+    job.result = await entry.handler(job, (type, data) => publish(job.id, type, data));
+    job.status = 'completed';
+  } catch (error) {
+    console.error(`Job ${job.id} (${job.type}) failed:`, error.message);
+    job.status = 'failed';
+    job.error = error.message;
+  } finally {
+    running--;
+    job.completedAt = new Date().toISOString();
+    publish(job.id, 'done', { status: job.status, error: job.error });
+    entry.resolve(job);
+    setTimeout(() => jobs.delete(job.id), JOB_RETENTION_MS).unref();
+    drain();
+  }
+}
+
+function publish(jobId, type, data) {
+  const entry = jobs.get(jobId);
+  if (!entry) return;
+
+  const event = { type, jobId, timestamp: Date.now(), ...data };
+  if (entry.events.length >= MAX_EVENTS_PER_JOB) entry.events.shift();
+  entry.events.push(event);
+  entry.emitter.emit('event', event);
+}
+
+/**
+ * Get a job's public state, with its position if still queued
+ */
+function getJob(jobId) {
+  const entry = jobs.get(jobId);
+  if (!entry) return null;
+
+  const position = pending.indexOf(jobId);
+  return { ...entry.job, position: position >= 0 ? position + 1 : null };
+}
+
+/**
+ * Listen to a job's progress. Past events are replayed first so a client
+ * that connects late still sees every step. Returns an unsubscribe function.
+ */
+function subscribe(jobId, listener) {
+  const entry = jobs.get(jobId);
+  if (!entry) return null;
+
+  entry.events.forEach(listener);
+  entry.emitter.on('event', listener);
+  return () => entry.emitter.off('event', listener);
+}
+
+/**
+ * Resolve when the job finishes (completed or failed)
+ */
+function waitFor(jobId) {
+  const entry = jobs.get(jobId);
+  return entry ? entry.done : Promise.resolve(null);
+}
+
+function getStats() {
+  return { concurrency: CONCURRENCY, running, queued: pending.length, tracked: jobs.size };
+}
+
+module.exports = {
+  enqueue,
+  getJob,
+  subscribe,
+  waitFor,
+  getStats
+};
@@ -1,5 +1,6 @@
 const apiKeyManager = require('./apiKeyManager');
 const pageInspector = require('./pageInspector');
+const assertionEngine = require('./assertionEngine');
 
 /**
  * Generate intelligent end-to-end journey tests
@@ -91,6 +92,9 @@ AVAILABLE ACTIONS:
 - select: Choose dropdown option (target: selector, value: option)
 - check: Check checkbox (target: selector, value: null)
 - press: Keyboard key (target: selector, value: "Enter")
+- assertVisible / assertHidden: Check an element is shown or gone (target: selector, value: null)
+- assertContainsText: Check an element shows text (target: selector, value: expected text)
+- assertUrl: Check the current URL (target: null, value: part of the expected URL)
 
 CRITICAL: Only use selectors that EXACTLY match ones in the elements list below!
 
@@ -100,9 +104,9 @@ NOW ANALYZE THIS PAGE AND CREATE A COMPLETE USER JOURNEY:
 /**
  * Generate an intelligent journey test by having AI analyze the page
  */
-async function generateJourneyTest(url) {
+async function generateJourneyTest(url, options = {}) {
   // First, get detailed page data
-  const pageData = await pageInspector.inspect(url);
+  const pageData = await pageInspector.inspect(url, options);
   
   // Prepare rich context for AI
   const pageContext = buildPageContext(pageData, url);
@@ -114,6 +118,7 @@ async function generateJourneyTest(url) {
       if (aiResult && aiResult.test && aiResult.test.steps?.length > 0) {
         // Validate and fix selectors
         const validatedResult = validateAndFixSelectors(aiResult, pageData.elements);
+        validatedResult.test = assertionEngine.withExpectedAssertions(validatedResult.test);
         return {
           ...validatedResult,
           pageData,
@@ -127,7 +132,9 @@ async function generateJourneyTest(url) {
   }
   
   // Fallback to smart rule-based generation
-  return generateSmartFallback(pageData, url);
+  const fallback = generateSmartFallback(pageData, url);
+  fallback.test = assertionEngine.withExpectedAssertions(fallback.test);
+  return fallback;
 }
 
 /**
@@ -329,6 +336,10 @@ function validateAndFixSelectors(aiResult, elements) {
         if (!step.action) return false;
         if (step.action === 'wait' || step.action === 'delay') return true;
         if (step.target === 'Select element...' || step.target === 'Select element') return false;
+        // Page-level assertions (URL, title, response status) have no target
+        if (!step.target && assertionEngine.isAssertion(step.action)) {
+          return !assertionEngine.ASSERTIONS[assertionEngine.resolveAssertion(step)]?.needsTarget;
+        }
         if (!step.target && step.action !== 'wait') return false;
         return true;
       })
@@ -0,0 +1,199 @@
+/**
+ * Network mocks for test steps
+ * Step actions that intercept the page's requests through page.route: stub a
+ * response (fixed status/body or a fixture file), block requests or delay them.
+ * Like any step they're saved in the test's steps, so a test carries its own mocks;
+ * the ones at the start of a test are installed before the page loads.
+ * Checking that a request was made is the assertRequest assertion (assertionEngine).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Fixture files mockRoute steps can answer with ({ "fixture": "users.json" })
+const FIXTURES_DIR = path.resolve(process.env.MOCK_FIXTURES_DIR || path.join(__dirname, '../fixtures'));
+const DEFAULT_DELAY_MS = 1000;
+const MAX_DELAY_MS = 30000;
+
+const NETWORK_ACTIONS = {
+  mockRoute: {
+    name: 'Mock Response',
+    describe: (target, value) => `Mock "${target}" with ${describeResponse(value)}`
+  },
+  blockRequest: {
+    name: 'Block Requests',
+    describe: (target) => `Block requests to "${target}"`
+  },
+  delayRequest: {
+    name: 'Delay Requests',
+    describe: (target, value) => `Delay requests to "${target}" by ${parseDelay(value)}ms`
+  }
+};
+
+function isNetworkAction(action) {
+  return Boolean(NETWORK_ACTIONS[action]);
+}
+
+/**
+ * Install a network step's route handler on the page
+ * @param {Object} page - Playwright page
+ * @param {Object} step - { action, target: URL pattern, value, method? }
+ * @param {Object} context - { installed: Set of steps already routed before the page loaded,
+ *   diagnostics: pageDiagnostics handle told about blocked requests }
+ */
+async function install(page, step, context = {}) {
+  if (context.installed?.has(step)) return;
+  if (!step.target) {
+    throw new Error(`${step.action} requires a URL pattern`);
+  }
+
+  const pattern = step.target;
+  let handler;
+
+  if (step.action === 'mockRoute') {
+    const response = parseResponse(step.value);
+    const fulfill = response.fixture ? { ...response.fulfill, path: fixturePath(response.fixture) } : response.fulfill;
+    const method = (response.method || step.method || '').toUpperCase();
+    handler = async route => {
+      if (method && route.request().method() !== method) return route.fallback();
+      await route.fulfill(fulfill);
+    };
+  } else if (step.action === 'blockRequest') {
+    const method = (step.method || '').toUpperCase();
+    handler = async route => {
+      if (method && route.request().method() !== method) return route.fallback();
+      context.diagnostics?.markBlocked(route.request());
+      await route.abort('blockedbyclient');
+    };
+  } else if (step.action === 'delayRequest') {
+    const delay = parseDelay(step.value);
+    // Falling back after the delay lets an earlier mock (or the network) answer
+    handler = async route => {
+      await new Promise(resolve => setTimeout(resolve, delay));
+      await route.fallback();
+    };
+  } else {
+    throw new Error(`Unknown network action: ${step.action}`);
+  }
+
+  // The page may close while a delayed or mocked request is still pending
+  await page.route(url => matchUrl(url.href, pattern), route => handler(route).catch(() => {}));
+  context.installed?.add(step);
+}
+
+/**
+ * The network steps at the start of a test, which are installed before the first page load
+ */
+function leadingSteps(steps = []) {
+  const index = steps.findIndex(step => !isNetworkAction(step.action));
+  return index === -1 ? steps : steps.slice(0, index);
+}
+
+/**
+ * A mockRoute value as route.fulfill() options (plus the fixture to answer with).
+ * The value is either JSON ({ status, body, contentType, headers, fixture, method }),
+ * a bare status code ("404") or a plain-text body.
+ * @returns {{ fulfill: Object, fixture: string|null, method: string|undefined }}
+ */
+function parseResponse(value) {
+  const spec = parseSpec(value);
+  const fulfill = { status: parseInt(spec.status) || 200, headers: spec.headers || {} };
+  if (spec.fixture) {
+    // Content type comes from the fixture's extension
+  } else if (spec.body !== undefined && typeof spec.body !== 'string') {
+    fulfill.body = JSON.stringify(spec.body);
+    fulfill.contentType = 'application/json';
+  } else {
+    fulfill.body = spec.body || '';
+    fulfill.contentType = 'text/plain';
+  }
+  if (spec.contentType) fulfill.contentType = spec.contentType;
+
+  return { fulfill, fixture: spec.fixture || null, method: spec.method };
+}
+
+function parseSpec(value) {
+  if (value === undefined || value === null || String(value).trim() === '') return {};
+  const parsed = parseJson(value);
+  if (typeof parsed === 'number') return { status: parsed };
+  if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) return parsed;
+  return { body: parsed === undefined ? String(value) : parsed };
+}
+
+// Fixtures are only read from FIXTURES_DIR
+function fixturePath(name) {
+  const file = path.resolve(FIXTURES_DIR, String(name));
+  if (!file.startsWith(FIXTURES_DIR + path.sep)) {
+    throw new Error(`Fixture must be inside the fixtures directory: ${name}`);
+  }
+  if (!fs.existsSync(file)) {
+    throw new Error(`Fixture not found: ${name}`);
+  }
+  return file;
+}
+
+function parseDelay(value) {
+  const ms = parseInt(value);
+  return Number.isNaN(ms) ? DEFAULT_DELAY_MS : Math.min(Math.max(ms, 0), MAX_DELAY_MS);
+}
+
+function parseJson(value) {
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    return undefined;
+  }
+}
+
+/**
+ * Does a request URL match a step's pattern? "/regex/flags" is a regular expression,
+ * a pattern with * is a glob (** crosses slashes, * doesn't) and anything else is a
+ * substring match.
+ */
+function matchUrl(url, pattern) {
+  const regex = /^\/(.+)\/([dgimsuy]*)$/.exec(String(pattern));
+  if (regex) return new RegExp(regex[1], regex[2]).test(url);
+  if (String(pattern).includes('*')) return globToRegex(pattern).test(url);
+  return String(url).includes(String(pattern));
+}
+
+function globToRegex(glob) {
+  const source = String(glob)
+    .split('**')
+    .map(part => part.split('*').map(escapeRegex).join('[^/]*'))
+    .join('.*');
+  return new RegExp(`^${source}$`);
+}
+
+function escapeRegex(text) {
+  return text.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function describeResponse(value) {
+  const spec = parseSpec(value);
+  const status = parseInt(spec.status) || 200;
+  return spec.fixture ? `${status} from fixture ${spec.fixture}` : `status ${status}`;
+}
+
+/**
+ * Human-readable description of a network step
+ */
+function describe(step) {
+  const action = NETWORK_ACTIONS[step.action];
+  if (!action) return `${step.action} on "${step.target}"`;
+  const shortTarget = step.target?.length > 40 ? step.target.substring(0, 40) + '...' : step.target;
+  return action.describe(shortTarget, step.value);
+}
+
+module.exports = {
+  NETWORK_ACTIONS,
+  FIXTURES_DIR,
+  isNetworkAction,
+  install,
+  leadingSteps,
+  parseResponse,
+  matchUrl,
+  globToRegex,
+  describe
+};
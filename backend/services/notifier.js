@@ -0,0 +1,469 @@
+/**
+ * Run notifications
+ * Tells a user's channels when a run finishes: generic webhooks (signed with an
+ * HMAC of the body), Slack and Teams incoming webhooks, and email over SMTP.
+ * A channel can be narrowed to one site (origin) and to failed runs only.
+ */
+
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const firestoreService = require('./firestoreService');
+const bugExplainer = require('./bugExplainer');
+const testSuites = require('./testSuites');
+const smtpTransport = require('./smtpTransport');
+
+const CHANNEL_TYPES = ['webhook', 'slack', 'teams', 'email'];
+const NOTIFY_ON = ['failure', 'always'];
+// Where the share links in a notification point (the frontend)
+const APP_URL = (process.env.PUBLIC_APP_URL || 'http://localhost:3000').replace(/\/$/, '');
+const MAIL_FROM = process.env.SMTP_FROM || 'BugScout <bugscout@localhost>';
+const DELIVERY_TIMEOUT_MS = 10000;
+// Webhook signatures older than this are rejected by verifySignature
+const SIGNATURE_TOLERANCE_SECONDS = 300;
+// Failed tests run through bugExplainer per notification - each can be an LLM call
+const MAX_EXPLAINED = 5;
+// Failed tests listed in chat messages and emails; the webhook payload has all of them
+const MAX_LISTED = 10;
+
+const STATUS_ICONS = { passed: '✅', failed: '❌', error: '⚠️' };
+const STATUS_COLORS = { passed: '2eb67d', failed: 'e01e5a', error: 'ecb22e' };
+
+// Replaced by setMailTransport; otherwise built from SMTP_* on first use
+let mailTransport = null;
+
+/**
+ * Check the fields of a new or updated channel
+ * @returns {string|null} Problem description, or null when valid
+ */
+function validate(channel) {
+  if (!channel.name) return 'Channel name is required';
+  if (!CHANNEL_TYPES.includes(channel.type)) return `type must be one of ${CHANNEL_TYPES.join(', ')}`;
+  if (!NOTIFY_ON.includes(channel.notifyOn)) return `notifyOn must be one of ${NOTIFY_ON.join(', ')}`;
+
+  if (channel.type === 'email') {
+    if (channel.to.length === 0) return 'An email channel needs at least one recipient';
+    const bad = channel.to.find(a => !/^[^\s@]+@[^\s@]+$/.test(a));
+    if (bad) return `Invalid email address: ${bad}`;
+  } else {
+    if (!channel.url) return `A ${channel.type} channel needs the URL to post to`;
+    try {
+      if (!/^https?:$/.test(new URL(channel.url).protocol)) return 'Channel URL must be http(s)';
+    } catch (e) {
+      return `Invalid channel URL: ${channel.url}`;
+    }
+  }
+
+  if (channel.origin === undefined) return 'origin must be a site URL such as https://example.com';
+  return null;
+}
+
+/**
+ * Build a stored channel from request fields, keeping what an update leaves out.
+ * Webhook channels get a signing secret unless one is given.
+ * @param {Object} fields - name, type, url, to, secret, origin, notifyOn, enabled
+ * @param {Object} existing - Current channel when updating
+ */
+function buildChannel(fields, existing = {}) {
+  const pick = key => (fields[key] !== undefined ? fields[key] : existing[key]);
+  const type = pick('type');
+  const to = pick('to') || [];
+
+  let secret = pick('secret') || null;
+  if (type === 'webhook' && (!secret || fields.rotateSecret)) {
+    secret = crypto.randomBytes(24).toString('hex');
+  }
+
+  return {
+    name: (pick('name') || '').trim(),
+    type,
+    url: type === 'email' ? null : (pick('url') || '').trim(),
+    to: type === 'email' ? (Array.isArray(to) ? to : String(to).split(',')).map(a => a.trim()).filter(Boolean) : [],
+    secret: type === 'webhook' ? secret : null,
+    origin: originOf(pick('origin')),
+    notifyOn: pick('notifyOn') || 'failure',
+    enabled: pick('enabled') !== false
+  };
+}
+
+// '' / null -> null (every site); a URL -> its origin; garbage -> undefined (invalid)
+function originOf(value) {
+  if (!value) return null;
+  try {
+    return new URL(value).origin;
+  } catch (e) {
+    return undefined;
+  }
+}
+
+/**
+ * Use another mail transport - anything with sendMail({ from, to, subject, text, html })
+ * @param {Object|null} transport - null goes back to the SMTP_* settings
+ */
+function setMailTransport(transport) {
+  mailTransport = transport;
+}
+
+function getMailTransport() {
+  if (!mailTransport && process.env.SMTP_HOST) {
+    mailTransport = smtpTransport.createTransport({
+      host: process.env.SMTP_HOST,
+      port: process.env.SMTP_PORT,
+      secure: process.env.SMTP_SECURE === 'true',
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS,
+      allowInsecureAuth: process.env.SMTP_ALLOW_INSECURE_AUTH === 'true'
+    });
+  }
+  return mailTransport;
+}
+
+/**
+ * Tell the user's matching channels that a run finished. Never throws: a broken
+ * channel must not fail the run it reports on.
+ * @param {Object} event
+ * @param {string} event.userId - Whose channels are told
+ * @param {Object} event.source - { type: 'testRun' | 'schedule', id, name, trigger }
+ * @param {Array} event.testRuns - The runs as stored after executing
+ * @param {string} event.error - Why the run as a whole couldn't finish
+ * @returns {Promise<Array>} One delivery result per channel
+ */
+async function notify(event) {
+  try {
+    const status = statusOf(event);
+    const channels = (await firestoreService.getNotificationChannels(event.userId || null))
+      .filter(c => c.enabled && matches(c, event.testRuns, status));
+    if (channels.length === 0) return [];
+
+    const payload = await buildPayload(event, status);
+    return await Promise.all(channels.map(channel => deliver(channel, payload)));
+  } catch (error) {
+    console.error('[Notifier] Could not send notifications:', error.message);
+    return [];
+  }
+}
+
+function statusOf({ testRuns, error }) {
+  if (error || testRuns.length === 0 || testRuns.every(r => r.status === 'error')) return 'error';
+  return summaryOf(testRuns).runsFailed > 0 ? 'failed' : 'passed';
+}
+
+// An errored run still carries the tests of its previous execution; they don't count
+function summaryOf(testRuns) {
+  return testSuites.summarize(testRuns.map(r => (r.status === 'error' ? { ...r, tests: [] } : r)));
+}
+
+function matches(channel, testRuns, status) {
+  if (channel.notifyOn !== 'always' && status === 'passed') return false;
+  if (!channel.origin) return true;
+  return testRuns.some(r => originOf(r.url) === channel.origin);
+}
+
+/**
+ * What every channel is told, in webhook form. Chat and email messages are
+ * rendered from it.
+ */
+async function buildPayload({ source, testRuns, error = null }, status) {
+  const runs = [];
+  const failedTests = [];
+
+  for (const testRun of testRuns) {
+    const tests = testRun.status === 'error' ? [] : (testRun.tests || []);
+    const failed = tests.filter(t => t.status === 'fail');
+    runs.push({
+      testRunId: testRun.id,
+      url: testRun.url,
+      status: testRun.status,
+      error: testRun.status === 'error' ? testRun.error || null : null,
+      total: tests.length,
+      passed: tests.filter(t => t.status === 'pass').length,
+      failed: failed.length,
+      flaky: tests.filter(t => t.flaky).length,
+      shareUrl: await shareUrlFor(testRun)
+    });
+    failed.forEach(test => failedTests.push({ testRun, test }));
+  }
+
+  return {
+    id: uuidv4(),
+    event: `run.${status}`,
+    createdAt: new Date().toISOString(),
+    source,
+    status,
+    error,
+    summary: summaryOf(testRuns),
+    shareUrl: runs.length === 1 ? runs[0].shareUrl : null,
+    runs,
+    failedTests: await Promise.all(failedTests.map(async ({ testRun, test }, index) => ({
+      testRunId: testRun.id,
+      url: testRun.url,
+      testId: test.id,
+      name: test.name,
+      error: test.error || null,
+      flaky: !!test.flaky,
+      explanation: index < MAX_EXPLAINED ? await explain(test, testRun) : null
+    })))
+  };
+}
+
+async function explain(test, testRun) {
+  const explanation = test.explanation || await bugExplainer.explainFailure(test, testRun.pageData);
+  if (!explanation) return null;
+  return { summary: explanation.summary, severity: explanation.severity, suggestedFix: explanation.suggestedFix };
+}
+
+// Link the run's report only when its owner shared it; notifications never publish a run
+async function shareUrlFor(testRun) {
+  if (!testRun.shareId) return null;
+  const share = await firestoreService.getShareLink(testRun.shareId);
+  if (!share || (share.expiresAt && new Date(share.expiresAt) < new Date())) return null;
+  return `${APP_URL}/share/${share.shareId}`;
+}
+
+/**
+ * Send a payload to one channel and remember how it went on the channel
+ */
+async function deliver(channel, payload) {
+  const startedAt = Date.now();
+  const delivery = { at: new Date().toISOString(), event: payload.event, ok: true, status: null, error: null };
+
+  try {
+    delivery.status = channel.type === 'email' ? await sendEmail(channel, payload) : await post(channel, payload);
+  } catch (error) {
+    delivery.ok = false;
+    delivery.error = error.message;
+    console.warn(`[Notifier] ${channel.type} channel "${channel.name}" failed:`, error.message);
+  }
+  delivery.durationMs = Date.now() - startedAt;
+
+  await firestoreService.updateNotificationChannel(channel.id, { lastDelivery: delivery });
+  return { channelId: channel.id, name: channel.name, type: channel.type, ...delivery };
+}
+
+async function post(channel, payload) {
+  const body = JSON.stringify(formatters[channel.type](payload));
+  const headers = { 'Content-Type': 'application/json', 'User-Agent': 'BugScout-Notifier' };
+
+  if (channel.type === 'webhook') {
+    const timestamp = Math.floor(Date.now() / 1000);
+    Object.assign(headers, {
+      'X-BugScout-Event': payload.event,
+      'X-BugScout-Delivery': payload.id,
+      'X-BugScout-Channel': channel.id,
+      'X-BugScout-Timestamp': String(timestamp),
+      'X-BugScout-Signature': sign(channel.secret, timestamp, body)
+    });
+  }
+
+  const response = await fetch(channel.url, {
+    method: 'POST',
+    headers,
+    body,
+    signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS)
+  });
+  if (!response.ok) {
+    throw new Error(`Receiver replied ${response.status} ${response.statusText}`.trim());
+  }
+  return response.status;
+}
+
+async function sendEmail(channel, payload) {
+  const transport = getMailTransport();
+  if (!transport) {
+    throw new Error('Email is not configured - set SMTP_HOST');
+  }
+  await transport.sendMail({
+    from: MAIL_FROM,
+    to: channel.to,
+    subject: headline(payload),
+    text: emailText(payload),
+    html: emailHtml(payload)
+  });
+  return 'sent';
+}
+
+/**
+ * Webhook signature: "sha256=" + hex HMAC-SHA256 of "<timestamp>.<raw body>"
+ */
+function sign(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+/**
+ * Check a received webhook the way a receiver should: signature over the raw body,
+ * and a timestamp recent enough that the request isn't a replay
+ * @param {string} secret - The channel's secret
+ * @param {Object} headers - Request headers (lower-cased, as Node gives them)
+ * @param {string|Buffer} rawBody - The body exactly as received
+ * @returns {string|null} Problem description, or null when valid
+ */
+function verifySignature(secret, headers, rawBody) {
+  const timestamp = parseInt(headers['x-bugscout-timestamp']);
+  const signature = headers['x-bugscout-signature'] || '';
+  if (!timestamp || !signature) return 'Missing signature headers';
+  if (Math.abs(Date.now() / 1000 - timestamp) > SIGNATURE_TOLERANCE_SECONDS) return 'Timestamp outside the tolerance window';
+
+  const expected = Buffer.from(sign(secret, timestamp, rawBody.toString('utf8')));
+  const received = Buffer.from(signature);
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return 'Signature mismatch';
+  }
+  return null;
+}
+
+function headline(payload) {
+  const { summary, source } = payload;
+  const icon = STATUS_ICONS[payload.status];
+  if (payload.status === 'error') {
+    return `${icon} ${source.name} could not run${payload.error ? `: ${payload.error}` : ''}`;
+  }
+  if (payload.status === 'failed') {
+    return `${icon} ${source.name}: ${summary.failed} of ${summary.tests} tests failed`;
+  }
+  return `${icon} ${source.name}: all ${summary.tests} tests passed`;
+}
+
+function summaryLine({ summary }) {
+  const parts = [`${summary.passed} passed`, `${summary.failed} failed`];
+  if (summary.flaky > 0) parts.push(`${summary.flaky} flaky`);
+  if (summary.runs > 1) parts.push(`${summary.runs} test runs`);
+  if (summary.passRate !== null) parts.push(`${summary.passRate}% pass rate`);
+  return parts.join(' · ');
+}
+
+function failureLines(payload) {
+  const lines = payload.failedTests.slice(0, MAX_LISTED).map(t =>
+    `• ${t.name}${t.explanation ? ` - ${t.explanation.summary}` : t.error ? ` - ${t.error}` : ''}`
+  );
+  const more = payload.failedTests.length - MAX_LISTED;
+  if (more > 0) lines.push(`…and ${more} more`);
+  return lines;
+}
+
+function reportLinks(payload) {
+  if (payload.shareUrl) return [{ label: 'View report', url: payload.shareUrl }];
+  return payload.runs.filter(r => r.shareUrl).map(r => ({ label: `Report: ${r.url}`, url: r.shareUrl }));
+}
+
+// Payload shape per channel type
+const formatters = {
+  webhook: payload => payload,
+
+  slack: payload => {
+    const blocks = [
+      { type: 'section', text: { type: 'mrkdwn', text: `*${headline(payload)}*\n${summaryLine(payload)}` } }
+    ];
+    if (payload.failedTests.length > 0) {
+      blocks.push({ type: 'section', text: { type: 'mrkdwn', text: failureLines(payload).join('\n') } });
+    }
+    blocks.push({
+      type: 'actions',
+      elements: reportLinks(payload).slice(0, 5).map(link => ({
+        type: 'button',
+        text: { type: 'plain_text', text: link.label.slice(0, 75) },
+        url: link.url
+      }))
+    });
+    return { text: headline(payload), blocks };
+  },
+
+  teams: payload => ({
+    '@type': 'MessageCard',
+    '@context': 'https://schema.org/extensions',
+    summary: headline(payload),
+    themeColor: STATUS_COLORS[payload.status],
+    title: headline(payload),
+    sections: [
+      {
+        text: summaryLine(payload),
+        facts: payload.failedTests.slice(0, MAX_LISTED).map(t => ({
+          name: t.name,
+          value: t.explanation?.summary || t.error || 'Failed'
+        }))
+      }
+    ],
+    potentialAction: reportLinks(payload).map(link => ({
+      '@type': 'OpenUri',
+      name: link.label,
+      targets: [{ os: 'default', uri: link.url }]
+    }))
+  })
+};
+
+function emailText(payload) {
+  return [
+    headline(payload),
+    summaryLine(payload),
+    '',
+    ...failureLines(payload),
+    '',
+    ...reportLinks(payload).map(link => `${link.label}: ${link.url}`)
+  ].join('\n');
+}
+
+function emailHtml(payload) {
+  const failures = payload.failedTests.slice(0, MAX_LISTED).map(t => `
+    <li><strong>${escapeHtml(t.name)}</strong>${t.error ? `<br><code>${escapeHtml(t.error)}</code>` : ''}
+      ${t.explanation ? `<br>${escapeHtml(t.explanation.summary)}<br><em>Suggested fix:</em> ${escapeHtml(t.explanation.suggestedFix)}` : ''}</li>`
+  ).join('');
+  const more = payload.failedTests.length - MAX_LISTED;
+
+  return `<div style="font-family: sans-serif">
+  <h2 style="color: #${STATUS_COLORS[payload.status]}">${escapeHtml(headline(payload))}</h2>
+  <p>${escapeHtml(summaryLine(payload))}</p>
+  ${failures ? `<ul>${failures}</ul>` : ''}
+  ${more > 0 ? `<p>…and ${more} more failed tests</p>` : ''}
+  <p>${reportLinks(payload).map(link => `<a href="${escapeHtml(link.url)}">${escapeHtml(link.label)}</a>`).join('<br>')}</p>
+</div>`;
+}
+
+function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Send a made-up failed run to a channel, to check it is wired up
+ */
+async function sendTest(channel) {
+  const payload = {
+    id: uuidv4(),
+    event: 'run.failed',
+    createdAt: new Date().toISOString(),
+    test: true,
+    source: { type: 'test', id: channel.id, name: 'BugScout test notification', trigger: 'manual' },
+    status: 'failed',
+    error: null,
+    summary: { runs: 1, runsPassed: 0, runsFailed: 1, runsPending: 0, tests: 2, passed: 1, failed: 1, flaky: 0, pending: 0, passRate: 50 },
+    shareUrl: `${APP_URL}/share/example`,
+    runs: [{ testRunId: 'example', url: 'https://example.com/login', status: 'completed_with_failures', error: null, total: 2, passed: 1, failed: 1, flaky: 0, shareUrl: `${APP_URL}/share/example` }],
+    failedTests: [{
+      testRunId: 'example',
+      url: 'https://example.com/login',
+      testId: 'test_1',
+      name: 'Login with valid credentials',
+      error: 'Element not found: #submit',
+      flaky: false,
+      explanation: {
+        summary: 'The test couldn\'t find an element on the page',
+        severity: 'medium',
+        suggestedFix: 'Verify the element exists on the page and update the selector if needed.'
+      }
+    }]
+  };
+  return deliver(channel, payload);
+}
+
+module.exports = {
+  validate,
+  buildChannel,
+  setMailTransport,
+  notify,
+  sendTest,
+  sign,
+  verifySignature,
+  CHANNEL_TYPES,
+  NOTIFY_ON
+};
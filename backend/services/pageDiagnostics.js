@@ -0,0 +1,132 @@
+/**
+ * Page diagnostics
+ * Collects what the browser reports while a test runs: console messages by level,
+ * uncaught exceptions (pageerror) and requests that failed or got a 4xx/5xx response.
+ * Every entry records the step that was running (0 = page load), so a failure can be
+ * read next to the errors that led up to it.
+ */
+
+// Entries kept per list; counts keep going past it
+const MAX_ENTRIES = 100;
+const MAX_TEXT = 1000;
+const MAX_STACK = 2000;
+
+// Fail a test on a new uncaught JS error when neither the test nor its run says otherwise
+const FAIL_ON_JS_ERROR = process.env.FAIL_ON_JS_ERROR === 'true';
+
+/**
+ * Start collecting a page's console, exceptions and failed requests
+ * @param {Object} page - Playwright page
+ * @returns {{ setStep: Function, markBlocked: Function, takeNewErrors: Function, result: Function }}
+ */
+function attach(page) {
+  let step = 0;
+  const blocked = new WeakSet(); // Requests the executor aborted itself
+  let errorsSeen = 0;
+  const diagnostics = { console: [], pageErrors: [], failedRequests: [] };
+  const counts = { console: {}, pageErrors: 0, failedRequests: 0 };
+
+  const add = (list, entry) => {
+    if (list.length < MAX_ENTRIES) list.push({ ...entry, step, timestamp: Date.now() });
+  };
+
+  page.on('console', msg => {
+    const level = msg.type();
+    counts.console[level] = (counts.console[level] || 0) + 1;
+    add(diagnostics.console, { level, text: msg.text().substring(0, MAX_TEXT), location: formatLocation(msg.location()) });
+  });
+
+  page.on('pageerror', error => {
+    counts.pageErrors++;
+    add(diagnostics.pageErrors, { message: String(error.message || error).substring(0, MAX_TEXT), stack: error.stack?.substring(0, MAX_STACK) || null });
+  });
+
+  page.on('requestfailed', req => {
+    // Blocked on purpose (blockRequest steps, skipped images and fonts) - recorded when
+    // aborted, since each browser words the failure differently
+    if (blocked.has(req)) return;
+    const errorText = req.failure()?.errorText || 'Request failed';
+    counts.failedRequests++;
+    add(diagnostics.failedRequests, { url: req.url(), method: req.method(), resourceType: req.resourceType(), status: null, error: errorText });
+  });
+
+  page.on('response', res => {
+    if (res.status() < 400) return;
+    counts.failedRequests++;
+    add(diagnostics.failedRequests, { url: res.url(), method: res.request().method(), resourceType: res.request().resourceType(), status: res.status(), error: res.statusText() || null });
+  });
+
+  return {
+    setStep(number) {
+      step = number;
+    },
+    // A request about to be aborted on purpose, so its failure isn't reported
+    markBlocked(request) {
+      blocked.add(request);
+    },
+    // Uncaught errors since the last call, for the fail-on-JS-error rule
+    takeNewErrors() {
+      const fresh = counts.pageErrors - errorsSeen;
+      errorsSeen = counts.pageErrors;
+      return fresh > 0 ? diagnostics.pageErrors.slice(-Math.min(fresh, diagnostics.pageErrors.length)) : [];
+    },
+    result() {
+      return { ...diagnostics, counts: { ...counts, console: { ...counts.console } } };
+    }
+  };
+}
+
+function formatLocation(location) {
+  if (!location?.url) return null;
+  return `${location.url}:${(location.lineNumber ?? 0) + 1}`;
+}
+
+/**
+ * Whether a test fails on uncaught JS errors: test setting, else run setting, else FAIL_ON_JS_ERROR
+ */
+function failOnJsErrorFor(test, testRun) {
+  return Boolean(test.failOnJsError ?? testRun.failOnJsError ?? FAIL_ON_JS_ERROR);
+}
+
+/**
+ * Anything worth showing? Console logs alone don't count.
+ */
+function hasProblems(diagnostics) {
+  if (!diagnostics?.counts) return false;
+  const { console: levels, pageErrors, failedRequests } = diagnostics.counts;
+  return pageErrors > 0 || failedRequests > 0 || (levels.error || 0) > 0 || (levels.warning || 0) > 0;
+}
+
+/**
+ * One-line summary, e.g. "1 page error · 2 console errors · 3 failed requests"
+ */
+function summarize(diagnostics) {
+  if (!diagnostics?.counts) return '';
+  const { console: levels, pageErrors, failedRequests } = diagnostics.counts;
+  return [
+    [pageErrors, 'page error'],
+    [levels.error || 0, 'console error'],
+    [levels.warning || 0, 'console warning'],
+    [failedRequests, 'failed request']
+  ]
+    .filter(([count]) => count > 0)
+    .map(([count, label]) => `${count} ${label}${count === 1 ? '' : 's'}`)
+    .join(' · ');
+}
+
+/**
+ * A failed request as one line: "GET https://... → 500 Internal Server Error"
+ */
+function describeRequest(entry) {
+  const outcome = entry.status ? `${entry.status}${entry.error ? ' ' + entry.error : ''}` : entry.error;
+  return `${entry.method} ${entry.url} → ${outcome}`;
+}
+
+module.exports = {
+  FAIL_ON_JS_ERROR,
+  attach,
+  failOnJsErrorFor,
+  hasProblems,
+  summarize,
+  describeRequest
+};
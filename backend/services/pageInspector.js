@@ -1,190 +1,138 @@
-const { chromium } = require('playwright');
+const browserPool = require('./browserPool');
+const deviceProfiles = require('./deviceProfiles');
 
-async function inspect(url) {
-  const browser = await chromium.launch({
-    headless: true,
-    args: [
-      '--no-sandbox', 
-      '--disable-setuid-sandbox',
-      '--disable-blink-features=AutomationControlled',
-      '--disable-infobars',
-      '--disable-dev-shm-usage',
-      '--disable-gpu',
-      '--single-process',
-      '--no-zygote',
-      '--disable-extensions',
-      '--window-size=1280,720',
-      '--disable-background-networking',
-      '--disable-default-apps',
-      '--disable-sync',
-      '--disable-translate',
-      '--hide-scrollbars',
-      '--metrics-recording-only',
-      '--mute-audio',
-      '--no-first-run',
-      '--js-flags=--max-old-space-size=256'
-    ]
+/**
+ * Load a page and extract its interactive elements
+ * @param {string} url
+ * @param {Object} options
+ * @param {Object} options.storageState - Logged-in state from an auth profile
+ * @param {string} options.device - Device profile to inspect the page as (see deviceProfiles)
+ */
+async function inspect(url, options = {}) {
+  return withInspectionContext(options, async (context) => {
+    const page = await context.newPage();
+    const pageData = await inspectPage(page, url);
+    return options.device ? { ...pageData, device: options.device } : pageData;
   });
-  
-  try {
-    const context = await browser.newContext({
-      viewport: { width: 1280, height: 720 },
-      userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-      locale: 'en-US',
-      timezoneId: 'America/New_York',
-      javaScriptEnabled: true
-    });
-    
+}
+
+/**
+ * Run fn with a pooled context that looks like a regular desktop browser,
+ * or like the given device (mobile layouts have different elements)
+ * @param {Object} options - { storageState, device }
+ * @param {Function} fn - async (context) => result
+ */
+function withInspectionContext(options, fn) {
+  const emulation = options.device
+    ? deviceProfiles.contextOptions(options.device)
+    : {
+        viewport: { width: 1280, height: 720 },
+        userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
+      };
+  return browserPool.withContext({
+    ...(options.storageState && { storageState: options.storageState }),
+    ...emulation,
+    locale: 'en-US',
+    timezoneId: 'America/New_York',
+    javaScriptEnabled: true
+  }, async (context) => {
     await context.addInitScript(() => {
       Object.defineProperty(navigator, 'webdriver', { get: () => undefined });
       Object.defineProperty(navigator, 'plugins', { get: () => [1, 2, 3, 4, 5] });
       Object.defineProperty(navigator, 'languages', { get: () => ['en-US', 'en'] });
       window.chrome = { runtime: {} };
     });
-    
-    const page = await context.newPage();
-    
-    await page.setExtraHTTPHeaders({
-      'Accept-Language': 'en-US,en;q=0.9',
-      'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
-      'Cache-Control': 'no-cache',
-      'Pragma': 'no-cache'
-    });
-    
-    // Navigate with retry logic
-    let retries = 3;
-    while (retries > 0) {
-      try {
-        await page.goto(url, { waitUntil: 'domcontentloaded', timeout: 30000 });
-        break;
-      } catch (navError) {
-        retries--;
-        if (retries === 0) {
-          console.warn(`Navigation warning for ${url}:`, navError.message);
-        }
-        await page.waitForTimeout(1000);
+    return fn(context);
+  });
+}
+
+/**
+ * Navigate an open page to url, then extract its elements and page type
+ * @param {Object} page - Playwright page from withInspectionContext
+ * @param {string} url
+ */
+async function inspectPage(page, url) {
+  await page.setExtraHTTPHeaders({
+    'Accept-Language': 'en-US,en;q=0.9',
+    'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
+    'Cache-Control': 'no-cache',
+    'Pragma': 'no-cache'
+  });
+  
+  // Navigate with retry logic
+  let retries = 3;
+  while (retries > 0) {
+    try {
+      await page.goto(url, { waitUntil: 'domcontentloaded', timeout: 30000 });
+      break;
+    } catch (navError) {
+      retries--;
+      if (retries === 0) {
+        console.warn(`Navigation warning for ${url}:`, navError.message);
       }
+      await page.waitForTimeout(1000);
     }
-    
-    // Enhanced SPA content loading
-    await waitForSPAContent(page);
-    
-    // Check if page has content
-    let bodyContent = 0;
+  }
+  
+  // Enhanced SPA content loading
+  await waitForSPAContent(page);
+  
+  // Check if page has content
+  let bodyContent = 0;
+  for (let i = 0; i < 3; i++) {
+    try {
+      bodyContent = await page.evaluate(() => document.body?.innerHTML?.length || 0);
+      break;
+    } catch (e) {
+      if (e.message.includes('Execution context was destroyed')) {
+        await page.waitForTimeout(2000);
+        continue;
+      }
+      throw e;
+    }
+  }
+  
+  if (bodyContent < 100) {
+    throw new Error('Page appears to be blocked or empty. The website may have bot protection.');
+  }
+  
+  const screenshot = await page.screenshot({ fullPage: false, type: 'jpeg', quality: 60 });
+  const screenshotBase64 = screenshot.toString('base64');
+  
+  const safeEvaluate = async (fn, defaultValue) => {
     for (let i = 0; i < 3; i++) {
       try {
-        bodyContent = await page.evaluate(() => document.body?.innerHTML?.length || 0);
-        break;
+        return await page.evaluate(fn);
       } catch (e) {
         if (e.message.includes('Execution context was destroyed')) {
-          await page.waitForTimeout(2000);
+          await page.waitForTimeout(1500);
           continue;
         }
         throw e;
       }
     }
-    
-    if (bodyContent < 100) {
-      throw new Error('Page appears to be blocked or empty. The website may have bot protection.');
-    }
-    
-    const screenshot = await page.screenshot({ fullPage: false, type: 'jpeg', quality: 60 });
-    const screenshotBase64 = screenshot.toString('base64');
-    
-    const safeEvaluate = async (fn, defaultValue) => {
-      for (let i = 0; i < 3; i++) {
-        try {
-          return await page.evaluate(fn);
-        } catch (e) {
-          if (e.message.includes('Execution context was destroyed')) {
-            await page.waitForTimeout(1500);
-            continue;
-          }
-          throw e;
-        }
-      }
-      return defaultValue;
-    };
-    
-    const visibleText = await safeEvaluate(() => {
-      return document.body?.innerText?.substring(0, 2000) || '';
-    }, '');
-    
-    // Extract elements from main document
-    const mainElements = await safeEvaluate(() => extractInteractiveElements(document), []);
-    
-    // Extract elements from Shadow DOM
-    const shadowElements = await safeEvaluate(() => {
-      const elements = [];
-      const shadowHosts = document.querySelectorAll('*');
-      
-      shadowHosts.forEach(host => {
-        if (host.shadowRoot) {
-          const shadowEls = extractInteractiveElements(host.shadowRoot, host);
-          elements.push(...shadowEls);
-        }
-      });
-      
-      return elements;
-    }, []);
-    
-    // Extract elements from iframes (same-origin only)
-    let iframeElements = [];
-    try {
-      const frames = page.frames();
-      for (const frame of frames) {
-        if (frame === page.mainFrame()) continue;
-        try {
-          const frameEls = await frame.evaluate(() => {
-            if (typeof extractInteractiveElements === 'function') {
-              return extractInteractiveElements(document);
-            }
-            return [];
-          });
-          iframeElements.push(...frameEls.map(el => ({
-            ...el,
-            selector: `iframe >> ${el.selector}`,
-            inIframe: true
-          })));
-        } catch (e) {
-          // Cross-origin iframe, skip
-        }
-      }
-    } catch (e) {
-      // Ignore iframe errors
-    }
-    
-    // Combine and deduplicate elements
-    const allElements = [...mainElements, ...shadowElements, ...iframeElements];
-    const seen = new Set();
-    const elements = allElements.filter(el => {
-      if (!el || !el.selector) return false;
-      const key = el.selector + el.visibleText;
-      if (seen.has(key)) return false;
-      seen.add(key);
-      return true;
-    }).slice(0, 80);
-    
-    const pageType = detectPageType(elements || [], visibleText);
-    
-    return {
-      url,
-      pageType,
-      visibleText,
-      elements,
-      screenshot: screenshotBase64
-    };
-  } finally {
-    await browser.close();
-  }
+    return defaultValue;
+  };
+  
+  const visibleText = await safeEvaluate(() => {
+    return document.body?.innerText?.substring(0, 2000) || '';
+  }, '');
+  
+  const elements = await collectElements(page, safeEvaluate);
+  
+  const pageType = detectPageType(elements || [], visibleText);
+  
+  return {
+    url,
+    pageType,
+    visibleText,
+    elements,
+    screenshot: screenshotBase64
+  };
 }
 
-// Inject the extraction function into page context
-
-async function waitForSPAContent(page) {
-  // Inject the element extraction function first
-  await page.addScriptTag({
-    content: `
+// Element extraction, run inside the page. Defines window.extractInteractiveElements(root, shadowHost).
+const EXTRACTOR_SCRIPT = `
       window.extractInteractiveElements = function(root, shadowHost) {
         const interactiveSelectors = [
           'input:not([type="hidden"])',
@@ -281,7 +229,23 @@ async function waitForSPAContent(page) {
             title,
             href: href ? href.substring(0, 100) : '',
             role: getElementRole(tagName, type, role),
-            bounds: { x: Math.round(rect.x), y: Math.round(rect.y), w: Math.round(rect.width), h: Math.round(rect.height) }
+            group: getElementGroup(el, root),
+            bounds: { x: Math.round(rect.x), y: Math.round(rect.y), w: Math.round(rect.width), h: Math.round(rect.height) },
+            // Everything selectorHealer needs to find this element again if its selector breaks
+            fingerprint: {
+              tag: tagName,
+              text: visibleText.replace(/\\s+/g, ' ').substring(0, 100),
+              ariaLabel,
+              name,
+              placeholder,
+              type,
+              id,
+              testId: el.getAttribute('data-testid') || el.getAttribute('data-cy') || el.getAttribute('data-test') || el.getAttribute('data-qa') || '',
+              role,
+              href: href ? href.substring(0, 100) : '',
+              bounds: { x: Math.round(rect.x + window.scrollX), y: Math.round(rect.y + window.scrollY), w: Math.round(rect.width), h: Math.round(rect.height) },
+              labels: getNeighbourLabels(el, root)
+            }
           });
           idx++;
         }
@@ -411,6 +375,42 @@ async function waitForSPAContent(page) {
           return str.replace(/"/g, '\\\\"').replace(/\\n/g, ' ').trim();
         }
         
+        // Text of the labels around an element: <label for>, a wrapping <label>,
+        // aria-labelledby, a fieldset legend and the element just before it
+        function getNeighbourLabels(el, root) {
+          const labels = [];
+          const add = (text) => {
+            const clean = (text || '').replace(/\\s+/g, ' ').trim().substring(0, 60);
+            if (clean && !labels.includes(clean)) labels.push(clean);
+          };
+          const id = el.getAttribute('id');
+          if (id) {
+            root.querySelectorAll('label[for="' + CSS.escape(id) + '"]').forEach(label => add(label.innerText));
+          }
+          const wrapping = el.closest('label');
+          if (wrapping && wrapping !== el) add(wrapping.innerText);
+          (el.getAttribute('aria-labelledby') || '').split(/\\s+/).filter(Boolean).forEach(ref => {
+            const labelEl = root.getElementById ? root.getElementById(ref) : document.getElementById(ref);
+            if (labelEl) add(labelEl.innerText);
+          });
+          const legend = el.closest('fieldset')?.querySelector('legend');
+          if (legend) add(legend.innerText);
+          const prev = el.previousElementSibling;
+          if (prev && prev.innerText && prev.innerText.length < 80) add(prev.innerText);
+          return labels.slice(0, 4);
+        }
+        
+        // The form or landmark an element belongs to, used to plan tests per group
+        function getElementGroup(el, root) {
+          const container = el.closest('form, nav, header, footer, aside, dialog, [role="dialog"], [role="search"], [role="navigation"]');
+          if (!container) return 'page';
+          const tag = container.tagName.toLowerCase();
+          const kind = container.getAttribute('role') || tag;
+          const label = container.getAttribute('aria-label') || container.getAttribute('id') || container.getAttribute('name');
+          if (label) return kind + ':' + label.substring(0, 30);
+          return kind + ':' + Array.from(root.querySelectorAll(tag)).indexOf(container);
+        }
+        
         function getElementRole(tag, type, ariaRole) {
           if (ariaRole) {
             const roleMap = {
@@ -439,8 +439,79 @@ async function waitForSPAContent(page) {
           return tagMap[tag] || 'interactive';
         }
       };
-    `
-  }).catch(() => {});
+`;
+
+// Inject the extraction function into page context
+async function injectExtractor(page) {
+  await page.addScriptTag({ content: EXTRACTOR_SCRIPT }).catch(() => {});
+}
+
+/**
+ * Extract interactive elements from the page, its shadow roots and
+ * same-origin iframes. The extractor must already be injected.
+ * @param {Object} page - Playwright page
+ * @param {Function} evaluate - (fn, defaultValue) => result, to add retries around page.evaluate
+ */
+async function collectElements(page, evaluate = (fn, defaultValue) => page.evaluate(fn).catch(() => defaultValue)) {
+  // Extract elements from main document
+  const mainElements = await evaluate(() => extractInteractiveElements(document), []);
+  
+  // Extract elements from Shadow DOM
+  const shadowElements = await evaluate(() => {
+    const elements = [];
+    const shadowHosts = document.querySelectorAll('*');
+    
+    shadowHosts.forEach(host => {
+      if (host.shadowRoot) {
+        const shadowEls = extractInteractiveElements(host.shadowRoot, host);
+        elements.push(...shadowEls);
+      }
+    });
+    
+    return elements;
+  }, []);
+  
+  // Extract elements from iframes (same-origin only)
+  let iframeElements = [];
+  try {
+    const frames = page.frames();
+    for (const frame of frames) {
+      if (frame === page.mainFrame()) continue;
+      try {
+        const frameEls = await frame.evaluate(() => {
+          if (typeof extractInteractiveElements === 'function') {
+            return extractInteractiveElements(document);
+          }
+          return [];
+        });
+        iframeElements.push(...frameEls.map(el => ({
+          ...el,
+          selector: `iframe >> ${el.selector}`,
+          inIframe: true
+        })));
+      } catch (e) {
+        // Cross-origin iframe, skip
+      }
+    }
+  } catch (e) {
+    // Ignore iframe errors
+  }
+  
+  // Combine and deduplicate elements
+  const allElements = [...mainElements, ...shadowElements, ...iframeElements];
+  const seen = new Set();
+  return allElements.filter(el => {
+    if (!el || !el.selector) return false;
+    const key = el.selector + el.visibleText;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  }).slice(0, 80);
+}
+
+async function waitForSPAContent(page) {
+  // Inject the element extraction function first
+  await injectExtractor(page);
   
   // Strategy 1: Wait for network idle
   try {
@@ -561,4 +632,4 @@ function detectPageType(elements, text) {
   return 'other';
 }
 
-module.exports = { inspect };
+module.exports = { inspect, withInspectionContext, inspectPage, injectExtractor, collectElements };
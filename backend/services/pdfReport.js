@@ -0,0 +1,36 @@
+/**
+ * PDF report
+ * The HTML report's print layout (cover page, summary, tests with screenshots,
+ * accessibility and performance) printed to PDF by the pooled headless Chromium.
+ */
+
+const browserPool = require('./browserPool');
+const htmlReport = require('./htmlReport');
+
+/**
+ * Render a test run as a PDF
+ * @param {Object} testRun - A run as returned by htmlReport.sharedView()
+ * @param {Object} options - Same as htmlReport.render(): accessibility, performance, sharedAt
+ * @returns {Promise<{ filename: string, contentType: string, content: Buffer }>}
+ */
+async function render(testRun, options = {}) {
+  const { content: html } = await htmlReport.render(testRun, { ...options, print: true });
+
+  const pdf = await browserPool.withContext({}, async (context) => {
+    const page = await context.newPage();
+    // Screenshots are inlined, so nothing is fetched while loading
+    await page.setContent(html, { waitUntil: 'load', timeout: 30000 });
+    return page.pdf({
+      format: 'A4',
+      printBackground: true,
+      margin: { top: '18mm', bottom: '18mm', left: '14mm', right: '14mm' },
+      displayHeaderFooter: true,
+      headerTemplate: `<div style="font-size:8px;color:#9ca3af;width:100%;padding:0 14mm;">BugScout · ${htmlReport.escapeHtml(testRun.url)}</div>`,
+      footerTemplate: '<div style="font-size:8px;color:#9ca3af;width:100%;text-align:right;padding:0 14mm;"><span class="pageNumber"></span> / <span class="totalPages"></span></div>'
+    });
+  });
+
+  return { filename: `bugscout-report-${testRun.id}.pdf`, contentType: 'application/pdf', content: pdf };
+}
+
+module.exports = { render };
@@ -1,12 +1,13 @@
-const { chromium } = require('playwright');
+const browserPool = require('./browserPool');
 
 /**
  * Analyze page performance using Google PageSpeed Insights API (primary)
- * with Playwright fallback for when API is unavailable
+ * with Playwright fallback for when API is unavailable.
+ * Pages behind a login (options.storageState) are only reachable from Playwright.
  */
-async function analyze(url) {
+async function analyze(url, options = {}) {
   // Try PageSpeed Insights API first (more accurate)
-  if (process.env.PAGESPEED_API_KEY) {
+  if (process.env.PAGESPEED_API_KEY && !options.storageState) {
     try {
       console.log(`[Perf] Using PageSpeed Insights API for: ${url}`);
       const result = await analyzeWithPageSpeed(url);
@@ -21,7 +22,7 @@ async function analyze(url) {
   
   // Fallback to Playwright-based analysis
   console.log(`[Perf] Using Playwright analysis for: ${url}`);
-  return analyzeWithPlaywright(url);
+  return analyzeWithPlaywright(url, options);
 }
 
 /**
@@ -169,28 +170,7 @@ function getTbtRating(ms) {
 /**
  * Fallback: Analyze using Playwright (when API unavailable)
  */
-async function analyzeWithPlaywright(url) {
-  const browser = await chromium.launch({
-    headless: true,
-    args: [
-      '--no-sandbox',
-      '--disable-setuid-sandbox',
-      '--disable-dev-shm-usage',
-      '--disable-gpu',
-      '--single-process',
-      '--no-zygote',
-      '--disable-extensions',
-      '--disable-background-networking',
-      '--disable-default-apps',
-      '--disable-sync',
-      '--disable-translate',
-      '--hide-scrollbars',
-      '--mute-audio',
-      '--no-first-run',
-      '--js-flags=--max-old-space-size=256'
-    ]
-  });
-
+async function analyzeWithPlaywright(url, options = {}) {
   const results = {
     url,
     timestamp: new Date().toISOString(),
@@ -202,125 +182,123 @@ async function analyzeWithPlaywright(url) {
   };
 
   try {
-    const context = await browser.newContext();
-    const page = await context.newPage();
+    const contextOptions = options.storageState ? { storageState: options.storageState } : {};
+    await browserPool.withContext(contextOptions, async (context) => {
+      const page = await context.newPage();
 
-    await page.coverage.startJSCoverage();
-    await page.coverage.startCSSCoverage();
+      await page.coverage.startJSCoverage();
+      await page.coverage.startCSSCoverage();
 
-    const requests = [];
+      const requests = [];
     
-    page.on('request', req => {
-      requests.push({
-        url: req.url(),
-        type: req.resourceType(),
-        startTime: Date.now()
+      page.on('request', req => {
+        requests.push({
+          url: req.url(),
+          type: req.resourceType(),
+          startTime: Date.now()
+        });
       });
-    });
 
-    page.on('response', async res => {
-      const req = requests.find(r => r.url === res.url());
-      if (req) {
-        req.status = res.status();
-        req.endTime = Date.now();
-        req.duration = req.endTime - req.startTime;
-        const contentLength = res.headers()['content-length'];
-        req.size = contentLength ? parseInt(contentLength) : 0;
-      }
-    });
+      page.on('response', async res => {
+        const req = requests.find(r => r.url === res.url());
+        if (req) {
+          req.status = res.status();
+          req.endTime = Date.now();
+          req.duration = req.endTime - req.startTime;
+          const contentLength = res.headers()['content-length'];
+          req.size = contentLength ? parseInt(contentLength) : 0;
+        }
+      });
 
-    const startTime = Date.now();
-    await page.goto(url, { waitUntil: 'load', timeout: 30000 });
-    const loadTime = Date.now() - startTime;
+      const startTime = Date.now();
+      await page.goto(url, { waitUntil: 'load', timeout: 30000 });
+      const loadTime = Date.now() - startTime;
 
-    await page.waitForLoadState('networkidle', { timeout: 15000 }).catch(() => {});
-    await page.waitForTimeout(2000);
+      await page.waitForLoadState('networkidle', { timeout: 15000 }).catch(() => {});
+      await page.waitForTimeout(2000);
 
-    const performanceTiming = await page.evaluate(() => {
-      return new Promise((resolve) => {
-        const paint = performance.getEntriesByType('paint');
-        const fcp = paint.find(p => p.name === 'first-contentful-paint')?.startTime || 0;
+      const performanceTiming = await page.evaluate(() => {
+        return new Promise((resolve) => {
+          const paint = performance.getEntriesByType('paint');
+          const fcp = paint.find(p => p.name === 'first-contentful-paint')?.startTime || 0;
         
-        let lcpValue = 0;
-        const existingLcp = performance.getEntriesByType('largest-contentful-paint');
-        if (existingLcp.length > 0) {
-          lcpValue = existingLcp[existingLcp.length - 1].startTime;
-        }
+          let lcpValue = 0;
+          const existingLcp = performance.getEntriesByType('largest-contentful-paint');
+          if (existingLcp.length > 0) {
+            lcpValue = existingLcp[existingLcp.length - 1].startTime;
+          }
         
-        let clsValue = 0;
-        const layoutShifts = performance.getEntriesByType('layout-shift');
-        for (const entry of layoutShifts) {
-          if (!entry.hadRecentInput) clsValue += entry.value;
-        }
-
-        setTimeout(() => {
-          if (lcpValue === 0 && fcp > 0) lcpValue = fcp * 1.3;
-          resolve({
-            fcp: Math.max(0, fcp),
-            lcp: Math.max(0, lcpValue),
-            cls: Math.max(0, clsValue)
-          });
-        }, 500);
+          let clsValue = 0;
+          const layoutShifts = performance.getEntriesByType('layout-shift');
+          for (const entry of layoutShifts) {
+            if (!entry.hadRecentInput) clsValue += entry.value;
+          }
+
+          setTimeout(() => {
+            if (lcpValue === 0 && fcp > 0) lcpValue = fcp * 1.3;
+            resolve({
+              fcp: Math.max(0, fcp),
+              lcp: Math.max(0, lcpValue),
+              cls: Math.max(0, clsValue)
+            });
+          }, 500);
+        });
       });
-    });
 
-    const jsCoverage = await page.coverage.stopJSCoverage();
-    const cssCoverage = await page.coverage.stopCSSCoverage();
+      const jsCoverage = await page.coverage.stopJSCoverage();
+      const cssCoverage = await page.coverage.stopCSSCoverage();
 
-    let totalJsBytes = 0, usedJsBytes = 0;
-    for (const entry of jsCoverage) {
-      totalJsBytes += entry.text.length;
-      for (const range of entry.ranges) usedJsBytes += range.end - range.start;
-    }
+      let totalJsBytes = 0, usedJsBytes = 0;
+      for (const entry of jsCoverage) {
+        totalJsBytes += entry.text.length;
+        for (const range of entry.ranges) usedJsBytes += range.end - range.start;
+      }
 
-    let totalCssBytes = 0, usedCssBytes = 0;
-    for (const entry of cssCoverage) {
-      totalCssBytes += entry.text.length;
-      for (const range of entry.ranges) usedCssBytes += range.end - range.start;
-    }
+      let totalCssBytes = 0, usedCssBytes = 0;
+      for (const entry of cssCoverage) {
+        totalCssBytes += entry.text.length;
+        for (const range of entry.ranges) usedCssBytes += range.end - range.start;
+      }
 
-    let totalSize = 0;
-    const resourcesByType = {};
-    for (const req of requests) {
-      if (!resourcesByType[req.type]) {
-        resourcesByType[req.type] = { count: 0, size: 0 };
+      let totalSize = 0;
+      const resourcesByType = {};
+      for (const req of requests) {
+        if (!resourcesByType[req.type]) {
+          resourcesByType[req.type] = { count: 0, size: 0 };
+        }
+        resourcesByType[req.type].count++;
+        resourcesByType[req.type].size += req.size || 0;
+        totalSize += req.size || 0;
       }
-      resourcesByType[req.type].count++;
-      resourcesByType[req.type].size += req.size || 0;
-      totalSize += req.size || 0;
-    }
 
-    results.metrics = {
-      loadTime: Math.round(loadTime),
-      fcp: Math.round(performanceTiming.fcp),
-      lcp: Math.round(performanceTiming.lcp),
-      cls: parseFloat(performanceTiming.cls.toFixed(3)),
-      totalRequests: requests.length,
-      totalSize,
-      totalSizeFormatted: formatBytes(totalSize)
-    };
-
-    results.coverage = {
-      js: { total: totalJsBytes, used: usedJsBytes, usedPercent: totalJsBytes > 0 ? Math.round((usedJsBytes / totalJsBytes) * 100) : 100 },
-      css: { total: totalCssBytes, used: usedCssBytes, usedPercent: totalCssBytes > 0 ? Math.round((usedCssBytes / totalCssBytes) * 100) : 100 }
-    };
-
-    results.resources = resourcesByType;
-    results.score = calculateScore(results.metrics, results.coverage);
-    results.recommendations = generateRecommendations(results);
+      results.metrics = {
+        loadTime: Math.round(loadTime),
+        fcp: Math.round(performanceTiming.fcp),
+        lcp: Math.round(performanceTiming.lcp),
+        cls: parseFloat(performanceTiming.cls.toFixed(3)),
+        totalRequests: requests.length,
+        totalSize,
+        totalSizeFormatted: formatBytes(totalSize)
+      };
+
+      results.coverage = {
+        js: { total: totalJsBytes, used: usedJsBytes, usedPercent: totalJsBytes > 0 ? Math.round((usedJsBytes / totalJsBytes) * 100) : 100 },
+        css: { total: totalCssBytes, used: usedCssBytes, usedPercent: totalCssBytes > 0 ? Math.round((usedCssBytes / totalCssBytes) * 100) : 100 }
+      };
+
+      results.resources = resourcesByType;
+      results.score = calculateScore(results.metrics, results.coverage);
+      results.recommendations = generateRecommendations(results);
     
-    results.coreWebVitals = {
-      fcp: { value: results.metrics.fcp, rating: getFcpRating(results.metrics.fcp) },
-      lcp: { value: results.metrics.lcp, rating: getLcpRating(results.metrics.lcp) },
-      cls: { value: results.metrics.cls, rating: getClsRating(results.metrics.cls) }
-    };
-
-    await context.close();
+      results.coreWebVitals = {
+        fcp: { value: results.metrics.fcp, rating: getFcpRating(results.metrics.fcp) },
+        lcp: { value: results.metrics.lcp, rating: getLcpRating(results.metrics.lcp) },
+        cls: { value: results.metrics.cls, rating: getClsRating(results.metrics.cls) }
+      };
+    });
   } catch (error) {
     results.error = error.message;
     results.score = 0;
-  } finally {
-    await browser.close();
   }
 
   return results;
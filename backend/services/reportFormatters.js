@@ -0,0 +1,352 @@
+/**
+ * Report formatters
+ * Test runs and audits in the formats CI systems read: JUnit XML, TAP, and SARIF
+ * for accessibility issues. Each source is first turned into a suite of cases
+ * ({ name, classname, status, message, details, timeMs, attachments }), which the
+ * JUnit and TAP formatters render; SARIF is built from the audit itself.
+ */
+
+const { CHECKS } = require('./accessibilityAuditor');
+const pageDiagnostics = require('./pageDiagnostics');
+const { version } = require('../package.json');
+
+// What each format can render: test runs, accessibility audits or both
+const FORMATS = {
+  junit: { label: 'JUnit XML', extension: 'xml', contentType: 'application/xml', sources: ['testRun', 'audit'] },
+  tap: { label: 'TAP', extension: 'tap', contentType: 'text/plain', sources: ['testRun', 'audit'] },
+  sarif: { label: 'SARIF', extension: 'sarif', contentType: 'application/sarif+json', sources: ['audit'] }
+};
+
+// Audit severities as SARIF result levels
+const SARIF_LEVELS = { critical: 'error', high: 'error', medium: 'warning', low: 'note' };
+
+/**
+ * Names of the formats that can render a source
+ * @param {string} source - 'testRun' or 'audit'
+ */
+function formatsFor(source) {
+  return Object.keys(FORMATS).filter(key => FORMATS[key].sources.includes(source));
+}
+
+/**
+ * Render a test run as a report file
+ * @param {Object} testRun
+ * @param {string} format - Key of FORMATS that renders test runs
+ * @param {Object} options - { baseUrl } to turn /screenshots/... paths into links
+ * @returns {{ filename: string, contentType: string, content: string }}
+ */
+function formatTestRun(testRun, format, options = {}) {
+  checkFormat(format, 'testRun');
+  const suite = testRunSuite(testRun, options);
+  const content = format === 'junit' ? toJUnit([suite]) : toTAP([suite]);
+  return report(`bugscout-${testRun.id}`, format, content);
+}
+
+/**
+ * Render accessibility audit results as a report file
+ * @param {Object} audit - accessibilityAuditor.audit() results
+ * @param {string} format - Key of FORMATS that renders audits
+ */
+function formatAudit(audit, format) {
+  checkFormat(format, 'audit');
+  let content;
+  if (format === 'sarif') content = JSON.stringify(toSarif(audit), null, 2);
+  else if (format === 'junit') content = toJUnit([auditSuite(audit)]);
+  else content = toTAP([auditSuite(audit)]);
+
+  let host = 'page';
+  try { host = new URL(audit.url).host; } catch (e) { /* keep the generic name */ }
+  return report(`accessibility-${host}`, format, content);
+}
+
+function checkFormat(format, source) {
+  if (!FORMATS[format]?.sources.includes(source)) {
+    throw new Error(`Unsupported report format: ${format}. Use ${formatsFor(source).join(', ')}`);
+  }
+}
+
+function report(basename, format, content) {
+  const { extension, contentType } = FORMATS[format];
+  return { filename: `${basename}.${extension}`, contentType, content };
+}
+
+/**
+ * A test run's tests as a suite. A run that errored gets one errored case
+ * instead of its previous execution's tests.
+ * @param {Object} options - { baseUrl } to turn /screenshots/... paths into links
+ */
+function testRunSuite(testRun, { baseUrl } = {}) {
+  const name = `BugScout: ${testRun.url}`;
+  if (testRun.status === 'error') {
+    return {
+      name,
+      timestamp: testRun.completedAt || null,
+      cases: [{ name: 'Execute test run', classname: testRun.url, status: 'error', message: testRun.error || 'Execution failed' }]
+    };
+  }
+
+  return {
+    name,
+    timestamp: testRun.completedAt || null,
+    // A test run in a device or browser matrix is one case per device and browser
+    cases: (testRun.tests || []).flatMap(test => matrixResults(test).map(({ device, browser, result }) =>
+      testRunCase(testRun, { ...test, ...result }, { baseUrl, device, browser })))
+  };
+}
+
+// Each device and browser a test ran on, with that run's result
+function matrixResults(test) {
+  const byDevice = test.devices ? Object.entries(test.devices) : [[null, test]];
+  return byDevice.flatMap(([device, result]) => (result.browsers
+    ? Object.entries(result.browsers).map(([browser, browserResult]) => ({ device, browser, result: browserResult }))
+    : [{ device, browser: null, result }]));
+}
+
+function testRunCase(testRun, test, { baseUrl, device = null, browser = null }) {
+  const variant = [device, browser].filter(Boolean).join(', ');
+  return {
+    name: variant ? `${test.name} [${variant}]` : test.name,
+    classname: `${testRun.url}#${test.type || 'test'}`,
+    status: caseStatus(test.status),
+    message: test.error || null,
+    details: test.status === 'fail' ? failureDetails(test) : null,
+    timeMs: test.durationMs ?? null,
+    attachments: [...(test.screenshots || []), test.artifacts?.trace, test.artifacts?.video].filter(Boolean).map(url => (baseUrl && url.startsWith('/') ? `${baseUrl}${url}` : url)),
+    properties: {
+      ...(device ? { device } : {}),
+      ...(browser ? { browser } : {}),
+      ...(test.flaky ? { flaky: 'true' } : {}),
+      ...(test.attempts?.length > 1 ? { attempts: String(test.attempts.length) } : {})
+    }
+  };
+}
+
+function caseStatus(status) {
+  if (status === 'pass') return 'pass';
+  if (status === 'fail') return 'fail';
+  return 'skipped';
+}
+
+function failureDetails(test) {
+  const lines = (test.steps || []).map((s, i) => `${i + 1}. ${s.action} ${s.target || ''} ${s.value ?? ''}`.trim());
+  const failedStep = (test.flowSteps || []).find(s => s.status === 'fail');
+  if (failedStep) lines.push(`Failed at step ${failedStep.stepNumber}`);
+  if (test.expected) lines.push(`Expected: ${test.expected}`);
+  if (pageDiagnostics.hasProblems(test.diagnostics)) {
+    lines.push(`Page diagnostics: ${pageDiagnostics.summarize(test.diagnostics)}`);
+    lines.push(...test.diagnostics.pageErrors.slice(0, 3).map(e => `  Uncaught error (step ${e.step}): ${e.message}`));
+  }
+  return lines.join('\n');
+}
+
+/**
+ * An accessibility audit as a suite: one case per check, failing where it found issues
+ */
+function auditSuite(audit) {
+  const classname = `${audit.url}#accessibility`;
+  const cases = [
+    ...audit.issues.map(issue => ({
+      name: `${issue.name} (WCAG ${issue.wcag})`,
+      classname,
+      status: 'fail',
+      message: `[${issue.severity}] ${issue.message}`,
+      details: [issue.description, ...(issue.elements || []).map(elementSnippet)].join('\n')
+    })),
+    ...audit.passed.map(check => ({ name: `${check.name} (WCAG ${check.wcag})`, classname, status: 'pass' }))
+  ];
+  if (audit.error) {
+    cases.unshift({ name: 'Run accessibility audit', classname, status: 'error', message: audit.error });
+  }
+  return { name: `Accessibility: ${audit.url}`, timestamp: audit.timestamp || null, cases };
+}
+
+// Auditor elements are { tag, text, html }, or { text, color } for contrast issues
+function elementSnippet(element) {
+  return element.html || element.text || '';
+}
+
+/**
+ * JUnit XML (the Jenkins/GitLab/GitHub Actions flavour) for one or more suites
+ */
+function toJUnit(suites, name = 'BugScout') {
+  const totals = { tests: 0, failures: 0, errors: 0, skipped: 0 };
+  const suiteXml = suites.map(suite => {
+    const counts = countCases(suite.cases);
+    Object.keys(totals).forEach(key => { totals[key] += counts[key]; });
+    const time = seconds(suite.cases.reduce((sum, c) => sum + (c.timeMs || 0), 0));
+
+    return [
+      `  <testsuite name="${xml(suite.name)}" tests="${counts.tests}" failures="${counts.failures}" errors="${counts.errors}" skipped="${counts.skipped}" time="${time}"${suite.timestamp ? ` timestamp="${xml(suite.timestamp)}"` : ''}>`,
+      ...suite.cases.map(junitCase),
+      '  </testsuite>'
+    ].join('\n');
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="${xml(name)}" tests="${totals.tests}" failures="${totals.failures}" errors="${totals.errors}" skipped="${totals.skipped}">`,
+    ...suiteXml,
+    '</testsuites>',
+    ''
+  ].join('\n');
+}
+
+function countCases(cases) {
+  return {
+    tests: cases.length,
+    failures: cases.filter(c => c.status === 'fail').length,
+    errors: cases.filter(c => c.status === 'error').length,
+    skipped: cases.filter(c => c.status === 'skipped').length
+  };
+}
+
+function junitCase(testCase) {
+  const open = `    <testcase name="${xml(testCase.name)}" classname="${xml(testCase.classname)}"${testCase.timeMs != null ? ` time="${seconds(testCase.timeMs)}"` : ''}`;
+  const children = [];
+
+  const properties = Object.entries(testCase.properties || {});
+  if (properties.length > 0) {
+    children.push('      <properties>', ...properties.map(([key, value]) => `        <property name="${xml(key)}" value="${xml(value)}"/>`), '      </properties>');
+  }
+  if (testCase.status === 'fail' || testCase.status === 'error') {
+    const tag = testCase.status === 'fail' ? 'failure' : 'error';
+    children.push(`      <${tag} message="${xml(testCase.message || 'Failed')}">${xml(testCase.details || testCase.message || '')}</${tag}>`);
+  }
+  if (testCase.status === 'skipped') {
+    children.push('      <skipped/>');
+  }
+  // Jenkins JUnit Attachments / GitLab convention for linking files to a case
+  if (testCase.attachments?.length > 0) {
+    children.push(`      <system-out>${testCase.attachments.map(url => `[[ATTACHMENT|${xml(url)}]]`).join('\n')}</system-out>`);
+  }
+
+  return children.length === 0 ? `${open}/>` : [`${open}>`, ...children, '    </testcase>'].join('\n');
+}
+
+/**
+ * TAP version 13, one test point per case with a YAML block for failures,
+ * timings and attachments
+ */
+function toTAP(suites) {
+  const cases = suites.flatMap(suite => suite.cases.map(testCase => ({ suite: suite.name, ...testCase })));
+  const lines = ['TAP version 13', `1..${cases.length}`];
+  let currentSuite = null;
+
+  cases.forEach((testCase, index) => {
+    if (testCase.suite !== currentSuite) {
+      currentSuite = testCase.suite;
+      lines.push(`# ${currentSuite}`);
+    }
+
+    const ok = testCase.status === 'pass' || testCase.status === 'skipped';
+    const description = testCase.name.replace(/#/g, '\\#');
+    lines.push(`${ok ? 'ok' : 'not ok'} ${index + 1} - ${description}${testCase.status === 'skipped' ? ' # SKIP not executed' : ''}`);
+
+    const diagnostics = {};
+    if (!ok) {
+      diagnostics.severity = testCase.status;
+      diagnostics.message = testCase.message || 'Failed';
+      if (testCase.details) diagnostics.details = testCase.details;
+    }
+    if (testCase.timeMs != null) diagnostics.duration_ms = testCase.timeMs;
+    Object.assign(diagnostics, testCase.properties || {});
+    if (testCase.attachments?.length > 0) diagnostics.attachments = testCase.attachments;
+
+    if (Object.keys(diagnostics).length > 0) {
+      lines.push('  ---');
+      for (const [key, value] of Object.entries(diagnostics)) {
+        // JSON scalars and flow sequences are valid YAML
+        lines.push(`  ${key}: ${JSON.stringify(value)}`);
+      }
+      lines.push('  ...');
+    }
+  });
+
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * SARIF 2.1.0 log for an accessibility audit. Every auditor check is a rule
+ * (its WCAG id and severity as properties); each issue found is a result on the
+ * audited page, with one location per offending element.
+ */
+function toSarif(audit) {
+  const ruleIds = Object.keys(CHECKS);
+  const rules = Object.entries(CHECKS).map(([id, check]) => ({
+    id,
+    name: check.name.replace(/\s+/g, ''),
+    shortDescription: { text: check.name },
+    fullDescription: { text: check.description },
+    defaultConfiguration: { level: SARIF_LEVELS[check.severity] || 'warning' },
+    properties: {
+      tags: ['accessibility', `wcag${check.wcag.replace(/\./g, '')}`],
+      wcag: check.wcag,
+      severity: check.severity
+    }
+  }));
+
+  const results = audit.issues.map(issue => {
+    const elements = issue.elements?.length > 0 ? issue.elements : [null];
+    return {
+      ruleId: issue.id,
+      ruleIndex: ruleIds.indexOf(issue.id),
+      level: SARIF_LEVELS[issue.severity] || 'warning',
+      message: { text: issue.message },
+      locations: elements.map(element => ({
+        physicalLocation: { artifactLocation: { uri: audit.url, index: 0 } },
+        ...(element ? { message: { text: elementSnippet(element) } } : {})
+      })),
+      properties: { wcag: issue.wcag, severity: issue.severity, ...(issue.count ? { count: issue.count } : {}) }
+    };
+  });
+
+  return {
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: 'BugScout Accessibility',
+          version,
+          informationUri: 'https://www.w3.org/WAI/standards-guidelines/wcag/',
+          rules
+        }
+      },
+      artifacts: [{ location: { uri: audit.url } }],
+      invocations: [{
+        executionSuccessful: !audit.error,
+        ...(audit.timestamp ? { endTimeUtc: audit.timestamp } : {}),
+        ...(audit.error ? { toolExecutionNotifications: [{ level: 'error', message: { text: audit.error } }] } : {})
+      }],
+      results,
+      properties: { score: audit.score, summary: audit.summary }
+    }]
+  };
+}
+
+function seconds(ms) {
+  return (ms / 1000).toFixed(3);
+}
+
+// Escape for attributes and text; drops control characters XML 1.0 can't carry
+function xml(value) {
+  return String(value ?? '')
+    .replace(/[\x00-\x08\x0b\x0c\x0e-\x1f]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+module.exports = {
+  formatTestRun,
+  formatAudit,
+  formatsFor,
+  testRunSuite,
+  auditSuite,
+  toJUnit,
+  toTAP,
+  toSarif,
+  FORMATS
+};
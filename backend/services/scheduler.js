@@ -0,0 +1,368 @@
+/**
+ * Scheduled test runs
+ * Re-executes a saved test run or suite on a cron expression or a fixed interval.
+ * Schedules live in firestoreService; a ticker checks for due ones and queues them
+ * on the job queue. Each firing is kept in the schedule's history, and every test
+ * run it executes gets an execution record like a clicked run does. The owner's
+ * notification channels are told how each firing went.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const firestoreService = require('./firestoreService');
+const testRuns = require('./testRuns');
+const executionHistory = require('./executionHistory');
+const jobQueue = require('./jobQueue');
+const testSuites = require('./testSuites');
+const notifier = require('./notifier');
+
+// How often due schedules are looked for
+const TICK_MS = parseInt(process.env.SCHEDULER_TICK_MS) || 30000;
+// Shortest gap allowed between two runs of one schedule
+const MIN_INTERVAL_MINUTES = parseInt(process.env.SCHEDULE_MIN_INTERVAL_MINUTES) || 5;
+const TARGET_TYPES = ['testRun', 'suite'];
+
+const CRON_ALIASES = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *'
+};
+
+const CRON_FIELDS = [
+  { key: 'minute', label: 'minute', min: 0, max: 59 },
+  { key: 'hour', label: 'hour', min: 0, max: 23 },
+  { key: 'dayOfMonth', label: 'day of month', min: 1, max: 31 },
+  { key: 'month', label: 'month', min: 1, max: 12 },
+  { key: 'dayOfWeek', label: 'day of week', min: 0, max: 7 }
+];
+
+// Schedules with an execution queued or running, so a slow run isn't stacked up
+const inFlight = new Set();
+let timer = null;
+
+/**
+ * Parse a 5-field cron expression (minute hour day-of-month month day-of-week).
+ * Supports *, lists, ranges, steps (*\/15, 1-5/2) and @hourly/@daily/@weekly/@monthly.
+ * Times are in the server's timezone.
+ * @throws {Error} When the expression is invalid
+ */
+function parseCron(expression) {
+  const text = CRON_ALIASES[String(expression).trim().toLowerCase()] || String(expression).trim();
+  const parts = text.split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error(`Cron expression needs 5 fields (minute hour day month weekday), got "${expression}"`);
+  }
+
+  const cron = {};
+  CRON_FIELDS.forEach((field, i) => {
+    cron[field.key] = parseCronField(parts[i], field);
+  });
+  // 7 is Sunday too
+  if (cron.dayOfWeek.has(7)) cron.dayOfWeek.add(0);
+  cron.dayOfMonthRestricted = parts[2] !== '*';
+  cron.dayOfWeekRestricted = parts[4] !== '*';
+  return cron;
+}
+
+function parseCronField(text, { label, min, max }) {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const match = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+    if (!match) {
+      throw new Error(`Invalid ${label} "${part}" in cron expression`);
+    }
+    const step = match[4] ? parseInt(match[4]) : 1;
+    let from = min;
+    let to = max;
+    if (match[1] !== '*') {
+      from = parseInt(match[2]);
+      // "5/10" means from 5 to the end in steps of 10
+      to = match[3] !== undefined ? parseInt(match[3]) : (match[4] ? max : from);
+    }
+    if (from < min || to > max || from > to || step < 1) {
+      throw new Error(`Cron ${label} "${part}" is out of range (${min}-${max})`);
+    }
+    for (let v = from; v <= to; v += step) values.add(v);
+  }
+
+  return values;
+}
+
+/**
+ * First time after `from` that matches the cron expression, or null if none within 4 years
+ */
+function nextCronTime(cron, from) {
+  const date = new Date(from);
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+  const limit = from.getTime() + 4 * 366 * 24 * 60 * 60 * 1000;
+
+  // Jump a whole month / day / hour at a time when that field doesn't match
+  while (date.getTime() < limit) {
+    if (!cron.month.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!dayMatches(cron, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!cron.hour.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0, 0, 0);
+    } else if (!cron.minute.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1, 0, 0);
+    } else {
+      return date;
+    }
+  }
+  return null;
+}
+
+// Like cron: when both day fields are restricted, either one matching is enough
+function dayMatches(cron, date) {
+  const dom = cron.dayOfMonth.has(date.getDate());
+  const dow = cron.dayOfWeek.has(date.getDay());
+  if (cron.dayOfMonthRestricted && cron.dayOfWeekRestricted) return dom || dow;
+  if (cron.dayOfMonthRestricted) return dom;
+  return dow;
+}
+
+/**
+ * When a schedule should next fire after `from`
+ * @returns {string|null} ISO time, or null for a disabled schedule
+ */
+function nextRunAt(schedule, from = new Date()) {
+  if (!schedule.enabled) return null;
+  if (schedule.cron) {
+    return nextCronTime(parseCron(schedule.cron), from)?.toISOString() || null;
+  }
+  return new Date(from.getTime() + schedule.intervalMinutes * 60 * 1000).toISOString();
+}
+
+/**
+ * Check the fields of a new or updated schedule
+ * @returns {string|null} Problem description, or null when valid
+ */
+function validate(schedule) {
+  if (!schedule.name) return 'Schedule name is required';
+  if (!TARGET_TYPES.includes(schedule.targetType)) return `targetType must be one of ${TARGET_TYPES.join(', ')}`;
+  if (!schedule.targetId) return 'targetId is required';
+  if (!schedule.cron && !schedule.intervalMinutes) return 'Provide a cron expression or intervalMinutes';
+
+  if (schedule.cron) {
+    let cron;
+    try {
+      cron = parseCron(schedule.cron);
+    } catch (error) {
+      return error.message;
+    }
+    const first = nextCronTime(cron, new Date());
+    if (!first) return `Cron expression "${schedule.cron}" never fires`;
+    const second = nextCronTime(cron, first);
+    if (second && second - first < MIN_INTERVAL_MINUTES * 60 * 1000) {
+      return `Runs must be at least ${MIN_INTERVAL_MINUTES} minutes apart`;
+    }
+  } else if (schedule.intervalMinutes < MIN_INTERVAL_MINUTES) {
+    return `intervalMinutes must be at least ${MIN_INTERVAL_MINUTES}`;
+  }
+  return null;
+}
+
+/**
+ * Build a stored schedule from request fields, keeping what an update leaves out
+ * @param {Object} fields - name, targetType, targetId, cron, intervalMinutes, enabled
+ * @param {Object} existing - Current schedule when updating
+ */
+function buildSchedule(fields, existing = {}) {
+  const pick = key => (fields[key] !== undefined ? fields[key] : existing[key]);
+
+  // Setting one timing field replaces the other
+  let { cron = null, intervalMinutes = null } = existing;
+  if (fields.cron) {
+    cron = String(fields.cron).trim();
+    intervalMinutes = null;
+  } else if (fields.intervalMinutes) {
+    cron = null;
+    intervalMinutes = parseInt(fields.intervalMinutes) || null;
+  }
+
+  return {
+    name: (pick('name') || '').trim(),
+    targetType: pick('targetType'),
+    targetId: pick('targetId'),
+    cron,
+    intervalMinutes,
+    enabled: pick('enabled') !== false
+  };
+}
+
+/**
+ * Start checking for due schedules
+ */
+function start() {
+  if (timer) return;
+  timer = setInterval(() => tick().catch(e => console.error('[Scheduler] Tick failed:', e.message)), TICK_MS);
+  timer.unref();
+  tick().catch(e => console.error('[Scheduler] Tick failed:', e.message));
+  console.log(`[Scheduler] Checking for due schedules every ${TICK_MS / 1000}s`);
+}
+
+function stop() {
+  clearInterval(timer);
+  timer = null;
+}
+
+// Queue every enabled schedule whose time has come. Runs missed while the server
+// was down fire once, not once per missed slot.
+async function tick() {
+  const now = new Date();
+  const schedules = await firestoreService.getEnabledSchedules();
+  for (const schedule of schedules) {
+    if (schedule.nextRunAt && new Date(schedule.nextRunAt) <= now) {
+      await fire(schedule, 'schedule');
+    }
+  }
+}
+
+/**
+ * Queue an execution of a schedule's target
+ * @param {Object} schedule
+ * @param {string} trigger - 'schedule' or 'manual' (Run now)
+ * @returns {Promise<Object|null>} The queued job, or null if one is still in flight
+ */
+async function fire(schedule, trigger = 'manual') {
+  if (inFlight.has(schedule.id)) {
+    console.log(`[Scheduler] "${schedule.name}" is still running, skipping this slot`);
+    if (trigger === 'schedule') {
+      await firestoreService.updateSchedule(schedule.id, { nextRunAt: nextRunAt(schedule) });
+    }
+    return null;
+  }
+  inFlight.add(schedule.id);
+
+  try {
+    // Move the clock on first so the next tick doesn't queue it again
+    if (trigger === 'schedule') {
+      await firestoreService.updateSchedule(schedule.id, { nextRunAt: nextRunAt(schedule) });
+    }
+
+    const job = jobQueue.enqueue(
+      'scheduled_execute',
+      (job, report) => runSchedule(schedule, trigger, report).finally(() => inFlight.delete(schedule.id)),
+      { scheduleId: schedule.id, trigger }
+    );
+    console.log(`[Scheduler] Queued "${schedule.name}" (${trigger}) as job ${job.id}`);
+    return job;
+  } catch (error) {
+    // Nothing was queued, so nothing will clear the flag - don't skip every later slot
+    inFlight.delete(schedule.id);
+    throw error;
+  }
+}
+
+// Execute the target's test runs and store the outcome as a history record
+async function runSchedule(schedule, trigger, report) {
+  const startedAt = new Date();
+  const record = {
+    id: uuidv4(),
+    scheduleId: schedule.id,
+    userId: schedule.userId,
+    targetType: schedule.targetType,
+    targetId: schedule.targetId,
+    trigger,
+    startedAt: startedAt.toISOString(),
+    runs: []
+  };
+
+  try {
+    const targetRuns = await loadTargetRuns(schedule);
+    for (const [index, testRun] of targetRuns.entries()) {
+      report('run_started', { testRunId: testRun.id, url: testRun.url, index, total: targetRuns.length });
+      record.runs.push(await executeRun(testRun, report));
+    }
+    record.summary = testSuites.summarize(record.runs);
+    record.status = record.summary.runsFailed > 0 ? 'failed' : 'passed';
+  } catch (error) {
+    console.error(`[Scheduler] "${schedule.name}" failed:`, error.message);
+    record.status = 'error';
+    record.error = error.message;
+    record.summary = testSuites.summarize(record.runs);
+  }
+
+  record.finishedAt = new Date().toISOString();
+  record.durationMs = Date.now() - startedAt.getTime();
+  await firestoreService.saveScheduleRun(record);
+  await firestoreService.updateSchedule(schedule.id, {
+    lastRunAt: record.startedAt,
+    lastStatus: record.status,
+    lastRunId: record.id,
+    lastSummary: record.summary
+  });
+
+  console.log(`[Scheduler] "${schedule.name}" ${record.status}: ${record.summary.passed}/${record.summary.tests} tests passed`);
+  await notifyChannels(schedule, record);
+  return record;
+}
+
+// Notify with the runs as stored - the history record only keeps trimmed results
+async function notifyChannels(schedule, record) {
+  try {
+    const executedRuns = await Promise.all(record.runs.map(async r => executionHistory.withResults(await firestoreService.getTestRun(r.testRunId))));
+    await notifier.notify({
+      userId: schedule.userId,
+      source: { type: 'schedule', id: schedule.id, name: schedule.name, trigger: record.trigger, historyId: record.id },
+      testRuns: executedRuns.filter(Boolean),
+      error: record.error || null
+    });
+  } catch (error) {
+    console.error(`[Scheduler] Notifying about "${schedule.name}" failed:`, error.message);
+  }
+}
+
+async function loadTargetRuns(schedule) {
+  if (schedule.targetType === 'suite') {
+    const suite = await firestoreService.getSuite(schedule.targetId);
+    if (!suite) {
+      throw new Error('Scheduled suite no longer exists');
+    }
+    const runs = await Promise.all(suite.entries.filter(e => e.testRunId).map(e => firestoreService.getTestRun(e.testRunId)));
+    return runs.filter(Boolean);
+  }
+
+  const testRun = await firestoreService.getTestRun(schedule.targetId);
+  if (!testRun) {
+    throw new Error('Scheduled test run no longer exists');
+  }
+  return [testRun];
+}
+
+// Execute one test run like any other execution (status, history record, flakiness);
+// returns the results trimmed to what the schedule history shows
+async function executeRun(testRun, report) {
+  try {
+    const executed = await testRuns.execute(testRun.id, { trigger: 'schedule' }, (type, data) => report(type, { ...data, testRunId: testRun.id }));
+    const results = executed.tests || [];
+    return {
+      testRunId: testRun.id,
+      executionId: executed.latestExecutionId,
+      url: testRun.url,
+      status: results.every(t => t.status === 'pass') ? 'passed' : 'failed',
+      tests: results.map(t => ({ id: t.id, name: t.name, status: t.status, flaky: t.flaky, error: t.error || null, screenshots: t.screenshots || [] }))
+    };
+  } catch (error) {
+    // testRuns.execute already recorded the failed execution on the run
+    const stored = await firestoreService.getTestRun(testRun.id).catch(() => null);
+    return { testRunId: testRun.id, executionId: stored?.latestExecutionId || null, url: testRun.url, status: 'error', error: error.message, tests: [] };
+  }
+}
+
+module.exports = {
+  parseCron,
+  nextRunAt,
+  validate,
+  buildSchedule,
+  start,
+  stop,
+  fire,
+  TARGET_TYPES,
+  MIN_INTERVAL_MINUTES
+};
@@ -0,0 +1,234 @@
+/**
+ * Self-healing selectors
+ * When a stored selector stops matching, find the element on the live page whose
+ * fingerprint (captured by pageInspector) is most similar to the original.
+ */
+
+const pageInspector = require('./pageInspector');
+
+// Below this a candidate is not trusted and the step fails as before
+const MIN_CONFIDENCE = parseFloat(process.env.SELF_HEAL_MIN_CONFIDENCE) || 0.6;
+// A runner-up this close to the winner makes the match ambiguous
+const AMBIGUITY_MARGIN = 0.05;
+
+// How much each fingerprint attribute counts towards the similarity score
+const WEIGHTS = {
+  testId: 3,
+  text: 3,
+  ariaLabel: 2,
+  name: 2,
+  labels: 2,
+  id: 1.5,
+  placeholder: 1.5,
+  tag: 1,
+  type: 1,
+  role: 1,
+  href: 1,
+  bounds: 1
+};
+
+/**
+ * Map element ids and selectors to their inspection-time fingerprints
+ * @param {Array} elements - testRun.pageData.elements
+ */
+function buildFingerprintMap(elements) {
+  const map = {};
+  for (const el of elements) {
+    if (!el.fingerprint) continue;
+    map[el.id] = el.fingerprint;
+    if (el.selector) map[el.selector] = el.fingerprint;
+  }
+  return map;
+}
+
+/**
+ * Look for the element a broken selector used to point at
+ * @param {Object} page - Playwright page
+ * @param {Object} fingerprint - Stored fingerprint of the original element
+ * @param {string} brokenSelector - Selector that no longer matches
+ * @returns {Promise<{ selector: string, confidence: number, element: Object } | null>}
+ */
+async function heal(page, fingerprint, brokenSelector) {
+  await pageInspector.injectExtractor(page);
+  const candidates = await pageInspector.collectElements(page);
+
+  const ranked = candidates
+    .filter(c => c.fingerprint && c.selector !== brokenSelector)
+    .map(c => ({ candidate: c, score: similarity(fingerprint, c.fingerprint) }))
+    .sort((a, b) => b.score - a.score);
+
+  const [best, runnerUp] = ranked;
+  if (!best) return null;
+
+  let confidence = best.score;
+  if (runnerUp && best.score - runnerUp.score < AMBIGUITY_MARGIN) {
+    confidence *= 0.9;
+  }
+  confidence = Math.round(confidence * 100) / 100;
+
+  if (confidence < MIN_CONFIDENCE) {
+    console.log(`Self-heal: best candidate for "${brokenSelector}" is ${best.candidate.selector} at ${confidence}, below ${MIN_CONFIDENCE}`);
+    return null;
+  }
+
+  // The healed selector must actually resolve to something now
+  const count = await locate(page, best.candidate.selector).count().catch(() => 0);
+  if (count === 0) return null;
+
+  console.log(`Self-heal: "${brokenSelector}" -> "${best.candidate.selector}" (confidence ${confidence})`);
+  return {
+    selector: best.candidate.selector,
+    confidence,
+    element: {
+      tagName: best.candidate.tagName,
+      visibleText: best.candidate.visibleText,
+      role: best.candidate.role
+    }
+  };
+}
+
+/**
+ * Weighted similarity between two fingerprints, 0..1.
+ * Only attributes the original element had count - a missing id on the
+ * original says nothing about the candidate.
+ */
+function similarity(original, candidate) {
+  let total = 0;
+  let score = 0;
+
+  for (const [key, weight] of Object.entries(WEIGHTS)) {
+    const sim = attributeSimilarity(key, original[key], candidate[key]);
+    if (sim === null) continue;
+    total += weight;
+    score += weight * sim;
+  }
+
+  return total === 0 ? 0 : score / total;
+}
+
+function attributeSimilarity(key, a, b) {
+  switch (key) {
+    case 'labels': {
+      if (!a?.length) return null;
+      if (!b?.length) return 0;
+      return Math.max(...a.map(x => Math.max(...b.map(y => textSimilarity(x, y)))));
+    }
+    case 'bounds':
+      return a ? boundsSimilarity(a, b) : null;
+    case 'text':
+    case 'ariaLabel':
+    case 'placeholder':
+      if (!a) return null;
+      return b ? textSimilarity(a, b) : 0;
+    case 'href':
+      if (!a) return null;
+      return b ? (stripQuery(a) === stripQuery(b) ? 1 : textSimilarity(a, b) * 0.5) : 0;
+    default:
+      if (!a) return null;
+      return String(a).toLowerCase() === String(b || '').toLowerCase() ? 1 : 0;
+  }
+}
+
+// Dice coefficient over character bigrams, tolerant of small copy edits
+function textSimilarity(a, b) {
+  const x = normalize(a);
+  const y = normalize(b);
+  if (!x || !y) return 0;
+  if (x === y) return 1;
+  if (x.includes(y) || y.includes(x)) return 0.8 * Math.min(x.length, y.length) / Math.max(x.length, y.length) + 0.2;
+
+  const gramsA = bigrams(x);
+  const gramsB = bigrams(y);
+  let overlap = 0;
+  const counts = new Map();
+  gramsA.forEach(g => counts.set(g, (counts.get(g) || 0) + 1));
+  gramsB.forEach(g => {
+    if (counts.get(g) > 0) {
+      overlap++;
+      counts.set(g, counts.get(g) - 1);
+    }
+  });
+  return (2 * overlap) / (gramsA.length + gramsB.length);
+}
+
+function bigrams(text) {
+  if (text.length < 2) return [text];
+  const grams = [];
+  for (let i = 0; i < text.length - 1; i++) grams.push(text.substring(i, i + 2));
+  return grams;
+}
+
+// Same place and size scores 1; an element 400px away or a very different size scores 0
+function boundsSimilarity(a, b) {
+  if (!b) return 0;
+  const distance = Math.hypot((a.x + a.w / 2) - (b.x + b.w / 2), (a.y + a.h / 2) - (b.y + b.h / 2));
+  const position = Math.max(0, 1 - distance / 400);
+  const size = Math.min(a.w * a.h, b.w * b.h) / Math.max(a.w * a.h, b.w * b.h, 1);
+  return position * 0.7 + size * 0.3;
+}
+
+function normalize(text) {
+  return String(text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+function stripQuery(href) {
+  return String(href).split(/[?#]/)[0].replace(/\/$/, '');
+}
+
+// Same selector dialects the executor and assertion engine accept
+function locate(page, selector) {
+  if (selector.includes('iframe >>')) {
+    const innerSelector = selector.split('iframe >>').map(s => s.trim()).filter(Boolean).pop();
+    return page.frameLocator('iframe').first().locator(innerSelector);
+  }
+  if (selector.includes('>>>')) {
+    return page.locator(selector.split('>>>').map(s => s.trim()).filter(Boolean).join(' >> '));
+  }
+  return page.locator(selector);
+}
+
+/**
+ * Write the selectors healed in the latest run back into the test plan.
+ * Steps that point at an inspected element update that element (so every
+ * step using it is fixed); steps with a literal selector are updated in place.
+ * @returns {{ tests: Array, pageData: Object, applied: Array }}
+ */
+function applyHealedSelectors(testRun) {
+  const elements = (testRun.pageData?.elements || []).map(el => ({ ...el }));
+  const applied = [];
+
+  const tests = (testRun.tests || []).map(test => {
+    const healedSteps = (test.healedSteps || []).filter(h => !h.applied);
+    if (healedSteps.length === 0) return { ...test };
+
+    const steps = test.steps.map((step, idx) => {
+      const healed = healedSteps.find(h => h.stepNumber === idx + 1);
+      if (!healed || step.target !== healed.target) return step;
+
+      const element = elements.find(el => el.id === step.target);
+      if (element) {
+        element.selector = healed.to;
+        applied.push({ testId: test.id, stepNumber: idx + 1, elementId: element.id, from: healed.from, to: healed.to });
+        return step;
+      }
+      applied.push({ testId: test.id, stepNumber: idx + 1, from: healed.from, to: healed.to });
+      return { ...step, target: healed.to };
+    });
+
+    // Keep the record of what healed, marked as written back
+    return { ...test, steps, healedSteps: test.healedSteps.map(h => ({ ...h, applied: true })) };
+  });
+
+  // Other steps using the old literal selector are broken the same way
+  for (const { from, to, elementId } of applied) {
+    if (elementId) continue;
+    for (const test of tests) {
+      test.steps = test.steps.map(step => (step.target === from ? { ...step, target: to } : step));
+    }
+    elements.filter(el => el.selector === from).forEach(el => { el.selector = to; });
+  }
+
+  return { tests, pageData: { ...testRun.pageData, elements }, applied };
+}
+
+module.exports = { buildFingerprintMap, heal, locate, similarity, applyHealedSelectors, MIN_CONFIDENCE };
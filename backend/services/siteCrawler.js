@@ -0,0 +1,311 @@
+/**
+ * Site crawler
+ * Breadth-first walk of same-origin links from a start URL. Every page gets the
+ * regular pageInspector extraction and page type; the result is a site graph
+ * of pages and the links between them.
+ */
+
+const pageInspector = require('./pageInspector');
+const storageService = require('./storageService');
+const firestoreService = require('./firestoreService');
+const assertionEngine = require('./assertionEngine');
+
+const DEFAULT_MAX_DEPTH = 2;
+const DEFAULT_MAX_PAGES = 20;
+const MAX_DEPTH_LIMIT = 5;
+const MAX_PAGES_LIMIT = parseInt(process.env.CRAWL_MAX_PAGES) || 100;
+// Longest robots.txt Crawl-delay honoured between pages
+const MAX_CRAWL_DELAY_MS = 10000;
+// robots.txt groups addressed to this agent apply to us, then "*"
+const ROBOTS_AGENT = 'bugscout';
+// Skipped URLs listed in the crawl report; the rest are only counted
+const MAX_SKIPPED_EXAMPLES = 30;
+
+// Links to files rather than pages
+const NON_PAGE_EXTENSIONS = /\.(pdf|zip|gz|tar|rar|7z|exe|dmg|apk|jpe?g|png|gif|webp|svg|ico|mp[34]|webm|mov|avi|wav|css|js|json|xml|txt|csv|docx?|xlsx?|pptx?)$/i;
+// Query parameters that never change what a page shows
+const TRACKING_PARAMS = /^(utm_\w+|gclid|fbclid|msclkid|mc_cid|mc_eid)$/i;
+
+/**
+ * Clamp crawl options from a request to the allowed limits
+ * @param {Object} input - { maxDepth, maxPages, include, exclude, respectRobots }
+ */
+function normalizeOptions(input = {}) {
+  const clamp = (value, fallback, min, max) => {
+    const n = parseInt(value);
+    return Number.isNaN(n) ? fallback : Math.min(Math.max(n, min), max);
+  };
+  return {
+    maxDepth: clamp(input.maxDepth, DEFAULT_MAX_DEPTH, 0, MAX_DEPTH_LIMIT),
+    maxPages: clamp(input.maxPages, DEFAULT_MAX_PAGES, 1, MAX_PAGES_LIMIT),
+    include: toPatternList(input.include),
+    exclude: toPatternList(input.exclude),
+    respectRobots: input.respectRobots !== false
+  };
+}
+
+// Patterns arrive as an array or one per line / comma; "/regex/" or substring, like assertions
+function toPatternList(value) {
+  if (!value) return [];
+  const list = Array.isArray(value) ? value : String(value).split(/[\n,]/);
+  return list.map(p => String(p).trim()).filter(Boolean);
+}
+
+/**
+ * Crawl a site from crawl.startUrl
+ * @param {Object} crawl - Stored crawl record ({ id, startUrl, options })
+ * @param {Object} options
+ * @param {Object} options.storageState - Logged-in state from an auth profile
+ * @param {Function} options.onProgress - Called with ('page', data) as each page finishes
+ * @returns {Promise<{ origin: string, pages: Array, skipped: Object, pageTypes: Object }>}
+ */
+async function crawl(crawl, { storageState = null, onProgress = () => {} } = {}) {
+  const options = normalizeOptions(crawl.options);
+  const startUrl = normalizeUrl(crawl.startUrl);
+  if (!startUrl) {
+    throw new Error(`Not a crawlable URL: ${crawl.startUrl}`);
+  }
+
+  let origin = new URL(startUrl).origin;
+  let robots = options.respectRobots ? await loadRobots(origin) : null;
+  if (robots && !robots.isAllowed(pathOf(startUrl))) {
+    throw new Error(`robots.txt disallows crawling ${startUrl} - turn off "Respect robots.txt" to crawl your own site anyway`);
+  }
+
+  const pages = [];
+  const queue = [{ url: startUrl, depth: 0, parentId: null }];
+  const seen = new Set([startUrl]);
+  const idByUrl = new Map();
+  const skipped = { offsite: 0, excluded: 0, robots: 0, tooDeep: 0, overLimit: 0, examples: [] };
+
+  const skip = (reason, url) => {
+    skipped[reason]++;
+    if (reason !== 'offsite' && skipped.examples.length < MAX_SKIPPED_EXAMPLES) {
+      skipped.examples.push({ url, reason });
+    }
+  };
+
+  // Decide what to do with a link found on a page at this depth
+  const discover = (url, depth, parentId) => {
+    if (seen.has(url)) return;
+    seen.add(url);
+
+    if (new URL(url).origin !== origin) return skip('offsite', url);
+    if (!isIncluded(url, options)) return skip('excluded', url);
+    if (robots && !robots.isAllowed(pathOf(url))) return skip('robots', url);
+    if (depth > options.maxDepth) return skip('tooDeep', url);
+    queue.push({ url, depth, parentId });
+  };
+
+  await pageInspector.withInspectionContext({ storageState }, async (context) => {
+    while (queue.length > 0 && pages.length < options.maxPages) {
+      const { url, depth, parentId } = queue.shift();
+      // An earlier page redirected here already
+      if (idByUrl.has(url)) continue;
+      const pageId = `p${pages.length}`;
+      const page = await context.newPage();
+      let record;
+
+      try {
+        const data = await pageInspector.inspectPage(page, url);
+        const finalUrl = normalizeUrl(page.url()) || url;
+
+        // The start page may redirect to another host (http -> https, www)
+        if (pages.length === 0 && new URL(finalUrl).origin !== origin) {
+          origin = new URL(finalUrl).origin;
+          if (options.respectRobots) robots = await loadRobots(origin);
+        } else if (new URL(finalUrl).origin !== origin) {
+          throw new Error(`Redirected off-site to ${finalUrl}`);
+        }
+
+        // Redirected onto a page we already have (e.g. /account -> /login)
+        if (finalUrl !== url && idByUrl.has(finalUrl)) {
+          idByUrl.set(url, idByUrl.get(finalUrl));
+          continue;
+        }
+        seen.add(finalUrl);
+
+        const links = await extractLinks(page);
+        const screenshot = await storageService.uploadScreenshot(
+          `crawls/${crawl.id}/${pageId}.jpg`,
+          Buffer.from(data.screenshot, 'base64')
+        );
+        await firestoreService.saveCrawlPage({
+          crawlId: crawl.id,
+          pageId,
+          url: finalUrl,
+          pageType: data.pageType,
+          visibleText: data.visibleText,
+          elements: data.elements
+        });
+
+        record = {
+          id: pageId,
+          url: finalUrl,
+          depth,
+          parentId,
+          title: await page.title().catch(() => ''),
+          pageType: data.pageType,
+          elementCount: data.elements.length,
+          screenshot,
+          status: 'ok',
+          linkUrls: links
+        };
+        idByUrl.set(url, pageId);
+        idByUrl.set(finalUrl, pageId);
+        links.forEach(link => discover(link, depth + 1, pageId));
+      } catch (error) {
+        console.warn(`[Crawl] ${url} failed:`, error.message);
+        record = { id: pageId, url, depth, parentId, title: '', pageType: null, elementCount: 0, screenshot: null, status: 'error', error: error.message, linkUrls: [] };
+        idByUrl.set(url, pageId);
+      } finally {
+        await page.close().catch(() => {});
+      }
+
+      pages.push(record);
+      onProgress('page', {
+        pageId,
+        url: record.url,
+        depth,
+        pageType: record.pageType,
+        status: record.status,
+        crawled: pages.length,
+        queued: queue.length,
+        maxPages: options.maxPages
+      });
+
+      if (robots?.crawlDelay && queue.length > 0) {
+        await new Promise(resolve => setTimeout(resolve, Math.min(robots.crawlDelay * 1000, MAX_CRAWL_DELAY_MS)));
+      }
+    }
+  });
+
+  queue.forEach(({ url }) => skip('overLimit', url));
+
+  // Edges: each page -> the crawled pages it links to
+  for (const page of pages) {
+    const targets = page.linkUrls.map(url => idByUrl.get(url)).filter(id => id && id !== page.id);
+    page.links = [...new Set(targets)];
+    page.linkCount = page.linkUrls.length;
+    delete page.linkUrls;
+  }
+
+  const pageTypes = {};
+  pages.filter(p => p.status === 'ok').forEach(p => { pageTypes[p.pageType] = (pageTypes[p.pageType] || 0) + 1; });
+
+  return { origin, pages, skipped, pageTypes };
+}
+
+// Absolute http(s) links on the page, normalized and deduplicated
+async function extractLinks(page) {
+  const hrefs = await page.evaluate(() =>
+    Array.from(document.querySelectorAll('a[href], area[href]'))
+      .filter(a => !/\bnofollow\b/i.test(a.getAttribute('rel') || ''))
+      .map(a => a.href)
+  ).catch(() => []);
+
+  return [...new Set(hrefs.map(normalizeUrl).filter(Boolean))];
+}
+
+// Drop fragments, tracking parameters and trailing slashes so one page has one URL
+function normalizeUrl(href) {
+  let url;
+  try {
+    url = new URL(href);
+  } catch (e) {
+    return null;
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) return null;
+  if (NON_PAGE_EXTENSIONS.test(url.pathname)) return null;
+
+  url.hash = '';
+  [...url.searchParams.keys()].filter(key => TRACKING_PARAMS.test(key)).forEach(key => url.searchParams.delete(key));
+  url.searchParams.sort();
+  if (url.pathname.length > 1) url.pathname = url.pathname.replace(/\/+$/, '');
+  return url.href;
+}
+
+function pathOf(url) {
+  const { pathname, search } = new URL(url);
+  return pathname + search;
+}
+
+function isIncluded(url, options) {
+  if (options.exclude.some(pattern => assertionEngine.matchPattern(url, pattern))) return false;
+  if (options.include.length === 0) return true;
+  return options.include.some(pattern => assertionEngine.matchPattern(url, pattern));
+}
+
+/**
+ * Fetch an origin's robots.txt. A missing or unreachable file allows everything.
+ */
+async function loadRobots(origin) {
+  try {
+    const res = await fetch(`${origin}/robots.txt`, { signal: AbortSignal.timeout(5000) });
+    return parseRobots(res.ok ? await res.text() : '');
+  } catch (e) {
+    console.warn(`[Crawl] Could not read ${origin}/robots.txt:`, e.message);
+    return parseRobots('');
+  }
+}
+
+/**
+ * Parse robots.txt into { isAllowed(path), crawlDelay } for our agent.
+ * The longest matching rule wins; Allow wins a tie.
+ */
+function parseRobots(text) {
+  const groups = [];
+  let current = null;
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*/, '').trim();
+    const sep = line.indexOf(':');
+    if (sep === -1) continue;
+    const key = line.substring(0, sep).trim().toLowerCase();
+    const value = line.substring(sep + 1).trim();
+
+    if (key === 'user-agent') {
+      // Consecutive User-agent lines share one group
+      if (!current || current.rules.length > 0 || current.crawlDelay !== null) {
+        current = { agents: [], rules: [], crawlDelay: null };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+    } else if (current && (key === 'allow' || key === 'disallow')) {
+      if (value) current.rules.push({ allow: key === 'allow', path: value, pattern: robotsPattern(value) });
+    } else if (current && key === 'crawl-delay') {
+      current.crawlDelay = parseFloat(value) || null;
+    }
+  }
+
+  const ours = groups.filter(g => g.agents.includes(ROBOTS_AGENT));
+  const applicable = ours.length > 0 ? ours : groups.filter(g => g.agents.includes('*'));
+  const rules = applicable.flatMap(g => g.rules);
+  const crawlDelay = applicable.map(g => g.crawlDelay).find(d => d !== null) || null;
+
+  return {
+    crawlDelay,
+    isAllowed(path) {
+      let best = null;
+      for (const rule of rules) {
+        if (!rule.pattern.test(path)) continue;
+        if (!best || rule.path.length > best.path.length || (rule.path.length === best.path.length && rule.allow)) {
+          best = rule;
+        }
+      }
+      return !best || best.allow;
+    }
+  };
+}
+
+// "*" matches anything, a trailing "$" anchors the end; otherwise a prefix match
+function robotsPattern(path) {
+  const anchored = path.endsWith('$');
+  const body = (anchored ? path.slice(0, -1) : path)
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${body}${anchored ? '$' : ''}`);
+}
+
+module.exports = { crawl, normalizeOptions, normalizeUrl, parseRobots, MAX_PAGES_LIMIT };
@@ -0,0 +1,223 @@
+/**
+ * SMTP transport
+ * Just enough SMTP to hand a notification email to a relay: EHLO, STARTTLS when
+ * offered, AUTH LOGIN (only over TLS unless allowed), one message. Anything with the same sendMail() shape can
+ * stand in for it (see notifier.setMailTransport).
+ */
+
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+const { v4: uuidv4 } = require('uuid');
+
+const TIMEOUT_MS = 15000;
+
+/**
+ * Create a transport for one SMTP server
+ * @param {Object} options
+ * @param {string} options.host
+ * @param {number} options.port - 587 by default, 465 when secure
+ * @param {boolean} options.secure - TLS from the start (port 465) instead of STARTTLS
+ * @param {string} options.user - Omit for relays without authentication
+ * @param {string} options.pass
+ * @param {boolean} options.allowInsecureAuth - Log in even when the relay offers no TLS
+ * @param {string} options.from - Default sender address
+ * @returns {{ sendMail: Function }}
+ */
+function createTransport({ host, port, secure = false, user, pass, allowInsecureAuth = false, from }) {
+  if (!host) throw new Error('SMTP host is required');
+  const options = { host, port: parseInt(port) || (secure ? 465 : 587), secure, user, pass, allowInsecureAuth };
+
+  return {
+    /**
+     * @param {Object} message - { from, to, subject, text, html }
+     * @returns {Promise<{ messageId, accepted }>}
+     */
+    sendMail: message => sendMail(options, { from, ...message })
+  };
+}
+
+async function sendMail(options, { from, to, subject, text, html }) {
+  const recipients = [].concat(to || []).filter(Boolean);
+  if (!from) throw new Error('Email needs a sender address');
+  if (recipients.length === 0) throw new Error('Email needs at least one recipient');
+
+  const messageId = `<${uuidv4()}@${os.hostname()}>`;
+  let session = await open(options);
+  try {
+    await session.expect(220);
+    let features = await session.command(`EHLO ${os.hostname()}`, 250);
+
+    let encrypted = options.secure;
+    if (!encrypted && /^250[- ]STARTTLS/mi.test(features)) {
+      await session.command('STARTTLS', 220);
+      session = await session.upgrade();
+      features = await session.command(`EHLO ${os.hostname()}`, 250);
+      encrypted = true;
+    }
+
+    if (options.user) {
+      // AUTH LOGIN is only base64: without TLS the password crosses the network readable
+      if (!encrypted && !options.allowInsecureAuth) {
+        throw new Error(`${options.host} offers no STARTTLS; refusing to send SMTP credentials in cleartext (set SMTP_ALLOW_INSECURE_AUTH=true to allow)`);
+      }
+      await session.command('AUTH LOGIN', 334);
+      await session.command(Buffer.from(options.user).toString('base64'), 334);
+      await session.command(Buffer.from(options.pass || '').toString('base64'), 235);
+    }
+
+    await session.command(`MAIL FROM:<${address(from)}>`, 250);
+    for (const recipient of recipients) {
+      await session.command(`RCPT TO:<${address(recipient)}>`, [250, 251]);
+    }
+    await session.command('DATA', 354);
+    await session.command(`${buildMessage({ from, to: recipients, subject, text, html, messageId })}\r\n.`, 250);
+    await session.command('QUIT', 221).catch(() => {});
+
+    return { messageId, accepted: recipients };
+  } finally {
+    session.close();
+  }
+}
+
+// "BugScout <qa@example.com>" -> qa@example.com
+function address(value) {
+  const match = String(value).match(/<([^>]+)>/);
+  return (match ? match[1] : String(value)).trim();
+}
+
+function open({ host, port, secure }) {
+  return new Promise((resolve, reject) => {
+    const socket = secure ? tls.connect({ host, port, servername: host }) : net.connect({ host, port });
+    socket.setTimeout(TIMEOUT_MS, () => socket.destroy(new Error('SMTP connection timed out')));
+    socket.once('error', reject);
+    socket.once(secure ? 'secureConnect' : 'connect', () => {
+      socket.removeListener('error', reject);
+      resolve(session(socket, host));
+    });
+  });
+}
+
+// Line-based reply reader over a socket. A reply ends at its "250 " line;
+// multi-line replies continue with "250-".
+function session(socket, host) {
+  let buffer = '';
+  let lines = [];
+  let replies = [];
+  let waiting = null;
+  let failure = null;
+
+  const onData = chunk => {
+    buffer += chunk.toString('utf8');
+    let newline;
+    while ((newline = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.slice(0, newline).replace(/\r$/, '');
+      buffer = buffer.slice(newline + 1);
+      lines.push(line);
+      if (/^\d{3}(?: |$)/.test(line)) {
+        const reply = { code: parseInt(line.slice(0, 3)), text: lines.join('\n') };
+        lines = [];
+        if (waiting) {
+          waiting.resolve(reply);
+          waiting = null;
+        } else {
+          replies.push(reply);
+        }
+      }
+    }
+  };
+  const onError = error => {
+    failure = failure || error;
+    if (waiting) {
+      waiting.reject(failure);
+      waiting = null;
+    }
+  };
+  const onClose = () => onError(new Error('SMTP server closed the connection'));
+
+  socket.on('data', onData);
+  socket.on('error', onError);
+  socket.on('close', onClose);
+
+  const read = () => {
+    if (replies.length > 0) return Promise.resolve(replies.shift());
+    if (failure) return Promise.reject(failure);
+    return new Promise((resolve, reject) => { waiting = { resolve, reject }; });
+  };
+
+  const expect = async codes => {
+    const reply = await read();
+    if (![].concat(codes).includes(reply.code)) {
+      throw new Error(`SMTP server replied: ${reply.text}`);
+    }
+    return reply.text;
+  };
+
+  return {
+    expect,
+    command: (line, codes) => {
+      socket.write(`${line}\r\n`);
+      return expect(codes);
+    },
+    // Hand the socket over to TLS after STARTTLS
+    upgrade: () => new Promise((resolve, reject) => {
+      socket.removeListener('data', onData);
+      socket.removeListener('error', onError);
+      socket.removeListener('close', onClose);
+      const secureSocket = tls.connect({ socket, servername: host }, () => {
+        secureSocket.removeListener('error', reject);
+        resolve(session(secureSocket, host));
+      });
+      secureSocket.once('error', reject);
+    }),
+    close: () => socket.end()
+  };
+}
+
+/**
+ * RFC 5322 message with a plain text and (optionally) an HTML part, base64 encoded
+ * so long lines and non-ASCII text survive any relay. Lines starting with a dot
+ * can't occur in base64, so no dot-stuffing is needed.
+ */
+function buildMessage({ from, to, subject, text, html, messageId }) {
+  const boundary = `bugscout-${uuidv4()}`;
+  const headers = [
+    `From: ${from}`,
+    `To: ${to.join(', ')}`,
+    `Subject: ${encodeHeader(subject || '')}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: ${messageId}`,
+    'MIME-Version: 1.0'
+  ];
+
+  const part = (type, content) => [
+    `Content-Type: ${type}; charset=utf-8`,
+    'Content-Transfer-Encoding: base64',
+    '',
+    base64Lines(content)
+  ].join('\r\n');
+
+  if (!html) {
+    return [...headers, part('text/plain', text || '')].join('\r\n');
+  }
+  return [
+    ...headers,
+    `Content-Type: multipart/alternative; boundary="${boundary}"`,
+    '',
+    `--${boundary}`,
+    part('text/plain', text || ''),
+    `--${boundary}`,
+    part('text/html', html),
+    `--${boundary}--`
+  ].join('\r\n');
+}
+
+function encodeHeader(value) {
+  return /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value).toString('base64')}?=`;
+}
+
+function base64Lines(content) {
+  return Buffer.from(content).toString('base64').match(/.{1,76}/g)?.join('\r\n') || '';
+}
+
+module.exports = { createTransport, buildMessage };
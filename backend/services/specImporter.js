@@ -0,0 +1,1065 @@
+/**
+ * Spec importer
+ * Parses Playwright Test and Cypress spec files into tests[].steps.
+ * Only calls with a BugScout equivalent are converted; everything else is
+ * listed in the import report so nothing is dropped silently.
+ */
+
+const assertionEngine = require('./assertionEngine');
+const { STEP_ACTIONS } = require('./testExecutor');
+
+const FORMATS = ['playwright', 'cypress'];
+
+// Block-level calls, by format
+const DESCRIBE_CALLS = {
+  playwright: ['test.describe', 'test.describe.only', 'test.describe.serial', 'test.describe.parallel'],
+  cypress: ['describe', 'describe.only', 'context', 'context.only']
+};
+const TEST_CALLS = {
+  playwright: ['test', 'test.only'],
+  cypress: ['it', 'it.only', 'specify', 'specify.only']
+};
+const SKIPPED_CALLS = {
+  playwright: ['test.skip', 'test.fixme', 'test.describe.skip', 'test.describe.fixme'],
+  cypress: ['it.skip', 'xit', 'specify.skip', 'describe.skip', 'xdescribe', 'context.skip']
+};
+// BugScout opens a fresh page for every test, so all setup hooks run per test
+const SETUP_HOOKS = {
+  playwright: ['test.beforeEach', 'test.beforeAll'],
+  cypress: ['beforeEach', 'before']
+};
+const TEARDOWN_HOOKS = {
+  playwright: ['test.afterEach', 'test.afterAll'],
+  cypress: ['afterEach', 'after']
+};
+
+/**
+ * Guess a spec's framework from the APIs it calls
+ * @returns {'playwright' | 'cypress' | null}
+ */
+function detectFormat(source) {
+  if (/\bcy\s*\.\s*[a-z]/i.test(source)) return 'cypress';
+  if (/@playwright\/test|\bpage\s*\.\s*(goto|locator|getBy)/.test(source)) return 'playwright';
+  return null;
+}
+
+/**
+ * Convert a spec file into BugScout tests
+ * @param {string} source - Spec file contents
+ * @param {Object} options - { format: 'playwright' | 'cypress' | 'auto', url, filename }
+ * @returns {{ url: string|null, tests: Array, report: Object }}
+ */
+function importSpec(source, options = {}) {
+  const format = !options.format || options.format === 'auto' ? detectFormat(source) : options.format;
+  if (!FORMATS.includes(format)) {
+    throw new Error(options.format && options.format !== 'auto'
+      ? `Unsupported spec format: ${options.format}. Use ${FORMATS.join(', ')}`
+      : 'Could not detect the spec format - pass format: playwright or cypress');
+  }
+
+  const ctx = {
+    format,
+    source,
+    tokens: tokenize(source),
+    tests: [],
+    report: {
+      format,
+      filename: options.filename || null,
+      testsFound: 0,
+      testsImported: 0,
+      stepsImported: 0,
+      unsupported: [],
+      skippedTests: [],
+      warnings: []
+    }
+  };
+
+  const scope = { names: [], constants: {}, locators: {}, setup: [], baseURL: null };
+  walkBlock(ctx, 0, ctx.tokens.length, scope);
+
+  // The run starts where the first test navigates unless a URL was given
+  let url = options.url || null;
+  for (const test of ctx.tests) {
+    const start = resolveUrl(test.startUrl, url || test.baseURL);
+    if (!url && start) url = start;
+    if (start && url && start !== url) {
+      ctx.report.warnings.push(`"${test.name}" starts at ${start}, but every imported test starts at ${url}`);
+    }
+  }
+
+  const tests = ctx.tests
+    .filter(test => {
+      if (test.steps.length > 0) return true;
+      ctx.report.skippedTests.push({ name: test.name, line: test.line, reason: 'No supported steps' });
+      return false;
+    })
+    .map((test, idx) => ({
+      id: `imported_${idx + 1}`,
+      type: 'imported',
+      name: test.name,
+      steps: test.steps,
+      expected: 'All imported steps pass'
+    }));
+
+  ctx.report.testsImported = tests.length;
+  ctx.report.stepsImported = tests.reduce((sum, t) => sum + t.steps.length, 0);
+  return { url, tests, report: ctx.report };
+}
+
+// ---------------------------------------------------------------------------
+// Spec structure (describe / test / hooks)
+// ---------------------------------------------------------------------------
+
+function walkBlock(ctx, start, end, scope) {
+  for (const [s, e] of splitStatements(ctx.tokens, start, end)) {
+    if (declare(ctx, s, e, scope)) continue;
+
+    // Block calls look like test.describe('name', () => {...}): one call ending the chain
+    const chain = parseChain(ctx.tokens, s, e);
+    const call = chain?.[chain.length - 1];
+    if (!call?.args || chain.slice(0, -1).some(seg => seg.args)) {
+      if (!isModuleBoilerplate(ctx.tokens, s)) reportUnsupported(ctx, null, s, e, 'Not inside a test');
+      continue;
+    }
+    const callee = chain.map(seg => seg.name).join('.');
+
+    const fn = call.args.map(arg => evalArg(ctx, arg, scope)).find(v => v.kind === 'function');
+    const name = evalArg(ctx, call.args[0] || [s, s], scope);
+    const title = name.kind === 'string' ? name.value : `Test at line ${ctx.tokens[s].line}`;
+
+    if (DESCRIBE_CALLS[ctx.format].includes(callee) && fn) {
+      walkBlock(ctx, fn.body[0], fn.body[1], {
+        ...scope,
+        names: [...scope.names, title],
+        constants: { ...scope.constants },
+        locators: { ...scope.locators },
+        setup: [...scope.setup]
+      });
+    } else if (TEST_CALLS[ctx.format].includes(callee) && fn) {
+      ctx.report.testsFound++;
+      ctx.tests.push(convertTest(ctx, [...scope.names, title].join(' › '), fn, scope, ctx.tokens[s].line));
+    } else if (SKIPPED_CALLS[ctx.format].includes(callee)) {
+      ctx.report.testsFound++;
+      ctx.report.skippedTests.push({ name: [...scope.names, title].join(' › '), line: ctx.tokens[s].line, reason: `Marked ${callee.split('.').pop()} in the spec` });
+    } else if (SETUP_HOOKS[ctx.format].includes(callee) && fn) {
+      scope.setup.push(...convertBody(ctx, fn.body, { ...scope, locators: { ...scope.locators } }, callee));
+    } else if (TEARDOWN_HOOKS[ctx.format].includes(callee)) {
+      reportUnsupported(ctx, null, s, e, 'Teardown hooks are not imported');
+    } else if (callee === 'test.use' && ctx.format === 'playwright') {
+      const opts = evalArg(ctx, call.args[0] || [s, s], scope);
+      if (opts.kind === 'object' && opts.value.baseURL?.kind === 'string') {
+        scope.baseURL = opts.value.baseURL.value;
+      } else {
+        reportUnsupported(ctx, null, s, e, 'Only baseURL is read from test.use()');
+      }
+    } else if (!isModuleBoilerplate(ctx.tokens, s)) {
+      reportUnsupported(ctx, null, s, e, 'Not inside a test');
+    }
+  }
+}
+
+function convertTest(ctx, name, fn, scope, line) {
+  const testScope = { ...scope, locators: { ...scope.locators }, constants: { ...scope.constants } };
+  const navigation = { url: null };
+  const steps = [];
+
+  // Setup hooks run first; a navigation in them is where the test starts
+  for (const step of scope.setup) {
+    if (step.navigate) {
+      navigation.url = navigation.url || step.navigate;
+    } else {
+      steps.push(step);
+    }
+  }
+  steps.push(...convertBody(ctx, fn.body, testScope, name, navigation));
+
+  return { name, line, startUrl: navigation.url, baseURL: scope.baseURL, steps };
+}
+
+/**
+ * Convert the statements of a test or hook body into steps.
+ * The first navigation becomes the test's start URL; hooks return it as a
+ * { navigate } marker for the tests that use them.
+ */
+function convertBody(ctx, [start, end], scope, testName, navigation = null) {
+  const steps = [];
+
+  for (const [s, e] of splitStatements(ctx.tokens, start, end)) {
+    if (declare(ctx, s, e, scope)) continue;
+
+    const chain = parseChain(ctx.tokens, s, e);
+    if (!chain) {
+      reportUnsupported(ctx, testName, s, e, 'Only plain calls can be imported (no control flow or callbacks)');
+      continue;
+    }
+
+    const converted = ctx.format === 'cypress'
+      ? convertCypress(ctx, chain, scope)
+      : convertPlaywright(ctx, chain, scope);
+
+    if (converted.error) {
+      reportUnsupported(ctx, testName, s, e, converted.error);
+      continue;
+    }
+
+    for (const step of converted.steps) {
+      if (step.navigate) {
+        const alreadyNavigated = navigation ? navigation.url : steps.some(st => st.navigate);
+        const hasSteps = steps.some(st => !st.navigate);
+        if (alreadyNavigated || hasSteps) {
+          reportUnsupported(ctx, testName, s, e, 'Navigating mid-test is not supported - tests always start at the run URL');
+        } else if (navigation) {
+          navigation.url = step.navigate;
+        } else {
+          steps.push(step);
+        }
+        continue;
+      }
+
+      const invalid = validateStep(step);
+      if (invalid) {
+        reportUnsupported(ctx, testName, s, e, invalid);
+      } else {
+        steps.push(step);
+      }
+    }
+  }
+
+  return steps;
+}
+
+/**
+ * Check a converted step against the actions executeStep understands
+ * @returns {string|null} Why the step can't run, or null if it can
+ */
+function validateStep(step) {
+  if (assertionEngine.isAssertion(step.action)) {
+    const assertion = assertionEngine.ASSERTIONS[assertionEngine.resolveAssertion(step)];
+    if (assertion.needsTarget && !step.target) return `${step.action} needs a target element`;
+    if (assertion.needsValue && (step.value === undefined || step.value === null || step.value === '')) {
+      return `${step.action} needs an expected value`;
+    }
+    return null;
+  }
+  if (!STEP_ACTIONS.includes(step.action)) return `Unknown action "${step.action}"`;
+  if (!step.target && !['wait', 'screenshot'].includes(step.action)) return `"${step.action}" needs a target element`;
+  if (step.action === 'select' && !step.value) return 'select needs an option value';
+  return null;
+}
+
+/**
+ * Record const/let bindings later statements refer to: strings, locators and
+ * module imports. Returns false for declarations that can't be followed.
+ */
+function declare(ctx, s, e, scope) {
+  const { tokens } = ctx;
+  if (tokens[s].type !== 'ident' || !['const', 'let', 'var'].includes(tokens[s].value)) return false;
+
+  const name = tokens[s + 1];
+  const value = evalArg(ctx, [s + 3, e], scope);
+  if (value.kind === 'expr' && tokens[value.range[0]].value === 'require') return true;
+  if (name?.type !== 'ident' || tokens[s + 2]?.value !== '=') return false;
+
+  if (value.kind === 'string') {
+    scope.constants[name.value] = value.value;
+    return true;
+  }
+  if (value.kind === 'expr' && ctx.format === 'playwright') {
+    const chain = parseChain(tokens, value.range[0], value.range[1]);
+    const locator = chain && playwrightLocator(ctx, chain, scope);
+    if (locator && !locator.error && locator.next === chain.length) {
+      scope.locators[name.value] = locator.selector;
+      return true;
+    }
+  }
+  return false;
+}
+
+function isModuleBoilerplate(tokens, s) {
+  const first = tokens[s];
+  return first.type === 'ident' && ['import', 'export', 'type', 'interface', 'require'].includes(first.value);
+}
+
+function reportUnsupported(ctx, testName, s, e, reason) {
+  const startToken = ctx.tokens[s];
+  const endToken = ctx.tokens[e - 1] || startToken;
+  const code = ctx.source.slice(startToken.start, endToken.end).replace(/\s+/g, ' ').trim();
+  ctx.report.unsupported.push({
+    test: testName,
+    line: startToken.line,
+    code: code.length > 160 ? code.substring(0, 160) + '...' : code,
+    reason
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Playwright Test
+// ---------------------------------------------------------------------------
+
+// Locator methods and the selector fragment each one adds
+const PLAYWRIGHT_LOCATORS = {
+  locator: ([sel]) => sel.kind === 'string' ? sel.value : null,
+  getByRole: ([role, opts]) => {
+    if (role.kind !== 'string') return null;
+    const name = opts?.kind === 'object' ? opts.value.name : null;
+    if (!name) return `role=${role.value}`;
+    return name.kind === 'string' ? `role=${role.value}[name=${JSON.stringify(name.value)}]` : null;
+  },
+  getByText: ([text, opts]) => textSelector('text=', text, opts),
+  getByLabel: ([text, opts]) => textSelector('internal:label=', text, opts),
+  getByPlaceholder: ([text]) => attributeSelector('placeholder', text),
+  getByTestId: ([text]) => attributeSelector('data-testid', text),
+  getByAltText: ([text]) => attributeSelector('alt', text),
+  getByTitle: ([text]) => attributeSelector('title', text),
+  first: () => 'nth=0',
+  last: () => 'nth=-1',
+  nth: ([n]) => n.kind === 'number' ? `nth=${n.value}` : null,
+  filter: ([opts]) => {
+    const hasText = opts?.kind === 'object' && Object.keys(opts.value).length === 1 ? opts.value.hasText : null;
+    return hasText?.kind === 'string' ? `internal:has-text=${JSON.stringify(hasText.value)}i` : null;
+  }
+};
+
+// Locator actions: args => step fields (null when the call can't be expressed)
+const PLAYWRIGHT_ACTIONS = {
+  click: ([opts]) => {
+    const button = opts?.kind === 'object' ? opts.value.button?.value : null;
+    const clicks = opts?.kind === 'object' ? opts.value.clickCount?.value : null;
+    if (button === 'right') return { action: 'rightclick' };
+    if (clicks === 2) return { action: 'doubleclick' };
+    return { action: 'click' };
+  },
+  dblclick: () => ({ action: 'doubleclick' }),
+  tap: () => ({ action: 'click' }),
+  fill: ([value]) => stringStep('type', value),
+  type: ([value]) => stringStep('type', value),
+  pressSequentially: ([value]) => stringStep('type', value),
+  press: ([key]) => stringStep('press', key),
+  check: () => ({ action: 'check' }),
+  uncheck: () => ({ action: 'uncheck' }),
+  setChecked: ([checked]) => checked?.kind === 'boolean' ? { action: checked.value ? 'check' : 'uncheck' } : null,
+  hover: () => ({ action: 'hover' }),
+  focus: () => ({ action: 'focus' }),
+  blur: () => ({ action: 'blur' }),
+  clear: () => ({ action: 'clear' }),
+  scrollIntoViewIfNeeded: () => ({ action: 'scroll' }),
+  screenshot: () => ({ action: 'screenshot', target: null }),
+  selectOption: ([option]) => {
+    if (option?.kind === 'string') return { action: 'select', value: option.value };
+    const picked = option?.kind === 'object' ? (option.value.value || option.value.label) : null;
+    return picked?.kind === 'string' ? { action: 'select', value: picked.value } : null;
+  },
+  waitFor: ([opts]) => {
+    const state = opts?.kind === 'object' ? opts.value.state?.value : 'visible';
+    if (state === 'visible' || state === undefined) return { action: 'assertVisible' };
+    if (state === 'hidden' || state === 'detached') return { action: 'assertHidden' };
+    if (state === 'attached') return { action: 'assertCount', value: '>=1' };
+    return null;
+  }
+};
+
+// expect(locator) matchers: (args, negated) => step fields
+const PLAYWRIGHT_MATCHERS = {
+  toBeVisible: (args, not) => ({ action: not ? 'assertHidden' : 'assertVisible' }),
+  toBeHidden: (args, not) => ({ action: not ? 'assertVisible' : 'assertHidden' }),
+  toBeAttached: (args, not) => ({ action: 'assertCount', value: not ? '0' : '>=1' }),
+  toHaveText: ([text], not) => not ? null : textAssertion('assertText', text),
+  toContainText: ([text], not) => not ? null : textAssertion('assertContainsText', text),
+  toHaveValue: ([value], not) => !not && value?.kind === 'string' ? { action: 'assertValue', value: value.value } : null,
+  toHaveCount: ([n], not) => n?.kind === 'number' ? { action: 'assertCount', value: `${not ? '!=' : ''}${n.value}` } : null,
+  toHaveAttribute: ([name, value], not) => {
+    if (not || name?.kind !== 'string') return null;
+    if (!value) return { action: 'assertAttribute', value: name.value };
+    return value.kind === 'string' ? { action: 'assertAttribute', value: `${name.value}=${value.value}` } : null;
+  }
+};
+
+// expect(page) matchers
+const PLAYWRIGHT_PAGE_MATCHERS = {
+  toHaveURL: ([pattern], not) => !not ? patternStep('assertUrl', pattern) : null,
+  toHaveTitle: ([pattern], not) => !not ? patternStep('assertTitle', pattern) : null
+};
+
+function convertPlaywright(ctx, chain, scope) {
+  const args = seg => seg.args.map(arg => evalArg(ctx, arg, scope));
+
+  if (chain[0].name === 'expect') {
+    return playwrightExpect(ctx, chain, scope);
+  }
+
+  if (chain[0].name === 'page' && chain.length === 2 && chain[1].args) {
+    const [method, call] = [chain[1].name, chain[1]];
+    const values = args(call);
+    if (method === 'goto') {
+      return values[0]?.kind === 'string'
+        ? { steps: [{ navigate: values[0].value }] }
+        : { error: 'page.goto() needs a literal URL' };
+    }
+    if (method === 'waitForTimeout') {
+      return values[0]?.kind === 'number'
+        ? { steps: [{ action: 'wait', value: String(values[0].value) }] }
+        : { error: 'waitForTimeout() needs a literal number' };
+    }
+    if (method === 'waitForURL') {
+      const step = patternStep('assertUrl', values[0]);
+      return step ? { steps: [step] } : { error: 'waitForURL() needs a literal URL or regex' };
+    }
+    if (method === 'screenshot') {
+      return { steps: [{ action: 'screenshot' }] };
+    }
+    // Legacy page-level actions: page.click(selector), page.fill(selector, value)...
+    if (PLAYWRIGHT_ACTIONS[method] && values[0]?.kind === 'string') {
+      const fields = PLAYWRIGHT_ACTIONS[method](values.slice(1));
+      if (fields) return { steps: [{ target: values[0].value, ...fields }] };
+    }
+    return conversionError(`page.${method}`, !!PLAYWRIGHT_ACTIONS[method], values);
+  }
+
+  const locator = playwrightLocator(ctx, chain, scope);
+  if (locator.error) return locator;
+  if (locator.next !== chain.length - 1 || !chain[locator.next].args) {
+    return { error: 'Expected a single action at the end of the locator' };
+  }
+
+  const action = chain[locator.next];
+  const handler = PLAYWRIGHT_ACTIONS[action.name];
+  const values = args(action);
+  const fields = handler ? handler(values) : null;
+  if (!fields) return conversionError(action.name, !!handler, values);
+  return { steps: [{ target: locator.selector, ...fields }] };
+}
+
+function playwrightExpect(ctx, chain, scope) {
+  let idx = 0;
+  // expect.soft(x) and expect(x) both take the subject as their argument
+  if (chain[1]?.name === 'soft' && !chain[0].args) idx = 1;
+  const subjectArgs = chain[idx].args;
+  if (!subjectArgs || subjectArgs.length !== 1) return { error: 'Unsupported expect() form' };
+
+  const rest = chain.slice(idx + 1);
+  const not = rest[0]?.name === 'not';
+  const matcher = rest[not ? 1 : 0];
+  if (!matcher?.args || rest.length !== (not ? 2 : 1)) return { error: 'Unsupported expect() form' };
+  const values = matcher.args.map(arg => evalArg(ctx, arg, scope));
+
+  const subject = evalArg(ctx, subjectArgs[0], scope);
+  if (subject.kind === 'ident' && subject.value === 'page') {
+    const step = PLAYWRIGHT_PAGE_MATCHERS[matcher.name]?.(values, not);
+    return step ? { steps: [step] } : conversionError(`expect(page).${not ? 'not.' : ''}${matcher.name}`, !!PLAYWRIGHT_PAGE_MATCHERS[matcher.name], values);
+  }
+
+  let selector = subject.kind === 'locator' ? subject.value : null;
+  if (subject.kind === 'expr') {
+    const subjectChain = parseChain(ctx.tokens, subject.range[0], subject.range[1]);
+    const locator = subjectChain && playwrightLocator(ctx, subjectChain, scope);
+    if (!locator || locator.error || locator.next !== subjectChain.length) {
+      return { error: locator?.error || 'expect() subject is not a locator' };
+    }
+    selector = locator.selector;
+  }
+  if (!selector) return { error: 'expect() subject is not a locator' };
+
+  const fields = PLAYWRIGHT_MATCHERS[matcher.name]?.(values, not);
+  if (!fields) return conversionError(`${not ? 'not.' : ''}${matcher.name}`, !!PLAYWRIGHT_MATCHERS[matcher.name], values);
+  return { steps: [{ target: selector, ...fields }] };
+}
+
+/**
+ * Build a selector from page.locator()/getBy*() chains
+ * @returns {{ selector: string, next: number } | { error: string }} next = index of the first non-locator segment
+ */
+function playwrightLocator(ctx, chain, scope) {
+  let selector = null;
+  let idx = 1;
+
+  if (chain[0].name === 'page' && !chain[0].args) {
+    // frameLocator() can only be replayed as "the first iframe"
+    if (chain[1]?.name === 'frameLocator') {
+      const frame = evalArg(ctx, chain[1].args?.[0] || [0, 0], scope);
+      if (frame.kind !== 'string' || !/^iframe\b/.test(frame.value)) {
+        return { error: 'Only frameLocator(\'iframe...\') is supported - BugScout targets the first iframe' };
+      }
+      selector = 'iframe';
+      idx = 2;
+    }
+  } else if (scope.locators[chain[0].name] && !chain[0].args) {
+    selector = scope.locators[chain[0].name];
+  } else {
+    return { error: `Unknown subject "${chain[0].name}"` };
+  }
+
+  for (; idx < chain.length; idx++) {
+    const seg = chain[idx];
+    const build = PLAYWRIGHT_LOCATORS[seg.name];
+    if (!build || !seg.args) break;
+    const part = build(seg.args.map(arg => evalArg(ctx, arg, scope)));
+    if (!part) return { error: `${seg.name}() arguments can't be converted` };
+    selector = selector ? `${selector} >> ${part}` : part;
+  }
+
+  if (!selector) return { error: `${chain.map(seg => seg.name).join('.')}() has no BugScout equivalent` };
+  return { selector, next: idx };
+}
+
+function textSelector(engine, text, opts) {
+  if (text?.kind === 'regex') return `${engine}${text.value}`;
+  if (text?.kind !== 'string') return null;
+  const exact = opts?.kind === 'object' && opts.value.exact?.value === true;
+  if (engine === 'text=') return exact ? `text=${JSON.stringify(text.value)}` : `text=${text.value}`;
+  return `${engine}${JSON.stringify(text.value)}${exact ? 's' : 'i'}`;
+}
+
+function attributeSelector(attribute, text) {
+  return text?.kind === 'string' ? `[${attribute}=${JSON.stringify(text.value)}]` : null;
+}
+
+// Arguments the importer can't evaluate: variables, template strings, expressions
+const DYNAMIC_KINDS = ['ident', 'expr', 'unknown'];
+
+// A supported action or matcher given dynamic arguments says so; anything else has no equivalent
+function conversionError(name, supported, values) {
+  if (supported && values.some(v => DYNAMIC_KINDS.includes(v?.kind))) {
+    return { error: `${name}(): only literal string arguments can be imported` };
+  }
+  return { error: `${name}() has no BugScout equivalent` };
+}
+
+function stringStep(action, value) {
+  if (value?.kind === 'string') return { action, value: value.value };
+  if (value?.kind === 'number') return { action, value: String(value.value) };
+  return null;
+}
+
+function textAssertion(action, text) {
+  if (text?.kind === 'regex') return { action: 'assertTextMatches', value: text.value };
+  return text?.kind === 'string' ? { action, value: text.value } : null;
+}
+
+function patternStep(action, pattern) {
+  return pattern?.kind === 'string' || pattern?.kind === 'regex'
+    ? { action, value: pattern.value }
+    : null;
+}
+
+// ---------------------------------------------------------------------------
+// Cypress
+// ---------------------------------------------------------------------------
+
+// cy.type() special sequences and the key each one presses
+const CYPRESS_KEYS = {
+  enter: 'Enter',
+  esc: 'Escape',
+  backspace: 'Backspace',
+  del: 'Delete',
+  uparrow: 'ArrowUp',
+  downarrow: 'ArrowDown',
+  leftarrow: 'ArrowLeft',
+  rightarrow: 'ArrowRight',
+  home: 'Home',
+  end: 'End',
+  pageup: 'PageUp',
+  pagedown: 'PageDown'
+};
+
+const CYPRESS_ACTIONS = {
+  click: () => [{ action: 'click' }],
+  dblclick: () => [{ action: 'doubleclick' }],
+  rightclick: () => [{ action: 'rightclick' }],
+  clear: () => [{ action: 'clear' }],
+  check: () => [{ action: 'check' }],
+  uncheck: () => [{ action: 'uncheck' }],
+  focus: () => [{ action: 'focus' }],
+  blur: () => [{ action: 'blur' }],
+  scrollIntoView: () => [{ action: 'scroll' }],
+  select: ([option]) => option?.kind === 'string' ? [{ action: 'select', value: option.value }] : null,
+  trigger: ([event]) => ['mouseover', 'mouseenter'].includes(event?.value) ? [{ action: 'hover' }] : null,
+  type: ([text, opts]) => {
+    if (text?.kind !== 'string') return null;
+    const literal = opts?.kind === 'object' && opts.value.parseSpecialCharSequences?.value === false;
+    return literal ? [{ action: 'type', value: text.value }] : cypressTypeSteps(text.value);
+  }
+};
+
+// Traversals that narrow the subject and the selector fragment they add
+const CYPRESS_TRAVERSALS = {
+  find: ([sel]) => sel?.kind === 'string' ? sel.value : null,
+  contains: ([a, b]) => cypressContains(a, b),
+  first: () => 'nth=0',
+  last: () => 'nth=-1',
+  eq: ([n]) => n?.kind === 'number' ? `nth=${n.value}` : null
+};
+
+// should()/and() chainers on elements: args => step fields
+const CYPRESS_CHAINERS = {
+  'be.visible': () => ({ action: 'assertVisible' }),
+  'not.be.visible': () => ({ action: 'assertHidden' }),
+  'exist': () => ({ action: 'assertCount', value: '>=1' }),
+  'not.exist': () => ({ action: 'assertCount', value: '0' }),
+  'have.text': ([text]) => textAssertion('assertText', text),
+  'contain': ([text]) => textAssertion('assertContainsText', text),
+  'contain.text': ([text]) => textAssertion('assertContainsText', text),
+  'include.text': ([text]) => textAssertion('assertContainsText', text),
+  'match': ([regex]) => regex?.kind === 'regex' ? { action: 'assertTextMatches', value: regex.value } : null,
+  'have.value': ([value]) => stringStep('assertValue', value),
+  'have.attr': ([name, value]) => {
+    if (name?.kind !== 'string') return null;
+    if (!value) return { action: 'assertAttribute', value: name.value };
+    return value.kind === 'string' ? { action: 'assertAttribute', value: `${name.value}=${value.value}` } : null;
+  },
+  'have.length': ([n]) => countStep('', n),
+  'not.have.length': ([n]) => countStep('!=', n),
+  'have.length.gt': ([n]) => countStep('>', n),
+  'have.length.greaterThan': ([n]) => countStep('>', n),
+  'have.length.above': ([n]) => countStep('>', n),
+  'have.length.gte': ([n]) => countStep('>=', n),
+  'have.length.at.least': ([n]) => countStep('>=', n),
+  'have.length.lt': ([n]) => countStep('<', n),
+  'have.length.lessThan': ([n]) => countStep('<', n),
+  'have.length.below': ([n]) => countStep('<', n),
+  'have.length.lte': ([n]) => countStep('<=', n),
+  'have.length.at.most': ([n]) => countStep('<=', n)
+};
+
+// should()/and() chainers on cy.url() and cy.title()
+const CYPRESS_PAGE_CHAINERS = {
+  'include': ([value]) => value,
+  'contain': ([value]) => value,
+  'eq': ([value]) => value,
+  'equal': ([value]) => value,
+  'match': ([value]) => value?.kind === 'regex' ? value : null
+};
+
+function convertCypress(ctx, chain, scope) {
+  if (chain[0].name !== 'cy' || chain[0].args || !chain[1]?.args) {
+    return { error: 'Only cy.* command chains are supported' };
+  }
+
+  const args = seg => seg.args.map(arg => evalArg(ctx, arg, scope));
+  const [command, ...rest] = chain.slice(1);
+  const values = args(command);
+
+  switch (command.name) {
+    case 'visit':
+      if (rest.length) return { error: 'Unsupported chain after cy.visit()' };
+      return values[0]?.kind === 'string'
+        ? { steps: [{ navigate: values[0].value }] }
+        : { error: 'cy.visit() needs a literal URL' };
+    case 'wait':
+      return values[0]?.kind === 'number' && !rest.length
+        ? { steps: [{ action: 'wait', value: String(values[0].value) }] }
+        : { error: 'Only fixed cy.wait(ms) delays are supported - aliases need network stubbing' };
+    case 'screenshot':
+      return { steps: [{ action: 'screenshot' }] };
+    case 'url':
+    case 'title':
+      return cypressPageAssertions(ctx, command.name === 'url' ? 'assertUrl' : 'assertTitle', rest, scope);
+    case 'get':
+    case 'contains': {
+      const selector = command.name === 'get'
+        ? (values[0]?.kind === 'string' ? values[0].value : null)
+        : cypressContains(values[0], values[1]);
+      if (!selector) return { error: `cy.${command.name}() arguments can't be converted` };
+      return cypressSubject(ctx, selector, rest, scope);
+    }
+    default:
+      return { error: `cy.${command.name}() has no BugScout equivalent` };
+  }
+}
+
+function cypressSubject(ctx, selector, chain, scope) {
+  const steps = [];
+  let shadow = false;
+
+  for (const seg of chain) {
+    if (!seg.args) return { error: `Unsupported property ".${seg.name}"` };
+    const values = seg.args.map(arg => evalArg(ctx, arg, scope));
+
+    if (seg.name === 'shadow') {
+      shadow = true;
+      continue;
+    }
+    if (CYPRESS_TRAVERSALS[seg.name]) {
+      const part = CYPRESS_TRAVERSALS[seg.name](values);
+      if (!part) return { error: `.${seg.name}() arguments can't be converted` };
+      // BugScout's shadow DOM dialect pierces with ">>>"
+      selector = `${selector} ${shadow ? '>>>' : '>>'} ${part}`;
+      shadow = false;
+      continue;
+    }
+    if (seg.name === 'should' || seg.name === 'and') {
+      const chainer = values[0];
+      const fields = chainer?.kind === 'string' ? CYPRESS_CHAINERS[chainer.value]?.(values.slice(1)) : null;
+      if (!fields) return { error: `.${seg.name}(${chainer?.kind === 'string' ? `'${chainer.value}'` : '...'}) has no BugScout equivalent` };
+      steps.push({ target: selector, ...fields });
+      continue;
+    }
+    if (!CYPRESS_ACTIONS[seg.name]) return { error: `.${seg.name}() has no BugScout equivalent` };
+    const action = CYPRESS_ACTIONS[seg.name](values);
+    if (!action) return { error: `.${seg.name}() arguments can't be converted` };
+    steps.push(...action.map(fields => ({ target: selector, ...fields })));
+  }
+
+  // A bare cy.get()/cy.contains() is Cypress's implicit existence check
+  if (steps.length === 0) steps.push({ target: selector, action: 'assertCount', value: '>=1' });
+  return { steps };
+}
+
+function cypressPageAssertions(ctx, action, chain, scope) {
+  const steps = [];
+  for (const seg of chain) {
+    if (!['should', 'and'].includes(seg.name) || !seg.args) return { error: `.${seg.name}() has no BugScout equivalent` };
+    const values = seg.args.map(arg => evalArg(ctx, arg, scope));
+    const expected = values[0]?.kind === 'string' ? CYPRESS_PAGE_CHAINERS[values[0].value]?.(values.slice(1)) : null;
+    const step = patternStep(action, expected);
+    if (!step) return { error: `${action === 'assertUrl' ? 'cy.url()' : 'cy.title()'} check can't be converted` };
+    steps.push(step);
+  }
+  if (steps.length === 0) return { error: 'cy.url()/cy.title() without an assertion' };
+  return { steps };
+}
+
+function cypressContains(a, b) {
+  if (b === undefined) {
+    if (a?.kind === 'regex') return `text=${a.value}`;
+    return a?.kind === 'string' ? `text=${a.value}` : null;
+  }
+  if (a?.kind !== 'string' || b?.kind !== 'string') return null;
+  return `${a.value} >> internal:has-text=${JSON.stringify(b.value)}i`;
+}
+
+// "jane{enter}" types the text, then presses Enter
+function cypressTypeSteps(text) {
+  const steps = [];
+  for (const part of text.split(/(\{[^}]+\})/).filter(Boolean)) {
+    const special = /^\{([^}]+)\}$/.exec(part);
+    if (!special) {
+      steps.push({ action: 'type', value: part });
+    } else if (CYPRESS_KEYS[special[1].toLowerCase()]) {
+      steps.push({ action: 'press', value: CYPRESS_KEYS[special[1].toLowerCase()] });
+    } else {
+      return null;
+    }
+  }
+  return steps;
+}
+
+function countStep(op, n) {
+  return n?.kind === 'number' ? { action: 'assertCount', value: `${op}${n.value}` } : null;
+}
+
+// ---------------------------------------------------------------------------
+// Expressions
+// ---------------------------------------------------------------------------
+
+/**
+ * Parse `a.b(...).c(...)` into [{ name, args }], args being token ranges
+ * (null for property access). Returns null for anything else.
+ */
+function parseChain(tokens, start, end) {
+  let i = start;
+  while (i < end && tokens[i].type === 'ident' && ['await', 'return', 'void'].includes(tokens[i].value)) i++;
+  if (i >= end || tokens[i].type !== 'ident') return null;
+
+  const chain = [{ name: tokens[i].value, args: null }];
+  i++;
+  while (i < end) {
+    const t = tokens[i];
+    if (t.type === 'punct' && (t.value === '.' || t.value === '?.') && tokens[i + 1]?.type === 'ident') {
+      chain.push({ name: tokens[i + 1].value, args: null });
+      i += 2;
+    } else if (t.type === 'punct' && t.value === '(' && chain[chain.length - 1].args === null) {
+      const close = matchBracket(tokens, i);
+      if (close === -1 || close >= end) return null;
+      chain[chain.length - 1].args = splitArgs(tokens, i + 1, close);
+      i = close + 1;
+    } else {
+      return null;
+    }
+  }
+  return chain;
+}
+
+/**
+ * Statically evaluate an argument's token range.
+ * Kinds: string, number, boolean, regex, object, function, locator, ident, expr, unknown
+ */
+function evalArg(ctx, [start, end], scope) {
+  const { tokens } = ctx;
+  if (start >= end) return { kind: 'unknown' };
+  const first = tokens[start];
+
+  // Functions: (args) => {...}, async ({ page }) => ..., function () {...}
+  const arrow = findTopLevel(tokens, start, end, '=>');
+  if (arrow !== -1 || first.value === 'function' || (first.value === 'async' && tokens[start + 1]?.value === 'function')) {
+    let bodyStart = arrow !== -1 ? arrow + 1 : findTopLevel(tokens, start, end, '{');
+    if (bodyStart === -1) return { kind: 'unknown' };
+    if (tokens[bodyStart].value === '{') {
+      const close = matchBracket(tokens, bodyStart);
+      return { kind: 'function', body: [bodyStart + 1, close === -1 ? end : close] };
+    }
+    return { kind: 'function', body: [bodyStart, end] };
+  }
+
+  // String concatenation: BASE_URL + '/login'
+  const plus = findTopLevel(tokens, start, end, '+');
+  if (plus !== -1 && first.value !== '-') {
+    const left = evalArg(ctx, [start, plus], scope);
+    const right = evalArg(ctx, [plus + 1, end], scope);
+    if ((left.kind === 'string' || left.kind === 'number') && (right.kind === 'string' || right.kind === 'number')) {
+      return { kind: left.kind === 'number' && right.kind === 'number' ? 'number' : 'string', value: left.value + right.value };
+    }
+    return { kind: 'unknown' };
+  }
+
+  if (end - start === 1) {
+    if (first.type === 'string') return { kind: 'string', value: first.value };
+    if (first.type === 'template') return interpolate(first.value, scope);
+    if (first.type === 'number') return { kind: 'number', value: Number(first.value) };
+    if (first.type === 'regex') return { kind: 'regex', value: first.value };
+    if (first.type === 'ident') {
+      if (first.value === 'true' || first.value === 'false') return { kind: 'boolean', value: first.value === 'true' };
+      if (scope.constants[first.value] !== undefined) return { kind: 'string', value: scope.constants[first.value] };
+      if (scope.locators[first.value] !== undefined) return { kind: 'locator', value: scope.locators[first.value] };
+      return { kind: 'ident', value: first.value };
+    }
+  }
+  if (first.value === '-' && end - start === 2 && tokens[start + 1].type === 'number') {
+    return { kind: 'number', value: -Number(tokens[start + 1].value) };
+  }
+
+  if (first.value === '{' && matchBracket(tokens, start) === end - 1) {
+    const value = {};
+    for (const [s, e] of splitArgs(tokens, start + 1, end - 1)) {
+      const key = tokens[s];
+      if (tokens[s + 1]?.value !== ':' || !['ident', 'string'].includes(key?.type)) continue;
+      value[key.value] = evalArg(ctx, [s + 2, e], scope);
+    }
+    return { kind: 'object', value };
+  }
+
+  if (first.type === 'ident' || first.value === 'await') {
+    return { kind: 'expr', range: [start, end] };
+  }
+  return { kind: 'unknown' };
+}
+
+// Template literals resolve only when every ${name} is a known constant
+function interpolate(raw, scope) {
+  let resolvable = true;
+  const value = raw.replace(/\$\{\s*([A-Za-z_$][\w$]*)\s*\}/g, (match, name) => {
+    if (scope.constants[name] === undefined) resolvable = false;
+    return scope.constants[name];
+  });
+  return resolvable && !value.includes('${') ? { kind: 'string', value } : { kind: 'unknown' };
+}
+
+function resolveUrl(url, base) {
+  if (!url) return null;
+  try {
+    return new URL(url, base || undefined).href;
+  } catch (e) {
+    return null;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Tokens
+// ---------------------------------------------------------------------------
+
+const PUNCTUATORS = ['...', '===', '!==', '=>', '==', '!=', '<=', '>=', '&&', '||', '??', '?.', '++', '--', '+=', '-='];
+// After these a "/" starts a regex literal rather than a division
+const REGEX_AFTER_WORDS = ['return', 'typeof', 'case', 'do', 'else', 'in', 'of', 'new', 'delete', 'void', 'throw', 'await', 'yield'];
+
+const STRING_ESCAPES = { n: '\n', t: '\t', r: '\r', b: '\b', f: '\f', v: '\v', 0: '\0' };
+
+/**
+ * Minimal JavaScript/TypeScript tokenizer - enough to find calls and their
+ * literal arguments. Comments are dropped; template literals keep their raw text.
+ */
+function tokenize(source) {
+  const tokens = [];
+  let i = 0;
+  let line = 1;
+
+  while (i < source.length) {
+    const ch = source[i];
+    const start = i;
+    const startLine = line;
+
+    if (ch === '\n') {
+      line++;
+      i++;
+    } else if (/\s/.test(ch)) {
+      i++;
+    } else if (source.startsWith('//', i)) {
+      while (i < source.length && source[i] !== '\n') i++;
+    } else if (source.startsWith('/*', i)) {
+      const close = source.indexOf('*/', i + 2);
+      i = close === -1 ? source.length : close + 2;
+      line += countLines(source.slice(start, i));
+    } else if (ch === '\'' || ch === '"' || ch === '`') {
+      const { value, end } = readString(source, i);
+      i = end;
+      line += countLines(source.slice(start, i));
+      tokens.push({ type: ch === '`' ? 'template' : 'string', value, start, end: i, line: startLine });
+    } else if (ch === '/' && regexAllowed(tokens[tokens.length - 1]) && readRegexEnd(source, i)) {
+      i = readRegexEnd(source, i);
+      tokens.push({ type: 'regex', value: source.slice(start, i), start, end: i, line: startLine });
+    } else if (/[A-Za-z_$]/.test(ch)) {
+      while (i < source.length && /[\w$]/.test(source[i])) i++;
+      tokens.push({ type: 'ident', value: source.slice(start, i), start, end: i, line: startLine });
+    } else if (/[0-9]/.test(ch)) {
+      const match = /^(0[xX][\da-fA-F]+|\d[\d_]*(\.\d+)?([eE][+-]?\d+)?)/.exec(source.slice(i));
+      i += match[0].length;
+      tokens.push({ type: 'number', value: match[0].replace(/_/g, ''), start, end: i, line: startLine });
+    } else {
+      const punct = PUNCTUATORS.find(p => source.startsWith(p, i)) || ch;
+      i += punct.length;
+      tokens.push({ type: 'punct', value: punct, start, end: i, line: startLine });
+    }
+  }
+  return tokens;
+}
+
+function readString(source, start) {
+  const quoteChar = source[start];
+  let value = '';
+  let i = start + 1;
+
+  while (i < source.length && source[i] !== quoteChar) {
+    if (source[i] === '\\') {
+      const next = source[i + 1];
+      // Template literals keep escapes raw so ${} detection stays reliable
+      value += quoteChar === '`' ? source.slice(i, i + 2) : (STRING_ESCAPES[next] ?? next);
+      i += 2;
+    } else if (quoteChar === '`' && source.startsWith('${', i)) {
+      let depth = 0;
+      const exprStart = i;
+      do {
+        if (source[i] === '{') depth++;
+        if (source[i] === '}') depth--;
+        i++;
+      } while (i < source.length && depth > 0);
+      value += source.slice(exprStart, i);
+    } else if (quoteChar !== '`' && source[i] === '\n') {
+      break; // Unterminated string
+    } else {
+      value += source[i++];
+    }
+  }
+  return { value, end: Math.min(i + 1, source.length) };
+}
+
+function regexAllowed(prev) {
+  if (!prev) return true;
+  if (prev.type === 'punct') return ![')', ']', '}'].includes(prev.value);
+  return prev.type === 'ident' && REGEX_AFTER_WORDS.includes(prev.value);
+}
+
+function readRegexEnd(source, start) {
+  let i = start + 1;
+  let inClass = false;
+  while (i < source.length) {
+    const ch = source[i];
+    if (ch === '\n') return null;
+    if (ch === '\\') {
+      i += 2;
+      continue;
+    }
+    if (ch === '[') inClass = true;
+    else if (ch === ']') inClass = false;
+    else if (ch === '/' && !inClass) break;
+    i++;
+  }
+  if (i >= source.length || i === start + 1) return null;
+  i++;
+  while (i < source.length && /[dgimsuy]/.test(source[i])) i++;
+  return i;
+}
+
+function countLines(text) {
+  return (text.match(/\n/g) || []).length;
+}
+
+const OPENERS = { '(': ')', '[': ']', '{': '}' };
+const CLOSERS = [')', ']', '}'];
+
+function matchBracket(tokens, openIdx) {
+  let depth = 0;
+  for (let i = openIdx; i < tokens.length; i++) {
+    const t = tokens[i];
+    if (t.type !== 'punct') continue;
+    if (OPENERS[t.value]) depth++;
+    else if (CLOSERS.includes(t.value) && --depth === 0) return i;
+  }
+  return -1;
+}
+
+// Index of the first depth-0 punctuator with this value in [start, end), or -1
+function findTopLevel(tokens, start, end, value) {
+  let depth = 0;
+  for (let i = start; i < end; i++) {
+    const t = tokens[i];
+    if (t.type !== 'punct') continue;
+    if (depth === 0 && t.value === value) return i;
+    if (OPENERS[t.value]) depth++;
+    else if (CLOSERS.includes(t.value)) depth--;
+  }
+  return -1;
+}
+
+// Split a call's argument tokens on depth-0 commas
+function splitArgs(tokens, start, end) {
+  const args = [];
+  let depth = 0;
+  let argStart = start;
+  for (let i = start; i < end; i++) {
+    const t = tokens[i];
+    if (t.type !== 'punct') continue;
+    if (OPENERS[t.value]) depth++;
+    else if (CLOSERS.includes(t.value)) depth--;
+    else if (depth === 0 && t.value === ',') {
+      args.push([argStart, i]);
+      argStart = i + 1;
+    }
+  }
+  if (argStart < end) args.push([argStart, end]);
+  return args;
+}
+
+// Operators that carry an expression over a line break
+const CONTINUATIONS = ['.', '?.', '=>', ',', '=', '+', '-', '*', '/', '&&', '||', '??', '?', ':', '(', '[', '{'];
+
+/**
+ * Split a block's tokens into statement ranges, on semicolons and on line
+ * breaks that can't continue the expression (ASI, roughly)
+ */
+function splitStatements(tokens, start, end) {
+  const statements = [];
+  let depth = 0;
+  let stmtStart = start;
+
+  for (let i = start; i < end; i++) {
+    const t = tokens[i];
+    if (t.type === 'punct') {
+      if (OPENERS[t.value]) depth++;
+      else if (CLOSERS.includes(t.value)) depth--;
+    }
+    if (depth !== 0) continue;
+
+    const next = tokens[i + 1];
+    const isSemicolon = t.type === 'punct' && t.value === ';';
+    const lineEnds = i + 1 >= end || (next.line > t.line
+      && !(t.type === 'punct' && CONTINUATIONS.includes(t.value))
+      && !(next.type === 'punct' && CONTINUATIONS.includes(next.value) && next.value !== '(' && next.value !== '['));
+
+    if (isSemicolon || lineEnds) {
+      const stmtEnd = isSemicolon ? i : i + 1;
+      if (stmtEnd > stmtStart) statements.push([stmtStart, stmtEnd]);
+      stmtStart = i + 1;
+    }
+  }
+  return statements;
+}
+
+module.exports = { importSpec, detectFormat, FORMATS };
@@ -3,10 +3,14 @@ const path = require('path');
 
 // Local storage for screenshots
 const SCREENSHOTS_DIR = path.join(__dirname, '../../screenshots');
+// Execution recordings (Playwright trace zips and WebM videos)
+const ARTIFACTS_DIR = path.join(__dirname, '../../artifacts');
 
-// Ensure screenshots directory exists
-if (!fs.existsSync(SCREENSHOTS_DIR)) {
-  fs.mkdirSync(SCREENSHOTS_DIR, { recursive: true });
+// Ensure storage directories exist
+for (const dir of [SCREENSHOTS_DIR, ARTIFACTS_DIR]) {
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
 }
 
 async function uploadScreenshot(filename, buffer) {
@@ -37,4 +41,37 @@ async function deleteScreenshot(filename) {
   return true;
 }
 
-module.exports = { uploadScreenshot, getScreenshot, deleteScreenshot };
+async function uploadArtifact(filename, buffer) {
+  const filePath = path.join(ARTIFACTS_DIR, filename);
+  const dir = path.dirname(filePath);
+  
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+  
+  fs.writeFileSync(filePath, buffer);
+  return `/artifacts/${filename}`;
+}
+
+async function getArtifact(filename) {
+  const filePath = path.join(ARTIFACTS_DIR, filename);
+  if (fs.existsSync(filePath)) {
+    return fs.readFileSync(filePath);
+  }
+  return null;
+}
+
+// Local artifacts are served from ARTIFACTS_DIR as they are; only cloud storage signs links
+async function getArtifactUrl() {
+  return null;
+}
+
+async function deleteArtifact(filename) {
+  const filePath = path.join(ARTIFACTS_DIR, filename);
+  if (fs.existsSync(filePath)) {
+    fs.unlinkSync(filePath);
+  }
+  return true;
+}
+
+module.exports = { uploadScreenshot, getScreenshot, deleteScreenshot, uploadArtifact, getArtifact, getArtifactUrl, deleteArtifact };
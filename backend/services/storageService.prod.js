@@ -37,4 +37,56 @@ async function deleteScreenshot(filename) {
   return true;
 }
 
-module.exports = { uploadScreenshot, getScreenshot, deleteScreenshot };
+const ARTIFACT_TYPES = { '.zip': 'application/zip', '.webm': 'video/webm' };
+
+// How long a download link for a trace or video stays valid
+const ARTIFACT_URL_TTL_MINUTES = parseInt(process.env.ARTIFACT_URL_TTL_MINUTES) || 15;
+
+// Traces hold cookies, storage and typed credentials: artifacts stay private and are
+// served through /artifacts, which redirects to a short-lived signed URL
+async function uploadArtifact(filename, buffer) {
+  const file = bucket.file(`artifacts/${filename}`);
+  const extension = filename.slice(filename.lastIndexOf('.'));
+  
+  await file.save(buffer, {
+    contentType: ARTIFACT_TYPES[extension] || 'application/octet-stream',
+    metadata: {
+      cacheControl: 'private, no-store'
+    }
+  });
+  
+  return `/artifacts/${filename}`;
+}
+
+async function getArtifactUrl(filename) {
+  const file = bucket.file(`artifacts/${filename}`);
+  const [exists] = await file.exists();
+  
+  if (!exists) return null;
+  
+  const [url] = await file.getSignedUrl({
+    action: 'read',
+    expires: Date.now() + ARTIFACT_URL_TTL_MINUTES * 60 * 1000,
+    // Trace zips download for the Playwright trace viewer
+    ...(filename.endsWith('.zip') && { responseDisposition: `attachment; filename="${filename.split('/').pop()}"` })
+  });
+  return url;
+}
+
+async function getArtifact(filename) {
+  const file = bucket.file(`artifacts/${filename}`);
+  const [exists] = await file.exists();
+  
+  if (!exists) return null;
+  
+  const [buffer] = await file.download();
+  return buffer;
+}
+
+async function deleteArtifact(filename) {
+  const file = bucket.file(`artifacts/${filename}`);
+  await file.delete();
+  return true;
+}
+
+module.exports = { uploadScreenshot, getScreenshot, deleteScreenshot, uploadArtifact, getArtifact, getArtifactUrl, deleteArtifact };
@@ -1,54 +1,231 @@
-const { chromium } = require('playwright');
+const browserPool = require('./browserPool');
 const storageService = require('./storageService');
 const bugExplainer = require('./bugExplainer');
+const assertionEngine = require('./assertionEngine');
+const selectorHealer = require('./selectorHealer');
+const networkMocks = require('./networkMocks');
+const pageDiagnostics = require('./pageDiagnostics');
+const executionArtifacts = require('./executionArtifacts');
+const deviceProfiles = require('./deviceProfiles');
+
+// Tests of one run executed side by side (the pool caps contexts across all runs)
+const TEST_CONCURRENCY = parseInt(process.env.TEST_CONCURRENCY) || browserPool.MAX_CONTEXTS;
+
+// Browsers a run's tests execute in when the run doesn't choose (comma-separated)
+const DEFAULT_BROWSERS = (process.env.TEST_BROWSERS || 'chromium').split(',').map(b => b.trim()).filter(b => browserPool.BROWSERS.includes(b));
+
+// Devices a run's tests are emulated on when the run doesn't choose (none: plain viewports)
+const DEFAULT_DEVICES = (process.env.TEST_DEVICES || '').split(',').map(d => d.trim()).filter(deviceProfiles.isDevice);
+
+// Retries per failed test when neither the test nor its run sets them
+const DEFAULT_RETRIES = parseInt(process.env.TEST_RETRIES) || 0;
+const MAX_RETRIES = 5;
+
+// Larger viewport for better screenshots in detailed mode (without device emulation)
+const VIEWPORTS = {
+  default: { width: 800, height: 600 },
+  detailed: { width: 1280, height: 720 }
+};
 
 /**
- * Execute tests with optional detailed flow mode
+ * Execute tests with optional detailed flow mode.
+ * A failed test is retried test.retries times (else testRun.retries, else TEST_RETRIES);
+ * every attempt is kept in result.attempts and a pass on retry marks the test flaky.
+ * Each result carries the page's console messages, uncaught errors and failed requests
+ * (result.diagnostics); with failOnJsError (test, run or FAIL_ON_JS_ERROR) a new uncaught
+ * error fails the step it happened in.
+ * With options.recording each attempt can record a Playwright trace and a video
+ * (result.artifacts and attempts[].artifacts), kept always or only when it failed.
+ * Every test runs once per browser of the run's matrix (testRun.browsers, else TEST_BROWSERS)
+ * and per emulated device (testRun.devices, else TEST_DEVICES; see deviceProfiles).
+ * With more than one, result.devices and result.browsers hold each one's result (a device's
+ * result has its own browsers) and the test fails if it failed in any of them.
  * @param {Object} testRun - The test run object
  * @param {Object} options - Execution options
  * @param {boolean} options.detailedFlow - Enable step-by-step screenshots and detailed logging
+ * @param {Function} options.onProgress - Called with (type, data) as tests and steps finish
+ * @param {Object} options.storageState - Logged-in state (from an auth profile) every test starts with
+ * @param {Object} options.recording - { trace, video, retain: 'on-failure' | 'always' }
+ * @param {AbortSignal} options.signal - Aborting closes the open contexts and starts no more tests
  */
 async function execute(testRun, options = {}) {
-  const { detailedFlow = false } = options;
+  const { detailedFlow = false, onProgress = () => {}, storageState = null, signal = null } = options;
+  const recording = executionArtifacts.recordingOptions(options.recording);
   const elementMap = buildElementMap(testRun.pageData?.elements || []);
-  const results = [];
+  const fingerprints = selectorHealer.buildFingerprintMap(testRun.pageData?.elements || []);
+  const browsers = browsersFor(testRun);
+  const devices = devicesFor(testRun);
+  // One job per test, device and browser; a test's jobs are adjacent so they finish close together
+  const jobs = testRun.tests.flatMap((test, index) =>
+    devices.flatMap((device, deviceIndex) => browsers.map(browser => ({ test, index, device, deviceIndex, browser })))
+  );
+  const grid = testRun.tests.map(() => devices.map(() => ({})));
+  let nextJob = 0;
   
-  // Run each test with its own browser instance to avoid context issues
-  for (const test of testRun.tests) {
-    let browser = null;
-    try {
-      browser = await chromium.launch({
-        headless: true,
-        args: [
-          '--no-sandbox',
-          '--disable-setuid-sandbox',
-          '--disable-dev-shm-usage',
-          '--disable-gpu',
-          '--single-process',
-          '--no-zygote',
-          '--disable-extensions',
-          '--disable-background-networking',
-          '--disable-sync',
-          '--disable-translate',
-          '--hide-scrollbars',
-          '--mute-audio',
-          '--no-first-run'
-        ]
+  // Device emulation replaces the plain viewport; recordings are the size of what's emulated
+  const contextOptionsFor = (device, browser) => {
+    const emulation = device ? deviceProfiles.contextOptions(device, browser) : {};
+    return executionArtifacts.contextOptions(
+      { ...(storageState ? { storageState } : {}), ...emulation },
+      recording,
+      emulation.viewport || (detailedFlow ? VIEWPORTS.detailed : VIEWPORTS.default)
+    );
+  };
+  
+  // Workers pull jobs off a shared cursor; each one gets its own isolated context
+  const worker = async () => {
+    while (nextJob < jobs.length && !signal?.aborted) {
+      const { test, index, device, deviceIndex, browser } = jobs[nextJob++];
+      // Progress events (and file names) say which browser/device they're from when there's more than one
+      const variant = {
+        ...(browsers.length > 1 && { browser }),
+        ...(devices.length > 1 && { device })
+      };
+      grid[index][deviceIndex][browser] = await runPooledTest(testRun, test, index, { elementMap, fingerprints }, {
+        detailedFlow,
+        contextOptions: contextOptionsFor(device, browser),
+        recording,
+        browser,
+        device,
+        fileId: [test.id, device, variant.browser].filter(Boolean).join('_').replace(/[^\w-]+/g, '-'),
+        total: jobs.length,
+        signal,
+        onProgress: Object.keys(variant).length > 0 ? (type, data) => onProgress(type, { ...data, ...variant }) : onProgress
       });
-      
-      const result = await executeTest(browser, testRun.url, test, testRun.id, elementMap, detailedFlow);
-      results.push(result);
+    }
+  };
+  
+  const workers = Math.min(TEST_CONCURRENCY, jobs.length);
+  await Promise.all(Array.from({ length: workers }, worker));
+  if (signal?.aborted) {
+    throw signal.reason || new Error('Test execution was cancelled');
+  }
+  
+  return grid.map(byDevice => {
+    const perDevice = Object.fromEntries(devices.map((device, i) => [device, combineResults(byDevice[i], browsers, 'browser')]));
+    return combineResults(perDevice, devices, 'device');
+  });
+}
+
+/**
+ * A run's browser matrix: testRun.browsers, else TEST_BROWSERS
+ */
+function browsersFor(testRun) {
+  const chosen = (testRun.browsers || []).filter(b => browserPool.BROWSERS.includes(b));
+  const browsers = chosen.length > 0 ? chosen : DEFAULT_BROWSERS;
+  return browsers.length > 0 ? [...new Set(browsers)] : ['chromium'];
+}
+
+/**
+ * A run's emulated devices: testRun.devices, else TEST_DEVICES; [null] when there are none
+ */
+function devicesFor(testRun) {
+  const chosen = (testRun.devices || []).filter(deviceProfiles.isDevice);
+  const devices = chosen.length > 0 ? chosen : DEFAULT_DEVICES;
+  return devices.length > 0 ? [...new Set(devices)] : [null];
+}
+
+// One test's results across a matrix dimension ('browser' or 'device'): the first failing
+// one's result (else the first one's), with each one's own result under result.browsers/devices
+function combineResults(results, keys, dimension) {
+  const all = `${dimension}s`;
+  if (keys.length === 1) return { ...results[keys[0]], [dimension]: keys[0], [all]: null };
+  
+  const failed = keys.find(k => results[k].status !== 'pass');
+  const shown = failed || keys[0];
+  const result = results[shown];
+  return {
+    ...result,
+    status: failed ? 'fail' : 'pass',
+    error: failed ? `[${failed}] ${result.error}` : null,
+    flaky: !failed && keys.some(k => results[k].flaky),
+    durationMs: keys.reduce((sum, k) => sum + (results[k].durationMs || 0), 0),
+    [dimension]: shown,
+    [all]: Object.fromEntries(keys.map(k => [k, variantResult(results[k], dimension)]))
+  };
+}
+
+// What one browser's (or device's) result adds to the test itself; a device keeps its browsers
+function variantResult(result, dimension) {
+  const { status, error, durationMs, flaky, attempts, screenshots, flowSteps, healedSteps, diagnostics, artifacts } = result;
+  return {
+    status, error: error || null, durationMs, flaky, attempts, screenshots, flowSteps, healedSteps, diagnostics, artifacts,
+    ...(dimension === 'device' && { browser: result.browser, browsers: result.browsers })
+  };
+}
+
+async function runPooledTest(testRun, test, index, lookups, { detailedFlow, contextOptions, recording, browser, device, fileId, total, signal, onProgress }) {
+  onProgress('test_start', {
+    testId: test.id,
+    name: test.name,
+    index,
+    total,
+    totalSteps: test.steps?.length || 0
+  });
+  
+  const startedAt = Date.now();
+  const where = device ? `${browser}, ${device}` : browser;
+  const maxAttempts = 1 + retriesFor(test, testRun);
+  const failOnJsError = pageDiagnostics.failOnJsErrorFor(test, testRun);
+  const attempts = [];
+  let result;
+  
+  // Each attempt starts over in a fresh context
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    const attemptStartedAt = Date.now();
+    try {
+      result = await browserPool.withContext(contextOptions, async context => {
+        // Closing the context makes whatever the test is waiting on fail right away
+        const cancel = () => context.close().catch(() => {});
+        if (signal?.aborted) throw signal.reason || new Error('Test execution was cancelled');
+        signal?.addEventListener('abort', cancel);
+        try {
+          const recorder = await executionArtifacts.start(context, recording, `${test.name} (${where}, attempt ${attempt})`);
+          const testResult = await executeTest(context, testRun.url, test, testRun.id, lookups, { detailedFlow, failOnJsError, fileId, emulated: Boolean(device) }, onProgress);
+          const artifacts = await recorder.finish({ runId: testRun.id, testId: fileId, attempt, status: testResult.status });
+          return { ...testResult, artifacts };
+        } finally {
+          signal?.removeEventListener('abort', cancel);
+        }
+      }, browser);
     } catch (err) {
-      console.error(`Test ${test.id} error:`, err.message);
-      results.push({ ...test, status: 'fail', error: err.message, screenshots: [], flowSteps: [] });
-    } finally {
-      if (browser) {
-        try { await browser.close(); } catch (e) { /* ignore */ }
-      }
+      console.error(`Test ${test.id} error (${where}):`, err.message);
+      result = { ...test, status: 'fail', error: err.message, screenshots: [], flowSteps: [], diagnostics: null, artifacts: null };
     }
+    attempts.push({
+      attempt,
+      status: result.status,
+      error: result.error || null,
+      durationMs: Date.now() - attemptStartedAt,
+      screenshots: result.screenshots,
+      artifacts: result.artifacts
+    });
+    
+    if (result.status === 'pass' || attempt === maxAttempts || signal?.aborted) break;
+    console.log(`Test ${test.id} (${where}) failed attempt ${attempt}/${maxAttempts}, retrying: ${result.error}`);
+    onProgress('test_retry', { testId: test.id, index, attempt, maxAttempts, error: result.error });
   }
   
-  return results;
+  result.durationMs = Date.now() - startedAt;
+  result.attempts = attempts;
+  result.flaky = result.status === 'pass' && attempts.length > 1;
+  
+  onProgress('test_end', { testId: test.id, index, status: result.status, error: result.error, flaky: result.flaky, attempts: attempts.length });
+  return result;
+}
+
+/**
+ * How many passes over a run's tests an execution can take at most: one per device and
+ * browser of its matrix, times the attempts of its most-retried test
+ */
+function passesFor(testRun) {
+  const attempts = Math.max(1, ...(testRun.tests || []).map(test => 1 + retriesFor(test, testRun)));
+  return browsersFor(testRun).length * devicesFor(testRun).length * attempts;
+}
+
+function retriesFor(test, testRun) {
+  const retries = parseInt(test.retries ?? testRun.retries ?? DEFAULT_RETRIES);
+  return Number.isNaN(retries) ? 0 : Math.min(Math.max(retries, 0), MAX_RETRIES);
 }
 
 // Build map: internal ID (e0, e1) -> real selector
@@ -74,26 +251,71 @@ function resolveSelector(target, elementMap) {
   return target;
 }
 
-async function executeTest(browser, url, test, runId, elementMap, detailedFlow = false) {
-  const page = await browser.newPage();
+async function executeTest(context, url, test, runId, lookups, options = {}, onProgress = () => {}) {
+  const { elementMap, fingerprints } = lookups;
+  const { detailedFlow = false, failOnJsError = false, fileId = test.id, emulated = false } = options;
+  const page = await context.newPage();
   const flowSteps = []; // Store detailed step information
+  const healedSteps = []; // Steps whose selector was healed, old -> new
   let lastScreenshotHash = null; // Track to avoid duplicate screenshots
+  const responses = []; // Network responses, for assertResponseStatus steps
+  const requests = []; // Requests as sent (mocked and blocked ones too), for assertRequest steps
+  const installedRoutes = new Set(); // Network steps already routed before the page loaded
+  const diagnostics = pageDiagnostics.attach(page); // Console, uncaught errors and failed requests per step
+  // Fails the current step (or the page load) on an uncaught error, when the test asks for it
+  const checkJsErrors = () => {
+    const [error] = diagnostics.takeNewErrors();
+    if (failOnJsError && error) throw new Error(`Uncaught JS error: ${error.message}`);
+  };
+  
+  page.on('request', req => {
+    if (requests.length >= 500) requests.shift();
+    requests.push({
+      url: req.url(),
+      method: req.method(),
+      postData: req.postData()?.substring(0, 10000) ?? null,
+      resourceType: req.resourceType(),
+      timestamp: Date.now()
+    });
+  });
+  
+  page.on('response', res => {
+    if (responses.length >= 500) responses.shift();
+    responses.push({
+      url: res.url(),
+      status: res.status(),
+      method: res.request().method(),
+      resourceType: res.request().resourceType(),
+      timestamp: Date.now()
+    });
+  });
   
   try {
-    // Larger viewport for better screenshots in detailed mode
-    await page.setViewportSize(detailedFlow ? { width: 1280, height: 720 } : { width: 800, height: 600 });
+    // An emulated device brings its own viewport
+    if (!emulated) {
+      await page.setViewportSize(detailedFlow ? VIEWPORTS.detailed : VIEWPORTS.default);
+    }
     
     // Only block resources in non-detailed mode
     if (!detailedFlow) {
-      await page.route('**/*.{png,jpg,jpeg,gif,webp,svg,ico,woff,woff2,ttf,mp4,mp3}', route => route.abort());
+      await page.route('**/*.{png,jpg,jpeg,gif,webp,svg,ico,woff,woff2,ttf,mp4,mp3}', route => {
+        diagnostics.markBlocked(route.request());
+        return route.abort('blockedbyclient');
+      });
+    }
+    
+    // Mocks at the start of the test also cover the requests the page makes while loading
+    for (const step of networkMocks.leadingSteps(test.steps)) {
+      await networkMocks.install(page, step, { installed: installedRoutes, diagnostics });
     }
     
     await page.goto(url, { waitUntil: 'domcontentloaded', timeout: 15000 });
     await page.waitForTimeout(1000);
+    checkJsErrors();
     
     // Capture initial page state in detailed mode
     if (detailedFlow) {
-      const { screenshot, hash } = await captureSmartScreenshot(page, runId, test.id, 0, 'initial', lastScreenshotHash);
+      const { screenshot, hash } = await captureSmartScreenshot(page, runId, fileId, 0, 'initial', lastScreenshotHash);
       lastScreenshotHash = hash;
       flowSteps.push({
         stepNumber: 0,
@@ -114,10 +336,40 @@ async function executeTest(browser, url, test, runId, elementMap, detailedFlow =
       const step = test.steps[i];
       const stepStartTime = Date.now();
       const prevUrl = page.url();
+      diagnostics.setStep(i + 1);
+      let healing = null; // Set when the step's selector had to be healed
+      // Report each step as it finishes, with the screenshot it produced (if any)
+      const reportStep = (status, error = null) => {
+        const flowStep = flowSteps.find(s => s.stepNumber === i + 1);
+        onProgress('step', {
+          testId: test.id,
+          stepNumber: i + 1,
+          totalSteps: test.steps.length,
+          action: step.action,
+          description: generateStepDescription(step),
+          status,
+          screenshot: flowStep?.screenshot || null,
+          error,
+          healed: healing,
+          duration: Date.now() - stepStartTime
+        });
+      };
       
       try {
-        await executeStep(page, step, elementMap);
+        await executeStep(page, step, elementMap, {
+          responses,
+          requests,
+          installedRoutes,
+          diagnostics,
+          fingerprints,
+          onHeal: (healed) => { healing = healed; }
+        });
         await page.waitForTimeout(detailedFlow ? 500 : 200);
+        checkJsErrors();
+        
+        if (healing) {
+          healedSteps.push({ stepNumber: i + 1, target: step.target, ...healing });
+        }
         
         if (detailedFlow) {
           const currentUrl = page.url();
@@ -127,7 +379,7 @@ async function executeTest(browser, url, test, runId, elementMap, detailedFlow =
           // Only capture screenshot if URL changed OR it's a significant action
           if (urlChanged || isSignificantAction) {
             const { screenshot, hash, isDuplicate } = await captureSmartScreenshot(
-              page, runId, test.id, i + 1, step.action, lastScreenshotHash
+              page, runId, fileId, i + 1, step.action, lastScreenshotHash
             );
             
             if (!isDuplicate) {
@@ -147,6 +399,7 @@ async function executeTest(browser, url, test, runId, elementMap, detailedFlow =
               pageTitle: await page.title().catch(() => ''),
               pageUrl: currentUrl,
               urlChanged,
+              healed: healing,
               skippedScreenshot: isDuplicate ? 'duplicate' : null
             });
           } else {
@@ -163,14 +416,16 @@ async function executeTest(browser, url, test, runId, elementMap, detailedFlow =
               description: generateStepDescription(step),
               pageTitle: await page.title().catch(() => ''),
               pageUrl: currentUrl,
+              healed: healing,
               skippedScreenshot: 'minor_action'
             });
           }
         }
+        reportStep('pass');
       } catch (stepError) {
         if (detailedFlow) {
           // Always capture screenshot on error
-          const { screenshot } = await captureSmartScreenshot(page, runId, test.id, i + 1, 'error', null);
+          const { screenshot } = await captureSmartScreenshot(page, runId, fileId, i + 1, 'error', null);
           flowSteps.push({
             stepNumber: i + 1,
             action: step.action,
@@ -183,9 +438,11 @@ async function executeTest(browser, url, test, runId, elementMap, detailedFlow =
             duration: Date.now() - stepStartTime,
             description: generateStepDescription(step),
             pageTitle: await page.title().catch(() => ''),
-            pageUrl: page.url()
+            pageUrl: page.url(),
+            healed: healing
           });
         }
+        reportStep('fail', stepError.message);
         throw stepError;
       }
     }
@@ -193,7 +450,7 @@ async function executeTest(browser, url, test, runId, elementMap, detailedFlow =
     // Capture final state (only if different from last screenshot)
     if (detailedFlow) {
       const { screenshot, isDuplicate } = await captureSmartScreenshot(
-        page, runId, test.id, test.steps.length + 1, 'final', lastScreenshotHash
+        page, runId, fileId, test.steps.length + 1, 'final', lastScreenshotHash
       );
       
       if (!isDuplicate) {
@@ -220,6 +477,8 @@ async function executeTest(browser, url, test, runId, elementMap, detailedFlow =
       status: 'pass', 
       screenshots: cleanedFlowSteps.filter(s => s.screenshot).map(s => s.screenshot),
       flowSteps: cleanedFlowSteps,
+      healedSteps,
+      diagnostics: diagnostics.result(),
       error: null 
     };
   } catch (error) {
@@ -231,6 +490,8 @@ async function executeTest(browser, url, test, runId, elementMap, detailedFlow =
       status: 'fail', 
       screenshots: cleanedFlowSteps.filter(s => s.screenshot).map(s => s.screenshot),
       flowSteps: cleanedFlowSteps,
+      healedSteps,
+      diagnostics: diagnostics.result(),
       error: error.message 
     };
   } finally {
@@ -325,10 +586,13 @@ function generateStepDescription(step) {
       return `Clear input "${shortTarget}"`;
     case 'scroll':
       return `Scroll to "${shortTarget}"`;
-    case 'assert':
-    case 'verify':
-      return `Verify element "${shortTarget}" exists`;
     default:
+      if (networkMocks.isNetworkAction(action)) {
+        return networkMocks.describe(step);
+      }
+      if (assertionEngine.isAssertion(action)) {
+        return assertionEngine.describe(step);
+      }
       return `${action} on "${shortTarget}"`;
   }
 }
@@ -345,7 +609,16 @@ function maskSensitiveData(value, target) {
   return value.length > 30 ? value.substring(0, 30) + '...' : value;
 }
 
-async function executeStep(page, step, elementMap) {
+// Non-assertion actions executeStep understands, aliases included
+const STEP_ACTIONS = [
+  'type', 'fill', 'click', 'tap', 'doubleclick', 'dblclick', 'rightclick',
+  'hover', 'mouseover', 'select', 'selectOption', 'check', 'uncheck',
+  'press', 'key', 'wait', 'delay', 'sleep', 'clear', 'focus', 'blur',
+  'scroll', 'scrollIntoView', 'screenshot',
+  ...Object.keys(networkMocks.NETWORK_ACTIONS)
+];
+
+async function executeStep(page, step, elementMap, context = {}) {
   const { action, target, value } = step;
   
   // Handle wait action specially - doesn't need a selector
@@ -354,6 +627,22 @@ async function executeStep(page, step, elementMap) {
     return;
   }
   
+  // Network steps target URL patterns, not elements
+  if (networkMocks.isNetworkAction(action)) {
+    console.log(`Routing: ${action} for "${target}"`);
+    await networkMocks.install(page, step, { installed: context.installedRoutes, diagnostics: context.diagnostics });
+    return;
+  }
+  
+  // Assertions resolve their own locators - the fallback strategies below
+  // would make a missing element "pass" by matching something else
+  if (assertionEngine.isAssertion(action)) {
+    const selector = target ? resolveSelector(target, elementMap) : null;
+    console.log(`Asserting: ${action} on "${selector || 'page'}"`);
+    await assertionEngine.run(page, step, { selector, responses: context.responses, requests: context.requests });
+    return;
+  }
+  
   // Skip if no target provided
   if (!target) {
     console.log(`Skipping step with no target: ${action}`);
@@ -435,7 +724,24 @@ async function executeStep(page, step, elementMap) {
     } catch (e) { /* continue */ }
   }
   
-  // Strategy 5: Try common variations if not found
+  // Strategy 5: Self-heal - find the element most like the one seen at inspection time
+  const fingerprint = context.fingerprints?.[target] || context.fingerprints?.[selector];
+  if (!element && fingerprint) {
+    try {
+      const healed = await selectorHealer.heal(page, fingerprint, selector);
+      if (healed) {
+        locator = selectorHealer.locate(page, healed.selector);
+        element = healed.selector.includes('iframe >>')
+          ? { isFrameLocator: true, locator }
+          : await locator.first().elementHandle();
+        context.onHeal?.({ from: selector, to: healed.selector, confidence: healed.confidence, element: healed.element });
+      }
+    } catch (e) {
+      console.log(`Self-heal failed for ${selector}:`, e.message);
+    }
+  }
+  
+  // Strategy 6: Try common variations if not found
   if (!element) {
     const fallbackSelectors = [
       `[data-testid="${target}"]`,
@@ -461,7 +767,7 @@ async function executeStep(page, step, elementMap) {
     }
   }
   
-  // Strategy 6: Try getByRole, getByText, getByPlaceholder
+  // Strategy 7: Try getByRole, getByText, getByPlaceholder
   if (!element && target) {
     try {
       // Try by text
@@ -591,10 +897,6 @@ async function executeStep(page, step, elementMap) {
     case 'screenshot':
       // Skip - handled separately
       break;
-    case 'assert':
-    case 'verify':
-      // For assertions, just check element exists (already done above)
-      break;
     default:
       // Instead of failing, log warning and try click as fallback
       console.warn(`Unknown action "${action}", attempting click as fallback`);
@@ -619,4 +921,4 @@ async function captureScreenshot(page, runId, testId, stage) {
   return url;
 }
 
-module.exports = { execute };
+module.exports = { execute, executeStep, browsersFor, devicesFor, passesFor, STEP_ACTIONS, VIEWPORTS, MAX_RETRIES };
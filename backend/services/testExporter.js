@@ -0,0 +1,978 @@
+/**
+ * Test plan exporter
+ * Turns a test run's tests[].steps into spec files for other test frameworks.
+ */
+
+const assertionEngine = require('./assertionEngine');
+const networkMocks = require('./networkMocks');
+
+// Action aliases the executor accepts, mapped to one canonical name
+const ACTION_ALIASES = {
+  fill: 'type',
+  tap: 'click',
+  dblclick: 'doubleclick',
+  mouseover: 'hover',
+  selectoption: 'select',
+  key: 'press',
+  delay: 'wait',
+  sleep: 'wait',
+  scrollintoview: 'scroll'
+};
+
+const FORMATS = {
+  playwright: {
+    label: 'Playwright Test',
+    render: renderPlaywright
+  },
+  cypress: {
+    label: 'Cypress',
+    render: renderCypress
+  },
+  selenium: {
+    label: 'Selenium WebDriver (JS)',
+    render: renderSelenium
+  }
+};
+
+/**
+ * Export a test run as a spec file
+ * @param {Object} testRun - Stored test run
+ * @param {string} format - Key of FORMATS
+ * @param {Object} options - { language: 'ts' | 'js' } (Playwright only)
+ * @returns {{ filename: string, content: string }}
+ */
+function exportTestRun(testRun, format, options = {}) {
+  const exporter = FORMATS[format];
+  if (!exporter) {
+    throw new Error(`Unsupported export format: ${format}. Use ${Object.keys(FORMATS).join(', ')}`);
+  }
+
+  const elementMap = {};
+  (testRun.pageData?.elements || []).forEach(el => { elementMap[el.id] = el.selector; });
+
+  // Resolve internal element ids and alias actions once, for every format
+  const tests = (testRun.tests || []).map(test => ({
+    ...test,
+    steps: (test.steps || []).map(step => ({
+      ...step,
+      action: canonicalAction(step),
+      target: step.target ? (elementMap[step.target] || step.target) : null
+    }))
+  }));
+
+  const { content, extension } = exporter.render({ ...testRun, tests }, options);
+  return { filename: `bugscout-${slugify(hostnameOf(testRun.url))}-${testRun.id.substring(0, 8)}${extension}`, content };
+}
+
+function canonicalAction(step) {
+  if (assertionEngine.isAssertion(step.action)) {
+    return assertionEngine.resolveAssertion(step);
+  }
+  if (networkMocks.isNetworkAction(step.action)) {
+    return step.action;
+  }
+  const lower = (step.action || 'click').toLowerCase();
+  return ACTION_ALIASES[lower] || lower;
+}
+
+// ---------------------------------------------------------------------------
+// Playwright Test
+// ---------------------------------------------------------------------------
+
+function renderPlaywright(testRun, options = {}) {
+  const typescript = options.language !== 'js';
+  const usesResponses = testRun.tests.some(t => t.steps.some(s => s.action === 'assertResponseStatus'));
+  const lines = [
+    ...fileHeader(testRun),
+    typescript
+      ? "import { test, expect } from '@playwright/test';"
+      : "const { test, expect } = require('@playwright/test');",
+    '',
+    `const BASE_URL = ${quote(testRun.url)};`,
+    ''
+  ];
+
+  if (usesResponses) {
+    lines.push(
+      '// Status of the latest response whose URL matches pattern (or of the page itself)',
+      `function latestStatus(responses${typescript ? ': any[]' : ''}, pattern${typescript ? '?: string | RegExp' : ''}) {`,
+      '  const matching = responses.filter(r => pattern',
+      "    ? (typeof pattern === 'string' ? r.url().includes(pattern) : pattern.test(r.url()))",
+      "    : r.request().resourceType() === 'document');",
+      '  return matching.length > 0 ? matching[matching.length - 1].status() : null;',
+      '}',
+      ''
+    );
+  }
+
+  lines.push(`test.describe(${quote(`${testRun.pageData?.pageType || 'page'} - ${hostnameOf(testRun.url)}`)}, () => {`);
+
+  testRun.tests.forEach((test, idx) => {
+    if (idx > 0) lines.push('');
+    lines.push(`  test(${quote(test.name || test.id)}, async ({ page }) => {`);
+    if (test.expected) lines.push(`    // Expected: ${singleLine(test.expected)}`);
+    if (test.steps.some(s => s.action === 'assertResponseStatus')) {
+      lines.push(`    const responses${typescript ? ': any[]' : ''} = [];`);
+      lines.push("    page.on('response', response => responses.push(response));");
+    }
+    if (test.steps.some(s => s.action === 'assertRequest')) {
+      lines.push(`    const requests${typescript ? ': any[]' : ''} = [];`);
+      lines.push("    page.on('request', request => requests.push(request));");
+    }
+    // Mocks at the start of the test are routed before the page loads, as BugScout runs them
+    const leadingMocks = networkMocks.leadingSteps(test.steps);
+    leadingMocks.forEach(step => {
+      playwrightStep(step).forEach(line => lines.push(`    ${line}`));
+    });
+    lines.push('    await page.goto(BASE_URL);');
+    test.steps.slice(leadingMocks.length).forEach(step => {
+      playwrightStep(step).forEach(line => lines.push(`    ${line}`));
+    });
+    lines.push('  });');
+  });
+
+  lines.push('});', '');
+  return { content: lines.join('\n'), extension: typescript ? '.spec.ts' : '.spec.js' };
+}
+
+// page.route() for a network mock step. Playwright reads string patterns as globs,
+// so plain substrings become regexes.
+function playwrightRoute(step) {
+  const { action, target, value } = step;
+  const isRegex = /^\/.+\/[dgimsuy]*$/.test(String(target));
+  const pattern = !isRegex && String(target).includes('*') ? quote(target) : patternRegex(target);
+
+  switch (action) {
+    case 'mockRoute': {
+      const { fulfill, fixture, method } = networkMocks.parseResponse(value);
+      const options = [`status: ${fulfill.status}`];
+      if (Object.keys(fulfill.headers).length > 0) options.push(`headers: ${JSON.stringify(fulfill.headers)}`);
+      if (fixture) {
+        options.push(`path: ${quote(`fixtures/${fixture}`)}`);
+      } else {
+        options.push(`contentType: ${quote(fulfill.contentType)}`, `body: ${quote(fulfill.body)}`);
+      }
+      const fulfillCall = `route.fulfill({ ${options.join(', ')} })`;
+      return method || step.method
+        ? [`await page.route(${pattern}, route => route.request().method() === ${quote(String(method || step.method).toUpperCase())} ? ${fulfillCall} : route.fallback());`]
+        : [`await page.route(${pattern}, route => ${fulfillCall});`];
+    }
+    case 'blockRequest':
+      return [`await page.route(${pattern}, route => route.abort());`];
+    case 'delayRequest':
+      return [
+        `await page.route(${pattern}, async route => {`,
+        `  await new Promise(resolve => setTimeout(resolve, ${parseInt(value) || 1000}));`,
+        '  await route.fallback();',
+        '});'
+      ];
+    default:
+      return [todo(`unsupported network action "${action}"`)];
+  }
+}
+
+// Locator expression for a pageInspector selector (iframe and shadow DOM dialects included)
+function playwrightLocator(selector) {
+  const parsed = parseSelector(selector);
+  const inner = parsed.shadow ? parsed.parts.join(' >> ') : parsed.selector;
+  return parsed.iframe
+    ? `page.frameLocator('iframe').first().locator(${quote(inner)})`
+    : `page.locator(${quote(inner)})`;
+}
+
+function playwrightStep(step) {
+  const { action, target, value } = step;
+
+  if (action === 'wait') {
+    return [`await page.waitForTimeout(${parseInt(value) || 1000});`];
+  }
+  if (assertionEngine.ASSERTIONS[action]) {
+    return playwrightAssertion(step);
+  }
+  if (!target) {
+    return [`// Skipped: "${action}" step has no target`];
+  }
+  if (networkMocks.isNetworkAction(action)) {
+    return playwrightRoute(step);
+  }
+
+  const el = `${playwrightLocator(target)}.first()`;
+  switch (action) {
+    case 'type': return [`await ${el}.fill(${quote(value || '')});`];
+    case 'click': return [`await ${el}.click();`];
+    case 'doubleclick': return [`await ${el}.dblclick();`];
+    case 'rightclick': return [`await ${el}.click({ button: 'right' });`];
+    case 'hover': return [`await ${el}.hover();`];
+    case 'select': return [`await ${el}.selectOption(${quote(value || '')});`];
+    case 'check': return [`await ${el}.check();`];
+    case 'uncheck': return [`await ${el}.uncheck();`];
+    case 'press': return [`await ${el}.press(${quote(value || 'Enter')});`];
+    case 'clear': return [`await ${el}.fill('');`];
+    case 'focus': return [`await ${el}.focus();`];
+    case 'blur': return [`await ${el}.blur();`];
+    case 'scroll': return [`await ${el}.scrollIntoViewIfNeeded();`];
+    case 'screenshot': return ['await page.screenshot();'];
+    default:
+      return [todo(`unsupported action "${action}" on ${target}`)];
+  }
+}
+
+function playwrightAssertion(step) {
+  const { action, target, value } = step;
+  if (assertionEngine.ASSERTIONS[action].needsTarget && !target) {
+    return [todo(`"${action}" step has no target`)];
+  }
+  const locator = target ? playwrightLocator(target) : null;
+
+  switch (action) {
+    case 'assertVisible':
+      return [`await expect(${playwrightLocator(`${target} >> visible=true`)}.first()).toBeVisible();`];
+    case 'assertHidden':
+      return [`await expect(${playwrightLocator(`${target} >> visible=true`)}).toHaveCount(0);`];
+    case 'assertText':
+      return [`await expect(${locator}.first()).toHaveText(${quote(value)});`];
+    case 'assertContainsText':
+      return [`await expect(${locator}.first()).toContainText(${quote(value)});`];
+    case 'assertTextMatches':
+      return [`await expect(${locator}.first()).toHaveText(${regexLiteral(value)});`];
+    case 'assertAttribute': {
+      const { attribute, expected } = parseAttribute(step);
+      return expected === null
+        ? [`await expect(${locator}.first()).toHaveAttribute(${quote(attribute)});`]
+        : [`await expect(${locator}.first()).toHaveAttribute(${quote(attribute)}, ${quote(expected)});`];
+    }
+    case 'assertValue':
+      return [`await expect(${locator}.first()).toHaveValue(${quote(value ?? '')});`];
+    case 'assertCount': {
+      const cmp = parseComparison(value);
+      if (!cmp) return [todo(`invalid count expression "${value}" for ${target}`)];
+      if (cmp.op === '=') return [`await expect(${locator}).toHaveCount(${cmp.n});`];
+      return [`await expect.poll(() => ${locator}.count()).${POLL_MATCHERS[cmp.op]}(${cmp.n});`];
+    }
+    case 'assertUrl':
+      return [`await expect(page).toHaveURL(${patternRegex(value)});`];
+    case 'assertTitle':
+      return [`await expect(page).toHaveTitle(${patternRegex(value)});`];
+    case 'assertResponseStatus': {
+      const source = `() => latestStatus(responses${target ? `, ${patternArg(target)}` : ''})`;
+      return statusChecks(value).map(([matcher, n]) => `await expect.poll(${source}).${matcher}(${n});`);
+    }
+    case 'assertRequest': {
+      const { method, body } = assertionEngine.parseRequestExpectation(value);
+      const sent = `requests.filter(r => ${urlRegex(target)}.test(r.url())${method ? ` && r.method() === ${quote(method)}` : ''})`;
+      if (body === undefined) return [`await expect.poll(() => ${sent}.length).toBeGreaterThan(0);`];
+      if (typeof body === 'object') {
+        return [`await expect.poll(() => ${sent}.map(r => r.postDataJSON())).toContainEqual(expect.objectContaining(${JSON.stringify(body)}));`];
+      }
+      const matcher = isRegex(body) ? `expect.stringMatching(${body})` : `expect.stringContaining(${quote(body)})`;
+      return [`await expect.poll(() => ${sent}.map(r => r.postData() || '')).toContainEqual(${matcher});`];
+    }
+    default:
+      return [todo(`unsupported assertion "${action}"`)];
+  }
+}
+
+const POLL_MATCHERS = {
+  '>=': 'toBeGreaterThanOrEqual',
+  '<=': 'toBeLessThanOrEqual',
+  '>': 'toBeGreaterThan',
+  '<': 'toBeLessThan',
+  '!=': 'not.toBe',
+  '=': 'toBe'
+};
+
+// Status expectations ("200", "2xx", "<400") as [matcher, number] pairs
+function statusChecks(value) {
+  const family = /^([1-5])xx$/i.exec(String(value).trim());
+  if (family) {
+    const base = parseInt(family[1]) * 100;
+    return [['toBeGreaterThanOrEqual', base], ['toBeLessThan', base + 100]];
+  }
+  const cmp = parseComparison(value);
+  return cmp ? [[POLL_MATCHERS[cmp.op], cmp.n]] : [['toBe', quote(value)]];
+}
+
+// ---------------------------------------------------------------------------
+// Cypress
+// ---------------------------------------------------------------------------
+
+function renderCypress(testRun) {
+  const lines = [
+    ...fileHeader(testRun),
+    `const BASE_URL = ${quote(testRun.url)};`,
+    '',
+    `describe(${quote(`${testRun.pageData?.pageType || 'page'} - ${hostnameOf(testRun.url)}`)}, () => {`
+  ];
+
+  testRun.tests.forEach((test, idx) => {
+    if (idx > 0) lines.push('');
+    lines.push(`  it(${quote(test.name || test.id)}, () => {`);
+    if (test.expected) lines.push(`    // Expected: ${singleLine(test.expected)}`);
+    // Requests can only be observed if they are intercepted before they happen
+    test.steps.forEach((step, stepIdx) => {
+      if (step.action === 'assertResponseStatus' && step.target) {
+        lines.push(`    cy.intercept(${patternRegex(step.target)}).as('request${stepIdx}');`);
+      }
+      if (step.action === 'assertRequest' && step.target) {
+        const { method } = assertionEngine.parseRequestExpectation(step.value);
+        lines.push(`    cy.intercept(${cypressRouteMatcher(step.target, method)}).as('request${stepIdx}');`);
+      }
+    });
+    // Mocks at the start of the test are intercepted before the page loads, as BugScout runs them
+    const leadingMocks = networkMocks.leadingSteps(test.steps);
+    leadingMocks.forEach((step, stepIdx) => {
+      cypressStep(step, stepIdx).forEach(line => lines.push(`    ${line}`));
+    });
+    lines.push('    cy.visit(BASE_URL);');
+    test.steps.slice(leadingMocks.length).forEach((step, idx) => {
+      cypressStep(step, leadingMocks.length + idx).forEach(line => lines.push(`    ${line}`));
+    });
+    lines.push('  });');
+  });
+
+  lines.push('});', '');
+  return { content: lines.join('\n'), extension: '.cy.js' };
+}
+
+// Cypress chain for a pageInspector selector, or null when Cypress can't express it
+function cypressQuery(selector) {
+  const parsed = parseSelector(selector);
+  let chain = parsed.iframe
+    // Same-origin iframes only - Cypress can't reach into cross-origin frames
+    ? "cy.get('iframe').its('0.contentDocument.body').should('not.be.empty').then(cy.wrap)"
+    : 'cy';
+
+  for (const [idx, part] of parsed.parts.entries()) {
+    const engine = parseEngine(part);
+    const scoped = chain !== 'cy';
+    if (engine.kind === 'text') {
+      chain += `.contains(${quote(engine.text)})`;
+    } else if (engine.kind === 'role' || engine.kind === 'hasText') {
+      const css = engine.kind === 'role' ? roleCss(engine.role) : engine.css;
+      chain += engine.name || engine.text
+        ? `.contains(${quote(css)}, ${quote(engine.name || engine.text)})`
+        : `.${scoped ? 'find' : 'get'}(${quote(css)})`;
+    } else if (engine.kind === 'css') {
+      chain += `.${scoped ? 'find' : 'get'}(${quote(engine.css)})`;
+    } else {
+      return null;
+    }
+    if (parsed.shadow && idx < parsed.parts.length - 1) chain += '.shadow()';
+  }
+  return chain;
+}
+
+const CYPRESS_KEYS = {
+  enter: '{enter}',
+  escape: '{esc}',
+  backspace: '{backspace}',
+  delete: '{del}',
+  arrowup: '{uparrow}',
+  arrowdown: '{downarrow}',
+  arrowleft: '{leftarrow}',
+  arrowright: '{rightarrow}',
+  home: '{home}',
+  end: '{end}',
+  pageup: '{pageup}',
+  pagedown: '{pagedown}',
+  space: ' '
+};
+
+function cypressStep(step, stepIdx) {
+  const { action, target, value } = step;
+
+  if (action === 'wait') {
+    return [`cy.wait(${parseInt(value) || 1000});`];
+  }
+  if (action === 'screenshot') {
+    return ['cy.screenshot();'];
+  }
+  if (assertionEngine.ASSERTIONS[action]) {
+    return cypressAssertion(step, stepIdx);
+  }
+  if (!target) {
+    return [`// Skipped: "${action}" step has no target`];
+  }
+  if (networkMocks.isNetworkAction(action)) {
+    return cypressRoute(step);
+  }
+
+  const query = cypressQuery(target);
+  if (!query) return [todo(`selector not supported by Cypress: ${target}`)];
+  const el = `${query}.first()`;
+
+  switch (action) {
+    case 'type': {
+      if (!value) return [`${el}.clear();`];
+      // Literal text: keep "{" from being read as a special key sequence
+      const options = String(value).includes('{') ? ', { parseSpecialCharSequences: false }' : '';
+      return [`${el}.clear().type(${quote(value)}${options});`];
+    }
+    case 'click': return [`${el}.click();`];
+    case 'doubleclick': return [`${el}.dblclick();`];
+    case 'rightclick': return [`${el}.rightclick();`];
+    case 'hover': return [`${el}.trigger('mouseover');`];
+    case 'select': return [`${el}.select(${quote(value || '')});`];
+    case 'check': return [`${el}.check();`];
+    case 'uncheck': return [`${el}.uncheck();`];
+    case 'press': {
+      const key = String(value || 'Enter');
+      const sequence = CYPRESS_KEYS[key.toLowerCase()] || (key.length === 1 ? key : null);
+      if (!sequence) return [todo(`Cypress cannot press "${key}" on ${target}`)];
+      return [`${el}.type(${quote(sequence)});`];
+    }
+    case 'clear': return [`${el}.clear();`];
+    case 'focus': return [`${el}.focus();`];
+    case 'blur': return [`${el}.blur();`];
+    case 'scroll': return [`${el}.scrollIntoView();`];
+    default:
+      return [todo(`unsupported action "${action}" on ${target}`)];
+  }
+}
+
+// cy.intercept() URL matcher: Cypress reads string patterns as globs, so plain substrings
+// become regexes; a method narrows it to { method, url }
+function cypressRouteMatcher(target, method) {
+  const isRegex = /^\/.+\/[dgimsuy]*$/.test(String(target));
+  const url = !isRegex && String(target).includes('*') ? quote(target) : patternRegex(target);
+  return method ? `{ method: ${quote(String(method).toUpperCase())}, url: ${url} }` : url;
+}
+
+// cy.intercept() for a network mock step
+function cypressRoute(step) {
+  const { action, target, value } = step;
+
+  switch (action) {
+    case 'mockRoute': {
+      const { fulfill, fixture, method } = networkMocks.parseResponse(value);
+      const headers = { ...fulfill.headers };
+      if (fulfill.contentType && !Object.keys(headers).some(h => h.toLowerCase() === 'content-type')) {
+        headers['content-type'] = fulfill.contentType;
+      }
+      const response = [`statusCode: ${fulfill.status}`];
+      if (Object.keys(headers).length > 0) response.push(`headers: ${JSON.stringify(headers)}`);
+      response.push(fixture ? `fixture: ${quote(fixture)}` : `body: ${quote(fulfill.body)}`);
+      return [`cy.intercept(${cypressRouteMatcher(target, method || step.method)}, { ${response.join(', ')} });`];
+    }
+    case 'blockRequest':
+      return [`cy.intercept(${cypressRouteMatcher(target)}, { forceNetworkError: true });`];
+    case 'delayRequest':
+      return [`cy.intercept(${cypressRouteMatcher(target)}, req => req.on('response', res => res.setDelay(${parseInt(value) || 1000})));`];
+    default:
+      return [todo(`unsupported network action "${action}"`)];
+  }
+}
+
+const CHAI_LENGTH = {
+  '=': 'have.length',
+  '>=': 'have.length.at.least',
+  '<=': 'have.length.at.most',
+  '>': 'have.length.greaterThan',
+  '<': 'have.length.lessThan',
+  '!=': 'not.have.length'
+};
+
+const CHAI_NUMBER = {
+  '=': 'eq',
+  '>=': 'be.at.least',
+  '<=': 'be.at.most',
+  '>': 'be.greaterThan',
+  '<': 'be.lessThan',
+  '!=': 'not.eq'
+};
+
+function cypressAssertion(step, stepIdx) {
+  const { action, target, value } = step;
+  if (assertionEngine.ASSERTIONS[action].needsTarget && !target) {
+    return [todo(`"${action}" step has no target`)];
+  }
+
+  if (action === 'assertUrl' || action === 'assertTitle') {
+    const subject = action === 'assertUrl' ? 'cy.url()' : 'cy.title()';
+    return isRegex(value)
+      ? [`${subject}.should('match', ${value});`]
+      : [`${subject}.should('include', ${quote(value)});`];
+  }
+  if (action === 'assertResponseStatus') {
+    if (!target) return [todo(`Cypress cannot read the page's own response status (expected ${value})`)];
+    const family = /^([1-5])xx$/i.exec(String(value).trim());
+    const cmp = parseComparison(value);
+    const check = family
+      ? `'be.within', ${family[1]}00, ${family[1]}99`
+      : cmp ? `'${CHAI_NUMBER[cmp.op]}', ${cmp.n}` : null;
+    if (!check) return [todo(`invalid status expectation "${value}"`)];
+    return [`cy.wait('@request${stepIdx}').its('response.statusCode').should(${check});`];
+  }
+  if (action === 'assertRequest') {
+    // The intercept set up before cy.visit() already filters on the method
+    const { body } = assertionEngine.parseRequestExpectation(value);
+    const wait = `cy.wait('@request${stepIdx}')`;
+    if (body === undefined) return [`${wait};`];
+    if (typeof body === 'object') return [`${wait}.its('request.body').should('deep.include', ${JSON.stringify(body)});`];
+    return isRegex(body)
+      ? [`${wait}.its('request.body').should('match', ${body});`]
+      : [`${wait}.its('request.body').should('include', ${quote(body)});`];
+  }
+
+  const query = cypressQuery(target);
+  if (!query) return [todo(`selector not supported by Cypress: ${target}`)];
+
+  switch (action) {
+    case 'assertVisible':
+      return [`${query}.filter(':visible').should('have.length.greaterThan', 0);`];
+    case 'assertHidden': {
+      const parsed = parseSelector(target);
+      if (parsed.iframe || parsed.shadow || parseEngine(parsed.selector).kind !== 'css') {
+        return [`${query}.should('not.be.visible');`];
+      }
+      // The element may be absent entirely, so look it up from the body
+      return [`cy.get('body').should($body => expect($body.find(${quote(parsed.selector)}).filter(':visible')).to.have.length(0));`];
+    }
+    case 'assertText':
+      return [`${query}.filter(':visible').first().invoke('text').should(text => expect(text.replace(/\\s+/g, ' ').trim()).to.equal(${quote(value)}));`];
+    case 'assertContainsText':
+      return [`${query}.first().should('contain.text', ${quote(value)});`];
+    case 'assertTextMatches':
+      return [`${query}.filter(':visible').first().invoke('text').should('match', ${regexLiteral(value)});`];
+    case 'assertAttribute': {
+      const { attribute, expected } = parseAttribute(step);
+      return expected === null
+        ? [`${query}.first().should('have.attr', ${quote(attribute)});`]
+        : [`${query}.first().should('have.attr', ${quote(attribute)}, ${quote(expected)});`];
+    }
+    case 'assertValue':
+      return [`${query}.first().should('have.value', ${quote(value ?? '')});`];
+    case 'assertCount': {
+      const cmp = parseComparison(value);
+      if (!cmp) return [todo(`invalid count expression "${value}" for ${target}`)];
+      return [`${query}.should('${CHAI_LENGTH[cmp.op]}', ${cmp.n});`];
+    }
+    default:
+      return [todo(`unsupported assertion "${action}"`)];
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Selenium WebDriver (JavaScript)
+// ---------------------------------------------------------------------------
+
+function renderSelenium(testRun) {
+  const lines = [
+    ...fileHeader(testRun),
+    '// Run with: node <this file> (needs selenium-webdriver and a Chrome driver)',
+    "const { Builder, By, Key } = require('selenium-webdriver');",
+    '',
+    `const BASE_URL = ${quote(testRun.url)};`,
+    'const TIMEOUT = 5000;',
+    '',
+    "const normalize = text => String(text ?? '').replace(/\\s+/g, ' ').trim();",
+    '',
+    '// Text of the first displayed element, or null when none is displayed',
+    'async function visibleText(elements) {',
+    '  for (const el of elements) {',
+    '    if (await el.isDisplayed().catch(() => false)) return el.getText();',
+    '  }',
+    '  return null;',
+    '}',
+    '',
+    'async function countDisplayed(elements) {',
+    '  let count = 0;',
+    '  for (const el of elements) {',
+    '    if (await el.isDisplayed().catch(() => false)) count++;',
+    '  }',
+    '  return count;',
+    '}',
+    '',
+    'const tests = ['
+  ];
+
+  testRun.tests.forEach((test, idx) => {
+    lines.push('  {');
+    lines.push(`    name: ${quote(test.name || test.id)},`);
+    if (test.expected) lines.push(`    // Expected: ${singleLine(test.expected)}`);
+    lines.push('    run: async (driver) => {');
+    lines.push('      await driver.get(BASE_URL);');
+    test.steps.forEach(step => {
+      seleniumStep(step).forEach(line => lines.push(`      ${line}`));
+    });
+    lines.push('    }');
+    lines.push(idx < testRun.tests.length - 1 ? '  },' : '  }');
+  });
+
+  lines.push(
+    '];',
+    '',
+    '(async () => {',
+    '  let failed = 0;',
+    '  for (const test of tests) {',
+    "    const driver = await new Builder().forBrowser('chrome').build();",
+    '    try {',
+    '      await driver.manage().setTimeouts({ implicit: TIMEOUT });',
+    '      await test.run(driver);',
+    '      console.log(`PASS ${test.name}`);',
+    '    } catch (error) {',
+    '      failed++;',
+    '      console.error(`FAIL ${test.name}: ${error.message}`);',
+    '    } finally {',
+    '      await driver.quit();',
+    '    }',
+    '  }',
+    '  process.exit(failed > 0 ? 1 : 0);',
+    '})();',
+    ''
+  );
+  return { content: lines.join('\n'), extension: '.selenium.js' };
+}
+
+/**
+ * Selenium lookups for a pageInspector selector:
+ * before/after wrap the step (frame switching), one/all find the element(s).
+ * Returns null when Selenium can't express the selector.
+ */
+function seleniumLocator(selector) {
+  const parsed = parseSelector(selector);
+  const before = parsed.iframe ? ["await driver.switchTo().frame(await driver.findElement(By.css('iframe')));"] : [];
+  const after = parsed.iframe ? ['await driver.switchTo().defaultContent();'] : [];
+
+  // Shadow roots only support CSS lookups
+  let root = 'driver';
+  for (const host of parsed.parts.slice(0, -1)) {
+    const engine = parseEngine(host);
+    if (engine.kind !== 'css') return null;
+    root = `(await (await ${root}.findElement(By.css(${quote(engine.css)}))).getShadowRoot())`;
+  }
+
+  const by = seleniumBy(parsed.parts[parsed.parts.length - 1], parsed.shadow);
+  if (!by) return null;
+  return {
+    before,
+    after,
+    one: `(await ${root}.findElement(${by}))`,
+    all: `(await ${root}.findElements(${by}))`
+  };
+}
+
+function seleniumBy(part, inShadow) {
+  const engine = parseEngine(part);
+  if (engine.kind === 'css') return `By.css(${quote(engine.css)})`;
+  if (inShadow) return null;
+
+  if (engine.kind === 'text') {
+    const text = xpathLiteral(engine.text);
+    // Innermost element containing the text
+    return `By.xpath(${quote(`//*[contains(normalize-space(.), ${text}) and not(.//*[contains(normalize-space(.), ${text})])]`)})`;
+  }
+  if (engine.kind === 'role') {
+    if (!engine.name) return `By.css(${quote(roleCss(engine.role))})`;
+    const name = xpathLiteral(engine.name);
+    return `By.xpath(${quote(`//*[${roleXpath(engine.role)}][contains(normalize-space(.), ${name}) or @aria-label=${name} or @value=${name}]`)})`;
+  }
+  if (engine.kind === 'hasText' && /^[a-z][a-z0-9-]*$|^\*$/i.test(engine.css)) {
+    return `By.xpath(${quote(`//${engine.css}[contains(normalize-space(.), ${xpathLiteral(engine.text)})]`)})`;
+  }
+  return null;
+}
+
+const SELENIUM_KEYS = {
+  enter: 'ENTER',
+  tab: 'TAB',
+  escape: 'ESCAPE',
+  backspace: 'BACK_SPACE',
+  delete: 'DELETE',
+  arrowup: 'ARROW_UP',
+  arrowdown: 'ARROW_DOWN',
+  arrowleft: 'ARROW_LEFT',
+  arrowright: 'ARROW_RIGHT',
+  home: 'HOME',
+  end: 'END',
+  pageup: 'PAGE_UP',
+  pagedown: 'PAGE_DOWN',
+  space: 'SPACE'
+};
+
+function seleniumStep(step) {
+  const { action, target, value } = step;
+
+  if (action === 'wait') {
+    return [`await driver.sleep(${parseInt(value) || 1000});`];
+  }
+  if (action === 'screenshot') {
+    return ['await driver.takeScreenshot();'];
+  }
+  if (assertionEngine.ASSERTIONS[action]) {
+    return seleniumAssertion(step);
+  }
+  if (!target) {
+    return [`// Skipped: "${action}" step has no target`];
+  }
+
+  const loc = seleniumLocator(target);
+  if (!loc) return [todo(`selector not supported by Selenium: ${target}`)];
+  const el = loc.one;
+  let body;
+
+  switch (action) {
+    case 'type': body = [`await ${el}.clear();`, ...(value ? [`await ${el}.sendKeys(${quote(value)});`] : [])]; break;
+    case 'click': body = [`await ${el}.click();`]; break;
+    case 'doubleclick': body = [`await driver.actions().doubleClick(${el}).perform();`]; break;
+    case 'rightclick': body = [`await driver.actions().contextClick(${el}).perform();`]; break;
+    case 'hover': body = [`await driver.actions().move({ origin: ${el} }).perform();`]; break;
+    case 'select': {
+      const option = xpathLiteral(value || '');
+      body = [`await ${el}.findElement(By.xpath(${quote(`.//option[@value=${option} or normalize-space(.)=${option}]`)})).click();`];
+      break;
+    }
+    case 'check': body = [`if (!(await ${el}.isSelected())) await ${el}.click();`]; break;
+    case 'uncheck': body = [`if (await ${el}.isSelected()) await ${el}.click();`]; break;
+    case 'press': {
+      const key = String(value || 'Enter');
+      const named = SELENIUM_KEYS[key.toLowerCase()];
+      if (!named && key.length !== 1) return [todo(`Selenium key "${key}" on ${target} needs translating by hand`)];
+      body = [`await ${el}.sendKeys(${named ? `Key.${named}` : quote(key)});`];
+      break;
+    }
+    case 'clear': body = [`await ${el}.clear();`]; break;
+    case 'focus': body = [`await driver.executeScript('arguments[0].focus()', ${el});`]; break;
+    case 'blur': body = [`await driver.executeScript('arguments[0].blur()', ${el});`]; break;
+    case 'scroll': body = [`await driver.executeScript('arguments[0].scrollIntoView({ block: "center" })', ${el});`]; break;
+    default:
+      return [todo(`unsupported action "${action}" on ${target}`)];
+  }
+
+  return [...loc.before, ...body, ...loc.after];
+}
+
+const JS_COMPARE = { '=': '===', '>=': '>=', '<=': '<=', '>': '>', '<': '<', '!=': '!==' };
+
+function seleniumAssertion(step) {
+  const { action, target, value } = step;
+  if (assertionEngine.ASSERTIONS[action].needsTarget && !target) {
+    return [todo(`"${action}" step has no target`)];
+  }
+  // Poll like the BugScout runner does, failing with the step's description
+  const waitFor = (condition) =>
+    `await driver.wait(async () => ${condition}, TIMEOUT, ${quote(`Failed: ${assertionEngine.describe(step)}`)});`;
+
+  if (action === 'assertUrl' || action === 'assertTitle') {
+    const subject = action === 'assertUrl' ? '(await driver.getCurrentUrl())' : '(await driver.getTitle())';
+    return [waitFor(isRegex(value) ? `${value}.test(${subject})` : `${subject}.includes(${quote(value)})`)];
+  }
+  if (action === 'assertResponseStatus') {
+    return [todo(`Selenium cannot observe HTTP responses - check ${target || 'the page response'} returns ${value} another way`)];
+  }
+
+  const loc = seleniumLocator(target);
+  if (!loc) return [todo(`selector not supported by Selenium: ${target}`)];
+  let body;
+
+  switch (action) {
+    case 'assertVisible':
+      body = [waitFor(`(await countDisplayed(${loc.all})) > 0`)];
+      break;
+    case 'assertHidden':
+      body = [
+        // No implicit wait here: an absent element is already hidden
+        'await driver.manage().setTimeouts({ implicit: 0 });',
+        waitFor(`(await countDisplayed(${loc.all})) === 0`),
+        'await driver.manage().setTimeouts({ implicit: TIMEOUT });'
+      ];
+      break;
+    case 'assertText':
+      body = [waitFor(`normalize(await visibleText(${loc.all})) === ${quote(normalizeValue(value))}`)];
+      break;
+    case 'assertContainsText':
+      body = [waitFor(`normalize(await visibleText(${loc.all})).includes(${quote(normalizeValue(value))})`)];
+      break;
+    case 'assertTextMatches':
+      body = [waitFor(`${regexLiteral(value)}.test(await visibleText(${loc.all}) ?? '')`)];
+      break;
+    case 'assertAttribute': {
+      const { attribute, expected } = parseAttribute(step);
+      body = [waitFor(expected === null
+        ? `(await ${loc.one}.getDomAttribute(${quote(attribute)})) !== null`
+        : `(await ${loc.one}.getDomAttribute(${quote(attribute)})) === ${quote(expected)}`)];
+      break;
+    }
+    case 'assertValue':
+      body = [waitFor(`(await ${loc.one}.getAttribute('value')) === ${quote(value ?? '')}`)];
+      break;
+    case 'assertCount': {
+      const cmp = parseComparison(value);
+      if (!cmp) return [todo(`invalid count expression "${value}" for ${target}`)];
+      body = [waitFor(`${loc.all}.length ${JS_COMPARE[cmp.op]} ${cmp.n}`)];
+      break;
+    }
+    default:
+      return [todo(`unsupported assertion "${action}"`)];
+  }
+
+  return [...loc.before, ...body, ...loc.after];
+}
+
+// ---------------------------------------------------------------------------
+// Shared helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Split a pageInspector selector into its dialect parts:
+ * iframe (`iframe >> sel`), shadow DOM (`host >>> inner`), text= and role= engines
+ */
+function parseSelector(selector) {
+  let rest = String(selector).trim();
+  const iframe = rest.includes('iframe >>');
+  if (iframe) {
+    rest = rest.split('iframe >>').map(s => s.trim()).filter(Boolean).pop();
+  }
+  const shadow = rest.includes('>>>');
+  const parts = shadow ? rest.split('>>>').map(s => s.trim()).filter(Boolean) : [rest];
+  return { iframe, shadow, parts, selector: rest };
+}
+
+/**
+ * Classify one selector part by engine: text=, role=, Playwright's
+ * :has-text() pseudo-class, or plain CSS
+ */
+function parseEngine(part) {
+  const text = /^text=(.*)$/s.exec(part);
+  if (text) {
+    return { kind: 'text', text: text[1].trim().replace(/^(["'])(.*)\1$/s, '$2') };
+  }
+  const role = /^role=([a-z]+)(?:\[name=(["'])(.*?)\2[is]?\])?$/i.exec(part);
+  if (role) {
+    return { kind: 'role', role: role[1].toLowerCase(), name: role[3] || null };
+  }
+  const hasText = /^(.*?):has-text\((["'])(.*)\2\)$/s.exec(part);
+  if (hasText) {
+    return { kind: 'hasText', css: hasText[1].trim() || '*', text: hasText[3] };
+  }
+  // Other Playwright-only engines have no equivalent elsewhere
+  if (/^[a-z-]+=/i.test(part) || part.includes(' >> ')) {
+    return { kind: 'unsupported' };
+  }
+  return { kind: 'css', css: part };
+}
+
+// Elements with an ARIA role, explicit or implicit
+const ROLE_CSS = {
+  button: 'button, [role="button"], input[type="submit"], input[type="button"]',
+  link: 'a[href], [role="link"]',
+  textbox: 'input:not([type]), input[type="text"], input[type="email"], input[type="password"], input[type="tel"], textarea, [role="textbox"]',
+  searchbox: 'input[type="search"], [role="searchbox"]',
+  checkbox: 'input[type="checkbox"], [role="checkbox"]',
+  radio: 'input[type="radio"], [role="radio"]',
+  combobox: 'select, [role="combobox"]',
+  heading: 'h1, h2, h3, h4, h5, h6, [role="heading"]'
+};
+
+const ROLE_XPATH = {
+  button: 'self::button or @role="button" or (self::input and (@type="submit" or @type="button"))',
+  link: '(self::a and @href) or @role="link"',
+  textbox: '(self::input and (not(@type) or @type="text" or @type="email" or @type="password" or @type="tel")) or self::textarea or @role="textbox"',
+  checkbox: '(self::input and @type="checkbox") or @role="checkbox"',
+  radio: '(self::input and @type="radio") or @role="radio"',
+  heading: 'self::h1 or self::h2 or self::h3 or self::h4 or self::h5 or self::h6 or @role="heading"'
+};
+
+function roleCss(role) {
+  return ROLE_CSS[role] || `[role="${role}"]`;
+}
+
+function roleXpath(role) {
+  return ROLE_XPATH[role] || `@role="${role}"`;
+}
+
+// XPath string literal (XPath 1.0 has no escapes, so mixed quotes need concat())
+function xpathLiteral(value) {
+  const str = String(value);
+  if (!str.includes('"')) return `"${str}"`;
+  if (!str.includes("'")) return `'${str}'`;
+  return `concat(${str.split('"').map(s => `"${s}"`).join(`, '"', `)})`;
+}
+
+function isRegex(value) {
+  return /^\/.+\/[dgimsuy]*$/.test(String(value));
+}
+
+function normalizeValue(value) {
+  return String(value ?? '').replace(/\s+/g, ' ').trim();
+}
+
+function parseAttribute(step) {
+  if (step.attribute) {
+    const hasValue = step.value !== undefined && step.value !== null && step.value !== '';
+    return { attribute: step.attribute, expected: hasValue ? String(step.value) : null };
+  }
+  const raw = String(step.value || '');
+  const eqIdx = raw.indexOf('=');
+  if (eqIdx === -1) return { attribute: raw.trim(), expected: null };
+  return { attribute: raw.substring(0, eqIdx).trim(), expected: raw.substring(eqIdx + 1) };
+}
+
+function parseComparison(expr) {
+  const match = /^\s*(>=|<=|!=|==|=|>|<)?\s*(\d+)\s*$/.exec(String(expr));
+  if (!match) return null;
+  return { op: match[1] === '==' ? '=' : (match[1] || '='), n: parseInt(match[2]) };
+}
+
+// "/regex/flags" stays a regex; plain text becomes an escaped substring regex
+function patternRegex(value) {
+  const str = String(value ?? '');
+  if (/^\/.+\/[dgimsuy]*$/.test(str)) return str;
+  return `/${str.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&')}/`;
+}
+
+// Regex literal matching URLs the way BugScout's network matching does (regex, glob or substring)
+function urlRegex(value) {
+  const str = String(value ?? '');
+  if (/^\/.+\/[dgimsuy]*$/.test(str)) return str;
+  return str.includes('*') ? String(networkMocks.globToRegex(str)) : patternRegex(str);
+}
+
+function regexLiteral(value) {
+  const str = String(value ?? '');
+  return /^\/.+\/[dgimsuy]*$/.test(str) ? str : `/${str.replace(/\//g, '\\/')}/`;
+}
+
+// Pattern argument that keeps regex patterns as regexes
+function patternArg(value) {
+  return /^\/.+\/[dgimsuy]*$/.test(String(value)) ? value : quote(value);
+}
+
+function quote(value) {
+  return `'${String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/'/g, "\\'")
+    .replace(/\n/g, '\\n')
+    .replace(/\r/g, '\\r')}'`;
+}
+
+function todo(message) {
+  return `// TODO(bugscout): ${message}`;
+}
+
+function singleLine(text) {
+  return String(text).replace(/\s+/g, ' ').trim();
+}
+
+function fileHeader(testRun) {
+  return [
+    `// Generated by BugScout from test run ${testRun.id}`,
+    `// Source: ${testRun.url}`,
+    `// Exported: ${new Date().toISOString()}`,
+    ''
+  ];
+}
+
+function hostnameOf(url) {
+  try {
+    return new URL(url).hostname;
+  } catch (e) {
+    return 'page';
+  }
+}
+
+function slugify(text) {
+  return String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'page';
+}
+
+module.exports = { exportTestRun, FORMATS };
@@ -1,7 +1,8 @@
 const apiKeyManager = require('./apiKeyManager');
+const assertionEngine = require('./assertionEngine');
 
 // Supported actions in testExecutor
-const SUPPORTED_ACTIONS = ['click', 'type', 'fill', 'hover', 'select', 'check', 'uncheck', 'press', 'wait', 'clear', 'focus', 'doubleclick', 'rightclick', 'scroll'];
+const SUPPORTED_ACTIONS = ['click', 'type', 'fill', 'hover', 'select', 'check', 'uncheck', 'press', 'wait', 'clear', 'focus', 'doubleclick', 'rightclick', 'scroll', ...Object.keys(assertionEngine.ASSERTIONS)];
 
 const GROQ_PROMPT = `You are an instruction-following system.
 Given UI element metadata and page text, generate a QA test plan.
@@ -31,21 +32,134 @@ Return ONLY valid JSON with this structure:
 }
 
 Rules:
-- Generate exactly 2 test cases (to save server resources)
+{{COUNT_RULE}}
 - At least 1 must be negative
 - CRITICAL: Use the actual CSS selectors from the input elements, not internal IDs like e0, e1, e2
 - If an element has selector "input[type=password]", use that exact string as the target
 - ONLY use these actions: click, type, hover, select, check, uncheck, press, wait, clear, focus
+- You MAY end a test with assertion steps: assertVisible, assertHidden, assertText, assertContainsText, assertUrl, assertTitle (value = expected text/URL)
 - No explanations, only JSON
-
+{{PRESET_RULES}}
 Input:
 `;
 
-async function generate(pageData) {
+// Maximum tests requested from the LLM in a single call - larger plans are chunked
+const MAX_TESTS_PER_CALL = 4;
+
+/**
+ * Coverage depth for /api/generate-tests.
+ * tests: target plan size; null means one test per interactive element group.
+ */
+const COVERAGE_LEVELS = {
+  smoke: { label: 'Smoke', tests: 2 },
+  standard: { label: 'Standard', tests: 8 },
+  exhaustive: { label: 'Exhaustive', tests: null }
+};
+
+// Fill the rule placeholders in GROQ_PROMPT for one generation call
+function buildPrompt(options = {}) {
+  const { count = 2, groups = [], avoid = [] } = options;
+  const preset = PRESETS[options.preset];
+  const extraRules = [];
+  
+  if (preset) {
+    extraRules.push(
+      `This page is a ${preset.label}. Set "page_type" to "${preset.pageType}".`,
+      'You MUST include one negative test for EACH of these cases, named after the case:',
+      ...preset.cases.map(c => `- ${c.description}`)
+    );
+  }
+  if (options.perGroup) {
+    extraRules.push(`Write one test per element group, covering every element of the group. Groups: ${groups.join(', ')}`);
+  }
+  if (avoid.length > 0) {
+    extraRules.push(`These tests already exist, do NOT repeat them: ${avoid.join('; ')}`);
+  }
+  
+  const countRule = preset && options.includePresetCases !== false
+    ? `- Generate exactly ${count} test cases: 1 positive flow plus the required negative cases below`
+    : `- Generate exactly ${count} test cases`;
+  
+  return GROQ_PROMPT
+    .replace('{{COUNT_RULE}}', countRule)
+    .replace('{{PRESET_RULES}}', extraRules.length > 0 ? `\n${extraRules.join('\n')}\n` : '');
+}
+
+// Number of tests the plan should hold for the chosen coverage and preset
+function targetTestCount(pageData, options = {}) {
+  const level = COVERAGE_LEVELS[options.coverage] || COVERAGE_LEVELS.smoke;
+  const count = level.tests ?? groupElements(pageData.elements).length;
+  const preset = PRESETS[options.preset];
+  // A preset's required cases always fit, whatever the coverage
+  return preset ? Math.max(count, preset.cases.length + 1) : count;
+}
+
+/**
+ * Split elements by the form or landmark they belong to (see pageInspector).
+ * Elements inspected before groups existed fall back to a role-based bucket.
+ * Largest group first, so the main form leads the plan.
+ */
+function groupElements(elements) {
+  const groups = new Map();
+  elements.forEach(e => {
+    const name = e.group || (e.role === 'link' ? 'links' : 'page');
+    if (!groups.has(name)) groups.set(name, []);
+    groups.get(name).push(e);
+  });
+  return [...groups.entries()]
+    .map(([name, els]) => ({ name, elements: els }))
+    .sort((a, b) => b.elements.length - a.elements.length);
+}
+
+/**
+ * Plan the LLM calls for a generation: each call covers some element groups
+ * and asks for at most MAX_TESTS_PER_CALL tests
+ */
+function planChunks(pageData, options = {}) {
+  const groups = groupElements(pageData.elements);
+  const total = targetTestCount(pageData, options);
+  const perGroup = options.coverage === 'exhaustive';
+  
+  if (total <= MAX_TESTS_PER_CALL || groups.length === 0) {
+    return [{ groups, count: total, perGroup }];
+  }
+  
+  // Share the tests between groups by element count (exhaustive: one each)
+  const totalElements = groups.reduce((sum, g) => sum + g.elements.length, 0);
+  let remaining = total;
+  const allocations = groups.map((group, idx) => {
+    const share = perGroup ? 1 : Math.round(total * group.elements.length / totalElements);
+    const count = idx === groups.length - 1 ? remaining : Math.min(share, remaining);
+    remaining -= count;
+    return { group, count };
+  }).filter(a => a.count > 0);
+  
+  // Pack allocations into calls; a group needing more than one call is split
+  const chunks = [];
+  let current = { groups: [], count: 0, perGroup };
+  for (const { group, count } of allocations) {
+    let left = count;
+    while (left > 0) {
+      const take = Math.min(left, MAX_TESTS_PER_CALL - current.count);
+      if (!current.groups.includes(group)) current.groups.push(group);
+      current.count += take;
+      left -= take;
+      if (current.count >= MAX_TESTS_PER_CALL) {
+        chunks.push(current);
+        current = { groups: [], count: 0, perGroup };
+      }
+    }
+  }
+  if (current.count > 0) chunks.push(current);
+  
+  return chunks;
+}
+
+async function generate(pageData, options = {}) {
   // Try AI first, fall back to rules
   try {
     if (apiKeyManager.hasKeys()) {
-      const aiResult = await generateWithAI(pageData);
+      const aiResult = await generateWithAI(pageData, options);
       // Validate AI result has real data, not template placeholders
       if (aiResult && aiResult.test_plan && aiResult.test_plan.length > 0) {
         const hasRealData = aiResult.test_plan.some(t => 
@@ -53,7 +167,9 @@ async function generate(pageData) {
           t.steps?.some(s => s.target && s.target !== 'e1' && s.target !== 'submit')
         );
         if (hasRealData) {
-          return aiResult;
+          return compileAssertions(PRESETS[options.preset]
+            ? supplementPresetCases(aiResult, pageData, options.preset)
+            : aiResult);
         }
         console.warn('AI returned template data, using rule-based fallback');
       }
@@ -63,10 +179,68 @@ async function generate(pageData) {
   }
   
   // Rule-based fallback - always works
-  return generateWithRules(pageData);
+  return compileAssertions(generateWithRules(pageData, options));
+}
+
+// Turn each test's "expected" text into assertion steps so its verdict is meaningful
+function compileAssertions(plan) {
+  return {
+    ...plan,
+    test_plan: plan.test_plan.map(test => assertionEngine.withExpectedAssertions(test))
+  };
+}
+
+async function generateWithAI(pageData, options = {}) {
+  const chunks = planChunks(pageData, options);
+  const results = [];
+  
+  // Calls run one after another so later chunks can skip tests already written
+  for (let i = 0; i < chunks.length; i++) {
+    try {
+      results.push(await generateChunkWithAI(pageData, chunks[i], {
+        ...options,
+        // Preset cases are requested once, alongside the largest group
+        includePresetCases: i === 0,
+        avoid: results.flatMap(r => (r.test_plan || []).map(t => t.name))
+      }));
+    } catch (error) {
+      if (results.length === 0) throw error;
+      console.warn(`AI generation chunk ${i + 1}/${chunks.length} failed:`, error.message);
+    }
+  }
+  
+  if (chunks.length > 1) {
+    console.log(`AI plan assembled from ${results.length} of ${chunks.length} chunk(s)`);
+  }
+  
+  return mergePlans(results);
 }
 
-async function generateWithAI(pageData) {
+// Combine the plans of several chunked calls into one
+function mergePlans(results) {
+  if (results.length === 1) return results[0];
+  
+  const seen = new Set();
+  const testPlan = [];
+  results.forEach(result => {
+    (result.test_plan || []).forEach(test => {
+      const key = JSON.stringify(test.steps || []);
+      if (seen.has(key)) return;
+      seen.add(key);
+      testPlan.push({ ...test, id: `t${testPlan.length + 1}` });
+    });
+  });
+  
+  const confidences = results.map(r => r.confidence).filter(c => typeof c === 'number');
+  return {
+    page_type: results[0].page_type,
+    elements: results.flatMap(r => r.elements || []),
+    test_plan: testPlan,
+    confidence: confidences.length > 0 ? confidences.reduce((a, b) => a + b, 0) / confidences.length : 0
+  };
+}
+
+async function generateChunkWithAI(pageData, chunk, options = {}) {
   // Build a map of internal IDs to real selectors for post-processing
   const idToSelector = {};
   pageData.elements.forEach(e => {
@@ -74,25 +248,38 @@ async function generateWithAI(pageData) {
     if (e.role) idToSelector[e.role] = e.selector;
   });
   
+  const chunkElements = chunk.groups.length > 0
+    ? chunk.groups.flatMap(g => g.elements)
+    : pageData.elements;
+  
   const inputData = {
-    page_type: pageData.pageType,
+    page_type: PRESETS[options.preset]?.pageType || pageData.pageType,
     visible_text: pageData.visibleText.substring(0, 1000),
-    elements: pageData.elements.map(e => ({
+    elements: chunkElements.map(e => ({
       id: e.id,
       role: e.role,
       type: e.type,
       placeholder: e.placeholder,
+      group: e.group,
       selector: e.selector
     }))
   };
   
+  const prompt = buildPrompt({
+    preset: options.includePresetCases ? options.preset : null,
+    count: chunk.count,
+    perGroup: chunk.perGroup,
+    groups: chunk.groups.map(g => g.name),
+    avoid: options.avoid
+  });
+  
   // Use API key manager with automatic fallback
   const completion = await apiKeyManager.executeWithFallback(async (groq) => {
     return await groq.chat.completions.create({
       messages: [
         {
           role: 'user',
-          content: GROQ_PROMPT + JSON.stringify(inputData, null, 2)
+          content: prompt + JSON.stringify(inputData, null, 2)
         }
       ],
       model: 'llama-3.1-8b-instant',
@@ -151,21 +338,68 @@ function normalizeAction(action) {
   };
   
   const normalized = action?.toLowerCase() || 'click';
+  // Assertion names are camelCase (assertVisible) - restore their canonical form
+  if (assertionEngine.isAssertion(normalized) && normalized !== 'assert' && normalized !== 'verify') {
+    return assertionEngine.resolveAssertion({ action: normalized });
+  }
   return actionMap[normalized] || normalized;
 }
 
-function generateWithRules(pageData) {
-  const { pageType, elements } = pageData;
+function generateWithRules(pageData, options = {}) {
+  const { elements } = pageData;
+  const preset = PRESETS[options.preset] ? options.preset : null;
+  // A preset overrides page-type detection and drives its own rule set
+  const pageType = preset ? PRESETS[preset].pageType : pageData.pageType;
+  const ctx = findPageElements(elements);
   
-  // Build lookup maps using real selectors
-  const elementMap = {};
-  elements.forEach(e => {
-    elementMap[e.id] = e;
-    if (e.role) elementMap[e.role] = e;
-  });
+  let testPlan = [];
   
-  const testPlan = [];
+  const ruleSet = RULE_SETS[pageType];
+  if (ruleSet) {
+    testPlan.push(...ruleSet(ctx, pageType));
+  }
+  
+  if (preset) {
+    testPlan.push(...PRESETS[preset].negativeCases(ctx));
+  }
+  
+  // Generic fallback tests - comprehensive coverage of all elements
+  if (testPlan.length === 0 || options.coverage === 'standard') {
+    testPlan.push(...buildGenericTests(ctx));
+  }
+  
+  // Deeper coverage levels add a test per element group
+  const groups = groupElements(elements);
+  if (options.coverage === 'exhaustive' || options.coverage === 'standard') {
+    groups.forEach(group => {
+      const groupTest = buildGroupTest(group);
+      if (groupTest) testPlan.push(groupTest);
+    });
+  }
+  
+  testPlan = dedupeTests(testPlan);
+  if (options.coverage !== 'exhaustive') {
+    testPlan = limitTests(testPlan, targetTestCount(pageData, { ...options, preset }));
+  }
+  testPlan = testPlan.map((test, idx) => ({ id: `t${idx + 1}`, ...test }));
   
+  return {
+    page_type: pageType,
+    elements: elements.map(e => ({
+      id: e.id,
+      role: e.role,
+      subtype: e.type,
+      selector: e.selector
+    })),
+    test_plan: testPlan,
+    confidence: testPlan.length > 2 ? 0.8 : 0.6
+  };
+}
+
+/**
+ * Locate the interactive elements the rule sets build tests from
+ */
+function findPageElements(elements) {
   // Helper to find elements by various criteria
   const findElement = (criteria) => {
     return elements.find(e => {
@@ -184,347 +418,673 @@ function generateWithRules(pageData) {
   // Find all interactive elements by type
   const emailEl = findElement({ type: 'email' }) || findElement({ role: 'email_input' });
   const passEl = findElement({ type: 'password' }) || findElement({ role: 'password_input' });
-  const phoneEl = findElement({ type: 'tel' }) || findElement({ placeholderIncludes: 'phone' }) || findElement({ placeholderIncludes: 'mobile' });
-  const nameEl = findElement({ placeholderIncludes: 'name' }) || findElement({ nameIncludes: 'name' });
-  const searchEl = findElement({ type: 'search' }) || findElement({ role: 'search_input' }) || findElement({ placeholderIncludes: 'search' }) || findElement({ nameIncludes: 'search' }) || findElement({ name: 'q' });
   const submitEl = findElement({ type: 'submit' }) || findElement({ role: 'submit_button' }) || elements.find(e => e.role === 'button' && (e.visibleText?.toLowerCase().includes('submit') || e.visibleText?.toLowerCase().includes('login') || e.visibleText?.toLowerCase().includes('sign')));
-  const buttons = elements.filter(e => e.role === 'button' || e.tagName === 'button');
-  const links = elements.filter(e => e.role === 'link' || e.tagName === 'a');
-  const inputs = elements.filter(e => e.tagName === 'input' && e.type !== 'hidden');
-  const dropdowns = elements.filter(e => e.role === 'dropdown' || e.tagName === 'select');
-  const checkboxes = elements.filter(e => e.role === 'checkbox' || e.type === 'checkbox');
-  
-  if (pageType === 'login' || pageType === 'signup') {
-    // Comprehensive login/signup flow test
-    const flowSteps = [];
-    
-    // Step 1: Test empty submission first
-    if (submitEl) {
-      testPlan.push({
-        id: 't1',
-        type: 'negative',
-        name: 'Empty form submission',
-        steps: [{ action: 'click', target: submitEl.selector }],
-        expected: 'Validation error shown for required fields'
-      });
-    }
-    
-    // Step 2: Build comprehensive form fill test
-    if (nameEl) flowSteps.push({ action: 'type', target: nameEl.selector, value: 'Test User' });
-    if (emailEl) flowSteps.push({ action: 'type', target: emailEl.selector, value: 'test@example.com' });
-    if (phoneEl) flowSteps.push({ action: 'type', target: phoneEl.selector, value: '9876543210' });
-    if (passEl) flowSteps.push({ action: 'type', target: passEl.selector, value: 'SecurePass123!' });
-    
-    // Handle confirm password if exists
-    const confirmPassEl = elements.find(e => 
+  
+  return {
+    elements,
+    findElement,
+    emailEl,
+    passEl,
+    confirmPassEl: elements.find(e => 
       (e.type === 'password' && e !== passEl) || 
       e.placeholder?.toLowerCase().includes('confirm') ||
       e.name?.toLowerCase().includes('confirm')
-    );
-    if (confirmPassEl) flowSteps.push({ action: 'type', target: confirmPassEl.selector, value: 'SecurePass123!' });
-    
-    // Handle checkboxes (terms, newsletter, etc.)
-    checkboxes.forEach((cb, idx) => {
-      if (idx < 2) { // Limit to first 2 checkboxes
-        flowSteps.push({ action: 'check', target: cb.selector });
-      }
-    });
-    
-    // Handle dropdowns
-    dropdowns.forEach((dd, idx) => {
-      if (idx < 1) { // Limit to first dropdown
-        flowSteps.push({ action: 'click', target: dd.selector });
-      }
+    ),
+    phoneEl: findElement({ type: 'tel' }) || findElement({ placeholderIncludes: 'phone' }) || findElement({ placeholderIncludes: 'mobile' }),
+    nameEl: findElement({ placeholderIncludes: 'name' }) || findElement({ nameIncludes: 'name' }),
+    searchEl: findElement({ type: 'search' }) || findElement({ role: 'search_input' }) || findElement({ placeholderIncludes: 'search' }) || findElement({ nameIncludes: 'search' }) || findElement({ name: 'q' }),
+    submitEl,
+    buttons: elements.filter(e => e.role === 'button' || e.tagName === 'button'),
+    links: elements.filter(e => e.role === 'link' || e.tagName === 'a'),
+    inputs: elements.filter(e => e.tagName === 'input' && e.type !== 'hidden'),
+    dropdowns: elements.filter(e => e.role === 'dropdown' || e.tagName === 'select'),
+    checkboxes: elements.filter(e => e.role === 'checkbox' || e.type === 'checkbox')
+  };
+}
+
+// Login and signup forms share a rule set
+function buildAuthTests(ctx, pageType) {
+  const { emailEl, passEl, confirmPassEl, phoneEl, nameEl, submitEl, checkboxes, dropdowns } = ctx;
+  const testPlan = [];
+  const flowSteps = [];
+  
+  // Step 1: Test empty submission first
+  if (submitEl) {
+    testPlan.push({
+      type: 'negative',
+      name: 'Empty form submission',
+      steps: [{ action: 'click', target: submitEl.selector }],
+      expected: 'Validation error shown for required fields'
     });
-    
-    if (submitEl) flowSteps.push({ action: 'click', target: submitEl.selector });
-    
-    if (flowSteps.length > 1) {
-      testPlan.push({
-        id: 't2',
-        type: 'positive',
-        name: `Complete ${pageType} flow`,
-        steps: flowSteps,
-        expected: 'Form submits successfully, user is logged in or account created'
-      });
-    }
-    
-    // Step 3: Invalid email test
-    if (emailEl && submitEl) {
-      testPlan.push({
-        id: 't3',
-        type: 'negative',
-        name: 'Invalid email format',
-        steps: [
-          { action: 'type', target: emailEl.selector, value: 'invalid-email' },
-          ...(passEl ? [{ action: 'type', target: passEl.selector, value: 'password123' }] : []),
-          { action: 'click', target: submitEl.selector }
-        ],
-        expected: 'Email validation error shown'
-      });
-    }
-    
-    // Step 4: Weak password test (for signup)
-    if (pageType === 'signup' && passEl && submitEl) {
-      testPlan.push({
-        id: 't4',
-        type: 'negative',
-        name: 'Weak password',
-        steps: [
-          ...(emailEl ? [{ action: 'type', target: emailEl.selector, value: 'test@example.com' }] : []),
-          { action: 'type', target: passEl.selector, value: '123' },
-          { action: 'click', target: submitEl.selector }
-        ],
-        expected: 'Password strength error shown'
-      });
-    }
-    
-  } else if (pageType === 'search') {
-    // Comprehensive search flow
-    if (searchEl) {
-      // Test 1: Empty search
-      testPlan.push({
-        id: 't1',
-        type: 'negative',
-        name: 'Empty search',
-        steps: submitEl ? [
-          { action: 'click', target: submitEl.selector }
-        ] : [
-          { action: 'click', target: searchEl.selector },
-          { action: 'press', target: searchEl.selector, value: 'Enter' }
-        ],
-        expected: 'No results or validation message'
-      });
-      
-      // Test 2: Special characters
-      testPlan.push({
-        id: 't2',
-        type: 'negative',
-        name: 'Special characters search',
-        steps: submitEl ? [
-          { action: 'type', target: searchEl.selector, value: '!@#$%^&*()' },
-          { action: 'click', target: submitEl.selector }
-        ] : [
-          { action: 'type', target: searchEl.selector, value: '!@#$%^&*()' },
-          { action: 'press', target: searchEl.selector, value: 'Enter' }
-        ],
-        expected: 'Handles special characters gracefully'
-      });
-      
-      // Test 3: Valid search
-      testPlan.push({
-        id: 't3',
-        type: 'positive',
-        name: 'Valid search query',
-        steps: submitEl ? [
-          { action: 'type', target: searchEl.selector, value: 'test product' },
-          { action: 'click', target: submitEl.selector }
-        ] : [
-          { action: 'type', target: searchEl.selector, value: 'test product' },
-          { action: 'press', target: searchEl.selector, value: 'Enter' }
-        ],
-        expected: 'Search results displayed'
-      });
-      
-      // Test 4: Long query
-      testPlan.push({
-        id: 't4',
-        type: 'boundary',
-        name: 'Long search query',
-        steps: [
-          { action: 'type', target: searchEl.selector, value: 'this is a very long search query to test the input field limits and behavior' },
-          { action: 'press', target: searchEl.selector, value: 'Enter' }
-        ],
-        expected: 'Handles long query appropriately'
-      });
-    }
-    
-  } else if (pageType === 'checkout') {
-    // Comprehensive checkout flow
-    const cardNumberEl = findElement({ placeholderIncludes: 'card' }) || findElement({ nameIncludes: 'card' });
-    const expiryEl = findElement({ placeholderIncludes: 'expir' }) || findElement({ nameIncludes: 'expir' }) || findElement({ placeholderIncludes: 'mm' });
-    const cvvEl = findElement({ placeholderIncludes: 'cvv' }) || findElement({ placeholderIncludes: 'cvc' }) || findElement({ nameIncludes: 'cvv' });
-    const addressEl = findElement({ placeholderIncludes: 'address' }) || findElement({ nameIncludes: 'address' });
-    const cityEl = findElement({ placeholderIncludes: 'city' }) || findElement({ nameIncludes: 'city' });
-    const zipEl = findElement({ placeholderIncludes: 'zip' }) || findElement({ placeholderIncludes: 'postal' }) || findElement({ nameIncludes: 'zip' });
-    const payButton = findElement({ textIncludes: 'pay' }) || findElement({ textIncludes: 'place order' }) || findElement({ textIncludes: 'complete' }) || submitEl;
-    
-    // Test 1: Empty checkout submission
-    if (payButton) {
-      testPlan.push({
-        id: 't1',
-        type: 'negative',
-        name: 'Empty checkout submission',
-        steps: [{ action: 'click', target: payButton.selector }],
-        expected: 'Validation errors shown for required fields'
-      });
-    }
-    
-    // Test 2: Invalid card number
-    if (cardNumberEl && payButton) {
-      testPlan.push({
-        id: 't2',
-        type: 'negative',
-        name: 'Invalid card number',
-        steps: [
-          { action: 'type', target: cardNumberEl.selector, value: '1234' },
-          { action: 'click', target: payButton.selector }
-        ],
-        expected: 'Card number validation error'
-      });
-    }
-    
-    // Test 3: Complete checkout flow
-    const checkoutSteps = [];
-    if (nameEl) checkoutSteps.push({ action: 'type', target: nameEl.selector, value: 'Test User' });
-    if (emailEl) checkoutSteps.push({ action: 'type', target: emailEl.selector, value: 'test@example.com' });
-    if (phoneEl) checkoutSteps.push({ action: 'type', target: phoneEl.selector, value: '9876543210' });
-    if (addressEl) checkoutSteps.push({ action: 'type', target: addressEl.selector, value: '123 Test Street' });
-    if (cityEl) checkoutSteps.push({ action: 'type', target: cityEl.selector, value: 'Test City' });
-    if (zipEl) checkoutSteps.push({ action: 'type', target: zipEl.selector, value: '12345' });
-    if (cardNumberEl) checkoutSteps.push({ action: 'type', target: cardNumberEl.selector, value: '4111111111111111' });
-    if (expiryEl) checkoutSteps.push({ action: 'type', target: expiryEl.selector, value: '12/25' });
-    if (cvvEl) checkoutSteps.push({ action: 'type', target: cvvEl.selector, value: '123' });
-    if (payButton) checkoutSteps.push({ action: 'click', target: payButton.selector });
-    
-    if (checkoutSteps.length > 2) {
-      testPlan.push({
-        id: 't3',
-        type: 'positive',
-        name: 'Complete checkout flow',
-        steps: checkoutSteps,
-        expected: 'Order placed successfully or payment processed'
-      });
-    }
-    
-  } else if (pageType === 'contact') {
-    // Contact form flow
-    const messageEl = elements.find(e => e.tagName === 'textarea' || e.role === 'textarea');
-    const subjectEl = findElement({ placeholderIncludes: 'subject' }) || findElement({ nameIncludes: 'subject' });
-    
-    // Test 1: Empty submission
-    if (submitEl) {
-      testPlan.push({
-        id: 't1',
-        type: 'negative',
-        name: 'Empty contact form',
-        steps: [{ action: 'click', target: submitEl.selector }],
-        expected: 'Validation errors for required fields'
-      });
+  }
+  
+  // Step 2: Build comprehensive form fill test
+  if (nameEl) flowSteps.push({ action: 'type', target: nameEl.selector, value: 'Test User' });
+  if (emailEl) flowSteps.push({ action: 'type', target: emailEl.selector, value: 'test@example.com' });
+  if (phoneEl) flowSteps.push({ action: 'type', target: phoneEl.selector, value: '9876543210' });
+  if (passEl) flowSteps.push({ action: 'type', target: passEl.selector, value: 'SecurePass123!' });
+  
+  // Handle confirm password if exists
+  if (confirmPassEl) flowSteps.push({ action: 'type', target: confirmPassEl.selector, value: 'SecurePass123!' });
+  
+  // Handle checkboxes (terms, newsletter, etc.)
+  checkboxes.forEach((cb, idx) => {
+    if (idx < 2) { // Limit to first 2 checkboxes
+      flowSteps.push({ action: 'check', target: cb.selector });
     }
-    
-    // Test 2: Complete contact form
-    const contactSteps = [];
-    if (nameEl) contactSteps.push({ action: 'type', target: nameEl.selector, value: 'Test User' });
-    if (emailEl) contactSteps.push({ action: 'type', target: emailEl.selector, value: 'test@example.com' });
-    if (phoneEl) contactSteps.push({ action: 'type', target: phoneEl.selector, value: '9876543210' });
-    if (subjectEl) contactSteps.push({ action: 'type', target: subjectEl.selector, value: 'Test Inquiry' });
-    if (messageEl) contactSteps.push({ action: 'type', target: messageEl.selector, value: 'This is a test message for the contact form.' });
-    if (submitEl) contactSteps.push({ action: 'click', target: submitEl.selector });
-    
-    if (contactSteps.length > 1) {
-      testPlan.push({
-        id: 't2',
-        type: 'positive',
-        name: 'Complete contact form',
-        steps: contactSteps,
-        expected: 'Message sent successfully'
-      });
+  });
+  
+  // Handle dropdowns
+  dropdowns.forEach((dd, idx) => {
+    if (idx < 1) { // Limit to first dropdown
+      flowSteps.push({ action: 'click', target: dd.selector });
     }
+  });
+  
+  if (submitEl) flowSteps.push({ action: 'click', target: submitEl.selector });
+  
+  if (flowSteps.length > 1) {
+    testPlan.push({
+      type: 'positive',
+      name: `Complete ${pageType} flow`,
+      steps: flowSteps,
+      expected: 'Form submits successfully, user is logged in or account created'
+    });
   }
   
-  // Generic fallback tests - comprehensive coverage of all elements
-  if (testPlan.length === 0) {
-    // Test 1: Empty form submission
-    if (buttons.length > 0) {
-      testPlan.push({
-        id: 't1',
-        type: 'negative',
-        name: 'Empty form submission',
-        steps: [{ action: 'click', target: buttons[0].selector }],
-        expected: 'Validation or error handling'
-      });
-    }
-    
-    // Test 2: Fill all inputs and submit
-    const formSteps = [];
-    inputs.slice(0, 5).forEach((input, idx) => { // Limit to first 5 inputs
-      let value = 'test value';
-      if (input.type === 'email') value = 'test@example.com';
-      else if (input.type === 'tel') value = '9876543210';
-      else if (input.type === 'number') value = '42';
-      else if (input.type === 'url') value = 'https://example.com';
-      else if (input.type === 'date') value = '2025-01-10';
-      formSteps.push({ action: 'type', target: input.selector, value });
+  // Step 3: Invalid email test
+  if (emailEl && submitEl) {
+    testPlan.push({
+      type: 'negative',
+      name: 'Invalid email format',
+      steps: [
+        { action: 'type', target: emailEl.selector, value: 'invalid-email' },
+        ...(passEl ? [{ action: 'type', target: passEl.selector, value: 'password123' }] : []),
+        { action: 'click', target: submitEl.selector }
+      ],
+      expected: 'Email validation error shown'
+    });
+  }
+  
+  // Step 4: Weak password test (for signup)
+  if (pageType === 'signup' && passEl && submitEl) {
+    testPlan.push({
+      type: 'negative',
+      name: 'Weak password',
+      steps: [
+        ...(emailEl ? [{ action: 'type', target: emailEl.selector, value: 'test@example.com' }] : []),
+        { action: 'type', target: passEl.selector, value: '123' },
+        { action: 'click', target: submitEl.selector }
+      ],
+      expected: 'Password strength error shown'
+    });
+  }
+  
+  return testPlan;
+}
+
+function buildSearchTests(ctx) {
+  const { searchEl, submitEl } = ctx;
+  const testPlan = [];
+  if (!searchEl) return testPlan;
+  
+  // Test 1: Empty search
+  testPlan.push({
+    type: 'negative',
+    name: 'Empty search',
+    steps: submitEl ? [
+      { action: 'click', target: submitEl.selector }
+    ] : [
+      { action: 'click', target: searchEl.selector },
+      { action: 'press', target: searchEl.selector, value: 'Enter' }
+    ],
+    expected: 'No results or validation message'
+  });
+  
+  // Test 2: Special characters
+  testPlan.push({
+    type: 'negative',
+    name: 'Special characters search',
+    steps: searchSteps(ctx, '!@#$%^&*()'),
+    expected: 'Handles special characters gracefully'
+  });
+  
+  // Test 3: Valid search
+  testPlan.push({
+    type: 'positive',
+    name: 'Valid search query',
+    steps: searchSteps(ctx, 'test product'),
+    expected: 'Search results displayed'
+  });
+  
+  // Test 4: Long query
+  testPlan.push({
+    type: 'boundary',
+    name: 'Long search query',
+    steps: [
+      { action: 'type', target: searchEl.selector, value: 'this is a very long search query to test the input field limits and behavior' },
+      { action: 'press', target: searchEl.selector, value: 'Enter' }
+    ],
+    expected: 'Handles long query appropriately'
+  });
+  
+  return testPlan;
+}
+
+// Type a query and submit it with the search button, or Enter when there is none
+function searchSteps(ctx, query) {
+  const { searchEl, submitEl } = ctx;
+  return submitEl ? [
+    { action: 'type', target: searchEl.selector, value: query },
+    { action: 'click', target: submitEl.selector }
+  ] : [
+    { action: 'type', target: searchEl.selector, value: query },
+    { action: 'press', target: searchEl.selector, value: 'Enter' }
+  ];
+}
+
+function findCheckoutElements(ctx) {
+  const { findElement, submitEl } = ctx;
+  return {
+    cardNumberEl: findElement({ placeholderIncludes: 'card' }) || findElement({ nameIncludes: 'card' }),
+    expiryEl: findElement({ placeholderIncludes: 'expir' }) || findElement({ nameIncludes: 'expir' }) || findElement({ placeholderIncludes: 'mm' }),
+    cvvEl: findElement({ placeholderIncludes: 'cvv' }) || findElement({ placeholderIncludes: 'cvc' }) || findElement({ nameIncludes: 'cvv' }),
+    addressEl: findElement({ placeholderIncludes: 'address' }) || findElement({ nameIncludes: 'address' }),
+    cityEl: findElement({ placeholderIncludes: 'city' }) || findElement({ nameIncludes: 'city' }),
+    zipEl: findElement({ placeholderIncludes: 'zip' }) || findElement({ placeholderIncludes: 'postal' }) || findElement({ nameIncludes: 'zip' }),
+    quantityEl: findElement({ nameIncludes: 'qty' }) || findElement({ nameIncludes: 'quantity' }) || findElement({ placeholderIncludes: 'qty' }) || findElement({ ariaIncludes: 'quantity' }),
+    payButton: findElement({ textIncludes: 'pay' }) || findElement({ textIncludes: 'place order' }) || findElement({ textIncludes: 'complete' }) || submitEl
+  };
+}
+
+function buildCheckoutTests(ctx) {
+  const { nameEl, emailEl, phoneEl } = ctx;
+  const { cardNumberEl, expiryEl, cvvEl, addressEl, cityEl, zipEl, payButton } = findCheckoutElements(ctx);
+  const testPlan = [];
+  
+  // Test 1: Empty checkout submission
+  if (payButton) {
+    testPlan.push({
+      type: 'negative',
+      name: 'Empty checkout submission',
+      steps: [{ action: 'click', target: payButton.selector }],
+      expected: 'Validation errors shown for required fields'
     });
-    
-    // Handle checkboxes
-    checkboxes.slice(0, 2).forEach(cb => {
-      formSteps.push({ action: 'check', target: cb.selector });
+  }
+  
+  // Test 2: Invalid card number
+  if (cardNumberEl && payButton) {
+    testPlan.push({
+      type: 'negative',
+      name: 'Invalid card number',
+      steps: [
+        { action: 'type', target: cardNumberEl.selector, value: '1234' },
+        { action: 'click', target: payButton.selector }
+      ],
+      expected: 'Card number validation error'
     });
-    
-    // Handle dropdowns
-    dropdowns.slice(0, 1).forEach(dd => {
-      formSteps.push({ action: 'click', target: dd.selector });
+  }
+  
+  // Test 3: Complete checkout flow
+  const checkoutSteps = [];
+  if (nameEl) checkoutSteps.push({ action: 'type', target: nameEl.selector, value: 'Test User' });
+  if (emailEl) checkoutSteps.push({ action: 'type', target: emailEl.selector, value: 'test@example.com' });
+  if (phoneEl) checkoutSteps.push({ action: 'type', target: phoneEl.selector, value: '9876543210' });
+  if (addressEl) checkoutSteps.push({ action: 'type', target: addressEl.selector, value: '123 Test Street' });
+  if (cityEl) checkoutSteps.push({ action: 'type', target: cityEl.selector, value: 'Test City' });
+  if (zipEl) checkoutSteps.push({ action: 'type', target: zipEl.selector, value: '12345' });
+  if (cardNumberEl) checkoutSteps.push({ action: 'type', target: cardNumberEl.selector, value: '4111111111111111' });
+  if (expiryEl) checkoutSteps.push({ action: 'type', target: expiryEl.selector, value: '12/25' });
+  if (cvvEl) checkoutSteps.push({ action: 'type', target: cvvEl.selector, value: '123' });
+  if (payButton) checkoutSteps.push({ action: 'click', target: payButton.selector });
+  
+  if (checkoutSteps.length > 2) {
+    testPlan.push({
+      type: 'positive',
+      name: 'Complete checkout flow',
+      steps: checkoutSteps,
+      expected: 'Order placed successfully or payment processed'
     });
-    
-    if (buttons.length > 0) {
-      formSteps.push({ action: 'click', target: buttons[0].selector });
-    }
-    
-    if (formSteps.length > 1) {
-      testPlan.push({
-        id: 't2',
-        type: 'positive',
-        name: 'Complete form interaction',
-        steps: formSteps,
-        expected: 'Form processes correctly'
-      });
-    }
-    
-    // Test 3: Test navigation links
-    const navLinks = links.filter(l => 
-      l.visibleText && 
-      !l.href?.includes('javascript:') && 
-      !l.href?.startsWith('#')
-    ).slice(0, 2);
-    
-    if (navLinks.length > 0) {
-      testPlan.push({
-        id: 't3',
-        type: 'positive',
-        name: 'Navigation test',
-        steps: navLinks.map(link => ({ action: 'click', target: link.selector })),
-        expected: 'Navigation works correctly'
-      });
+  }
+  
+  return testPlan;
+}
+
+function buildContactTests(ctx) {
+  const { elements, findElement, nameEl, emailEl, phoneEl, submitEl } = ctx;
+  const messageEl = elements.find(e => e.tagName === 'textarea' || e.role === 'textarea');
+  const subjectEl = findElement({ placeholderIncludes: 'subject' }) || findElement({ nameIncludes: 'subject' });
+  const testPlan = [];
+  
+  // Test 1: Empty submission
+  if (submitEl) {
+    testPlan.push({
+      type: 'negative',
+      name: 'Empty contact form',
+      steps: [{ action: 'click', target: submitEl.selector }],
+      expected: 'Validation errors for required fields'
+    });
+  }
+  
+  // Test 2: Complete contact form
+  const contactSteps = [];
+  if (nameEl) contactSteps.push({ action: 'type', target: nameEl.selector, value: 'Test User' });
+  if (emailEl) contactSteps.push({ action: 'type', target: emailEl.selector, value: 'test@example.com' });
+  if (phoneEl) contactSteps.push({ action: 'type', target: phoneEl.selector, value: '9876543210' });
+  if (subjectEl) contactSteps.push({ action: 'type', target: subjectEl.selector, value: 'Test Inquiry' });
+  if (messageEl) contactSteps.push({ action: 'type', target: messageEl.selector, value: 'This is a test message for the contact form.' });
+  if (submitEl) contactSteps.push({ action: 'click', target: submitEl.selector });
+  
+  if (contactSteps.length > 1) {
+    testPlan.push({
+      type: 'positive',
+      name: 'Complete contact form',
+      steps: contactSteps,
+      expected: 'Message sent successfully'
+    });
+  }
+  
+  return testPlan;
+}
+
+function buildGenericTests(ctx) {
+  const { buttons, inputs, links, checkboxes, dropdowns } = ctx;
+  const testPlan = [];
+  
+  // Test 1: Empty form submission
+  if (buttons.length > 0) {
+    testPlan.push({
+      type: 'negative',
+      name: 'Empty form submission',
+      steps: [{ action: 'click', target: buttons[0].selector }],
+      expected: 'Validation or error handling'
+    });
+  }
+  
+  // Test 2: Fill all inputs and submit
+  const formSteps = [];
+  inputs.slice(0, 5).forEach(input => { // Limit to first 5 inputs
+    formSteps.push({ action: 'type', target: input.selector, value: sampleValue(input) });
+  });
+  
+  // Handle checkboxes
+  checkboxes.slice(0, 2).forEach(cb => {
+    formSteps.push({ action: 'check', target: cb.selector });
+  });
+  
+  // Handle dropdowns
+  dropdowns.slice(0, 1).forEach(dd => {
+    formSteps.push({ action: 'click', target: dd.selector });
+  });
+  
+  if (buttons.length > 0) {
+    formSteps.push({ action: 'click', target: buttons[0].selector });
+  }
+  
+  if (formSteps.length > 1) {
+    testPlan.push({
+      type: 'positive',
+      name: 'Complete form interaction',
+      steps: formSteps,
+      expected: 'Form processes correctly'
+    });
+  }
+  
+  // Test 3: Test navigation links
+  const navLinks = links.filter(l => 
+    l.visibleText && 
+    !l.href?.includes('javascript:') && 
+    !l.href?.startsWith('#')
+  ).slice(0, 2);
+  
+  if (navLinks.length > 0) {
+    testPlan.push({
+      type: 'positive',
+      name: 'Navigation test',
+      steps: navLinks.map(link => ({ action: 'click', target: link.selector })),
+      expected: 'Navigation works correctly'
+    });
+  }
+  
+  // Test 4: Invalid input test
+  if (inputs.length > 0 && buttons.length > 0) {
+    testPlan.push({
+      type: 'negative',
+      name: 'Invalid input data',
+      steps: [
+        { action: 'type', target: inputs[0].selector, value: '!@#$%^&*()' },
+        { action: 'click', target: buttons[0].selector }
+      ],
+      expected: 'Handles invalid input gracefully'
+    });
+  }
+  
+  return testPlan;
+}
+
+// Valid-looking test data for an input, by its type
+function sampleValue(input) {
+  if (input.type === 'email') return 'test@example.com';
+  if (input.type === 'tel') return '9876543210';
+  if (input.type === 'number') return '42';
+  if (input.type === 'url') return 'https://example.com';
+  if (input.type === 'date') return '2025-01-10';
+  return 'test value';
+}
+
+/**
+ * One test exercising every element of a group: fill its fields and submit,
+ * follow its navigation, or operate its controls
+ */
+function buildGroupTest(group) {
+  const label = group.name === 'page' ? 'page' : `"${group.name}"`;
+  const fields = group.elements.filter(e => 
+    (e.tagName === 'input' && e.type !== 'hidden' && e.type !== 'submit') || e.tagName === 'textarea'
+  );
+  const buttons = group.elements.filter(e => e.role === 'button' || e.role === 'submit_button' || e.tagName === 'button');
+  const links = group.elements.filter(e => e.role === 'link' || e.tagName === 'a');
+  
+  if (fields.length > 0) {
+    const steps = fields.map(field => 
+      field.type === 'checkbox' || field.type === 'radio'
+        ? { action: 'check', target: field.selector }
+        : { action: 'type', target: field.selector, value: sampleValue(field) }
+    );
+    if (buttons.length > 0) steps.push({ action: 'click', target: buttons[0].selector });
+    return {
+      type: 'positive',
+      name: `Fill ${label} group`,
+      steps,
+      expected: 'Group input is processed without errors'
+    };
+  }
+  
+  if (buttons.length > 0) {
+    return {
+      type: 'positive',
+      name: `Operate ${label} controls`,
+      steps: buttons.slice(0, 5).map(button => ({ action: 'click', target: button.selector })),
+      expected: 'Controls respond without errors'
+    };
+  }
+  
+  if (links.length > 0) {
+    // Clicking navigates away, so hover the rest and follow only the first link
+    return {
+      type: 'positive',
+      name: `Navigate ${label} links`,
+      steps: [
+        ...links.slice(1, 5).map(link => ({ action: 'hover', target: link.selector })),
+        { action: 'click', target: links[0].selector }
+      ],
+      expected: 'Navigation works correctly'
+    };
+  }
+  
+  return null;
+}
+
+// Drop tests whose steps repeat an earlier test
+function dedupeTests(tests) {
+  const seen = new Set();
+  return tests.filter(test => {
+    const key = JSON.stringify(test.steps);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * Cut a plan down to `count` tests, keeping preset cases and at least one
+ * positive flow, in their original order
+ */
+function limitTests(tests, count) {
+  if (tests.length <= count) return tests;
+  
+  const picked = new Set(tests.filter(t => t.presetCase));
+  const positive = tests.find(t => t.type === 'positive');
+  if (positive) picked.add(positive);
+  for (const test of tests) {
+    if (picked.size >= count) break;
+    picked.add(test);
+  }
+  
+  return tests.filter(t => picked.has(t));
+}
+
+const RULE_SETS = {
+  login: buildAuthTests,
+  signup: buildAuthTests,
+  search: buildSearchTests,
+  checkout: buildCheckoutTests,
+  contact: buildContactTests
+};
+
+// Preset-specific negative cases, added on top of the preset's base rule set
+
+function loginNegatives(ctx) {
+  const { emailEl, passEl, submitEl } = ctx;
+  const testPlan = [];
+  if (!passEl || !submitEl) return testPlan;
+  
+  const credentialSteps = (password) => [
+    ...(emailEl ? [{ action: 'type', target: emailEl.selector, value: 'test@example.com' }] : []),
+    { action: 'type', target: passEl.selector, value: password },
+    { action: 'click', target: submitEl.selector }
+  ];
+  
+  testPlan.push({
+    type: 'negative',
+    presetCase: 'wrong_password',
+    name: 'Wrong password',
+    steps: credentialSteps('WrongPass999!'),
+    expected: 'Invalid credentials error shown'
+  });
+  
+  // Five failed attempts in a row should trigger lockout or rate limiting
+  const lockoutSteps = [];
+  for (let attempt = 0; attempt < 5; attempt++) {
+    lockoutSteps.push(...credentialSteps(`WrongPass${attempt}!`));
+    lockoutSteps.push({ action: 'wait', target: null, value: '500' });
+  }
+  testPlan.push({
+    type: 'negative',
+    presetCase: 'lockout',
+    name: 'Account lockout after repeated failures',
+    steps: lockoutSteps,
+    expected: 'Account locked out error shown after repeated failed attempts'
+  });
+  
+  testPlan.push({
+    type: 'negative',
+    presetCase: 'empty_fields',
+    name: 'Empty password field',
+    steps: [
+      ...(emailEl ? [{ action: 'type', target: emailEl.selector, value: 'test@example.com' }] : []),
+      { action: 'click', target: submitEl.selector }
+    ],
+    expected: 'Password required validation error shown'
+  });
+  
+  return testPlan;
+}
+
+function signupNegatives(ctx) {
+  const { emailEl, passEl, confirmPassEl, nameEl, submitEl } = ctx;
+  const testPlan = [];
+  if (!submitEl) return testPlan;
+  
+  if (passEl && confirmPassEl) {
+    testPlan.push({
+      type: 'negative',
+      presetCase: 'password_mismatch',
+      name: 'Password confirmation mismatch',
+      steps: [
+        ...(emailEl ? [{ action: 'type', target: emailEl.selector, value: 'test@example.com' }] : []),
+        { action: 'type', target: passEl.selector, value: 'SecurePass123!' },
+        { action: 'type', target: confirmPassEl.selector, value: 'DifferentPass456!' },
+        { action: 'click', target: submitEl.selector }
+      ],
+      expected: 'Passwords do not match validation error shown'
+    });
+  }
+  
+  if (emailEl && passEl) {
+    testPlan.push({
+      type: 'negative',
+      presetCase: 'existing_account',
+      name: 'Already registered email',
+      steps: [
+        ...(nameEl ? [{ action: 'type', target: nameEl.selector, value: 'Test User' }] : []),
+        { action: 'type', target: emailEl.selector, value: 'admin@example.com' },
+        { action: 'type', target: passEl.selector, value: 'SecurePass123!' },
+        ...(confirmPassEl ? [{ action: 'type', target: confirmPassEl.selector, value: 'SecurePass123!' }] : []),
+        { action: 'click', target: submitEl.selector }
+      ],
+      expected: 'Account already exists error shown'
+    });
+  }
+  
+  return testPlan;
+}
+
+function checkoutNegatives(ctx) {
+  const { cardNumberEl, expiryEl, cvvEl, quantityEl, payButton } = findCheckoutElements(ctx);
+  const testPlan = [];
+  if (!payButton) return testPlan;
+  
+  if (expiryEl) {
+    testPlan.push({
+      type: 'negative',
+      presetCase: 'expired_card',
+      name: 'Expired card',
+      steps: [
+        ...(cardNumberEl ? [{ action: 'type', target: cardNumberEl.selector, value: '4111111111111111' }] : []),
+        { action: 'type', target: expiryEl.selector, value: '01/20' },
+        ...(cvvEl ? [{ action: 'type', target: cvvEl.selector, value: '123' }] : []),
+        { action: 'click', target: payButton.selector }
+      ],
+      expected: 'Card expired validation error shown'
+    });
+  }
+  
+  if (cvvEl) {
+    testPlan.push({
+      type: 'negative',
+      presetCase: 'invalid_cvv',
+      name: 'Invalid CVV',
+      steps: [
+        ...(cardNumberEl ? [{ action: 'type', target: cardNumberEl.selector, value: '4111111111111111' }] : []),
+        { action: 'type', target: cvvEl.selector, value: '1' },
+        { action: 'click', target: payButton.selector }
+      ],
+      expected: 'CVV validation error shown'
+    });
+  }
+  
+  if (quantityEl) {
+    testPlan.push({
+      type: 'negative',
+      presetCase: 'zero_quantity',
+      name: 'Zero-quantity cart',
+      steps: [
+        { action: 'clear', target: quantityEl.selector },
+        { action: 'type', target: quantityEl.selector, value: '0' },
+        { action: 'click', target: payButton.selector }
+      ],
+      expected: 'Quantity validation error shown, order is rejected'
+    });
+  }
+  
+  return testPlan;
+}
+
+function searchNegatives(ctx) {
+  if (!ctx.searchEl) return [];
+  return [
+    {
+      type: 'negative',
+      presetCase: 'script_injection',
+      name: 'Script injection in query',
+      steps: searchSteps(ctx, '<script>alert(1)</script>'),
+      expected: 'Query is escaped and handled gracefully'
+    },
+    {
+      type: 'negative',
+      presetCase: 'no_results',
+      name: 'Query with no results',
+      steps: searchSteps(ctx, 'zxqvbnm-no-such-item-4821'),
+      expected: 'No results message shown'
     }
-    
-    // Test 4: Invalid input test
-    if (inputs.length > 0 && buttons.length > 0) {
-      testPlan.push({
-        id: 't4',
-        type: 'negative',
-        name: 'Invalid input data',
-        steps: [
-          { action: 'type', target: inputs[0].selector, value: '!@#$%^&*()' },
-          { action: 'click', target: buttons[0].selector }
-        ],
-        expected: 'Handles invalid input gracefully'
-      });
+  ];
+}
+
+/**
+ * Generation strategies for the New Test presets.
+ * 'auto' (or no preset) keeps page-type detection.
+ * cases: negative cases the AI must cover; `match` recognizes them in AI test names.
+ */
+const PRESETS = {
+  login: {
+    pageType: 'login',
+    label: 'LOGIN form',
+    negativeCases: loginNegatives,
+    cases: [
+      { key: 'wrong_password', match: /wrong|incorrect|invalid (?:password|credential)/i, description: 'Wrong password: valid email with an incorrect password, expect an invalid credentials error' },
+      { key: 'lockout', match: /lock|rate.?limit|repeated|brute/i, description: 'Account lockout: submit wrong credentials 5 times in a row, expect a lockout or rate-limit message' },
+      { key: 'empty_fields', match: /empty|blank|required/i, description: 'Empty fields: submit with email and/or password empty, expect required-field validation errors' }
+    ]
+  },
+  signup: {
+    pageType: 'signup',
+    label: 'SIGNUP/registration form',
+    negativeCases: signupNegatives,
+    cases: [
+      { key: 'password_mismatch', match: /mismatch|match|confirm/i, description: 'Password mismatch: confirmation differs from password, expect a mismatch error' },
+      { key: 'existing_account', match: /existing|already|duplicate|registered/i, description: 'Existing account: register an email that is already taken, expect an account exists error' },
+      { key: 'weak_password', match: /weak|short|strength/i, description: 'Weak password: a 3-character password, expect a password strength error' }
+    ]
+  },
+  checkout: {
+    pageType: 'checkout',
+    label: 'CHECKOUT/payment form',
+    negativeCases: checkoutNegatives,
+    cases: [
+      { key: 'invalid_card', match: /invalid card|card number/i, description: 'Invalid card: card number "1234", expect a card number validation error' },
+      { key: 'expired_card', match: /expired|expiry|expiration/i, description: 'Expired card: expiry date "01/20", expect a card expired error' },
+      { key: 'zero_quantity', match: /zero|quantity|empty cart/i, description: 'Zero-quantity cart: set item quantity to 0 and submit, expect the order to be rejected' }
+    ]
+  },
+  search: {
+    pageType: 'search',
+    label: 'SEARCH feature',
+    negativeCases: searchNegatives,
+    cases: [
+      { key: 'empty_query', match: /empty|blank/i, description: 'Empty query: submit without text, expect no results or a validation message' },
+      { key: 'script_injection', match: /script|xss|inject/i, description: 'Script injection: query "<script>alert(1)</script>", expect it to be escaped' },
+      { key: 'no_results', match: /no results|not found|nonexistent/i, description: 'No results: a nonsense query, expect a no results message' }
+    ]
+  }
+};
+
+/**
+ * Make sure an AI plan covers every required negative case of the preset,
+ * filling gaps with the rule-based version of the missing cases
+ */
+function supplementPresetCases(plan, pageData, preset) {
+  const ruleCases = PRESETS[preset].negativeCases(findPageElements(pageData.elements));
+  const tests = [...plan.test_plan];
+  
+  for (const ruleCase of ruleCases) {
+    const caseDef = PRESETS[preset].cases.find(c => c.key === ruleCase.presetCase);
+    const covered = caseDef && tests.some(t => caseDef.match.test(t.name || ''));
+    if (!covered) {
+      tests.push({ ...ruleCase, id: `t${tests.length + 1}` });
     }
   }
   
-  return {
-    page_type: pageType,
-    elements: elements.map(e => ({
-      id: e.id,
-      role: e.role,
-      subtype: e.type,
-      selector: e.selector
-    })),
-    test_plan: testPlan,
-    confidence: testPlan.length > 2 ? 0.8 : 0.6
-  };
+  return { ...plan, page_type: PRESETS[preset].pageType, test_plan: tests };
 }
 
-module.exports = { generate };
+module.exports = { generate, PRESETS, COVERAGE_LEVELS };
@@ -0,0 +1,169 @@
+/**
+ * Test runs
+ * Generating a test run for a page and executing it, shared by the API routes
+ * and the bugscout CLI when it runs in-process.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const pageInspector = require('./pageInspector');
+const testGenerator = require('./testGenerator');
+const testExecutor = require('./testExecutor');
+const firestoreService = require('./firestoreService');
+const selectorHealer = require('./selectorHealer');
+const authProfiles = require('./authProfiles');
+const executionHistory = require('./executionHistory');
+const flakiness = require('./flakiness');
+const deviceProfiles = require('./deviceProfiles');
+
+// Browser options for a request that references an auth profile
+async function authOptions(authProfileId) {
+  if (!authProfileId) return {};
+  return { storageState: await authProfiles.getStorageState(authProfileId) };
+}
+
+/**
+ * @returns {string|null} Problem description, or null when valid
+ */
+function checkGenerateOptions(preset, coverage, device) {
+  if (preset && preset !== 'auto' && !testGenerator.PRESETS[preset]) {
+    return `Unknown preset: ${preset}`;
+  }
+  if (!testGenerator.COVERAGE_LEVELS[coverage]) {
+    return `Unknown coverage: ${coverage}. Use ${Object.keys(testGenerator.COVERAGE_LEVELS).join(', ')}`;
+  }
+  if (device && !deviceProfiles.isDevice(device)) {
+    return `Unknown device: ${device}. Use ${Object.keys(deviceProfiles.PROFILES).join(', ')} or a Playwright device name`;
+  }
+  return null;
+}
+
+/**
+ * Inspect a URL and save a generated test plan for it as a new test run
+ * @param {Object} options - url, userId, preset, coverage, authProfileId, device
+ * A device inspects the page's layout on that device, and the run executes on it by default.
+ */
+async function generate({ url, userId, preset, coverage = 'smoke', authProfileId, device }) {
+  const runId = uuidv4();
+
+  // Step A: Page Inspection
+  console.log(`[${runId}] Inspecting page: ${url}${device ? ` (${device})` : ''}`);
+  const pageData = await pageInspector.inspect(url, { ...(await authOptions(authProfileId)), device });
+
+  // Step B & C: AI Test Planning with Fallback
+  console.log(`[${runId}] Generating test plan...`);
+  return planTestRun(pageData, { id: runId, url, userId, preset, coverage, authProfileId, ...(device && { devices: [device] }) });
+}
+
+// Generate a test plan for inspected page data and save it as a new test run
+async function planTestRun(pageData, { id, url, userId, preset, coverage, authProfileId, ...extra }) {
+  const testPlan = await testGenerator.generate(pageData, { preset, coverage });
+
+  // Save to Firestore - store original elements with selectors for execution
+  const testRun = {
+    id: id || uuidv4(),
+    url,
+    userId: userId || null,
+    preset: preset || 'auto',
+    coverage,
+    authProfileId: authProfileId || null,
+    ...extra,
+    status: 'pending_review',
+    createdAt: new Date().toISOString(),
+    pageData: {
+      pageType: testPlan.page_type,
+      elements: pageData.elements,  // Original elements with real selectors
+      device: pageData.device || null
+    },
+    tests: testPlan.test_plan.map(t => ({
+      ...t,
+      status: 'pending',
+      screenshots: []
+    })),
+    confidence: testPlan.confidence
+  };
+
+  await firestoreService.saveTestRun(testRun);
+  return testRun;
+}
+
+/**
+ * Run a test run's tests, reporting progress as it goes.
+ * Each execution is stored as its own record; the run's fields point at the latest one.
+ * @param {string} testRunId
+ * @param {Object} options
+ * @param {boolean} options.detailedFlow
+ * @param {boolean} options.applyHealing - Write selectors healed during the run back into the test plan
+ * @param {Object} options.recording - Trace/video recording: { trace, video, retain }
+ * @param {string} options.trigger - Recorded on the execution ('manual', 'suite', 'schedule', 'cli')
+ * @param {Function} report - Progress callback (type, data)
+ * @returns {Promise<Object>} The test run after executing, with its tests' results
+ */
+async function execute(testRunId, { detailedFlow = false, applyHealing = false, recording = null, trigger = 'manual' } = {}, report = () => {}) {
+  const timeoutMs = 120000; // 2 minute timeout
+  const startedAt = new Date();
+  const controller = new AbortController();
+  let timeoutId;
+  let testRun;
+
+  try {
+    // Re-read the run: it may have been edited while the job was queued
+    testRun = await firestoreService.getTestRun(testRunId);
+    if (!testRun) {
+      throw new Error('Test run not found');
+    }
+
+    await firestoreService.updateTestRun(testRunId, { status: 'running' });
+
+    // Log in (or reuse the cached login) before the clock starts
+    const { storageState } = await authOptions(testRun.authProfileId);
+
+    console.log(`[${testRunId}] Executing tests... (detailedFlow: ${detailedFlow})`);
+
+    // Create a timeout promise - longer timeout for detailed mode. The budget covers one
+    // pass over the tests; a device/browser matrix and retries get one per pass they can take
+    const passTimeout = detailedFlow ? 180000 : timeoutMs; // 3 min for detailed, 2 min normal
+    const actualTimeout = passTimeout * testExecutor.passesFor(testRun);
+    const timeoutPromise = new Promise((_, reject) => {
+      timeoutId = setTimeout(() => {
+        const error = new Error(`Test execution timed out after ${actualTimeout / 60000} minutes`);
+        // Stop the executor too, so it closes its pooled contexts instead of running on
+        controller.abort(error);
+        reject(error);
+      }, actualTimeout);
+    });
+
+    // Race between execution and timeout
+    const results = await Promise.race([
+      testExecutor.execute(testRun, { detailedFlow, recording, onProgress: report, storageState, signal: controller.signal }),
+      timeoutPromise
+    ]);
+
+    clearTimeout(timeoutId);
+
+    const execution = await executionHistory.record(testRun, { results, startedAt, trigger, detailedFlow, recording });
+    const updates = executionHistory.currentFields(execution);
+    updates.flakiness = await flakiness.scoreTestRun(testRunId);
+
+    if (applyHealing) {
+      const { tests, pageData, applied } = selectorHealer.applyHealedSelectors({ ...testRun, tests: results });
+      if (applied.length > 0) {
+        console.log(`[${testRunId}] Wrote ${applied.length} healed selector(s) back to the test plan`);
+        Object.assign(updates, { tests: executionHistory.planOf(tests), pageData });
+      }
+    }
+
+    await firestoreService.updateTestRun(testRunId, updates);
+
+    return await executionHistory.withResults(await firestoreService.getTestRun(testRunId));
+  } catch (error) {
+    clearTimeout(timeoutId);
+    console.error('Execute tests error:', error);
+    if (testRun) {
+      const execution = await executionHistory.record(testRun, { error: error.message, startedAt, trigger, detailedFlow, recording });
+      await firestoreService.updateTestRun(testRunId, executionHistory.currentFields(execution));
+    }
+    throw error;
+  }
+}
+
+module.exports = { authOptions, checkGenerateOptions, generate, planTestRun, execute };
@@ -0,0 +1,116 @@
+/**
+ * Site-wide test suites
+ * A suite turns a crawl into a handful of test runs: pages built from the same
+ * template (500 product pages) collapse into one representative page, and the
+ * suite's pass/fail is aggregated from the runs generated for those pages.
+ */
+
+// Which templates make the cut first when there are more than maxRuns
+const TYPE_PRIORITY = ['login', 'signup', 'checkout', 'search', 'contact', 'upload', 'other'];
+const DEFAULT_MAX_RUNS = 10;
+const MAX_RUNS_LIMIT = 20;
+// Duplicate URLs listed per template; the rest are only counted
+const MAX_EXAMPLE_URLS = 5;
+
+/**
+ * Group crawled pages into templates.
+ * Pages share a template when they have the same page type, the same path shape
+ * (/products/* - first segment kept, the rest wildcarded) and the same set of
+ * form controls. Links are ignored: they differ on every product page.
+ * @param {Array} crawlPages - Stored crawl pages ({ pageId, url, pageType, elements })
+ */
+function groupTemplates(crawlPages) {
+  const templates = new Map();
+
+  for (const page of crawlPages) {
+    const pattern = pathPattern(page.url);
+    const key = `${page.pageType}|${pattern}|${controlSignature(page.elements || [])}`;
+    if (!templates.has(key)) {
+      templates.set(key, { key, pageType: page.pageType, pattern, pages: [] });
+    }
+    templates.get(key).pages.push(page);
+  }
+
+  return [...templates.values()].map(t => {
+    // The richest page shows the most of what the template can do
+    const representative = t.pages.reduce((best, p) =>
+      (p.elements?.length || 0) > (best.elements?.length || 0) ? p : best
+    );
+    return {
+      key: t.key,
+      pageType: t.pageType,
+      pattern: t.pattern,
+      pageCount: t.pages.length,
+      representative: { pageId: representative.pageId, url: representative.url },
+      exampleUrls: t.pages.filter(p => p !== representative).slice(0, MAX_EXAMPLE_URLS).map(p => p.url)
+    };
+  });
+}
+
+function pathPattern(url) {
+  const segments = new URL(url).pathname.split('/').filter(Boolean);
+  if (segments.length === 0) return '/';
+  return '/' + [segments[0], ...segments.slice(1).map(() => '*')].join('/');
+}
+
+function controlSignature(elements) {
+  const controls = elements
+    .filter(e => e.tagName !== 'a' && e.role !== 'link')
+    .map(e => `${e.tagName}:${e.type || ''}:${e.name || e.placeholder || e.ariaLabel || ''}`);
+  return [...new Set(controls)].sort().join(',');
+}
+
+/**
+ * Choose the templates that get a test run: testable page types first, then
+ * the templates covering the most pages
+ * @returns {{ selected: Array, left: Array }}
+ */
+function selectTemplates(templates, maxRuns = DEFAULT_MAX_RUNS) {
+  const limit = Math.min(Math.max(parseInt(maxRuns) || DEFAULT_MAX_RUNS, 1), MAX_RUNS_LIMIT);
+  const rank = type => {
+    const idx = TYPE_PRIORITY.indexOf(type);
+    return idx === -1 ? TYPE_PRIORITY.length : idx;
+  };
+  const sorted = [...templates].sort((a, b) => rank(a.pageType) - rank(b.pageType) || b.pageCount - a.pageCount);
+  return { selected: sorted.slice(0, limit), left: sorted.slice(limit) };
+}
+
+/**
+ * Aggregate pass/fail over the suite's test runs
+ * @param {Array} testRuns - The suite's runs (missing ones are skipped)
+ */
+function summarize(testRuns) {
+  const summary = { runs: 0, runsPassed: 0, runsFailed: 0, runsPending: 0, tests: 0, passed: 0, failed: 0, flaky: 0, pending: 0, passRate: null };
+
+  for (const run of testRuns.filter(Boolean)) {
+    const tests = run.tests || [];
+    const passed = tests.filter(t => t.status === 'pass').length;
+    const failed = tests.filter(t => t.status === 'fail').length;
+
+    summary.runs++;
+    summary.tests += tests.length;
+    summary.passed += passed;
+    summary.failed += failed;
+    summary.flaky += tests.filter(t => t.flaky).length;
+    summary.pending += tests.length - passed - failed;
+
+    if (failed > 0 || run.status === 'error') summary.runsFailed++;
+    else if (passed === tests.length && tests.length > 0) summary.runsPassed++;
+    else summary.runsPending++;
+  }
+
+  const finished = summary.passed + summary.failed;
+  if (finished > 0) summary.passRate = Math.round((summary.passed / finished) * 100);
+  return summary;
+}
+
+/**
+ * Suite status after a run of all its test runs
+ */
+function statusFor(summary) {
+  if (summary.runsFailed > 0) return 'completed_with_failures';
+  if (summary.runsPending > 0) return 'ready';
+  return 'completed';
+}
+
+module.exports = { groupTemplates, selectTemplates, summarize, statusFor, DEFAULT_MAX_RUNS, MAX_RUNS_LIMIT };
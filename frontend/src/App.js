@@ -4,6 +4,130 @@ import jsPDF from 'jspdf';
 
 const API_URL = process.env.REACT_APP_API_URL || '';
 
+// Assertion step types understood by the backend assertion engine
+const ASSERTION_ACTIONS = [
+  { id: 'assertVisible', label: 'Assert Visible', needsValue: false, placeholder: '' },
+  { id: 'assertHidden', label: 'Assert Hidden', needsValue: false, placeholder: '' },
+  { id: 'assertText', label: 'Assert Text Equals', needsValue: true, placeholder: 'Exact text' },
+  { id: 'assertContainsText', label: 'Assert Text Contains', needsValue: true, placeholder: 'Text' },
+  { id: 'assertTextMatches', label: 'Assert Text Matches', needsValue: true, placeholder: '/regex/i' },
+  { id: 'assertAttribute', label: 'Assert Attribute', needsValue: true, placeholder: 'name=value' },
+  { id: 'assertValue', label: 'Assert Input Value', needsValue: true, placeholder: 'Value' },
+  { id: 'assertCount', label: 'Assert Count', needsValue: true, placeholder: '>=1' },
+  { id: 'assertUrl', label: 'Assert URL', needsValue: true, placeholder: '/dashboard' },
+  { id: 'assertTitle', label: 'Assert Title', needsValue: true, placeholder: 'Title text' },
+  { id: 'assertResponseStatus', label: 'Assert Response Status', needsValue: true, placeholder: '200, 2xx, <400' }
+];
+
+// Other actions the executor runs (imported specs and journeys use them)
+const STEP_ACTIONS = [
+  { id: 'doubleclick', label: 'Double Click', needsValue: false },
+  { id: 'rightclick', label: 'Right Click', needsValue: false },
+  { id: 'hover', label: 'Hover', needsValue: false },
+  { id: 'select', label: 'Select Option', needsValue: true, placeholder: 'Option value' },
+  { id: 'check', label: 'Check', needsValue: false },
+  { id: 'uncheck', label: 'Uncheck', needsValue: false },
+  { id: 'press', label: 'Press Key', needsValue: true, placeholder: 'Enter' },
+  { id: 'clear', label: 'Clear', needsValue: false },
+  { id: 'focus', label: 'Focus', needsValue: false },
+  { id: 'blur', label: 'Blur', needsValue: false },
+  { id: 'scroll', label: 'Scroll Into View', needsValue: false },
+  { id: 'screenshot', label: 'Screenshot', needsValue: false }
+];
+
+// Network steps target a URL pattern (substring, glob with * / **, or /regex/) instead of an element
+const NETWORK_ACTIONS = [
+  { id: 'mockRoute', label: 'Mock Response', needsValue: true, placeholder: '{"status":200,"body":{}} or {"fixture":"users.json"}' },
+  { id: 'blockRequest', label: 'Block Requests', needsValue: false },
+  { id: 'delayRequest', label: 'Delay Requests', needsValue: true, placeholder: 'ms' },
+  { id: 'assertRequest', label: 'Assert Request Made', needsValue: true, placeholder: 'POST or {"method":"POST","body":{}}' }
+];
+
+const stepActionInfo = (action) => [...ASSERTION_ACTIONS, ...STEP_ACTIONS, ...NETWORK_ACTIONS].find(a => a.id === action);
+
+// Engines a test run's browser matrix can include
+const BROWSERS = [
+  { id: 'chromium', label: 'Chromium' },
+  { id: 'firefox', label: 'Firefox' },
+  { id: 'webkit', label: 'WebKit' }
+];
+
+// Device profiles a test run can be emulated on (see backend deviceProfiles)
+const DEVICES = [
+  { id: 'desktop', label: 'Desktop', hint: 'Desktop Chrome' },
+  { id: 'mobile', label: 'Mobile', hint: 'iPhone 13' },
+  { id: 'mobile-android', label: 'Android', hint: 'Pixel 7' },
+  { id: 'tablet', label: 'Tablet', hint: 'iPad (gen 7)' }
+];
+
+const browserLabel = (id) => BROWSERS.find(b => b.id === id)?.label || id;
+const deviceLabel = (id) => DEVICES.find(d => d.id === id)?.label || id;
+
+// Each device and browser a test ran on in a matrix, with that run's result
+const matrixResultsOf = (test) => {
+  const byDevice = test.devices ? Object.entries(test.devices) : [[null, test]];
+  return byDevice
+    .flatMap(([device, deviceResult]) => (deviceResult.browsers
+      ? Object.entries(deviceResult.browsers).map(([browser, result]) => ({ device, browser, result }))
+      : [{ device, browser: null, result: deviceResult }]))
+    .map(cell => ({
+      ...cell,
+      key: `${cell.device || ''}:${cell.browser || ''}`,
+      label: [cell.device && deviceLabel(cell.device), cell.browser && browserLabel(cell.browser)].filter(Boolean).join(' · ')
+    }));
+};
+
+// Trace/video of a test's last attempt, else of the latest attempt that kept them (a flaky test's failure)
+const artifactsOf = (test) => test.artifacts || [...(test.attempts || [])].reverse().find(a => a.artifacts)?.artifacts || null;
+
+// Stored files are server paths locally and absolute URLs with cloud storage
+const storedFileUrl = (src) => (/^https?:/.test(src) ? src : `${API_URL}${src}`);
+
+// Fold one execution job event (see /api/jobs/:jobId/events) into the progress state.
+// Events may be replayed after a reconnect, so every update is idempotent.
+const applyProgressEvent = (progress, event) => {
+  if (!progress) return progress;
+  const tests = { ...progress.tests };
+  // A device or browser matrix runs each test once per device and browser
+  const variant = [event.device, event.browser].filter(Boolean);
+  const key = [event.testId, ...variant].join(':');
+  switch (event.type) {
+    case 'queued':
+      return { ...progress, status: 'queued', position: event.position };
+    case 'started':
+      return { ...progress, status: 'running', position: null };
+    case 'test_start':
+      tests[key] = {
+        name: [event.name, ...variant].join(' · '),
+        index: event.index,
+        totalSteps: event.totalSteps,
+        status: 'running',
+        steps: tests[key]?.steps || []
+      };
+      return { ...progress, tests, total: event.total };
+    case 'step': {
+      const test = tests[key] || { steps: [] };
+      tests[key] = {
+        ...test,
+        steps: [...test.steps.filter(s => s.stepNumber !== event.stepNumber), event]
+          .sort((a, b) => a.stepNumber - b.stepNumber)
+      };
+      return { ...progress, tests };
+    }
+    case 'test_retry':
+      // The next attempt reports its steps from the start
+      tests[key] = { ...tests[key], steps: [], attempt: event.attempt + 1, maxAttempts: event.maxAttempts, lastError: event.error };
+      return { ...progress, tests };
+    case 'test_end':
+      tests[key] = { ...tests[key], status: event.status, error: event.error, flaky: event.flaky };
+      return { ...progress, tests };
+    case 'done':
+      return { ...progress, status: event.status };
+    default:
+      return progress;
+  }
+};
+
 // Error Boundary to catch React errors
 class ErrorBoundary extends Component {
   constructor(props) {
@@ -40,10 +164,12 @@ function App() {
   const [testRuns, setTestRuns] = useState([]);
   const [currentRun, setCurrentRun] = useState(null);
   const [loading, setLoading] = useState(false);
+  const [executionProgress, setExecutionProgress] = useState(null);
   const [modalImage, setModalImage] = useState(null);
   const [darkMode, setDarkMode] = useState(() => localStorage.getItem('darkMode') === 'true');
   const [activeTab, setActiveTab] = useState('dashboard');
   const [testPreset, setTestPreset] = useState('auto');
+  const [testCoverage, setTestCoverage] = useState('standard');
   const [a11yResults, setA11yResults] = useState(null);
   const [a11yLoading, setA11yLoading] = useState(false);
   const [suggestions, setSuggestions] = useState(null);
@@ -56,6 +182,7 @@ function App() {
   const [recordingLoading, setRecordingLoading] = useState(false);
   const [flowName, setFlowName] = useState('');
   const [shareModal, setShareModal] = useState(null);
+  const [reportDownloading, setReportDownloading] = useState(null); // 'html' | 'pdf' while rendering
   const [shareLoading, setShareLoading] = useState(false);
   const [sharedReport, setSharedReport] = useState(null);
   const [sharedReportLoading, setSharedReportLoading] = useState(false);
@@ -63,7 +190,34 @@ function App() {
   const [authLoading, setAuthLoading] = useState(true);
   const [openFaq, setOpenFaq] = useState(null);
   const [detailedFlowMode, setDetailedFlowMode] = useState(false);
+  const [recording, setRecording] = useState({ trace: false, video: false, retain: 'on-failure' }); // Trace/video for the next execution
   const [flowViewTest, setFlowViewTest] = useState(null); // For viewing flow steps of a specific test
+  const [importFormat, setImportFormat] = useState('auto');
+  const [importLoading, setImportLoading] = useState(false);
+  const [authProfiles, setAuthProfiles] = useState([]);
+  const [authProfileId, setAuthProfileId] = useState(''); // Login used by new inspections and audits
+  const [inspectDevice, setInspectDevice] = useState(''); // Device new test runs are inspected (and executed) on
+  const [profileForm, setProfileForm] = useState(null);
+  const [profileSaving, setProfileSaving] = useState(false);
+  const [crawls, setCrawls] = useState([]);
+  const [currentCrawl, setCurrentCrawl] = useState(null);
+  const [crawlOptions, setCrawlOptions] = useState({ maxDepth: 2, maxPages: 20, include: '', exclude: '', respectRobots: true });
+  const [crawlProgress, setCrawlProgress] = useState(null);
+  const [selectedCrawlPage, setSelectedCrawlPage] = useState(null);
+  const [crawlTypeFilter, setCrawlTypeFilter] = useState(null);
+  const [crawlPageGenerating, setCrawlPageGenerating] = useState(false);
+  const [suites, setSuites] = useState([]);
+  const [currentSuite, setCurrentSuite] = useState(null);
+  const [suiteProgress, setSuiteProgress] = useState(null);
+  const [schedules, setSchedules] = useState([]);
+  const [scheduleForm, setScheduleForm] = useState(null);
+  const [selectedSchedule, setSelectedSchedule] = useState(null);
+  const [scheduleHistory, setScheduleHistory] = useState([]);
+  const [runningSchedules, setRunningSchedules] = useState([]);
+  const [notificationChannels, setNotificationChannels] = useState([]);
+  const [channelForm, setChannelForm] = useState(null);
+  const [testingChannels, setTestingChannels] = useState([]);
+  const [executionPanel, setExecutionPanel] = useState(null);
 
   const toggleFaq = (index) => {
     setOpenFaq(openFaq === index ? null : index);
@@ -103,8 +257,18 @@ function App() {
       setAuthLoading(false);
       if (currentUser) {
         fetchTestRuns(currentUser.uid);
+        fetchAuthProfiles(currentUser.uid);
+        fetchCrawls(currentUser.uid);
+        fetchSuites(currentUser.uid);
+        fetchSchedules(currentUser.uid);
+        fetchNotificationChannels(currentUser.uid);
       } else {
         setTestRuns([]);
+        setAuthProfiles([]);
+        setCrawls([]);
+        setSuites([]);
+        setSchedules([]);
+        setNotificationChannels([]);
       }
     });
 
@@ -159,7 +323,7 @@ function App() {
       const res = await fetch(`${API_URL}/api/generate-tests`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ url, preset: presetType, userId: user.uid })
+        body: JSON.stringify({ url, preset: presetType, coverage: testCoverage, userId: user.uid, authProfileId: authProfileId || undefined, device: inspectDevice || undefined })
       });
       const data = await res.json();
       if (data.error) {
@@ -192,24 +356,20 @@ function App() {
       
       await saveChanges();
       
-      // Use AbortController for timeout (3 minutes for normal, 4 for detailed)
-      const controller = new AbortController();
-      const timeoutMs = useDetailedFlow ? 240000 : 180000;
-      const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
-      
+      // Execution is queued on the server; the response is the job, not the results
       const res = await fetch(`${API_URL}/api/test-runs/${currentRun.id}/execute`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ detailedFlow: useDetailedFlow }),
-        signal: controller.signal
+        body: JSON.stringify({ detailedFlow: useDetailedFlow, authProfileId: currentRun.authProfileId || null, retries: currentRun.retries ?? null, failOnJsError: currentRun.failOnJsError ?? null, recording, browsers: currentRun.browsers ?? null, devices: currentRun.devices ?? null })
       });
       
-      clearTimeout(timeoutId);
-      
-      const data = await res.json();
-      if (data.error) {
-        throw new Error(data.error);
+      const job = await res.json();
+      if (job.error) {
+        throw new Error(job.error);
       }
+      setExecutionProgress({ jobId: job.id, status: job.status, position: job.position, total: currentRun.tests?.length || 0, tests: {} });
+      
+      const data = await followExecutionJob(job.id);
       // Validate response has required fields
       if (data && data.id && data.tests) {
         setCurrentRun(data);
@@ -220,8 +380,8 @@ function App() {
     } catch (err) {
       console.error('Test execution error:', err);
       let errorMsg = err.message;
-      if (err.name === 'AbortError') {
-        errorMsg = 'Request timed out. The server may be busy or sleeping. Please try again in a moment.';
+      if (err.name === 'JobLostError') {
+        errorMsg = 'Lost track of the test job. The server may have restarted. Please try again in a moment.';
       } else if (err.message.includes('NetworkError') || err.message.includes('fetch')) {
         errorMsg = 'Network error. The server may be waking up (free tier). Please wait 30 seconds and try again.';
       }
@@ -234,9 +394,78 @@ function App() {
       } catch (e) { /* ignore */ }
     } finally {
       setLoading(false);
+      setExecutionProgress(null);
+      if (executionPanel?.testRunId === currentRun.id) fetchExecutions(currentRun.id);
+    }
+  };
+
+  // Execution History - past executions of the open run, and a comparison of two of them
+  const fetchExecutions = async (testRunId) => {
+    try {
+      const res = await fetch(`${API_URL}/api/test-runs/${testRunId}/executions`);
+      const data = await res.json();
+      if (data.error) throw new Error(data.error);
+      setExecutionPanel({ testRunId, executions: data, selected: [], comparison: null });
+    } catch (err) {
+      alert('Failed to load execution history: ' + err.message);
     }
   };
 
+  const toggleExecutionSelected = (id) => {
+    setExecutionPanel(prev => {
+      const selected = prev.selected.includes(id)
+        ? prev.selected.filter(s => s !== id)
+        : [...prev.selected, id].slice(-2);
+      return { ...prev, selected, comparison: null };
+    });
+  };
+
+  const compareExecutions = async () => {
+    // Older execution is the base
+    const [head, base] = executionPanel.executions.filter(e => executionPanel.selected.includes(e.id));
+    try {
+      const res = await fetch(`${API_URL}/api/test-runs/${executionPanel.testRunId}/executions/compare?base=${base.id}&head=${head.id}`);
+      const data = await res.json();
+      if (data.error) throw new Error(data.error);
+      setExecutionPanel(prev => ({ ...prev, comparison: data }));
+    } catch (err) {
+      alert('Failed to compare executions: ' + err.message);
+    }
+  };
+
+  // Stream a queued execution job's progress until it finishes, then load the updated run
+  const followExecutionJob = (jobId) => new Promise((resolve, reject) => {
+    const source = new EventSource(`${API_URL}/api/jobs/${jobId}/events`);
+    const handle = (e) => {
+      const event = JSON.parse(e.data);
+      setExecutionProgress(prev => applyProgressEvent(prev, event));
+      if (event.type !== 'done') return;
+      source.close();
+      if (event.status === 'failed') {
+        reject(new Error(event.error || 'Test execution failed'));
+        return;
+      }
+      fetch(`${API_URL}/api/test-runs/${currentRun.id}`)
+        .then(r => r.json())
+        .then(resolve, reject);
+    };
+    ['queued', 'started', 'test_start', 'step', 'test_end', 'done'].forEach(type => source.addEventListener(type, handle));
+    
+    // EventSource reconnects by itself; give up only if the job is gone
+    source.onerror = async () => {
+      try {
+        const res = await fetch(`${API_URL}/api/jobs/${jobId}`);
+        if (res.status !== 404) return;
+      } catch (e) {
+        return;
+      }
+      source.close();
+      const lost = new Error('Job not found');
+      lost.name = 'JobLostError';
+      reject(lost);
+    };
+  });
+
   const updateTest = (testIdx, field, value) => {
     const updated = { ...currentRun };
     updated.tests[testIdx][field] = value;
@@ -337,6 +566,88 @@ function App() {
     a.click();
   };
 
+  // Download the plan as a spec file for another framework (see /api/test-runs/:id/export)
+  const exportSpec = async (format) => {
+    if (!currentRun) return;
+    try {
+      await saveChanges();
+      const res = await fetch(`${API_URL}/api/test-runs/${currentRun.id}/export?format=${format}`);
+      if (!res.ok) {
+        const data = await res.json().catch(() => ({}));
+        throw new Error(data.error || `Export failed (${res.status})`);
+      }
+      const filename = res.headers.get('Content-Disposition')?.match(/filename="([^"]+)"/)?.[1] || `bugscout-${currentRun.id}.spec.ts`;
+      const blobUrl = URL.createObjectURL(await res.blob());
+      const a = document.createElement('a');
+      a.href = blobUrl;
+      a.download = filename;
+      a.click();
+    } catch (err) {
+      alert('Failed to export spec: ' + err.message);
+    }
+  };
+
+  // Save a report file response under the name the server gave it
+  const saveReportResponse = async (res, fallbackName) => {
+    if (!res.ok) {
+      const data = await res.json().catch(() => ({}));
+      throw new Error(data.error || `Report failed (${res.status})`);
+    }
+    const filename = res.headers.get('Content-Disposition')?.match(/filename="([^"]+)"/)?.[1] || fallbackName;
+    const blobUrl = URL.createObjectURL(await res.blob());
+    const a = document.createElement('a');
+    a.href = blobUrl;
+    a.download = filename;
+    a.click();
+  };
+
+  // Download the latest results as a CI report (see /api/test-runs/:id/report)
+  const downloadReport = async (format) => {
+    if (!currentRun) return;
+    try {
+      const res = await fetch(`${API_URL}/api/test-runs/${currentRun.id}/report?format=${format}`);
+      await saveReportResponse(res, `bugscout-${currentRun.id}.${format}`);
+    } catch (err) {
+      alert('Failed to download report: ' + err.message);
+    }
+  };
+
+  // Download the run as a standalone HTML or PDF report, with the audits on screen if they're for this page
+  const downloadRunReport = async (kind) => {
+    if (!currentRun) return;
+    setReportDownloading(kind);
+    try {
+      const res = await fetch(`${API_URL}/api/test-runs/${currentRun.id}/${kind}-report`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          accessibility: a11yResults?.url === currentRun.url ? a11yResults : null,
+          performance: perfResults?.url === currentRun.url ? perfResults : null
+        })
+      });
+      await saveReportResponse(res, `bugscout-report-${currentRun.id}.${kind}`);
+    } catch (err) {
+      alert('Failed to download report: ' + err.message);
+    } finally {
+      setReportDownloading(null);
+    }
+  };
+
+  // Download the accessibility results on screen as JUnit XML, TAP or SARIF
+  const downloadA11yReport = async (format) => {
+    if (!a11yResults) return;
+    try {
+      const res = await fetch(`${API_URL}/api/accessibility-audit/report`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ audit: a11yResults, format })
+      });
+      await saveReportResponse(res, `accessibility.${format}`);
+    } catch (err) {
+      alert('Failed to download report: ' + err.message);
+    }
+  };
+
   const exportToPDF = () => {
     if (!currentRun) {
       alert('No test run to export');
@@ -430,6 +741,21 @@ function App() {
       
       yPos += 40;
       
+      // Flaky tests, kept apart from the real failures
+      const flakyTests = currentRun.flakiness?.tests.filter(f => f.flaky) || [];
+      if (flakyTests.length > 0) {
+        checkPageBreak(20 + flakyTests.length * 8);
+        doc.setFontSize(14);
+        doc.setTextColor(30, 30, 30);
+        doc.text('Flaky Tests', margin, yPos);
+        yPos += 8;
+        drawTableRow(['Test', 'Score', 'Passed on retry', 'Outcome flips', 'Last'], [80, 20, 30, 30, 20], true);
+        flakyTests.forEach(f => {
+          drawTableRow([f.name, f.score + '%', f.flakyRuns + ' of ' + f.executions, String(f.flips), f.lastStatus], [80, 20, 30, 30, 20]);
+        });
+        yPos += 8;
+      }
+      
       // Page Analysis (if available)
       if (currentRun.pageAnalysis) {
         checkPageBreak(40);
@@ -486,7 +812,7 @@ function App() {
         // Test type and status
         doc.setFontSize(9);
         doc.setTextColor(100, 100, 100);
-        doc.text('Type: ' + (test.type || 'custom') + ' | Status: ' + (test.status || 'pending'), margin + 10, yPos);
+        doc.text('Type: ' + (test.type || 'custom') + ' | Status: ' + (test.status || 'pending') + (test.flaky ? ' (flaky - passed on attempt ' + test.attempts.length + ')' : ''), margin + 10, yPos);
         yPos += 10;
         
         // Steps as simple list
@@ -587,7 +913,7 @@ function App() {
       const res = await fetch(`${API_URL}/api/accessibility-audit`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ url })
+        body: JSON.stringify({ url, authProfileId: authProfileId || undefined })
       });
       const data = await res.json();
       setA11yResults(data);
@@ -613,7 +939,7 @@ function App() {
       const res = await fetch(`${API_URL}/api/suggest-tests`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ url })
+        body: JSON.stringify({ url, authProfileId: authProfileId || undefined })
       });
       const data = await res.json();
       
@@ -684,7 +1010,7 @@ function App() {
       const res = await fetch(`${API_URL}/api/performance-audit`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ url })
+        body: JSON.stringify({ url, authProfileId: authProfileId || undefined })
       });
       const data = await res.json();
       setPerfResults(data);
@@ -791,6 +1117,712 @@ function App() {
     }
   };
 
+  // Self-healed selectors from the last run that aren't saved to the plan yet
+  const pendingHealCount = (currentRun?.tests || [])
+    .reduce((sum, t) => sum + (t.healedSteps || []).filter(h => !h.applied).length, 0);
+
+  const applyHealing = async () => {
+    if (!currentRun) return;
+    try {
+      const res = await fetch(`${API_URL}/api/test-runs/${currentRun.id}/apply-healing`, { method: 'POST' });
+      const data = await res.json();
+      if (data.error) throw new Error(data.error);
+      setCurrentRun(data.testRun);
+    } catch (err) {
+      alert('Failed to apply healed selectors: ' + err.message);
+    }
+  };
+
+  // Spec Import
+  const importSpecFile = async (file) => {
+    if (!file || !user) return;
+    setImportLoading(true);
+    try {
+      const source = await file.text();
+      const res = await fetch(`${API_URL}/api/test-runs/import`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ source, format: importFormat, url: url || undefined, filename: file.name, userId: user.uid, authProfileId: authProfileId || undefined })
+      });
+      const data = await res.json();
+      if (data.error) {
+        const unsupported = data.report?.unsupported?.length
+          ? `\n\n${data.report.unsupported.length} unsupported call(s), e.g. line ${data.report.unsupported[0].line}: ${data.report.unsupported[0].reason}`
+          : '';
+        throw new Error(data.error + unsupported);
+      }
+      setCurrentRun(data);
+      setActiveTab('editor');
+      fetchTestRuns(user.uid);
+    } catch (err) {
+      alert('Failed to import spec: ' + err.message);
+    } finally {
+      setImportLoading(false);
+    }
+  };
+
+  // Auth Profiles
+  const fetchAuthProfiles = async (userId) => {
+    if (!userId) return;
+    try {
+      const res = await fetch(`${API_URL}/api/auth-profiles?userId=${userId}`);
+      const data = await res.json();
+      setAuthProfiles(Array.isArray(data) ? data : []);
+    } catch (err) {
+      console.error('Failed to fetch auth profiles:', err);
+    }
+  };
+
+  const newProfileForm = () => setProfileForm({
+    name: '', loginUrl: url, stepsText: '', successSelector: '', ttlMinutes: 60, seed: null, seedName: '', fromTestRunId: ''
+  });
+
+  // A cookie export (array) or a Playwright storageState file
+  const loadProfileSeed = async (file) => {
+    if (!file) return;
+    try {
+      const json = JSON.parse(await file.text());
+      const seed = Array.isArray(json) ? { cookies: json } : { storageState: json };
+      if (seed.storageState && !Array.isArray(seed.storageState.cookies)) {
+        throw new Error('expected a cookie array or a storageState with a cookies array');
+      }
+      setProfileForm(form => ({ ...form, seed, seedName: file.name }));
+    } catch (err) {
+      alert(`Could not read ${file.name}: ${err.message}`);
+    }
+  };
+
+  const saveAuthProfile = async () => {
+    if (!profileForm || !user) return;
+    setProfileSaving(true);
+    try {
+      // One step per line: action | target | value
+      const steps = profileForm.stepsText.split('\n').map(line => line.trim()).filter(Boolean).map(line => {
+        const [action, target = '', ...value] = line.split('|').map(part => part.trim());
+        return { action, target, value: value.join('|') };
+      });
+      const res = await fetch(`${API_URL}/api/auth-profiles`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          userId: user.uid,
+          name: profileForm.name,
+          loginUrl: profileForm.loginUrl || undefined,
+          steps,
+          successCheck: profileForm.successSelector ? { selector: profileForm.successSelector } : null,
+          ttlMinutes: profileForm.ttlMinutes,
+          fromTestRunId: profileForm.fromTestRunId || undefined,
+          ...profileForm.seed
+        })
+      });
+      const data = await res.json();
+      if (data.error) throw new Error(data.error);
+      setProfileForm(null);
+      setAuthProfileId(data.id);
+      fetchAuthProfiles(user.uid);
+    } catch (err) {
+      alert('Failed to save auth profile: ' + err.message);
+    } finally {
+      setProfileSaving(false);
+    }
+  };
+
+  const refreshAuthProfile = async (id) => {
+    try {
+      const res = await fetch(`${API_URL}/api/auth-profiles/${id}/refresh`, { method: 'POST' });
+      const data = await res.json();
+      if (data.error) throw new Error(data.error);
+    } catch (err) {
+      alert('Login failed: ' + err.message);
+    } finally {
+      if (user) fetchAuthProfiles(user.uid);
+    }
+  };
+
+  const deleteAuthProfile = async (id) => {
+    if (!window.confirm('Delete this auth profile?')) return;
+    try {
+      await fetch(`${API_URL}/api/auth-profiles/${id}`, { method: 'DELETE' });
+      if (authProfileId === id) setAuthProfileId('');
+      if (user) fetchAuthProfiles(user.uid);
+    } catch (err) {
+      alert('Failed to delete auth profile: ' + err.message);
+    }
+  };
+
+  const renderAuthProfileSelect = (value = authProfileId, onChange = setAuthProfileId) => authProfiles.length > 0 && (
+    <div className="auth-profile-select">
+      <label>🔐 Log in as</label>
+      <select value={value || ''} onChange={(e) => onChange(e.target.value)}>
+        <option value="">Anonymous visitor</option>
+        {authProfiles.map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
+      </select>
+    </div>
+  );
+
+  // Pass/fail per browser of a test run in a browser matrix
+  const renderBrowserBadges = (browsers) => (
+    <span className="browser-badges">
+      {Object.entries(browsers).map(([browser, result]) => (
+        <span key={browser} className={`browser-badge ${result.status}`} title={result.error || 'Passed'}>
+          {result.status === 'pass' ? '✓' : '✗'} {browserLabel(browser)}
+        </span>
+      ))}
+    </span>
+  );
+
+  // Pass/fail per device of a test run in a device matrix; the tooltip has each browser's outcome
+  const renderDeviceBadges = (devices) => (
+    <span className="browser-badges">
+      {Object.entries(devices).map(([device, result]) => (
+        <span
+          key={device}
+          className={`browser-badge ${result.status}`}
+          title={result.browsers
+            ? Object.entries(result.browsers).map(([browser, r]) => `${browserLabel(browser)}: ${r.error || 'Passed'}`).join('\n')
+            : result.error || 'Passed'}
+        >
+          {result.status === 'pass' ? '✓' : '✗'} 📱 {deviceLabel(device)}
+        </span>
+      ))}
+    </span>
+  );
+
+  // A test's screenshots; a device matrix shows each device's screenshots on their own row
+  const renderScreenshots = (test) => {
+    const thumbs = (screenshots) => screenshots.map((src, i) => (
+      <img
+        key={i}
+        src={`${API_URL}${src}`}
+        alt={`Screenshot ${i + 1}`}
+        className="screenshot-thumb"
+        onClick={() => setModalImage(`${API_URL}${src}`)}
+      />
+    ));
+    if (!test.devices) {
+      return test.screenshots?.length > 0 && <div className="screenshots-row">{thumbs(test.screenshots)}</div>;
+    }
+    return Object.entries(test.devices).filter(([, result]) => result.screenshots?.length > 0).map(([device, result]) => (
+      <div key={device} className="device-screenshots">
+        <span className={`device-screenshots-label ${result.status}`}>📱 {deviceLabel(device)}</span>
+        <div className="screenshots-row">{thumbs(result.screenshots)}</div>
+      </div>
+    ));
+  };
+
+  // Console messages, uncaught errors and failed requests a test ran into, grouped by step
+  const renderDiagnostics = (diagnostics) => {
+    if (!diagnostics?.counts) return null;
+    const entries = [
+      ...diagnostics.pageErrors.map(e => ({ ...e, kind: 'pageerror', label: 'Uncaught error', text: e.message })),
+      ...diagnostics.console.map(e => ({ ...e, kind: e.level, label: `console.${e.level}`, text: e.text })),
+      ...diagnostics.failedRequests.map(e => ({ ...e, kind: 'request', label: e.status || 'failed', text: `${e.method} ${e.url}${e.error ? ` - ${e.error}` : ''}` }))
+    ];
+    if (entries.length === 0) return null;
+    const steps = [...new Set(entries.map(e => e.step))].sort((a, b) => a - b);
+    const { console: levels, pageErrors, failedRequests } = diagnostics.counts;
+    const hasProblems = pageErrors > 0 || failedRequests > 0 || levels.error > 0;
+
+    return (
+      <details className={`diagnostics ${hasProblems ? 'has-problems' : ''}`}>
+        <summary>
+          🖥️ Console & network
+          {pageErrors > 0 && <span className="diagnostics-count error">{pageErrors} uncaught</span>}
+          {Object.entries(levels).map(([level, count]) => (
+            <span key={level} className={`diagnostics-count ${level}`}>{count} {level}</span>
+          ))}
+          {failedRequests > 0 && <span className="diagnostics-count error">{failedRequests} failed requests</span>}
+        </summary>
+        {steps.map(step => (
+          <div key={step} className="diagnostics-step">
+            <strong>{step === 0 ? 'Page load' : `Step ${step}`}</strong>
+            {entries.filter(e => e.step === step).map((e, i) => (
+              <div key={i} className={`diagnostics-entry ${e.kind}`} title={e.stack || e.location || ''}>
+                <span className="diagnostics-label">{e.label}</span> {e.text}
+              </div>
+            ))}
+          </div>
+        ))}
+      </details>
+    );
+  };
+
+  // Site Crawl
+  const fetchCrawls = async (userId) => {
+    if (!userId) return;
+    try {
+      const res = await fetch(`${API_URL}/api/crawls?userId=${userId}`);
+      const data = await res.json();
+      setCrawls(Array.isArray(data) ? data : []);
+    } catch (err) {
+      console.error('Failed to fetch crawls:', err);
+    }
+  };
+
+  const startCrawl = async () => {
+    if (!url || !user) return;
+    setCurrentCrawl(null);
+    setSelectedCrawlPage(null);
+    setCrawlTypeFilter(null);
+    try {
+      const res = await fetch(`${API_URL}/api/crawls`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ url, userId: user.uid, authProfileId: authProfileId || undefined, ...crawlOptions })
+      });
+      const data = await res.json();
+      if (data.error) throw new Error(data.error);
+      setCrawlProgress({ status: data.job.status, maxPages: data.crawl.options.maxPages, pages: [] });
+
+      const crawl = await followCrawlJob(data.job.id, data.crawl.id);
+      setCurrentCrawl(crawl);
+      setSelectedCrawlPage(crawl.pages[0]?.id || null);
+      fetchCrawls(user.uid);
+    } catch (err) {
+      alert('Crawl failed: ' + err.message);
+    } finally {
+      setCrawlProgress(null);
+    }
+  };
+
+  // Stream crawled pages as they finish, then load the finished site graph
+  const followCrawlJob = (jobId, crawlId) => new Promise((resolve, reject) => {
+    const source = new EventSource(`${API_URL}/api/jobs/${jobId}/events`);
+    source.addEventListener('started', () => setCrawlProgress(prev => ({ ...prev, status: 'running' })));
+    source.addEventListener('page', (e) => {
+      const event = JSON.parse(e.data);
+      setCrawlProgress(prev => ({ ...prev, status: 'running', pages: [...prev.pages, event] }));
+    });
+    source.addEventListener('done', (e) => {
+      const event = JSON.parse(e.data);
+      source.close();
+      if (event.status === 'failed') {
+        reject(new Error(event.error || 'Crawl failed'));
+        return;
+      }
+      fetch(`${API_URL}/api/crawls/${crawlId}`)
+        .then(r => r.json())
+        .then(resolve, reject);
+    });
+    source.onerror = async () => {
+      try {
+        const res = await fetch(`${API_URL}/api/jobs/${jobId}`);
+        if (res.status !== 404) return;
+      } catch (e) {
+        return;
+      }
+      source.close();
+      reject(new Error('Lost track of the crawl job. The server may have restarted.'));
+    };
+  });
+
+  const loadCrawl = async (id) => {
+    try {
+      const res = await fetch(`${API_URL}/api/crawls/${id}`);
+      const data = await res.json();
+      if (data.error) throw new Error(data.error);
+      setCurrentCrawl(data);
+      setSelectedCrawlPage(data.pages[0]?.id || null);
+      setCrawlTypeFilter(null);
+    } catch (err) {
+      alert('Failed to load crawl: ' + err.message);
+    }
+  };
+
+  const deleteCrawl = async (id) => {
+    if (!window.confirm('Delete this crawl?')) return;
+    try {
+      await fetch(`${API_URL}/api/crawls/${id}`, { method: 'DELETE' });
+      if (currentCrawl?.id === id) setCurrentCrawl(null);
+      if (user) fetchCrawls(user.uid);
+    } catch (err) {
+      alert('Failed to delete crawl: ' + err.message);
+    }
+  };
+
+  const generateFromCrawlPage = async (pageId) => {
+    if (!currentCrawl || !user) return;
+    setCrawlPageGenerating(true);
+    try {
+      const res = await fetch(`${API_URL}/api/crawls/${currentCrawl.id}/pages/${pageId}/generate-tests`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ userId: user.uid, preset: testPreset === 'journey' ? 'auto' : testPreset, coverage: testCoverage })
+      });
+      const data = await res.json();
+      if (data.error) throw new Error(data.error);
+      setCurrentRun(data);
+      setActiveTab('editor');
+      fetchTestRuns(user.uid);
+    } catch (err) {
+      alert('Failed to generate tests: ' + err.message);
+    } finally {
+      setCrawlPageGenerating(false);
+    }
+  };
+
+  // Test Suites
+  const fetchSuites = async (userId) => {
+    if (!userId) return;
+    try {
+      const res = await fetch(`${API_URL}/api/suites?userId=${userId}`);
+      const data = await res.json();
+      setSuites(Array.isArray(data) ? data : []);
+    } catch (err) {
+      console.error('Failed to fetch suites:', err);
+    }
+  };
+
+  const loadSuite = async (id) => {
+    try {
+      const res = await fetch(`${API_URL}/api/suites/${id}`);
+      const data = await res.json();
+      if (data.error) throw new Error(data.error);
+      setCurrentSuite(data);
+    } catch (err) {
+      alert('Failed to load suite: ' + err.message);
+    }
+  };
+
+  const buildSuite = async () => {
+    if (!currentCrawl || !user) return;
+    setSuiteProgress({ action: 'generate', status: 'queued', done: 0, total: null, current: null });
+    try {
+      const res = await fetch(`${API_URL}/api/crawls/${currentCrawl.id}/suite`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ userId: user.uid, coverage: testCoverage })
+      });
+      const data = await res.json();
+      if (data.error) throw new Error(data.error);
+
+      await followSuiteJob(data.job.id);
+      await loadSuite(data.suite.id);
+      fetchSuites(user.uid);
+      fetchTestRuns(user.uid);
+    } catch (err) {
+      alert('Failed to build suite: ' + err.message);
+    } finally {
+      setSuiteProgress(null);
+    }
+  };
+
+  const runSuite = async (id) => {
+    setSuiteProgress({ action: 'execute', status: 'queued', done: 0, total: null, current: null });
+    try {
+      const res = await fetch(`${API_URL}/api/suites/${id}/execute`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({})
+      });
+      const data = await res.json();
+      if (data.error) throw new Error(data.error);
+
+      await followSuiteJob(data.id);
+    } catch (err) {
+      alert('Suite run failed: ' + err.message);
+    } finally {
+      setSuiteProgress(null);
+      await loadSuite(id);
+      if (user) {
+        fetchSuites(user.uid);
+        fetchTestRuns(user.uid);
+      }
+    }
+  };
+
+  // Generation reports 'entry' per template; execution reports 'run_started' / 'run_completed' per test run
+  const followSuiteJob = (jobId) => new Promise((resolve, reject) => {
+    const source = new EventSource(`${API_URL}/api/jobs/${jobId}/events`);
+    source.addEventListener('started', () => setSuiteProgress(prev => ({ ...prev, status: 'running' })));
+    source.addEventListener('entry', (e) => {
+      const event = JSON.parse(e.data);
+      setSuiteProgress(prev => ({ ...prev, done: event.generated, total: event.total, current: event.url }));
+    });
+    source.addEventListener('run_started', (e) => {
+      const event = JSON.parse(e.data);
+      setSuiteProgress(prev => ({ ...prev, done: event.index, total: event.total, current: event.url }));
+    });
+    source.addEventListener('done', (e) => {
+      const event = JSON.parse(e.data);
+      source.close();
+      if (event.status === 'failed') reject(new Error(event.error || 'Suite job failed'));
+      else resolve();
+    });
+    source.onerror = async () => {
+      try {
+        const res = await fetch(`${API_URL}/api/jobs/${jobId}`);
+        if (res.status !== 404) return;
+      } catch (e) {
+        return;
+      }
+      source.close();
+      reject(new Error('Lost track of the suite job. The server may have restarted.'));
+    };
+  });
+
+  const deleteSuite = async (id) => {
+    if (!window.confirm('Delete this suite? Its test runs are kept.')) return;
+    try {
+      await fetch(`${API_URL}/api/suites/${id}`, { method: 'DELETE' });
+      if (currentSuite?.id === id) setCurrentSuite(null);
+      if (user) fetchSuites(user.uid);
+    } catch (err) {
+      alert('Failed to delete suite: ' + err.message);
+    }
+  };
+
+  // Schedules
+  const fetchSchedules = async (userId) => {
+    if (!userId) return;
+    try {
+      const res = await fetch(`${API_URL}/api/schedules?userId=${userId}`);
+      const data = await res.json();
+      setSchedules(Array.isArray(data) ? data : []);
+    } catch (err) {
+      console.error('Failed to fetch schedules:', err);
+    }
+  };
+
+  const newScheduleForm = (targetType = 'testRun', targetId = '') => {
+    setScheduleForm({ name: '', targetType, targetId, mode: 'interval', intervalMinutes: 60, cron: '0 9 * * 1-5' });
+    setActiveTab('schedules');
+  };
+
+  const editSchedule = (schedule) => {
+    setScheduleForm({
+      id: schedule.id,
+      name: schedule.name,
+      targetType: schedule.targetType,
+      targetId: schedule.targetId,
+      mode: schedule.cron ? 'cron' : 'interval',
+      intervalMinutes: schedule.intervalMinutes || 60,
+      cron: schedule.cron || '0 9 * * 1-5'
+    });
+  };
+
+  const saveSchedule = async () => {
+    if (!scheduleForm || !user) return;
+    try {
+      const { id, mode, intervalMinutes, cron, ...fields } = scheduleForm;
+      const res = await fetch(`${API_URL}/api/schedules${id ? `/${id}` : ''}`, {
+        method: id ? 'PUT' : 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          userId: user.uid,
+          ...fields,
+          ...(mode === 'cron' ? { cron } : { intervalMinutes })
+        })
+      });
+      const data = await res.json();
+      if (data.error) throw new Error(data.error);
+      setScheduleForm(null);
+      fetchSchedules(user.uid);
+    } catch (err) {
+      alert('Failed to save schedule: ' + err.message);
+    }
+  };
+
+  const toggleSchedule = async (schedule) => {
+    try {
+      const res = await fetch(`${API_URL}/api/schedules/${schedule.id}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ enabled: !schedule.enabled })
+      });
+      const data = await res.json();
+      if (data.error) throw new Error(data.error);
+      if (user) fetchSchedules(user.uid);
+    } catch (err) {
+      alert('Failed to update schedule: ' + err.message);
+    }
+  };
+
+  const loadScheduleHistory = async (id) => {
+    setSelectedSchedule(id);
+    try {
+      const res = await fetch(`${API_URL}/api/schedules/${id}/history`);
+      const data = await res.json();
+      if (data.error) throw new Error(data.error);
+      setScheduleHistory(data);
+    } catch (err) {
+      alert('Failed to load schedule history: ' + err.message);
+    }
+  };
+
+  // Run outside the schedule and wait for the job, then refresh the history
+  const runScheduleNow = async (id) => {
+    setRunningSchedules(prev => [...prev, id]);
+    try {
+      const res = await fetch(`${API_URL}/api/schedules/${id}/run`, { method: 'POST' });
+      const data = await res.json();
+      if (data.error) throw new Error(data.error);
+
+      await new Promise((resolve, reject) => {
+        const source = new EventSource(`${API_URL}/api/jobs/${data.id}/events`);
+        source.addEventListener('done', (e) => {
+          const event = JSON.parse(e.data);
+          source.close();
+          if (event.status === 'failed') reject(new Error(event.error || 'Scheduled run failed'));
+          else resolve();
+        });
+        source.onerror = async () => {
+          try {
+            const jobRes = await fetch(`${API_URL}/api/jobs/${data.id}`);
+            if (jobRes.status !== 404) return;
+          } catch (e) {
+            return;
+          }
+          source.close();
+          reject(new Error('Lost track of the scheduled run. The server may have restarted.'));
+        };
+      });
+    } catch (err) {
+      alert('Run failed: ' + err.message);
+    } finally {
+      setRunningSchedules(prev => prev.filter(s => s !== id));
+      if (user) fetchSchedules(user.uid);
+      loadScheduleHistory(id);
+    }
+  };
+
+  const deleteSchedule = async (id) => {
+    if (!window.confirm('Delete this schedule and its history?')) return;
+    try {
+      await fetch(`${API_URL}/api/schedules/${id}`, { method: 'DELETE' });
+      if (selectedSchedule === id) {
+        setSelectedSchedule(null);
+        setScheduleHistory([]);
+      }
+      if (user) fetchSchedules(user.uid);
+    } catch (err) {
+      alert('Failed to delete schedule: ' + err.message);
+    }
+  };
+
+  const describeSchedule = (schedule) => {
+    if (schedule.cron) return `cron ${schedule.cron}`;
+    const minutes = schedule.intervalMinutes;
+    if (minutes % 1440 === 0) return `every ${minutes / 1440} day(s)`;
+    if (minutes % 60 === 0) return `every ${minutes / 60} hour(s)`;
+    return `every ${minutes} minutes`;
+  };
+
+  // Notification channels
+  const fetchNotificationChannels = async (userId) => {
+    if (!userId) return;
+    try {
+      const res = await fetch(`${API_URL}/api/notifications/channels?userId=${userId}`);
+      const data = await res.json();
+      setNotificationChannels(Array.isArray(data) ? data : []);
+    } catch (err) {
+      console.error('Failed to fetch notification channels:', err);
+    }
+  };
+
+  const newChannelForm = () => {
+    setChannelForm({ name: '', type: 'slack', url: '', to: '', origin: '', notifyOn: 'failure' });
+  };
+
+  const editChannel = (channel) => {
+    setChannelForm({
+      id: channel.id,
+      name: channel.name,
+      type: channel.type,
+      url: channel.url || '',
+      to: (channel.to || []).join(', '),
+      origin: channel.origin || '',
+      notifyOn: channel.notifyOn
+    });
+  };
+
+  const saveChannel = async () => {
+    if (!channelForm || !user) return;
+    try {
+      const { id, ...fields } = channelForm;
+      const res = await fetch(`${API_URL}/api/notifications/channels${id ? `/${id}` : ''}`, {
+        method: id ? 'PUT' : 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ userId: user.uid, ...fields })
+      });
+      const data = await res.json();
+      if (data.error) throw new Error(data.error);
+      setChannelForm(null);
+      fetchNotificationChannels(user.uid);
+    } catch (err) {
+      alert('Failed to save channel: ' + err.message);
+    }
+  };
+
+  // { enabled } pauses a channel, { rotateSecret } re-keys a webhook
+  const updateChannel = async (id, updates) => {
+    try {
+      const res = await fetch(`${API_URL}/api/notifications/channels/${id}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(updates)
+      });
+      const data = await res.json();
+      if (data.error) throw new Error(data.error);
+      if (user) fetchNotificationChannels(user.uid);
+    } catch (err) {
+      alert('Failed to update channel: ' + err.message);
+    }
+  };
+
+  const testChannel = async (id) => {
+    setTestingChannels(prev => [...prev, id]);
+    try {
+      const res = await fetch(`${API_URL}/api/notifications/channels/${id}/test`, { method: 'POST' });
+      const data = await res.json();
+      if (data.error) throw new Error(data.error);
+      if (!data.ok) alert('Test notification failed: ' + data.error);
+    } catch (err) {
+      alert('Test notification failed: ' + err.message);
+    } finally {
+      setTestingChannels(prev => prev.filter(c => c !== id));
+      if (user) fetchNotificationChannels(user.uid);
+    }
+  };
+
+  const deleteChannel = async (id) => {
+    if (!window.confirm('Delete this notification channel?')) return;
+    try {
+      await fetch(`${API_URL}/api/notifications/channels/${id}`, { method: 'DELETE' });
+      if (user) fetchNotificationChannels(user.uid);
+    } catch (err) {
+      alert('Failed to delete channel: ' + err.message);
+    }
+  };
+
+  const crawlPath = (pageUrl) => {
+    try {
+      const { pathname, search } = new URL(pageUrl);
+      return pathname + search;
+    } catch {
+      return pageUrl;
+    }
+  };
+
+  // Pages in discovery order, nested under the page that first linked to them
+  const renderCrawlTree = (parentId) => currentCrawl.pages.filter(p => p.parentId === parentId).map(p => (
+    <div key={p.id} className="crawl-node">
+      {renderCrawlRow(p)}
+      {renderCrawlTree(p.id)}
+    </div>
+  ));
+
+  const renderCrawlRow = (p) => (
+    <div
+      className={`crawl-node-row ${selectedCrawlPage === p.id ? 'selected' : ''} ${p.status === 'error' ? 'failed' : ''}`}
+      onClick={() => setSelectedCrawlPage(p.id)}
+    >
+      <span className={`crawl-page-type type-${p.pageType || 'error'}`}>{p.pageType || 'error'}</span>
+      <span className="crawl-page-path">{crawlPath(p.url)}</span>
+      <span className="crawl-page-meta">{p.status === 'error' ? p.error : `${p.elementCount} elements · ${p.links.length} links`}</span>
+    </div>
+  );
+
   // Share Functions
   const createShareLink = async (expiresIn = null) => {
     if (!currentRun) return;
@@ -892,7 +1924,8 @@ function App() {
     totalRuns: testRuns.length,
     passed: testRuns.filter(r => r.status === 'completed').length,
     failed: testRuns.filter(r => r.status === 'completed_with_failures').length,
-    pending: testRuns.filter(r => r.status === 'pending_review').length
+    pending: testRuns.filter(r => r.status === 'pending_review').length,
+    flaky: testRuns.reduce((count, r) => count + (r.flakiness?.tests.filter(f => f.flaky).length || 0), 0)
   };
 
   const elements = currentRun?.pageData?.elements || [];
@@ -906,6 +1939,12 @@ function App() {
     { id: 'search', name: 'Search', icon: '🔍', desc: 'Search functionality' }
   ];
 
+  const coverageLevels = [
+    { id: 'smoke', name: 'Smoke', desc: '2 quick tests' },
+    { id: 'standard', name: 'Standard', desc: '~8 tests' },
+    { id: 'exhaustive', name: 'Exhaustive', desc: 'One test per element group' }
+  ];
+
   // Generate journey test (comprehensive end-to-end)
   const generateJourneyTest = async () => {
     if (!url || !user) return;
@@ -914,7 +1953,7 @@ function App() {
       const res = await fetch(`${API_URL}/api/journey-test`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ url, userId: user.uid })
+        body: JSON.stringify({ url, userId: user.uid, authProfileId: authProfileId || undefined, device: inspectDevice || undefined })
       });
       const data = await res.json();
       if (data.error) {
@@ -973,6 +2012,12 @@ function App() {
                       {sharedReport.testRun.status.replace(/_/g, ' ')}
                     </span>
                     <span className="view-count">👁️ {sharedReport.viewCount} views</span>
+                    <a className="btn btn-outline btn-sm" href={`${API_URL}/api/shared/${sharedReport.shareId}/html`} title="Standalone HTML file with screenshots inlined">
+                      🗂️ Download HTML
+                    </a>
+                    <a className="btn btn-outline btn-sm" href={`${API_URL}/api/shared/${sharedReport.shareId}/pdf`} title="Print-ready PDF report">
+                      📄 Download PDF
+                    </a>
                   </div>
                 </div>
 
@@ -989,8 +2034,35 @@ function App() {
                     <div className="stat-value">{sharedReport.testRun.tests?.filter(t => t.status === 'fail').length || 0}</div>
                     <div className="stat-label">Failed</div>
                   </div>
+                  {sharedReport.testRun.tests?.some(t => t.flaky) && (
+                    <div className="stat-card flaky">
+                      <div className="stat-value">{sharedReport.testRun.tests.filter(t => t.flaky).length}</div>
+                      <div className="stat-label">Flaky</div>
+                    </div>
+                  )}
                 </div>
 
+                {sharedReport.testRun.flakiness?.tests.some(f => f.flaky) && (
+                  <div className="card flaky-tests">
+                    <h2>🎲 Flaky Tests</h2>
+                    <table className="suite-table">
+                      <thead>
+                        <tr><th>Test</th><th>Score</th><th>Passed on retry</th><th>Flips</th></tr>
+                      </thead>
+                      <tbody>
+                        {sharedReport.testRun.flakiness.tests.filter(f => f.flaky).map(f => (
+                          <tr key={f.testId}>
+                            <td>{f.name}</td>
+                            <td>{f.score}%</td>
+                            <td>{f.flakyRuns} of {f.executions}</td>
+                            <td>{f.flips}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                )}
+
                 <div className="shared-tests">
                   <h2>Test Results</h2>
                   {sharedReport.testRun.tests?.map((test, idx) => (
@@ -1001,6 +2073,8 @@ function App() {
                         </span>
                         <h3>{test.name}</h3>
                         <span className={`type-badge ${test.type}`}>{test.type}</span>
+                        {test.flaky && <span className="flaky-badge">🎲 flaky · passed on attempt {test.attempts?.length}</span>}
+                        {test.devices ? renderDeviceBadges(test.devices) : test.browsers && renderBrowserBadges(test.browsers)}
                       </div>
                       
                       {test.steps && (
@@ -1018,6 +2092,8 @@ function App() {
 
                       {test.error && <div className="error-box">❌ {test.error}</div>}
 
+                      {renderDiagnostics(test.diagnostics)}
+
                       {test.explanation && (
                         <div className="ai-explanation">
                           <div className="explanation-header">
@@ -1028,19 +2104,7 @@ function App() {
                         </div>
                       )}
 
-                      {test.screenshots?.length > 0 && (
-                        <div className="screenshots-row">
-                          {test.screenshots.map((src, i) => (
-                            <img
-                              key={i}
-                              src={`${API_URL}${src}`}
-                              alt={`Screenshot ${i + 1}`}
-                              className="screenshot-thumb"
-                              onClick={() => setModalImage(`${API_URL}${src}`)}
-                            />
-                          ))}
-                        </div>
-                      )}
+                      {renderScreenshots(test)}
                     </div>
                   ))}
                 </div>
@@ -1112,6 +2176,18 @@ function App() {
               >
                 💡 Suggestions
               </button>
+              <button 
+                className={`nav-tab ${activeTab === 'crawl' ? 'active' : ''}`}
+                onClick={() => setActiveTab('crawl')}
+              >
+                🕸️ Site Map
+              </button>
+              <button 
+                className={`nav-tab ${activeTab === 'schedules' ? 'active' : ''}`}
+                onClick={() => setActiveTab('schedules')}
+              >
+                ⏰ Schedules
+              </button>
               <button 
                 className={`nav-tab ${activeTab === 'performance' ? 'active' : ''}`}
                 onClick={() => setActiveTab('performance')}
@@ -1404,8 +2480,41 @@ function App() {
                     <div className="stat-value">{stats.pending}</div>
                     <div className="stat-label">Pending</div>
                   </div>
+                  <div className="stat-card flaky">
+                    <div className="stat-icon">🎲</div>
+                    <div className="stat-value">{stats.flaky}</div>
+                    <div className="stat-label">Flaky Tests</div>
+                  </div>
                 </div>
 
+                {stats.flaky > 0 && (
+                  <div className="card flaky-tests">
+                    <h2>🎲 Flaky Tests</h2>
+                    <p className="auth-profile-meta">Tests that passed only on a retry or keep flipping between pass and fail - not counted as failures</p>
+                    <table className="suite-table">
+                      <thead>
+                        <tr><th>Test</th><th>Site</th><th>Score</th><th>Passed on retry</th><th>Flips</th><th>Last</th></tr>
+                      </thead>
+                      <tbody>
+                        {testRuns
+                          .flatMap(run => (run.flakiness?.tests || []).filter(f => f.flaky).map(f => ({ ...f, run })))
+                          .sort((a, b) => b.score - a.score)
+                          .slice(0, 10)
+                          .map(f => (
+                            <tr key={`${f.run.id}-${f.testId}`} onClick={() => loadRun(f.run.id)}>
+                              <td>{f.name}</td>
+                              <td>{new URL(f.run.url).hostname}</td>
+                              <td>{f.score}%</td>
+                              <td>{f.flakyRuns} of {f.executions}</td>
+                              <td>{f.flips}</td>
+                              <td><span className={`status-badge sm ${getStatusClass(f.lastStatus)}`}>{f.lastStatus}</span></td>
+                            </tr>
+                          ))}
+                      </tbody>
+                    </table>
+                  </div>
+                )}
+
                 <div className="quick-start">
                   <h2>Quick Start</h2>
                   <div className="input-group-large">
@@ -1463,6 +2572,14 @@ function App() {
                   onChange={(e) => setUrl(e.target.value)}
                 />
               </div>
+              {renderAuthProfileSelect()}
+              <div className="auth-profile-select" title="Mobile layouts have different elements; the test run also executes on this device">
+                <label>📱 Inspect as</label>
+                <select value={inspectDevice} onChange={(e) => setInspectDevice(e.target.value)}>
+                  <option value="">Desktop browser</option>
+                  {DEVICES.filter(d => d.id !== 'desktop').map(d => <option key={d.id} value={d.id}>{d.label} ({d.hint})</option>)}
+                </select>
+              </div>
             </div>
 
             <div className="card">
@@ -1482,6 +2599,24 @@ function App() {
               </div>
             </div>
 
+            {testPreset !== 'journey' && (
+              <div className="card">
+                <label className="input-label">Coverage</label>
+                <div className="preset-grid">
+                  {coverageLevels.map(level => (
+                    <div 
+                      key={level.id}
+                      className={`preset-card ${testCoverage === level.id ? 'selected' : ''}`}
+                      onClick={() => setTestCoverage(level.id)}
+                    >
+                      <div className="preset-name">{level.name}</div>
+                      <div className="preset-desc">{level.desc}</div>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+
             <button 
               className="btn btn-primary btn-large btn-full"
               onClick={() => testPreset === 'journey' ? generateJourneyTest() : generateTests()}
@@ -1489,6 +2624,101 @@ function App() {
             >
               {loading ? <><span className="spinner"></span> Analyzing Page...</> : testPreset === 'journey' ? '🚀 Generate Full Journey Test' : '🔬 Generate Test Plan'}
             </button>
+
+            <div className="card import-card">
+              <label className="input-label">Or Import an Existing Spec</label>
+              <p className="import-hint">
+                Upload a Playwright or Cypress spec file. Calls BugScout can run become test steps;
+                the rest are listed in an import report. The Target URL above is used if the spec doesn't visit one.
+              </p>
+              <div className="import-controls">
+                <select value={importFormat} onChange={(e) => setImportFormat(e.target.value)} disabled={importLoading}>
+                  <option value="auto">Detect format</option>
+                  <option value="playwright">Playwright Test</option>
+                  <option value="cypress">Cypress</option>
+                </select>
+                <label className={`btn btn-outline ${importLoading ? 'disabled' : ''}`}>
+                  {importLoading ? <><span className="spinner"></span> Importing...</> : '📂 Choose Spec File'}
+                  <input
+                    type="file"
+                    accept=".js,.ts,.mjs,.cjs,.jsx,.tsx"
+                    hidden
+                    disabled={importLoading}
+                    onChange={(e) => { importSpecFile(e.target.files[0]); e.target.value = ''; }}
+                  />
+                </label>
+              </div>
+            </div>
+
+            <div className="card auth-profiles-card">
+              <label className="input-label">🔐 Auth Profiles</label>
+              <p className="import-hint">
+                Test pages behind a login. A profile replays login steps (or a recorded flow) and caches the session,
+                or starts from cookies / a Playwright storageState you upload.
+              </p>
+              {authProfiles.map(p => (
+                <div key={p.id} className="auth-profile-row">
+                  <div className="auth-profile-info">
+                    <strong>{p.name}</strong>
+                    <span className="auth-profile-meta">
+                      {p.steps.length > 0 && `${p.steps.length} login step(s)`}
+                      {p.cookieCount > 0 && ` · ${p.cookieCount} cookie(s)`}
+                      {p.hasStorageState && ' · storageState'}
+                      {p.cachedUntil && ` · session cached until ${new Date(p.cachedUntil).toLocaleTimeString()}`}
+                    </span>
+                    {p.lastError && <span className="auth-profile-error">⚠️ {p.lastError}</span>}
+                  </div>
+                  {p.steps.length > 0 && (
+                    <button className="btn btn-outline btn-sm" onClick={() => refreshAuthProfile(p.id)} title="Log in now to check the recipe">
+                      🔄 Log In
+                    </button>
+                  )}
+                  <button className="btn btn-outline btn-sm" onClick={() => deleteAuthProfile(p.id)}>🗑️</button>
+                </div>
+              ))}
+
+              {profileForm ? (
+                <div className="auth-profile-form">
+                  <input placeholder="Profile name, e.g. Admin user" value={profileForm.name}
+                    onChange={(e) => setProfileForm({ ...profileForm, name: e.target.value })} />
+                  <select value={profileForm.fromTestRunId} onChange={(e) => setProfileForm({ ...profileForm, fromTestRunId: e.target.value })}>
+                    <option value="">Write login steps below</option>
+                    {testRuns.filter(r => r.source === 'recorded').map(r => (
+                      <option key={r.id} value={r.id}>Use recorded flow: {r.tests?.[0]?.name || r.url}</option>
+                    ))}
+                  </select>
+                  {!profileForm.fromTestRunId && (
+                    <>
+                      <input type="url" placeholder="Login page URL" value={profileForm.loginUrl}
+                        onChange={(e) => setProfileForm({ ...profileForm, loginUrl: e.target.value })} />
+                      <textarea rows={4} placeholder={'One step per line: action | target | value\ntype | #email | me@example.com\ntype | #password | secret\nclick | button[type=submit]'}
+                        value={profileForm.stepsText}
+                        onChange={(e) => setProfileForm({ ...profileForm, stepsText: e.target.value })} />
+                    </>
+                  )}
+                  <input placeholder="Shown once logged in (optional selector), e.g. .user-menu" value={profileForm.successSelector}
+                    onChange={(e) => setProfileForm({ ...profileForm, successSelector: e.target.value })} />
+                  <div className="import-controls">
+                    <label>Reuse login for</label>
+                    <input type="number" min="1" value={profileForm.ttlMinutes}
+                      onChange={(e) => setProfileForm({ ...profileForm, ttlMinutes: e.target.value })} />
+                    <label>minutes</label>
+                    <label className="btn btn-outline btn-sm">
+                      {profileForm.seedName ? `📎 ${profileForm.seedName}` : '📂 Cookies / storageState JSON'}
+                      <input type="file" accept=".json" hidden onChange={(e) => { loadProfileSeed(e.target.files[0]); e.target.value = ''; }} />
+                    </label>
+                  </div>
+                  <div className="import-controls">
+                    <button className="btn btn-primary" onClick={saveAuthProfile} disabled={profileSaving || !profileForm.name}>
+                      {profileSaving ? <span className="spinner"></span> : '💾'} Save Profile
+                    </button>
+                    <button className="btn btn-outline" onClick={() => setProfileForm(null)}>Cancel</button>
+                  </div>
+                </div>
+              ) : (
+                <button className="btn btn-outline" onClick={newProfileForm}>➕ New Auth Profile</button>
+              )}
+            </div>
           </div>
         )}
 
@@ -1517,12 +2747,39 @@ function App() {
                     {shareLoading ? <span className="spinner"></span> : '🔗'} Share
                   </button>
                 )}
+                {pendingHealCount > 0 && (
+                  <button className="btn btn-outline" onClick={applyHealing} title="Save the selectors that were healed during the last run into this test plan">
+                    🩹 Apply {pendingHealCount} Healed Selector{pendingHealCount === 1 ? '' : 's'}
+                  </button>
+                )}
                 <button className="btn btn-outline" onClick={exportResults}>
                   📥 Export JSON
                 </button>
+                <button className="btn btn-outline" onClick={() => exportSpec('playwright')} title="Download as a @playwright/test spec">
+                  🎭 Export Playwright
+                </button>
+                <button className="btn btn-outline" onClick={() => exportSpec('cypress')} title="Download as a Cypress spec">
+                  🌲 Export Cypress
+                </button>
+                <button className="btn btn-outline" onClick={() => exportSpec('selenium')} title="Download as a Selenium WebDriver script">
+                  🤖 Export Selenium
+                </button>
+                {currentRun.status !== 'pending_review' && (
+                  <>
+                    <button className="btn btn-outline" onClick={() => downloadReport('junit')} title="Download the results as JUnit XML for CI">
+                      🧾 JUnit
+                    </button>
+                    <button className="btn btn-outline" onClick={() => downloadReport('tap')} title="Download the results as TAP">
+                      🧾 TAP
+                    </button>
+                  </>
+                )}
                 <button className="btn btn-outline" onClick={exportToPDF}>
                   📄 Export PDF
                 </button>
+                <button className="btn btn-outline" onClick={() => downloadRunReport('html')} disabled={!!reportDownloading} title="Standalone HTML file with screenshots inlined, for tickets and archives">
+                  {reportDownloading === 'html' ? <span className="spinner"></span> : '🗂️'} Export HTML
+                </button>
                 {/* Visual Diff button hidden for now
                 <button 
                   className="btn btn-outline" 
@@ -1566,7 +2823,89 @@ function App() {
                 <span className="meta-item ai-badge">🤖 AI Generated</span>
               )}
               <span className="meta-item">📄 {currentRun.pageData?.pageType || 'Unknown'} page</span>
+              {renderAuthProfileSelect(currentRun.authProfileId || '', id => setCurrentRun({ ...currentRun, authProfileId: id || null }))}
               <span className="meta-item">🧪 {currentRun.tests?.length || 0} tests</span>
+              <label className="meta-item retries-select" title="Run a failed test again before reporting it; a pass on retry is marked flaky">
+                🔁 Retries
+                <select
+                  value={currentRun.retries ?? ''}
+                  onChange={(e) => setCurrentRun({ ...currentRun, retries: e.target.value === '' ? null : parseInt(e.target.value) })}
+                >
+                  <option value="">Default</option>
+                  {[0, 1, 2, 3].map(n => <option key={n} value={n}>{n}</option>)}
+                </select>
+              </label>
+              <label className="meta-item retries-select" title="Fail a test when the page throws an uncaught JavaScript error">
+                🧨 JS errors
+                <select
+                  value={currentRun.failOnJsError == null ? '' : String(currentRun.failOnJsError)}
+                  onChange={(e) => setCurrentRun({ ...currentRun, failOnJsError: e.target.value === '' ? null : e.target.value === 'true' })}
+                >
+                  <option value="">Default</option>
+                  <option value="true">Fail test</option>
+                  <option value="false">Ignore</option>
+                </select>
+              </label>
+              <label className="meta-item retries-select" title="Record a Playwright trace and/or a video of each test in the next execution">
+                🎬 Record
+                <select
+                  value={`${recording.trace ? 'trace' : ''}${recording.video ? 'video' : ''}`}
+                  onChange={(e) => setRecording({ ...recording, trace: e.target.value.includes('trace'), video: e.target.value.includes('video') })}
+                >
+                  <option value="">Off</option>
+                  <option value="trace">Trace</option>
+                  <option value="video">Video</option>
+                  <option value="tracevideo">Trace + video</option>
+                </select>
+                {(recording.trace || recording.video) && (
+                  <select value={recording.retain} onChange={(e) => setRecording({ ...recording, retain: e.target.value })} title="Which recordings are kept">
+                    <option value="on-failure">failures only</option>
+                    <option value="always">always</option>
+                  </select>
+                )}
+              </label>
+              <span className="meta-item browser-picker" title="Every test runs once in each ticked browser (WebKit is Safari's engine)">
+                🌐
+                {BROWSERS.map(b => {
+                  const selected = currentRun.browsers || ['chromium'];
+                  return (
+                    <label key={b.id}>
+                      <input
+                        type="checkbox"
+                        checked={selected.includes(b.id)}
+                        disabled={selected.length === 1 && selected.includes(b.id)}
+                        onChange={() => setCurrentRun({
+                          ...currentRun,
+                          browsers: BROWSERS.map(x => x.id).filter(id => (id === b.id ? !selected.includes(id) : selected.includes(id)))
+                        })}
+                      />
+                      {b.label}
+                    </label>
+                  );
+                })}
+              </span>
+              <span className="meta-item browser-picker" title="Every test also runs once on each ticked device, with its screen size, pixel ratio, touch and user agent. None ticked runs in a plain desktop window.">
+                📱
+                {DEVICES.map(d => {
+                  const selected = currentRun.devices || [];
+                  return (
+                    <label key={d.id} title={d.hint}>
+                      <input
+                        type="checkbox"
+                        checked={selected.includes(d.id)}
+                        onChange={() => setCurrentRun({
+                          ...currentRun,
+                          devices: selected.includes(d.id) ? selected.filter(id => id !== d.id) : [...selected, d.id]
+                        })}
+                      />
+                      {d.label}
+                    </label>
+                  );
+                })}
+              </span>
+              {currentRun.pageData?.device && (
+                <span className="meta-item" title="The page's elements were collected on this device">🔍 Inspected as {deviceLabel(currentRun.pageData.device)}</span>
+              )}
               {currentRun.confidence && (
                 <span className="meta-item">🎯 {(currentRun.confidence * 100).toFixed(0)}% confidence</span>
               )}
@@ -1576,8 +2915,90 @@ function App() {
               {currentRun.hasDetailedFlow && (
                 <span className="meta-item flow-badge">📸 Flow View Available</span>
               )}
+              {currentRun.executionCount > 0 && (
+                <button
+                  className="meta-item execution-history-toggle"
+                  onClick={() => (executionPanel?.testRunId === currentRun.id ? setExecutionPanel(null) : fetchExecutions(currentRun.id))}
+                >
+                  🕓 {currentRun.executionCount} execution{currentRun.executionCount === 1 ? '' : 's'}
+                </button>
+              )}
             </div>
 
+            {executionPanel?.testRunId === currentRun.id && (
+              <div className="card execution-history">
+                <div className="schedules-header">
+                  <h3>Execution History</h3>
+                  <button className="btn btn-secondary btn-sm" onClick={compareExecutions} disabled={executionPanel.selected.length !== 2}>
+                    ⚖️ Compare Selected
+                  </button>
+                </div>
+                <table className="suite-table">
+                  <thead>
+                    <tr><th></th><th>#</th><th>Started</th><th>Trigger</th><th>Status</th><th>Result</th><th>Duration</th></tr>
+                  </thead>
+                  <tbody>
+                    {executionPanel.executions.map(execution => (
+                      <tr key={execution.id} className={execution.id === currentRun.latestExecutionId ? 'latest' : ''}>
+                        <td>
+                          <input type="checkbox" checked={executionPanel.selected.includes(execution.id)}
+                            onChange={() => toggleExecutionSelected(execution.id)} />
+                        </td>
+                        <td>{execution.number}</td>
+                        <td>{new Date(execution.startedAt).toLocaleString()}</td>
+                        <td>{execution.trigger}{execution.environment.detailedFlow ? ' · 📸' : ''}</td>
+                        <td><span className={`status-badge ${getStatusClass(execution.status)}`}>{execution.status.replace(/_/g, ' ')}</span></td>
+                        <td>{execution.error ? <span className="auth-profile-error">{execution.error}</span> : `${execution.summary.passed}/${execution.summary.total} passed`}</td>
+                        <td>{(execution.durationMs / 1000).toFixed(1)}s</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+
+                {executionPanel.comparison && (() => {
+                  const { base, head, summary, tests, environmentChanges, durationDeltaMs } = executionPanel.comparison;
+                  const changeLabels = {
+                    regressed: '🔴 Regressed',
+                    fixed: '🟢 Fixed',
+                    now_passing: '🟢 Now passing',
+                    still_failing: '🟠 Still failing',
+                    still_passing: '✅ Still passing',
+                    added: '➕ Added',
+                    removed: '➖ Removed'
+                  };
+                  return (
+                    <div className="execution-comparison">
+                      <h4>#{base.number} → #{head.number}</h4>
+                      <p className="auth-profile-meta">
+                        {Object.entries(summary).map(([change, count]) => `${changeLabels[change] || change}: ${count}`).join(' · ')}
+                        {` · ${durationDeltaMs >= 0 ? '+' : ''}${(durationDeltaMs / 1000).toFixed(1)}s`}
+                      </p>
+                      {environmentChanges.length > 0 && (
+                        <p className="auth-profile-meta">
+                          Environment changed: {environmentChanges.map(c => `${c.key} ${JSON.stringify(c.base)} → ${JSON.stringify(c.head)}`).join(', ')}
+                        </p>
+                      )}
+                      <table className="suite-table">
+                        <thead>
+                          <tr><th>Test</th><th>Change</th><th>#{base.number}</th><th>#{head.number}</th></tr>
+                        </thead>
+                        <tbody>
+                          {tests.map(t => (
+                            <tr key={t.testId} className={`change-${t.change}`}>
+                              <td>{t.name}{t.stepsChanged && <span className="auth-profile-meta"> (steps edited)</span>}</td>
+                              <td>{changeLabels[t.change] || t.change}</td>
+                              <td>{t.base ? <>{t.base.status}{t.base.error && <div className="auth-profile-error">{t.base.error}</div>}</> : '—'}</td>
+                              <td>{t.head ? <>{t.head.status}{t.head.error && <div className="auth-profile-error">{t.head.error}</div>}</> : '—'}</td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </div>
+                  );
+                })()}
+              </div>
+            )}
+
             {/* AI Page Analysis */}
             {currentRun.pageAnalysis && (
               <div className="ai-analysis-card">
@@ -1607,11 +3028,144 @@ function App() {
               </div>
             )}
 
-            {loading && (
+            {currentRun.importReport && (
+              <div className="import-report">
+                <div className="import-report-header">
+                  <strong>📂 Imported from {currentRun.importReport.filename || `a ${currentRun.importReport.format} spec`}</strong>
+                  <span>
+                    {currentRun.importReport.testsImported}/{currentRun.importReport.testsFound} tests · {currentRun.importReport.stepsImported} steps
+                  </span>
+                </div>
+                {currentRun.importReport.warnings?.map((warning, i) => (
+                  <p key={i} className="import-report-warning">⚠️ {warning}</p>
+                ))}
+                {currentRun.importReport.skippedTests?.length > 0 && (
+                  <p className="import-report-warning">
+                    ⏭️ Not imported: {currentRun.importReport.skippedTests.map(t => `${t.name} (${t.reason.toLowerCase()})`).join(', ')}
+                  </p>
+                )}
+                {currentRun.importReport.unsupported?.length > 0 && (
+                  <details>
+                    <summary>{currentRun.importReport.unsupported.length} unsupported call(s) were left out</summary>
+                    <ul>
+                      {currentRun.importReport.unsupported.map((item, i) => (
+                        <li key={i}>
+                          <span className="import-report-line">L{item.line}</span>
+                          <code>{item.code}</code>
+                          <span className="import-report-reason">{item.reason}</span>
+                        </li>
+                      ))}
+                    </ul>
+                  </details>
+                )}
+              </div>
+            )}
+
+            {currentRun.tests?.some(t => t.browsers || t.devices) && (() => {
+              const matrixTests = currentRun.tests.filter(t => t.browsers || t.devices);
+              // One column per device and browser combination any test ran on
+              const columns = [];
+              for (const cell of matrixTests.flatMap(matrixResultsOf)) {
+                if (!columns.some(c => c.key === cell.key)) columns.push(cell);
+              }
+              const resultIn = (test, column) => matrixResultsOf(test).find(c => c.key === column.key)?.result;
+              return (
+                <div className="browser-matrix">
+                  <h3>{matrixTests.some(t => t.devices) ? '📱 Device Matrix' : '🌐 Browser Matrix'}</h3>
+                  <table>
+                    <thead>
+                      <tr>
+                        <th>Test</th>
+                        {columns.map(column => (
+                          <th key={column.key}>
+                            {column.label}
+                            <span className="matrix-count">
+                              {matrixTests.filter(t => resultIn(t, column)?.status === 'pass').length}/{matrixTests.filter(t => resultIn(t, column)).length}
+                            </span>
+                          </th>
+                        ))}
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {matrixTests.map(test => (
+                        <tr key={test.id}>
+                          <td>{test.name}</td>
+                          {columns.map(column => {
+                            const result = resultIn(test, column);
+                            if (!result) return <td key={column.key} className="matrix-cell">–</td>;
+                            const icon = result.status === 'pass' ? (result.flaky ? '🎲' : '✅') : '❌';
+                            const viewable = result.flowSteps?.length > 0 || artifactsOf(result)?.video;
+                            return (
+                              <td key={column.key} className={`matrix-cell ${result.status}`} title={result.error || 'Passed'}>
+                                {viewable ? (
+                                  <button className="matrix-view" onClick={() => setFlowViewTest({ ...test, ...result, name: `${test.name} · ${column.label}` })}>
+                                    {icon}
+                                  </button>
+                                ) : icon}
+                              </td>
+                            );
+                          })}
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              );
+            })()}
+
+            {loading && executionProgress && (
+              <div className="execution-progress">
+                <div className="execution-progress-header">
+                  <strong>
+                    {executionProgress.status === 'queued'
+                      ? `⏳ Queued${executionProgress.position ? ` (#${executionProgress.position} in line)` : ''}`
+                      : `▶️ Running tests${detailedFlowMode ? ' with flow capture' : ''}`}
+                  </strong>
+                  <span>
+                    {Object.values(executionProgress.tests).filter(t => t.status === 'pass' || t.status === 'fail').length}/{executionProgress.total} tests
+                  </span>
+                </div>
+                <div className="execution-progress-bar">
+                  <div
+                    className="execution-progress-fill"
+                    style={{ width: `${executionProgress.total ? Object.values(executionProgress.tests).filter(t => t.status === 'pass' || t.status === 'fail').length / executionProgress.total * 100 : 0}%` }}
+                  ></div>
+                </div>
+                {Object.entries(executionProgress.tests)
+                  .sort(([, a], [, b]) => a.index - b.index)
+                  .map(([testId, test]) => (
+                    <div key={testId} className={`progress-test ${test.status}`}>
+                      <div className="progress-test-name">
+                        <span>
+                          {test.status === 'pass' ? (test.flaky ? '🎲' : '✅') : test.status === 'fail' ? '❌' : <span className="spinner"></span>} {test.name}
+                          {test.attempt && <span className="progress-attempt"> (attempt {test.attempt}/{test.maxAttempts})</span>}
+                        </span>
+                        <span className="progress-step-count">{test.steps.length}/{test.totalSteps} steps</span>
+                      </div>
+                      {test.steps.map(step => (
+                        <div key={step.stepNumber} className={`progress-step ${step.status}`}>
+                          <span>{step.status === 'pass' ? '✓' : '✗'} {step.stepNumber}. {step.description}</span>
+                          {step.screenshot && (
+                            <button className="progress-screenshot" onClick={() => setModalImage(`${API_URL}${step.screenshot}`)} title="View screenshot">📷</button>
+                          )}
+                          {step.error && <div className="progress-step-error">{step.error}</div>}
+                          {step.healed && (
+                            <div className="healed-note">
+                              🩹 Healed ({Math.round(step.healed.confidence * 100)}%): <code>{step.healed.from}</code> → <code>{step.healed.to}</code>
+                            </div>
+                          )}
+                        </div>
+                      ))}
+                    </div>
+                  ))}
+              </div>
+            )}
+
+            {loading && !executionProgress && (
               <div className="loading-overlay">
                 <div className="loading-content">
                   <div className="loading-spinner"></div>
-                  <p>Running tests{detailedFlowMode ? ' with flow capture' : ''}<span className="loading-dots"><span></span><span></span><span></span></span></p>
+                  <p>Preparing test run<span className="loading-dots"><span></span><span></span><span></span></span></p>
                 </div>
               </div>
             )}
@@ -1634,6 +3188,8 @@ function App() {
                       ` · ${currentRun.tests?.filter(t => t.status === 'fail').length} failed`}
                     {currentRun.tests?.filter(t => t.status === 'pending').length > 0 && 
                       ` · ${currentRun.tests?.filter(t => t.status === 'pending').length} pending`}
+                    {currentRun.tests?.some(t => t.flaky) &&
+                      ` · 🎲 ${currentRun.tests.filter(t => t.flaky).length} flaky (passed on retry)`}
                   </p>
                 </div>
               </div>
@@ -1662,15 +3218,53 @@ function App() {
                       <span className={`status-badge sm ${getStatusClass(test.status)}`}>
                         {test.status}
                       </span>
-                      {test.flowSteps?.length > 0 && (
+                      {test.flaky && (
+                        <span className="flaky-badge" title={test.attempts?.filter(a => a.status === 'fail').map(a => `Attempt ${a.attempt}: ${a.error}`).join('\n')}>
+                          🎲 flaky · passed on attempt {test.attempts?.length}
+                        </span>
+                      )}
+                      {test.devices ? renderDeviceBadges(test.devices) : test.browsers && renderBrowserBadges(test.browsers)}
+                      {(() => {
+                        const score = currentRun.flakiness?.tests.find(f => f.testId === test.id);
+                        return score && !test.flaky && score.flaky ? (
+                          <span className="flaky-badge" title={`${score.flakyRuns} pass(es) on retry and ${score.flips} pass/fail flip-back(s) in the last ${score.executions} executions`}>
+                            🎲 {score.score}% flaky
+                          </span>
+                        ) : null;
+                      })()}
+                      <select
+                        className="test-retries"
+                        value={test.retries ?? ''}
+                        onChange={(e) => updateTest(tIdx, 'retries', e.target.value === '' ? null : parseInt(e.target.value))}
+                        title="Retries for this test"
+                      >
+                        <option value="">🔁 run default</option>
+                        {[0, 1, 2, 3].map(n => <option key={n} value={n}>🔁 {n}</option>)}
+                      </select>
+                      <select
+                        className="test-retries"
+                        value={test.failOnJsError == null ? '' : String(test.failOnJsError)}
+                        onChange={(e) => updateTest(tIdx, 'failOnJsError', e.target.value === '' ? null : e.target.value === 'true')}
+                        title="Fail this test on uncaught JS errors"
+                      >
+                        <option value="">🧨 run default</option>
+                        <option value="true">🧨 fail</option>
+                        <option value="false">🧨 ignore</option>
+                      </select>
+                      {(test.flowSteps?.length > 0 || artifactsOf(test)?.video) && (
                         <button 
                           className="btn-icon flow-view-btn" 
                           onClick={() => setFlowViewTest(test)}
-                          title="View step-by-step flow"
+                          title={test.flowSteps?.length > 0 ? 'View step-by-step flow' : 'Watch the recording'}
                         >
-                          📸
+                          {test.flowSteps?.length > 0 ? '📸' : '🎬'}
                         </button>
                       )}
+                      {artifactsOf(test)?.trace && (
+                        <a className="btn-icon" href={storedFileUrl(artifactsOf(test).trace)} download title="Download the Playwright trace (open with npx playwright show-trace)">
+                          🧭
+                        </a>
+                      )}
                       <button className="btn-icon" onClick={() => deleteTest(tIdx)}>🗑️</button>
                     </div>
                   </div>
@@ -1688,26 +3282,50 @@ function App() {
                           <option value="type">Type</option>
                           <option value="wait">Wait</option>
                           <option value="assert">Assert</option>
+                          <optgroup label="More Actions">
+                            {STEP_ACTIONS.map(a => (
+                              <option key={a.id} value={a.id}>{a.label}</option>
+                            ))}
+                          </optgroup>
+                          <optgroup label="Assertions">
+                            {ASSERTION_ACTIONS.map(a => (
+                              <option key={a.id} value={a.id}>{a.label}</option>
+                            ))}
+                          </optgroup>
+                          <optgroup label="Network">
+                            {NETWORK_ACTIONS.map(a => (
+                              <option key={a.id} value={a.id}>{a.label}</option>
+                            ))}
+                          </optgroup>
                         </select>
-                        <select
-                          value={step.target}
-                          onChange={(e) => updateStep(tIdx, sIdx, 'target', e.target.value)}
-                          className="step-target"
-                        >
-                          <option value="">Select element...</option>
-                          {/* Show current selector if it's a custom/real selector not in elements list */}
-                          {step.target && !elements.find(el => el.id === step.target || el.selector === step.target) && (
-                            <option value={step.target}>{step.target}</option>
-                          )}
-                          {elements.map(el => (
-                            <option key={el.id} value={el.selector || el.id}>
-                              {el.selector || el.id}: {el.role || el.tagName} {el.visibleText ? `"${el.visibleText.substring(0,15)}"` : ''} {el.placeholder ? `[${el.placeholder}]` : ''}
-                            </option>
-                          ))}
-                        </select>
-                        {(step.action === 'type' || step.action === 'wait') && (
+                        {NETWORK_ACTIONS.some(a => a.id === step.action) ? (
                           <input
-                            placeholder={step.action === 'wait' ? 'ms' : 'Value'}
+                            placeholder="**/api/users*"
+                            value={step.target || ''}
+                            onChange={(e) => updateStep(tIdx, sIdx, 'target', e.target.value)}
+                            className="step-target"
+                          />
+                        ) : (
+                          <select
+                            value={step.target}
+                            onChange={(e) => updateStep(tIdx, sIdx, 'target', e.target.value)}
+                            className="step-target"
+                          >
+                            <option value="">Select element...</option>
+                            {/* Show current selector if it's a custom/real selector not in elements list */}
+                            {step.target && !elements.find(el => el.id === step.target || el.selector === step.target) && (
+                              <option value={step.target}>{step.target}</option>
+                            )}
+                            {elements.map(el => (
+                              <option key={el.id} value={el.selector || el.id}>
+                                {el.selector || el.id}: {el.role || el.tagName} {el.visibleText ? `"${el.visibleText.substring(0,15)}"` : ''} {el.placeholder ? `[${el.placeholder}]` : ''}
+                              </option>
+                            ))}
+                          </select>
+                        )}
+                        {(step.action === 'type' || step.action === 'wait' || stepActionInfo(step.action)?.needsValue) && (
+                          <input
+                            placeholder={step.action === 'wait' ? 'ms' : stepActionInfo(step.action)?.placeholder || 'Value'}
                             value={step.value || ''}
                             onChange={(e) => updateStep(tIdx, sIdx, 'value', e.target.value)}
                             className="step-value"
@@ -1730,6 +3348,20 @@ function App() {
 
                   {test.error && <div className="error-box">❌ {test.error}</div>}
 
+                  {renderDiagnostics(test.diagnostics)}
+
+                  {test.healedSteps?.length > 0 && (
+                    <div className="healed-steps">
+                      <strong>🩹 Self-healed selectors</strong>
+                      {test.healedSteps.map(h => (
+                        <div key={h.stepNumber} className="healed-note">
+                          Step {h.stepNumber} ({Math.round(h.confidence * 100)}% match): <code>{h.from}</code> → <code>{h.to}</code>
+                          {h.applied && <span className="healed-applied">saved</span>}
+                        </div>
+                      ))}
+                    </div>
+                  )}
+
                   {test.explanation && (
                     <div className="ai-explanation">
                       <div className="explanation-header">
@@ -1766,19 +3398,7 @@ function App() {
                     </div>
                   )}
 
-                  {test.screenshots?.length > 0 && (
-                    <div className="screenshots-row">
-                      {test.screenshots.map((src, i) => (
-                        <img
-                          key={i}
-                          src={`${API_URL}${src}`}
-                          alt={`Screenshot ${i + 1}`}
-                          className="screenshot-thumb"
-                          onClick={() => setModalImage(`${API_URL}${src}`)}
-                        />
-                      ))}
-                    </div>
-                  )}
+                  {renderScreenshots(test)}
                 </div>
               ))
               }
@@ -1913,6 +3533,7 @@ function App() {
                   {suggestLoading ? <><span className="spinner"></span> Analyzing...</> : '🧠 Get Suggestions'}
                 </button>
               </div>
+              {renderAuthProfileSelect()}
             </div>
 
             {suggestions && (
@@ -1958,6 +3579,459 @@ function App() {
       )}
 
       {/* Performance Tab */}
+      {activeTab === 'crawl' && (
+        <main className="main-content">
+          <div className="crawl-page">
+            <h1>🕸️ Site Map</h1>
+            <p className="subtitle">Crawl a site's same-origin links to find every page worth testing</p>
+
+            <div className="card">
+              <label className="input-label">Start URL</label>
+              <div className="input-group-large">
+                <input
+                  type="url"
+                  placeholder="https://example.com"
+                  value={url}
+                  onChange={(e) => setUrl(e.target.value)}
+                  onKeyPress={(e) => e.key === 'Enter' && !crawlProgress && startCrawl()}
+                />
+                <button
+                  className="btn btn-primary btn-large"
+                  onClick={startCrawl}
+                  disabled={!!crawlProgress || !url}
+                >
+                  {crawlProgress ? <><span className="spinner"></span> Crawling...</> : '🕷️ Crawl Site'}
+                </button>
+              </div>
+              {renderAuthProfileSelect()}
+              <div className="crawl-options">
+                <label>
+                  Link depth
+                  <input type="number" min="0" max="5" value={crawlOptions.maxDepth}
+                    onChange={(e) => setCrawlOptions({ ...crawlOptions, maxDepth: e.target.value })} />
+                </label>
+                <label>
+                  Max pages
+                  <input type="number" min="1" max="100" value={crawlOptions.maxPages}
+                    onChange={(e) => setCrawlOptions({ ...crawlOptions, maxPages: e.target.value })} />
+                </label>
+                <label className="crawl-pattern">
+                  Only URLs containing
+                  <input placeholder="/shop, /account (or /regex/)" value={crawlOptions.include}
+                    onChange={(e) => setCrawlOptions({ ...crawlOptions, include: e.target.value })} />
+                </label>
+                <label className="crawl-pattern">
+                  Skip URLs containing
+                  <input placeholder="/logout, /blog" value={crawlOptions.exclude}
+                    onChange={(e) => setCrawlOptions({ ...crawlOptions, exclude: e.target.value })} />
+                </label>
+                <label className="crawl-checkbox">
+                  <input type="checkbox" checked={crawlOptions.respectRobots}
+                    onChange={(e) => setCrawlOptions({ ...crawlOptions, respectRobots: e.target.checked })} />
+                  Respect robots.txt
+                </label>
+              </div>
+
+              {crawls.length > 0 && (
+                <div className="crawl-history">
+                  <label className="input-label">Previous crawls</label>
+                  {crawls.map(c => (
+                    <div key={c.id} className={`crawl-history-row ${currentCrawl?.id === c.id ? 'selected' : ''}`}>
+                      <span className="crawl-history-url" onClick={() => loadCrawl(c.id)}>{c.startUrl}</span>
+                      <span className="crawl-page-meta">{c.status === 'completed' ? `${c.pageCount} pages` : c.status} · {new Date(c.createdAt).toLocaleDateString()}</span>
+                      <button className="btn-icon danger" onClick={() => deleteCrawl(c.id)}>🗑️</button>
+                    </div>
+                  ))}
+                </div>
+              )}
+
+              {suites.length > 0 && (
+                <div className="crawl-history">
+                  <label className="input-label">Test suites</label>
+                  {suites.map(s => (
+                    <div key={s.id} className={`crawl-history-row ${currentSuite?.id === s.id ? 'selected' : ''}`}>
+                      <span className="crawl-history-url" onClick={() => loadSuite(s.id)}>{s.name}</span>
+                      <span className="crawl-page-meta">
+                        {s.summary ? `${s.summary.passed}/${s.summary.tests} passed` : s.status} · {new Date(s.createdAt).toLocaleDateString()}
+                      </span>
+                      <button className="btn-icon danger" onClick={() => deleteSuite(s.id)}>🗑️</button>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+
+            {crawlProgress && (
+              <div className="card crawl-progress">
+                <strong>{crawlProgress.status === 'queued' ? 'Waiting for a free browser...' : `Crawled ${crawlProgress.pages.length} of up to ${crawlProgress.maxPages} pages`}</strong>
+                {crawlProgress.pages.slice(-8).map(p => (
+                  <div key={p.pageId} className="crawl-page-meta">
+                    {p.status === 'ok' ? '✅' : '⚠️'} {crawlPath(p.url)} {p.pageType && `(${p.pageType})`}
+                  </div>
+                ))}
+              </div>
+            )}
+
+            {suiteProgress && (
+              <div className="card crawl-progress">
+                <strong>
+                  {suiteProgress.status === 'queued'
+                    ? 'Waiting for a free browser...'
+                    : suiteProgress.action === 'generate'
+                      ? `Generating tests${suiteProgress.total ? ` (${suiteProgress.done} of ${suiteProgress.total} templates)` : '...'}`
+                      : `Running suite${suiteProgress.total ? ` (${suiteProgress.done + 1} of ${suiteProgress.total} test runs)` : '...'}`}
+                </strong>
+                {suiteProgress.current && <div className="crawl-page-meta">{crawlPath(suiteProgress.current)}</div>}
+              </div>
+            )}
+
+            {currentSuite && (
+              <div className="card suite-card">
+                <div className="suite-header">
+                  <div>
+                    <h3>🧪 {currentSuite.name}</h3>
+                    <span className="crawl-page-meta">
+                      {currentSuite.pageCount} pages · {currentSuite.templateCount} templates · {currentSuite.entries.length} test runs
+                      {currentSuite.lastRunAt && ` · last run ${new Date(currentSuite.lastRunAt).toLocaleString()}`}
+                    </span>
+                  </div>
+                  <div className="suite-actions">
+                    {currentSuite.summary?.passRate != null && (
+                      <span className={`suite-pass-rate ${currentSuite.summary.failed > 0 ? 'failed' : 'passed'}`}>
+                        {currentSuite.summary.passed}/{currentSuite.summary.passed + currentSuite.summary.failed} passed ({currentSuite.summary.passRate}%)
+                      </span>
+                    )}
+                    <button
+                      className="btn btn-primary"
+                      onClick={() => runSuite(currentSuite.id)}
+                      disabled={!!suiteProgress || currentSuite.status === 'generating'}
+                    >
+                      {suiteProgress?.action === 'execute' ? <><span className="spinner"></span> Running...</> : '▶️ Run Suite'}
+                    </button>
+                    <button className="btn btn-secondary" onClick={() => newScheduleForm('suite', currentSuite.id)}>⏰ Schedule</button>
+                    <button className="btn-icon" onClick={() => setCurrentSuite(null)}>✕</button>
+                  </div>
+                </div>
+
+                <table className="suite-table">
+                  <thead>
+                    <tr><th>Type</th><th>Template</th><th>Pages</th><th>Status</th><th>Result</th><th></th></tr>
+                  </thead>
+                  <tbody>
+                    {currentSuite.entries.map(entry => (
+                      <tr key={entry.pageId}>
+                        <td><span className={`crawl-page-type type-${entry.pageType}`}>{entry.pageType}</span></td>
+                        <td title={[entry.url, ...entry.exampleUrls].join('\n')}>{entry.pattern}</td>
+                        <td>{entry.pageCount}</td>
+                        <td>{entry.error ? <span className="auth-profile-error">⚠️ {entry.error}</span> : entry.runStatus}</td>
+                        <td>{entry.tests ? `${entry.passed} ✓ · ${entry.failed} ✗ of ${entry.tests}` : '—'}</td>
+                        <td>{entry.testRunId && <button className="btn-sm" onClick={() => loadRun(entry.testRunId)}>Open</button>}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                {currentSuite.skippedTemplates?.length > 0 && (
+                  <p className="crawl-page-meta">
+                    Not in the suite: {currentSuite.skippedTemplates.map(t => `${t.pattern} (${t.pageType})`).join(', ')}
+                  </p>
+                )}
+              </div>
+            )}
+
+            {currentCrawl && (() => {
+              const selected = currentCrawl.pages.find(p => p.id === selectedCrawlPage);
+              const linkedFrom = selected ? currentCrawl.pages.filter(p => p.links.includes(selected.id)) : [];
+              const skipped = currentCrawl.skipped || {};
+              return (
+                <div className="crawl-results">
+                  <div className="crawl-summary">
+                    <span className="meta-item">📄 {currentCrawl.pages.length} pages</span>
+                    {Object.entries(currentCrawl.pageTypes || {}).map(([type, count]) => (
+                      <button
+                        key={type}
+                        className={`crawl-type-chip ${crawlTypeFilter === type ? 'active' : ''}`}
+                        onClick={() => setCrawlTypeFilter(crawlTypeFilter === type ? null : type)}
+                      >
+                        {type} × {count}
+                      </button>
+                    ))}
+                    <button
+                      className="btn btn-secondary btn-sm"
+                      onClick={buildSuite}
+                      disabled={!!suiteProgress || currentCrawl.status !== 'completed'}
+                    >
+                      🧪 Build Test Suite
+                    </button>
+                    <span className="crawl-page-meta">
+                      Skipped: {skipped.offsite || 0} off-site, {skipped.excluded || 0} excluded, {skipped.robots || 0} by robots.txt, {(skipped.tooDeep || 0) + (skipped.overLimit || 0)} over the limits
+                    </span>
+                  </div>
+
+                  <div className="crawl-layout">
+                    <div className="card crawl-tree">
+                      {crawlTypeFilter
+                        ? currentCrawl.pages.filter(p => p.pageType === crawlTypeFilter).map(p => <div key={p.id}>{renderCrawlRow(p)}</div>)
+                        : renderCrawlTree(null)}
+                    </div>
+
+                    {selected && (
+                      <div className="card crawl-detail">
+                        <h3>{selected.title || crawlPath(selected.url)}</h3>
+                        <a href={selected.url} target="_blank" rel="noopener noreferrer" className="crawl-page-meta">{selected.url}</a>
+                        {selected.screenshot && (
+                          <img
+                            src={`${API_URL}${selected.screenshot}`}
+                            alt={selected.title || selected.url}
+                            className="crawl-screenshot"
+                            onClick={() => setModalImage(`${API_URL}${selected.screenshot}`)}
+                          />
+                        )}
+                        {selected.status === 'error' ? (
+                          <p className="auth-profile-error">⚠️ {selected.error}</p>
+                        ) : (
+                          <>
+                            <p className="crawl-page-meta">
+                              {selected.pageType} page · {selected.elementCount} interactive elements · depth {selected.depth}
+                            </p>
+                            <button
+                              className="btn btn-primary"
+                              onClick={() => generateFromCrawlPage(selected.id)}
+                              disabled={crawlPageGenerating}
+                            >
+                              {crawlPageGenerating ? <><span className="spinner"></span> Generating...</> : '🔬 Generate Tests for This Page'}
+                            </button>
+                          </>
+                        )}
+                        {selected.links.length > 0 && (
+                          <div className="crawl-links">
+                            <label className="input-label">Links to</label>
+                            {selected.links.map(id => currentCrawl.pages.find(p => p.id === id)).filter(Boolean).map(p => (
+                              <span key={p.id} className="crawl-link" onClick={() => setSelectedCrawlPage(p.id)}>{crawlPath(p.url)}</span>
+                            ))}
+                          </div>
+                        )}
+                        {linkedFrom.length > 0 && (
+                          <div className="crawl-links">
+                            <label className="input-label">Linked from</label>
+                            {linkedFrom.map(p => (
+                              <span key={p.id} className="crawl-link" onClick={() => setSelectedCrawlPage(p.id)}>{crawlPath(p.url)}</span>
+                            ))}
+                          </div>
+                        )}
+                      </div>
+                    )}
+                  </div>
+                </div>
+              );
+            })()}
+          </div>
+        </main>
+      )}
+
+      {activeTab === 'schedules' && (
+        <main className="main-content">
+          <div className="schedules-page">
+            <h1>⏰ Schedules</h1>
+            <p className="subtitle">Re-run saved tests and suites automatically to monitor a site, and get told when they fail</p>
+
+            <div className="card">
+              <div className="schedules-header">
+                <h3>{schedules.length} schedule{schedules.length === 1 ? '' : 's'}</h3>
+                {!scheduleForm && <button className="btn btn-primary" onClick={() => newScheduleForm()}>➕ New Schedule</button>}
+              </div>
+
+              {scheduleForm && (
+                <div className="auth-profile-form">
+                  <input placeholder="Schedule name, e.g. Checkout every morning" value={scheduleForm.name}
+                    onChange={(e) => setScheduleForm({ ...scheduleForm, name: e.target.value })} />
+                  <div className="import-controls">
+                    <select value={scheduleForm.targetType}
+                      onChange={(e) => setScheduleForm({ ...scheduleForm, targetType: e.target.value, targetId: '' })}>
+                      <option value="testRun">Test run</option>
+                      <option value="suite">Test suite</option>
+                    </select>
+                    <select value={scheduleForm.targetId} onChange={(e) => setScheduleForm({ ...scheduleForm, targetId: e.target.value })}>
+                      <option value="">Choose what to run...</option>
+                      {scheduleForm.targetType === 'suite'
+                        ? suites.map(s => <option key={s.id} value={s.id}>{s.name}</option>)
+                        : testRuns.map(r => <option key={r.id} value={r.id}>{r.url} ({r.tests?.length || 0} tests, {new Date(r.createdAt).toLocaleDateString()})</option>)}
+                    </select>
+                  </div>
+                  <div className="import-controls">
+                    <select value={scheduleForm.mode} onChange={(e) => setScheduleForm({ ...scheduleForm, mode: e.target.value })}>
+                      <option value="interval">Every...</option>
+                      <option value="cron">Cron expression</option>
+                    </select>
+                    {scheduleForm.mode === 'interval' ? (
+                      <select value={scheduleForm.intervalMinutes}
+                        onChange={(e) => setScheduleForm({ ...scheduleForm, intervalMinutes: parseInt(e.target.value) })}>
+                        <option value={15}>15 minutes</option>
+                        <option value={30}>30 minutes</option>
+                        <option value={60}>hour</option>
+                        <option value={360}>6 hours</option>
+                        <option value={720}>12 hours</option>
+                        <option value={1440}>day</option>
+                        <option value={10080}>week</option>
+                      </select>
+                    ) : (
+                      <input placeholder="minute hour day month weekday" value={scheduleForm.cron}
+                        onChange={(e) => setScheduleForm({ ...scheduleForm, cron: e.target.value })} />
+                    )}
+                  </div>
+                  {scheduleForm.mode === 'cron' && (
+                    <span className="auth-profile-meta">Server time. e.g. <code>0 9 * * 1-5</code> = weekdays at 9:00, <code>@hourly</code>, <code>*/30 * * * *</code></span>
+                  )}
+                  <div className="import-controls">
+                    <button className="btn btn-primary" onClick={saveSchedule} disabled={!scheduleForm.name || !scheduleForm.targetId}>
+                      {scheduleForm.id ? 'Save Schedule' : 'Create Schedule'}
+                    </button>
+                    <button className="btn btn-secondary" onClick={() => setScheduleForm(null)}>Cancel</button>
+                  </div>
+                </div>
+              )}
+
+              {schedules.map(schedule => (
+                <div key={schedule.id} className={`auth-profile-row ${selectedSchedule === schedule.id ? 'selected' : ''}`}>
+                  <div className="auth-profile-info" onClick={() => loadScheduleHistory(schedule.id)}>
+                    <strong>{schedule.enabled ? '🟢' : '⏸️'} {schedule.name}</strong>
+                    <span className="auth-profile-meta">
+                      {schedule.targetType === 'suite' ? '🧪' : '📄'} {schedule.targetName} · {describeSchedule(schedule)}
+                      {schedule.enabled && schedule.nextRunAt && ` · next ${new Date(schedule.nextRunAt).toLocaleString()}`}
+                    </span>
+                    {schedule.lastRunAt && (
+                      <span className="auth-profile-meta">
+                        Last run {new Date(schedule.lastRunAt).toLocaleString()}:{' '}
+                        <span className={`schedule-status ${schedule.lastStatus}`}>{schedule.lastStatus}</span>
+                        {schedule.lastSummary && ` (${schedule.lastSummary.passed}/${schedule.lastSummary.tests} passed)`}
+                      </span>
+                    )}
+                  </div>
+                  <button className="btn-sm" onClick={() => runScheduleNow(schedule.id)} disabled={runningSchedules.includes(schedule.id)}>
+                    {runningSchedules.includes(schedule.id) ? <span className="spinner"></span> : '▶️ Run now'}
+                  </button>
+                  <button className="btn-sm" onClick={() => toggleSchedule(schedule)}>{schedule.enabled ? 'Pause' : 'Resume'}</button>
+                  <button className="btn-sm" onClick={() => editSchedule(schedule)}>Edit</button>
+                  <button className="btn-icon danger" onClick={() => deleteSchedule(schedule.id)}>🗑️</button>
+                </div>
+              ))}
+            </div>
+
+            {selectedSchedule && (
+              <div className="card schedule-history">
+                <h3>History</h3>
+                {scheduleHistory.length === 0 ? (
+                  <p className="auth-profile-meta">No runs yet.</p>
+                ) : (
+                  <table className="suite-table">
+                    <thead>
+                      <tr><th>Started</th><th>Trigger</th><th>Status</th><th>Tests</th><th>Duration</th><th>Failures</th></tr>
+                    </thead>
+                    <tbody>
+                      {scheduleHistory.map(record => (
+                        <tr key={record.id}>
+                          <td>{new Date(record.startedAt).toLocaleString()}</td>
+                          <td>{record.trigger === 'manual' ? 'Run now' : 'Schedule'}</td>
+                          <td><span className={`schedule-status ${record.status}`}>{record.status}</span></td>
+                          <td>{record.summary.passed}/{record.summary.tests} passed</td>
+                          <td>{Math.round(record.durationMs / 1000)}s</td>
+                          <td>
+                            {record.error && <div className="auth-profile-error">{record.error}</div>}
+                            {record.runs.map(run => (
+                              <div key={run.testRunId}>
+                                {run.error && <div className="auth-profile-error">{crawlPath(run.url)}: {run.error}</div>}
+                                {run.tests.filter(t => t.status === 'fail').map(t => (
+                                  <div key={t.id} className="auth-profile-error" onClick={() => loadRun(run.testRunId)}>✗ {t.name}</div>
+                                ))}
+                              </div>
+                            ))}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                )}
+              </div>
+            )}
+
+            <div className="card notification-channels">
+              <div className="schedules-header">
+                <h3>🔔 Notifications</h3>
+                {!channelForm && <button className="btn btn-primary" onClick={newChannelForm}>➕ New Channel</button>}
+              </div>
+              <p className="auth-profile-meta">Sent when a test run or schedule finishes - with the failed tests, their explanations and a share link.</p>
+
+              {channelForm && (
+                <div className="auth-profile-form">
+                  <input placeholder="Channel name, e.g. #qa-alerts" value={channelForm.name}
+                    onChange={(e) => setChannelForm({ ...channelForm, name: e.target.value })} />
+                  <div className="import-controls">
+                    <select value={channelForm.type} onChange={(e) => setChannelForm({ ...channelForm, type: e.target.value })}>
+                      <option value="slack">Slack</option>
+                      <option value="teams">Microsoft Teams</option>
+                      <option value="webhook">Webhook (signed JSON)</option>
+                      <option value="email">Email</option>
+                    </select>
+                    {channelForm.type === 'email' ? (
+                      <input placeholder="qa@example.com, dev@example.com" value={channelForm.to}
+                        onChange={(e) => setChannelForm({ ...channelForm, to: e.target.value })} />
+                    ) : (
+                      <input placeholder={channelForm.type === 'webhook' ? 'https://example.com/bugscout-hook' : 'Incoming webhook URL'} value={channelForm.url}
+                        onChange={(e) => setChannelForm({ ...channelForm, url: e.target.value })} />
+                    )}
+                  </div>
+                  <div className="import-controls">
+                    <select value={channelForm.notifyOn} onChange={(e) => setChannelForm({ ...channelForm, notifyOn: e.target.value })}>
+                      <option value="failure">Only failed runs</option>
+                      <option value="always">Every run</option>
+                    </select>
+                    <input placeholder="Only for site (optional), e.g. https://shop.example.com" value={channelForm.origin}
+                      onChange={(e) => setChannelForm({ ...channelForm, origin: e.target.value })} />
+                  </div>
+                  <div className="import-controls">
+                    <button className="btn btn-primary" onClick={saveChannel}
+                      disabled={!channelForm.name || (channelForm.type === 'email' ? !channelForm.to : !channelForm.url)}>
+                      {channelForm.id ? 'Save Channel' : 'Create Channel'}
+                    </button>
+                    <button className="btn btn-secondary" onClick={() => setChannelForm(null)}>Cancel</button>
+                  </div>
+                </div>
+              )}
+
+              {notificationChannels.map(channel => (
+                <div key={channel.id} className="auth-profile-row">
+                  <div className="auth-profile-info">
+                    <strong>{channel.enabled ? '🟢' : '⏸️'} {channel.name}</strong>
+                    <span className="auth-profile-meta">
+                      {channel.type} · {channel.type === 'email' ? channel.to.join(', ') : channel.url}
+                      {' · '}{channel.notifyOn === 'always' ? 'every run' : 'failed runs'}
+                      {channel.origin && ` · ${channel.origin} only`}
+                    </span>
+                    {channel.secret && (
+                      <span className="auth-profile-meta">Signing secret: <code>{channel.secret}</code></span>
+                    )}
+                    {channel.lastDelivery && (
+                      <span className={channel.lastDelivery.ok ? 'auth-profile-meta' : 'auth-profile-error'}>
+                        Last sent {new Date(channel.lastDelivery.at).toLocaleString()} ({channel.lastDelivery.event}):{' '}
+                        {channel.lastDelivery.ok ? `delivered (${channel.lastDelivery.status})` : channel.lastDelivery.error}
+                      </span>
+                    )}
+                  </div>
+                  <button className="btn-sm" onClick={() => testChannel(channel.id)} disabled={testingChannels.includes(channel.id)}>
+                    {testingChannels.includes(channel.id) ? <span className="spinner"></span> : '📨 Test'}
+                  </button>
+                  <button className="btn-sm" onClick={() => updateChannel(channel.id, { enabled: !channel.enabled })}>{channel.enabled ? 'Pause' : 'Resume'}</button>
+                  {channel.type === 'webhook' && (
+                    <button className="btn-sm" onClick={() => updateChannel(channel.id, { rotateSecret: true })}>Rotate secret</button>
+                  )}
+                  <button className="btn-sm" onClick={() => editChannel(channel)}>Edit</button>
+                  <button className="btn-icon danger" onClick={() => deleteChannel(channel.id)}>🗑️</button>
+                </div>
+              ))}
+            </div>
+          </div>
+        </main>
+      )}
+
       {activeTab === 'performance' && (
         <main className="main-content">
           <div className="performance-page">
@@ -1982,6 +4056,7 @@ function App() {
                   {perfLoading ? <><span className="spinner"></span> Analyzing...</> : '📊 Analyze Performance'}
                 </button>
               </div>
+              {renderAuthProfileSelect()}
             </div>
 
             {perfResults && (
@@ -2171,6 +4246,7 @@ function App() {
                   {a11yLoading ? <><span className="spinner"></span> Scanning...</> : '🔍 Run Audit'}
                 </button>
               </div>
+              {renderAuthProfileSelect()}
             </div>
 
             {a11yResults && (
@@ -2189,6 +4265,17 @@ function App() {
                       <span className="issue-count medium">{a11yResults.summary.medium} Medium</span>
                       <span className="issue-count low">{a11yResults.summary.low} Low</span>
                     </div>
+                    <div className="report-downloads">
+                      <button className="btn btn-outline btn-sm" onClick={() => downloadA11yReport('sarif')} title="SARIF for code scanning dashboards">
+                        📥 SARIF
+                      </button>
+                      <button className="btn btn-outline btn-sm" onClick={() => downloadA11yReport('junit')}>
+                        📥 JUnit
+                      </button>
+                      <button className="btn btn-outline btn-sm" onClick={() => downloadA11yReport('tap')}>
+                        📥 TAP
+                      </button>
+                    </div>
                   </div>
                 </div>
 
@@ -2294,10 +4381,10 @@ function App() {
                       <h4>Test Presets</h4>
                       <ul>
                         <li><strong>Auto Detect:</strong> AI analyzes the page and determines the best test strategy</li>
-                        <li><strong>Login Flow:</strong> Tests for email/password validation, empty submissions, invalid formats</li>
-                        <li><strong>Signup Flow:</strong> Registration form validation, password requirements, field validation</li>
-                        <li><strong>Checkout:</strong> Payment form testing, required field validation</li>
-                        <li><strong>Search:</strong> Search functionality, empty queries, special characters</li>
+                        <li><strong>Login Flow:</strong> Wrong password, account lockout after repeated failures, empty fields, invalid formats</li>
+                        <li><strong>Signup Flow:</strong> Password mismatch, already registered email, weak passwords, field validation</li>
+                        <li><strong>Checkout:</strong> Invalid card, expired card, invalid CVV, zero-quantity cart, required fields</li>
+                        <li><strong>Search:</strong> Empty queries, special characters, script injection, no-results queries</li>
                       </ul>
                     </div>
                     <div className="guide-feature">
@@ -2562,6 +4649,9 @@ function App() {
                 <button className="btn btn-outline" onClick={() => window.open(shareModal.fullUrl, '_blank')}>
                   🔍 Preview
                 </button>
+                <button className="btn btn-outline" onClick={() => downloadRunReport('pdf')} disabled={!!reportDownloading} title="Print-ready report with a cover page, screenshots and audits">
+                  {reportDownloading === 'pdf' ? <span className="spinner"></span> : '📄'} Download PDF
+                </button>
                 <button className="btn btn-danger-outline" onClick={revokeShareLink}>
                   🗑️ Revoke Link
                 </button>
@@ -2599,60 +4689,85 @@ function App() {
               </span>
             </div>
 
-            <div className="flow-timeline">
-              {flowViewTest.flowSteps?.map((step, idx) => (
-                <div 
-                  key={idx} 
-                  className={`flow-step ${step.status} ${step.action === 'complete' ? 'final' : ''}`}
-                >
-                  <div className="flow-step-marker">
-                    <div className="step-number-circle">
-                      {step.action === 'navigate' ? '🌐' : 
-                       step.action === 'complete' ? '🏁' :
-                       step.status === 'fail' ? '❌' : idx}
+            <div className={`flow-body ${artifactsOf(flowViewTest) ? 'with-recording' : ''}`}>
+              {artifactsOf(flowViewTest) && (
+                <div className="flow-recording">
+                  {artifactsOf(flowViewTest).video && (
+                    <video controls src={storedFileUrl(artifactsOf(flowViewTest).video)} className="flow-video" />
+                  )}
+                  {artifactsOf(flowViewTest).trace && (
+                    <>
+                      <a className="btn btn-outline btn-sm" href={storedFileUrl(artifactsOf(flowViewTest).trace)} download>
+                        🧭 Download trace
+                      </a>
+                      <p className="flow-recording-hint">
+                        Open it with <code>npx playwright show-trace</code> or drop it on trace.playwright.dev
+                      </p>
+                    </>
+                  )}
+                </div>
+              )}
+              <div className="flow-timeline">
+                {flowViewTest.flowSteps?.map((step, idx) => (
+                  <div 
+                    key={idx} 
+                    className={`flow-step ${step.status} ${step.action === 'complete' ? 'final' : ''}`}
+                  >
+                    <div className="flow-step-marker">
+                      <div className="step-number-circle">
+                        {step.action === 'navigate' ? '🌐' : 
+                         step.action === 'complete' ? '🏁' :
+                         step.status === 'fail' ? '❌' : idx}
+                      </div>
+                      {idx < flowViewTest.flowSteps.length - 1 && <div className="step-connector"></div>}
                     </div>
-                    {idx < flowViewTest.flowSteps.length - 1 && <div className="step-connector"></div>}
-                  </div>
                   
-                  <div className="flow-step-content">
-                    <div className="flow-step-header">
-                      <span className="flow-action-badge">{step.action}</span>
-                      <span className="flow-step-desc">{step.description}</span>
-                      {step.duration && (
-                        <span className="flow-duration">{step.duration}ms</span>
+                    <div className="flow-step-content">
+                      <div className="flow-step-header">
+                        <span className="flow-action-badge">{step.action}</span>
+                        <span className="flow-step-desc">{step.description}</span>
+                        {step.duration && (
+                          <span className="flow-duration">{step.duration}ms</span>
+                        )}
+                      </div>
+                    
+                      {step.target && step.action !== 'navigate' && step.action !== 'complete' && (
+                        <div className="flow-step-details">
+                          <code className="flow-target">{step.target}</code>
+                          {step.value && <span className="flow-value">→ "{step.value}"</span>}
+                        </div>
                       )}
-                    </div>
                     
-                    {step.target && step.action !== 'navigate' && step.action !== 'complete' && (
-                      <div className="flow-step-details">
-                        <code className="flow-target">{step.target}</code>
-                        {step.value && <span className="flow-value">→ "{step.value}"</span>}
-                      </div>
-                    )}
+                      {step.error && (
+                        <div className="flow-error">
+                          ❌ {step.error}
+                        </div>
+                      )}
                     
-                    {step.error && (
-                      <div className="flow-error">
-                        ❌ {step.error}
-                      </div>
-                    )}
+                      {step.healed && (
+                        <div className="healed-note">
+                          🩹 Selector healed ({Math.round(step.healed.confidence * 100)}% match): <code>{step.healed.from}</code> → <code>{step.healed.to}</code>
+                        </div>
+                      )}
                     
-                    {step.screenshot && (
-                      <div className="flow-screenshot-container">
-                        <img 
-                          src={`${API_URL}${step.screenshot}`} 
-                          alt={`Step ${idx}: ${step.description}`}
-                          className="flow-screenshot"
-                          onClick={() => setModalImage(`${API_URL}${step.screenshot}`)}
-                        />
-                        <div className="flow-page-info">
-                          {step.pageTitle && <span className="page-title">{step.pageTitle}</span>}
-                          {step.pageUrl && <span className="page-url">{step.pageUrl}</span>}
+                      {step.screenshot && (
+                        <div className="flow-screenshot-container">
+                          <img 
+                            src={`${API_URL}${step.screenshot}`} 
+                            alt={`Step ${idx}: ${step.description}`}
+                            className="flow-screenshot"
+                            onClick={() => setModalImage(`${API_URL}${step.screenshot}`)}
+                          />
+                          <div className="flow-page-info">
+                            {step.pageTitle && <span className="page-title">{step.pageTitle}</span>}
+                            {step.pageUrl && <span className="page-url">{step.pageUrl}</span>}
+                          </div>
                         </div>
-                      </div>
-                    )}
+                      )}
+                    </div>
                   </div>
-                </div>
-              ))}
+                ))}
+              </div>
             </div>
           </div>
         </div>